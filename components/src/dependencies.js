@@ -9,25 +9,39 @@ export const dependencies = {
   '[tex]/amscd': ['input/tex-base'],
   '[tex]/bbox': ['input/tex-base', '[tex]/ams', '[tex]/newcommand'],
   '[tex]/boldsymbol': ['input/tex-base'],
+  '[tex]/booktabs': ['input/tex-base'],
   '[tex]/braket': ['input/tex-base'],
   '[tex]/bussproofs': ['input/tex-base'],
   '[tex]/cancel': ['input/tex-base', '[tex]/enclose'],
+  '[tex]/chemfig': ['input/tex-base'],
+  '[tex]/cleveref': ['input/tex-base'],
   '[tex]/color': ['input/tex-base'],
   '[tex]/colorv2': ['input/tex-base'],
+  '[tex]/colortbl': ['input/tex-base', '[tex]/color'],
   '[tex]/configmacros': ['input/tex-base', '[tex]/newcommand'],
+  '[tex]/counters': ['input/tex-base', '[tex]/newcommand'],
   '[tex]/enclose': ['input/tex-base'],
   '[tex]/extpfeil': ['input/tex-base', '[tex]/newcommand', '[tex]/ams'],
+  '[tex]/fitch': ['input/tex-base'],
   '[tex]/html': ['input/tex-base'],
+  '[tex]/mathtools': ['input/tex-base', '[tex]/ams', '[tex]/newcommand'],
   '[tex]/mhchem': ['input/tex-base', '[tex]/ams'],
   '[tex]/newcommand': ['input/tex-base'],
   '[tex]/noerrors': ['input/tex-base'],
   '[tex]/noundefined': ['input/tex-base'],
   '[tex]/physics': ['input/tex-base'],
+  '[tex]/preamble': ['input/tex-base', '[tex]/ams', '[tex]/newcommand'],
+  '[tex]/proof': ['input/tex-base', '[tex]/bussproofs'],
   '[tex]/require': ['input/tex-base'],
+  '[tex]/siunitx': ['input/tex-base'],
   '[tex]/tagformat': ['input/tex-base'],
   '[tex]/textmacros': ['input/tex-base'],
+  '[tex]/tikzcd': ['input/tex-base'],
   '[tex]/unicode': ['input/tex-base'],
-  '[tex]/verb': ['input/tex-base']
+  '[tex]/unicodemath': ['input/tex-base'],
+  '[tex]/verb': ['input/tex-base'],
+  '[tex]/xparse': ['input/tex-base', '[tex]/newcommand'],
+  '[tex]/xypic': ['input/tex-base', '[tex]/tikzcd']
 };
 
 export const paths = {
@@ -41,24 +55,37 @@ const allPackages = [
   '[tex]/amscd',
   '[tex]/bbox',
   '[tex]/boldsymbol',
+  '[tex]/booktabs',
   '[tex]/braket',
   '[tex]/bussproofs',
   '[tex]/cancel',
+  '[tex]/chemfig',
+  '[tex]/cleveref',
   '[tex]/color',
+  '[tex]/colortbl',
   '[tex]/configmacros',
+  '[tex]/counters',
   '[tex]/enclose',
   '[tex]/extpfeil',
+  '[tex]/fitch',
   '[tex]/html',
+  '[tex]/mathtools',
   '[tex]/mhchem',
   '[tex]/newcommand',
   '[tex]/noerrors',
   '[tex]/noundefined',
   '[tex]/physics',
+  '[tex]/proof',
   '[tex]/require',
+  '[tex]/siunitx',
   '[tex]/tagformat',
   '[tex]/textmacros',
+  '[tex]/tikzcd',
   '[tex]/unicode',
-  '[tex]/verb'
+  '[tex]/unicodemath',
+  '[tex]/verb',
+  '[tex]/xparse',
+  '[tex]/xypic'
 ];
 
 export const provides = {
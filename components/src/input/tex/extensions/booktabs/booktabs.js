@@ -0,0 +1 @@
+import './lib/booktabs.js';
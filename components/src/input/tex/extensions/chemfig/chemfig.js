@@ -0,0 +1 @@
+import './lib/chemfig.js';
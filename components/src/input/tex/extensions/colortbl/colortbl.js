@@ -0,0 +1 @@
+import './lib/colortbl.js';
@@ -0,0 +1 @@
+import './lib/counters.js';
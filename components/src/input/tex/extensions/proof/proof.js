@@ -0,0 +1 @@
+import './lib/proof.js';
@@ -0,0 +1 @@
+import './lib/siunitx.js';
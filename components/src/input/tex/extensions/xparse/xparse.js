@@ -0,0 +1 @@
+import './lib/xparse.js';
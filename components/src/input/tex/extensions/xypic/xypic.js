@@ -0,0 +1 @@
+import './lib/xypic.js';
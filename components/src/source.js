@@ -13,25 +13,39 @@ export const source = {
   '[tex]/amscd': `${src}/input/tex/extensions/amscd/amscd.js`,
   '[tex]/bbox': `${src}/input/tex/extensions/bbox/bbox.js`,
   '[tex]/boldsymbol': `${src}/input/tex/extensions/boldsymbol/boldsymbol.js`,
+  '[tex]/booktabs': `${src}/input/tex/extensions/booktabs/booktabs.js`,
   '[tex]/braket': `${src}/input/tex/extensions/braket/braket.js`,
   '[tex]/bussproofs': `${src}/input/tex/extensions/bussproofs/bussproofs.js`,
   '[tex]/cancel': `${src}/input/tex/extensions/cancel/cancel.js`,
+  '[tex]/chemfig': `${src}/input/tex/extensions/chemfig/chemfig.js`,
+  '[tex]/cleveref': `${src}/input/tex/extensions/cleveref/cleveref.js`,
   '[tex]/color': `${src}/input/tex/extensions/color/color.js`,
   '[tex]/colorv2': `${src}/input/tex/extensions/colorv2/colorv2.js`,
+  '[tex]/colortbl': `${src}/input/tex/extensions/colortbl/colortbl.js`,
   '[tex]/configmacros': `${src}/input/tex/extensions/configmacros/configmacros.js`,
+  '[tex]/counters': `${src}/input/tex/extensions/counters/counters.js`,
   '[tex]/enclose': `${src}/input/tex/extensions/enclose/enclose.js`,
   '[tex]/extpfeil': `${src}/input/tex/extensions/extpfeil/extpfeil.js`,
+  '[tex]/fitch': `${src}/input/tex/extensions/fitch/fitch.js`,
   '[tex]/html': `${src}/input/tex/extensions/html/html.js`,
+  '[tex]/mathtools': `${src}/input/tex/extensions/mathtools/mathtools.js`,
   '[tex]/mhchem': `${src}/input/tex/extensions/mhchem/mhchem.js`,
   '[tex]/newcommand': `${src}/input/tex/extensions/newcommand/newcommand.js`,
   '[tex]/noerrors': `${src}/input/tex/extensions/noerrors/noerrors.js`,
   '[tex]/noundefined': `${src}/input/tex/extensions/noundefined/noundefined.js`,
   '[tex]/physics': `${src}/input/tex/extensions/physics/physics.js`,
+  '[tex]/preamble': `${src}/input/tex/extensions/preamble/preamble.js`,
+  '[tex]/proof': `${src}/input/tex/extensions/proof/proof.js`,
   '[tex]/require': `${src}/input/tex/extensions/require/require.js`,
+  '[tex]/siunitx': `${src}/input/tex/extensions/siunitx/siunitx.js`,
   '[tex]/tagformat': `${src}/input/tex/extensions/tagformat/tagformat.js`,
   '[tex]/textmacros': `${src}/input/tex/extensions/textmacros/textmacros.js`,
+  '[tex]/tikzcd': `${src}/input/tex/extensions/tikzcd/tikzcd.js`,
   '[tex]/unicode': `${src}/input/tex/extensions/unicode/unicode.js`,
+  '[tex]/unicodemath': `${src}/input/tex/extensions/unicodemath/unicodemath.js`,
   '[tex]/verb': `${src}/input/tex/extensions/verb/verb.js`,
+  '[tex]/xparse': `${src}/input/tex/extensions/xparse/xparse.js`,
+  '[tex]/xypic': `${src}/input/tex/extensions/xypic/xypic.js`,
   'input/mml': `${src}/input/mml/mml.js`,
   'input/mml/entities': `${src}/input/mml/entities/entities.js`,
   'input/asciimath': `${src}/input/asciimath/asciimath.js`,
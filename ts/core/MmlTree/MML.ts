@@ -61,6 +61,8 @@ import {MmlSemantics, MmlAnnotation, MmlAnnotationXML} from './MmlNodes/semantic
 
 import {TeXAtom} from './MmlNodes/TeXAtom.js';
 import {MathChoice} from './MmlNodes/mathchoice.js';
+import {TeXDiagram} from './MmlNodes/TeXDiagram.js';
+import {TeXMolecule} from './MmlNodes/TeXMolecule.js';
 
 /************************************************************************/
 /**
@@ -119,6 +121,8 @@ export let MML: {[kind: string]: MmlNodeClass} = {
 
   [TeXAtom.prototype.kind]: TeXAtom,
   [MathChoice.prototype.kind]: MathChoice,
+  [TeXDiagram.prototype.kind]: TeXDiagram,
+  [TeXMolecule.prototype.kind]: TeXMolecule,
 
   [TextNode.prototype.kind]: TextNode,
   [XMLNode.prototype.kind]: XMLNode
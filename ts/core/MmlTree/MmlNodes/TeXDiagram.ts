@@ -0,0 +1,164 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview  Implements the TeXDiagram node (a table of objects with
+ *                arrows drawn between its cells, as for tikz-cd)
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {PropertyList} from '../../Tree/Node.js';
+import {AbstractMmlNode, AbstractMmlTokenNode, MmlNode, TEXCLASS} from '../MmlNode.js';
+
+/*****************************************************************/
+/**
+ * The data for a label on an arrow
+ */
+export type DiagramLabel = {
+  node: number,       // the index of the child node holding the label
+  side: string,       // 'left', 'right' (of the arrow's direction), or 'center'
+  pos: number,        // the position along the arrow (0 = start, 1 = end)
+  fill: boolean       // true if the label should be drawn over a blank background
+};
+
+/**
+ * The data for an arrow between two cells of the diagram
+ */
+export type DiagramArrow = {
+  from: [number, number],   // the [row, column] of the starting cell
+  to: [number, number],     // the [row, column] of the ending cell
+  line: string,             // 'solid', 'dashed', 'dotted', 'double', or 'none'
+  head: string,             // 'to', 'two heads', 'double', or 'none'
+  tail: string,             // 'hook', 'hook\'', 'tail', 'maps to', or 'none'
+  bend: number,             // the angle (in degrees) to bend the arrow to the left
+  shift: number,            // the amount (in em) to shift the arrow to the left
+  labels: DiagramLabel[]    // the labels for the arrow
+};
+
+/*****************************************************************/
+/**
+ *  Implements the TeXDiagram node class (subclass of AbstractMmlNode)
+ *
+ *  The first child is the mtable holding the objects of the diagram,
+ *  and the remaining ones are the labels for the arrows.
+ */
+
+export class TeXDiagram extends AbstractMmlNode {
+
+  /**
+   * @override
+   */
+  public static defaults: PropertyList = {
+    ...AbstractMmlNode.defaults
+  };
+
+  /**
+   * The properties that hold the diagram's data (other than its children)
+   */
+  public static dataProperties = ['arrows'];
+
+  /**
+   * TeX class is ORD
+   */
+  public texClass = TEXCLASS.ORD;
+
+  /**
+   * The arrows to draw between the cells of the table
+   */
+  public arrows: DiagramArrow[] = [];
+
+  /**
+   * @override
+   */
+  public get kind() {
+    return 'TeXDiagram';
+  }
+
+  /**
+   * This element is not considered a MathML container
+   * @override
+   */
+  public get notParent() {
+    return true;
+  }
+
+  /**
+   * @return {MmlNode}  The table of objects for the diagram
+   */
+  public get table(): MmlNode {
+    return this.childNodes[0];
+  }
+
+  /**
+   * @return {string}  A text description of the diagram's objects and arrows
+   *                     (used as its text alternative, since the arrows have no
+   *                     MathML equivalent)
+   */
+  public get description(): string {
+    const objects = [];
+    for (const row of this.table.childNodes) {
+      for (const cell of row.childNodes as MmlNode[]) {
+        const text = this.textOf(cell);
+        text && objects.push(text);
+      }
+    }
+    const arrows = this.arrows.map(arrow => {
+      const labels = arrow.labels.map(label => this.textOf(this.childNodes[label.node])).filter(text => text);
+      return 'from ' + this.cellText(arrow.from) + ' to ' + this.cellText(arrow.to) +
+        (labels.length ? ' labeled ' + labels.join(' and ') : '');
+    });
+    return 'diagram with ' + (objects.length ? 'objects ' + objects.join(', ') : 'no objects') +
+      (arrows.length ? ' and arrows ' + arrows.join(', ') : '');
+  }
+
+  /**
+   * @param {[number, number]} cell  The [row, column] of a cell
+   * @return {string}                The text of the cell (or its position, if it is empty)
+   */
+  protected cellText([i, j]: [number, number]): string {
+    const row = this.table.childNodes[i];
+    const text = (row && row.childNodes[j] ? this.textOf(row.childNodes[j] as MmlNode) : '');
+    return text || 'row ' + (i + 1) + ' column ' + (j + 1);
+  }
+
+  /**
+   * @param {MmlNode} node   The node whose text is needed
+   * @return {string}        The text of the token nodes within it
+   */
+  protected textOf(node: MmlNode): string {
+    let text = '';
+    node.walkTree((child: MmlNode) => {
+      if (child instanceof AbstractMmlTokenNode) {
+        text += child.getText();
+      }
+    });
+    return text.trim();
+  }
+
+  /**
+   * @override
+   */
+  public setTeXclass(prev: MmlNode) {
+    this.getPrevClass(prev);
+    for (const child of this.childNodes) {
+      child.setTeXclass(null);
+    }
+    return this;
+  }
+
+}
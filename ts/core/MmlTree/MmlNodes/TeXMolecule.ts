@@ -0,0 +1,187 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview  Implements the TeXMolecule node (a skeletal chemical structure
+ *                of atoms joined by bonds, as for chemfig)
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {PropertyList} from '../../Tree/Node.js';
+import {AbstractMmlNode, AbstractMmlTokenNode, MmlNode, TEXCLASS} from '../MmlNode.js';
+
+/*****************************************************************/
+/**
+ * An atom within the molecule:  the index of its group, and its position within that group
+ */
+export type AtomRef = [number, number];
+
+/**
+ * The data for an electron pair, single electron, or bar drawn around an atom
+ */
+export type MoleculeLewis = {
+  atom: number,             // the position of the atom within its group
+  angle: number,            // the direction (in degrees) from the center of the atom
+  type: string              // ':' (a pair of dots), '.' (a single dot), or '|' (a bar)
+};
+
+/**
+ * The data for a group of atoms (like CH_3) that are laid out next to each other
+ */
+export type MoleculeGroup = {
+  atoms: number[],          // the child nodes for the atoms (none for a bare vertex)
+  from: AtomRef,            // the atom the group is positioned from (null for the first group)
+  atom: number,             // the atom of the group that is placed relative to that atom
+  angle: number,            // the direction (in degrees) from the from atom to that atom
+  length: number,           // the distance (in em) between the centers of those atoms
+  lewis: MoleculeLewis[]    // the electrons to draw around the atoms of the group
+};
+
+/**
+ * The data for a bond between two atoms
+ */
+export type MoleculeBond = {
+  from: AtomRef,            // the atom where the bond starts
+  to: AtomRef,              // the atom where the bond ends
+  type: string,             // '-', '=', '~', '>', '<', '>:', '<:', '>|', or '<|'
+  side: number              // 1 (or -1) if the second line of a double bond is to the left (or right)
+                            //   of the main one, 0 if the two lines are centered on the bond
+};
+
+/**
+ * The names of the bond types (for the text description of a molecule)
+ */
+const BONDNAMES: {[type: string]: string} = {
+  '-': 'single bond',
+  '=': 'double bond',
+  '~': 'triple bond',
+  '>': 'wedge bond',
+  '<': 'wedge bond',
+  '>:': 'dashed wedge bond',
+  '<:': 'dashed wedge bond',
+  '>|': 'hollow wedge bond',
+  '<|': 'hollow wedge bond'
+};
+
+/*****************************************************************/
+/**
+ *  Implements the TeXMolecule node class (subclass of AbstractMmlNode)
+ *
+ *  The children are the atoms of the molecule, and the groups, bonds,
+ *  and rings determine how they are laid out and joined.
+ */
+
+export class TeXMolecule extends AbstractMmlNode {
+
+  /**
+   * @override
+   */
+  public static defaults: PropertyList = {
+    ...AbstractMmlNode.defaults
+  };
+
+  /**
+   * The properties that hold the molecule's data (other than its children)
+   */
+  public static dataProperties = ['groups', 'bonds', 'circles'];
+
+  /**
+   * TeX class is ORD
+   */
+  public texClass = TEXCLASS.ORD;
+
+  /**
+   * The groups of atoms (the first one is placed at the origin, and the
+   * others are positioned relative to atoms in earlier groups)
+   */
+  public groups: MoleculeGroup[] = [];
+
+  /**
+   * The bonds to draw between the atoms
+   */
+  public bonds: MoleculeBond[] = [];
+
+  /**
+   * The rings that have circles drawn within them (given by the groups at their vertices)
+   */
+  public circles: number[][] = [];
+
+  /**
+   * @override
+   */
+  public get kind() {
+    return 'TeXMolecule';
+  }
+
+  /**
+   * This element is not considered a MathML container
+   * @override
+   */
+  public get notParent() {
+    return true;
+  }
+
+  /**
+   * @return {string}  A text description of the molecule's atoms and bonds
+   *                     (used as its text alternative, since the bonds have no
+   *                     MathML equivalent)
+   */
+  public get description(): string {
+    const bonds = this.bonds.map(bond =>
+      this.groupText(bond.from[0]) + ' ' + (BONDNAMES[bond.type] || 'bond') + ' ' + this.groupText(bond.to[0]));
+    const atoms = this.groups.map((_group, i) => this.groupText(i));
+    return 'structural formula with ' +
+      (bonds.length ? 'bonds ' + bonds.join(', ') : 'atoms ' + atoms.join(', ')) +
+      (this.circles.length ? ' and ' + this.circles.length + ' circled ring' + (this.circles.length > 1 ? 's' : '') : '');
+  }
+
+  /**
+   * @param {number} i   The index of a group of atoms
+   * @return {string}    The text of the group's atoms (or its position, if it is a bare vertex)
+   */
+  protected groupText(i: number): string {
+    const text = this.groups[i].atoms.map(n => this.textOf(this.childNodes[n])).join('');
+    return text || 'vertex ' + (i + 1);
+  }
+
+  /**
+   * @param {MmlNode} node   The node whose text is needed
+   * @return {string}        The text of the token nodes within it
+   */
+  protected textOf(node: MmlNode): string {
+    let text = '';
+    node.walkTree((child: MmlNode) => {
+      if (child instanceof AbstractMmlTokenNode) {
+        text += child.getText();
+      }
+    });
+    return text.trim();
+  }
+
+  /**
+   * @override
+   */
+  public setTeXclass(prev: MmlNode) {
+    this.getPrevClass(prev);
+    for (const child of this.childNodes) {
+      child.setTeXclass(null);
+    }
+    return this;
+  }
+
+}
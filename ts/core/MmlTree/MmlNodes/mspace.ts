@@ -74,7 +74,7 @@ export class MmlMspace extends AbstractMmlTokenNode {
    *
    * @override
    */
-  public get hasNewline() {
+  public get hasNewLine() {
     let attributes = this.attributes;
     return (attributes.getExplicit('width') == null && attributes.getExplicit('height') == null &&
             attributes.getExplicit('depth') == null && attributes.get('linebreak') === 'newline');
@@ -63,6 +63,7 @@ export class MmlMstyle extends AbstractMmlLayoutNode {
 
   /**
    * Handle scriptlevel changes, and add mstyle attributes to the ones being inherited.
+   *   (An mstyle with the texprimestyle property puts its contents in TeX's cramped style.)
    *
    * @override
    */
@@ -81,7 +82,8 @@ export class MmlMstyle extends AbstractMmlLayoutNode {
       display = (displaystyle === true);
     }
     attributes = this.addInheritedAttributes(attributes, this.attributes.getAllAttributes());
-    this.childNodes[0].setInheritedAttributes(attributes, display, level, prime);
+    const cramped = !!this.getProperty('texprimestyle');
+    this.childNodes[0].setInheritedAttributes(attributes, display, level, prime || cramped);
   }
 
 }
@@ -81,6 +81,13 @@ export class MmlMtr extends AbstractMmlNode {
     for (const child of this.childNodes) {
       attributes.columnalign[1] = calign.shift() || attributes.columnalign[1];
       child.setInheritedAttributes(attributes, display, level, prime);
+      //
+      //  Skip the alignments for the columns covered by a spanning cell
+      //
+      let span = parseInt(child.attributes.get('columnspan') as string) || 1;
+      while (--span > 0 && calign.length) {
+        attributes.columnalign[1] = calign.shift();
+      }
     }
   }
 
@@ -120,6 +120,56 @@ export class SerializedMmlVisitor extends MmlVisitor {
     return mml;
   }
 
+  /**
+   * Visit a TeXDiagram node.  Its arrows have no MathML equivalent (see visitTeXDataNode()).
+   *
+   * @param {MmlNode} node  The TeXDiagram to visit.
+   * @param {string} space  The amount of indenting for this node.
+   * @return {string}       The serialized diagram.
+   */
+  public visitTeXDiagramNode(node: MmlNode, space: string): string {
+    return this.visitTeXDataNode(node, space);
+  }
+
+  /**
+   * Visit a TeXMolecule node.  Its bonds have no MathML equivalent (see visitTeXDataNode()).
+   *
+   * @param {MmlNode} node  The TeXMolecule to visit.
+   * @param {string} space  The amount of indenting for this node.
+   * @return {string}       The serialized molecule.
+   */
+  public visitTeXMoleculeNode(node: MmlNode, space: string): string {
+    return this.visitTeXDataNode(node, space);
+  }
+
+  /**
+   * Visit a node whose layout data has no MathML equivalent (like a TeXDiagram).
+   * It is turned into a semantics element whose first child is a text description
+   * of the node, with the node's kind and data in data-mjx-node and data-mjx-properties
+   * attributes and its children in an annotation-xml element, so that the MathML
+   * input jax can recreate it.
+   *
+   * @param {MmlNode} node  The node to visit.
+   * @param {string} space  The amount of indenting for this node.
+   * @return {string}       The serialized semantics element.
+   */
+  protected visitTeXDataNode(node: MmlNode, space: string): string {
+    const properties: {[name: string]: any} = {};
+    for (const name of (node.constructor as {dataProperties?: string[]}).dataProperties || []) {
+      properties[name] = (node as any)[name];
+    }
+    const data = {} as PropertyList;
+    this.setDataAttribute(data, 'node', node.kind);
+    this.setDataAttribute(data, 'properties', JSON.stringify(properties));
+    const attributes = Object.keys(data).map(name => ' ' + name + '="' + this.quoteHTML(data[name]) + '"');
+    return space + '<semantics' + attributes.join('') + this.getAttributes(node) + '>\n'
+      + space + '  <mtext>' + this.quoteHTML((node as MmlNode & {description: string}).description) + '</mtext>\n'
+      + space + '  <annotation-xml encoding="MathML-Presentation">\n'
+      + this.childNodeMml(node, space + '    ', '\n')
+      + space + '  </annotation-xml>\n'
+      + space + '</semantics>';
+  }
+
   /**
    * @param {MmlNode} node    The annotation node to visit
    * @param {string} space    The number of spaces to use for indentation
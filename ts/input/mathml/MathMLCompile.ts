@@ -112,6 +112,9 @@ export class MathMLCompile<N, T, D> {
     const adaptor = this.adaptor;
     let limits = false;
     let kind = adaptor.kind(node).replace(/^.*:/, '');
+    if (kind === 'semantics' && adaptor.hasAttribute(node, 'data-mjx-node')) {
+      return this.makeDataNode(node);
+    }
     let texClass = adaptor.getAttribute(node, 'data-mjx-texclass') || '';
     if (texClass) {
       texClass = this.filterAttribute('data-mjx-texclass', texClass) || '';
@@ -139,6 +142,46 @@ export class MathMLCompile<N, T, D> {
     return mml;
   }
 
+  /**
+   * Recreate a node whose layout data has no MathML equivalent (like a TeXDiagram)
+   * from the semantics element that the SerializedMmlVisitor produces for it:  the
+   * data-mjx-node attribute gives the kind of node, data-mjx-properties its data,
+   * and the annotation-xml element its children.  The attributes of the text
+   * description that precedes the annotation (e.g., the ones added by semantic
+   * enrichment) are copied to the node along with those of the semantics element.
+   *
+   * @param {N} node     The semantics element for the node
+   * @return {MmlNode}   The recreated node
+   */
+  protected makeDataNode(node: N): MmlNode {
+    const adaptor = this.adaptor;
+    const type = this.filterAttribute('data-mjx-node', adaptor.getAttribute(node, 'data-mjx-node'));
+    const CLASS = this.factory.getNodeClass(type) as {dataProperties?: string[]};
+    (CLASS && CLASS.dataProperties) || this.error('Unknown node type "' + type + '"');
+    const mml = this.factory.create(type);
+    let properties: {[name: string]: any} = {};
+    try {
+      properties = JSON.parse(this.filterAttribute('data-mjx-properties',
+                                                   adaptor.getAttribute(node, 'data-mjx-properties')) || '{}');
+    } catch (err) {
+      this.error('Invalid data-mjx-properties for "' + type + '"');
+    }
+    for (const name of CLASS.dataProperties) {
+      if (properties.hasOwnProperty(name)) {
+        (mml as any)[name] = properties[name];
+      }
+    }
+    const [text, annotation] = (adaptor.childNodes(node) as N[]).filter(child => !adaptor.kind(child).match(/^#/));
+    this.addAttributes(mml, node);
+    text && this.addAttributes(mml, text);
+    for (const child of (annotation ? adaptor.childNodes(annotation) as N[] : [])) {
+      if (!adaptor.kind(child).match(/^#/)) {
+        mml.appendChild(this.makeNode(child));
+      }
+    }
+    return mml;
+  }
+
   /**
    * Copy the attributes from a MathML node to an MmlNode.
    *
@@ -22,7 +22,7 @@
  */
 
 import {AbstractInputJax} from '../core/InputJax.js';
-import {userOptions, separateOptions, OptionList} from '../util/Options.js';
+import {userOptions, separateOptions, expandable, OptionList} from '../util/Options.js';
 import {MathDocument} from '../core/MathDocument.js';
 import {MathItem} from '../core/MathItem.js';
 import {MmlNode} from '../core/MmlTree/MmlNode.js';
@@ -35,7 +35,9 @@ import NodeUtil from './tex/NodeUtil.js';
 import TexParser from './tex/TexParser.js';
 import TexError from './tex/TexError.js';
 import ParseOptions from './tex/ParseOptions.js';
-import {TagsFactory} from './tex/Tags.js';
+import {Tags, TagsFactory} from './tex/Tags.js';
+import {AbstractParseMap} from './tex/SymbolMap.js';
+import {HandlerType} from './tex/MapHandler.js';
 import {ParserConfiguration} from './tex/Configuration.js';
 // Import base as it is the default package loaded.
 import './tex/base/BaseConfiguration.js';
@@ -71,13 +73,26 @@ export class TeX<N, T, D> extends AbstractInputJax<N, T, D> {
     digits: /^(?:[0-9]+(?:\{,\}[0-9]{3})*(?:\.[0-9]*)?|\.[0-9]+)/,
     // Maximum size of TeX string to process.
     maxBuffer: 5 * 1024,
+    // Record the range of the TeX string that produced each MmlNode
+    // (in its texStart and texEnd properties).
+    sourcePositions: false,
+    // Replace only the innermost group containing an error by an merror
+    // (the errors are listed in the MathItem's inputData.errors array).
+    recoverErrors: false,
+    // The locale to use for error messages.
+    locale: 'en',
+    // Translations of error messages, indexed by locale and then message id
+    // (these take precedence over those registered by TexError.addMessages(),
+    // and apply only to this input jax).
+    messages: expandable({}),
     formatError: (jax: TeX<any, any, any>, err: TexError) => jax.formatError(err)
   };
 
   /**
    * The FindTeX instance used for locating TeX in strings
+   *   (packages can add patterns to it, e.g., for the references they define)
    */
-  protected findTeX: FindTeX<N, T, D>;
+  public findTeX: FindTeX<N, T, D>;
 
   /**
    * The configuration of the TeX jax.
@@ -112,8 +127,8 @@ export class TeX<N, T, D> extends AbstractInputJax<N, T, D> {
 
 
   /**
-   * Initialises the Tags factory. Add tagging structures from packages and set
-   * tagging to given default.
+   * Initialises the Tags factory. Add tagging structures from packages, set
+   * tagging to given default, and add any labels from other documents.
    * @param {ParseOptions} options The parse options.
    * @param {Configuration} configuration The configuration.
    */
@@ -122,6 +137,7 @@ export class TeX<N, T, D> extends AbstractInputJax<N, T, D> {
     TagsFactory.setDefault(options.options.tags);
     options.tags = TagsFactory.getDefault();
     options.tags.configuration = options;
+    options.tags.importLabels(options.options.externalLabels);
   }
 
 
@@ -137,6 +153,9 @@ export class TeX<N, T, D> extends AbstractInputJax<N, T, D> {
     const parseOptions = this._parseOptions =
       new ParseOptions(configuration, [this.options, TagsFactory.OPTIONS]);
     userOptions(parseOptions.options, rest);
+    for (const locale of Object.keys(this.options.messages)) {
+      TexError.addMessages(locale, this.options.messages[locale], parseOptions.messages);
+    }
     configuration.config(this);
     TeX.tags(parseOptions, configuration);
     this.postFilters.add(FilterUtil.cleanSubSup, -6);
@@ -145,6 +164,9 @@ export class TeX<N, T, D> extends AbstractInputJax<N, T, D> {
     this.postFilters.add(FilterUtil.cleanStretchy, -3);
     this.postFilters.add(FilterUtil.cleanAttributes, -2);
     this.postFilters.add(FilterUtil.combineRelations, -1);
+    if (this.options.sourcePositions) {
+      this.postFilters.add(FilterUtil.setPositions);
+    }
   }
 
   /**
@@ -184,8 +206,10 @@ export class TeX<N, T, D> extends AbstractInputJax<N, T, D> {
         throw err;
       }
       this.parseOptions.error = true;
+      this.parseOptions.errors.push(err);
       node = this.options.formatError(this, err);
     }
+    math.inputData.errors = this.parseOptions.errors;
     node = this.parseOptions.nodeFactory.create('node', 'math', [node]);
     if (display) {
       NodeUtil.setAttribute(node, 'display', 'block');
@@ -198,6 +222,115 @@ export class TeX<N, T, D> extends AbstractInputJax<N, T, D> {
   }
 
 
+  /**
+   * Check a TeX expression for problems that don't prevent it from being
+   * processed (deprecated commands, duplicate labels, etc.).  The expression
+   * is parsed just as it is when typeset (though the pre- and post-filters
+   * are not run), but the macro and environment definitions, the package data
+   * (colors, counters, etc.), the parse state, and the tags are restored
+   * afterward, so linting has no effect on later expressions.  (Packages
+   * loaded by \require remain loaded, however.)
+   *
+   * @param {string} tex        The TeX expression to check.
+   * @param {boolean} display   True if the expression is in display mode.
+   * @return {TexError[]}       The warnings, together with any errors in the
+   *                              expression, in the order they occur.
+   */
+  public lint(tex: string, display: boolean = false): TexError[] {
+    const options = this.parseOptions;
+    const {parsers, root, nodeLists, error, errors, warnings, tags} = options;
+    const definitions = this.saveDefinitions();
+    const restore = Array.from(options.packageState.values()).map(save => save());
+    options.tags = this.lintTags(tags);
+    options.clear();
+    try {
+      try {
+        new TexParser(tex, {display: display, isInner: false}, options).mml();
+      } catch (err) {
+        if (!(err instanceof TexError)) {
+          throw err;
+        }
+        options.errors.push(err);
+      }
+      const position = (err: TexError) => (err.start === null ? tex.length : err.start);
+      return options.warnings.concat(options.errors).sort((a, b) => position(a) - position(b));
+    } finally {
+      this.restoreDefinitions(definitions);
+      restore.forEach(restoreState => restoreState());
+      Object.assign(options, {parsers, root, nodeLists, error, errors, warnings, tags});
+    }
+  }
+
+
+  /**
+   * Check the labels defined in the expressions typeset so far for ones that
+   * are never referenced.  Since a label can be referenced before it is
+   * defined, this should be called once the whole document has been typeset.
+   *
+   * @return {TexError[]}   The warnings for the unreferenced labels.
+   */
+  public lintLabels(): TexError[] {
+    const tags = this.parseOptions.tags;
+    return Object.keys(tags.allLabels).filter(label => !tags.allRefs[label]).map(label => {
+      const warning = new TexError('UnusedLabel', 'Label \'%1\' is never referenced', label);
+      warning.localize(this.options.locale, this.parseOptions.messages);
+      return warning;
+    });
+  }
+
+
+  /**
+   * @param {Tags} tags   The tags object used for typesetting.
+   * @return {Tags}       A tags object of the same kind that sees the labels defined
+   *                        so far, but whose changes don't affect the original.
+   */
+  protected lintTags(tags: Tags): Tags {
+    const lint = TagsFactory.create(this.parseOptions.options.tags);
+    lint.configuration = this.parseOptions;
+    lint.allLabels = Object.assign({}, tags.allLabels);
+    lint.allIds = Object.assign({}, tags.allIds);
+    lint.externalLabels = tags.externalLabels;
+    lint.counter = lint.allCounter = tags.allCounter;
+    return lint;
+  }
+
+
+  /**
+   * @return {Map<AbstractParseMap, Map>}  The contents of the symbol maps used by
+   *                                        this jax (which \newcommand and the
+   *                                        like add to).
+   */
+  protected saveDefinitions(): Map<AbstractParseMap<any>, Map<string, any>> {
+    const definitions = new Map<AbstractParseMap<any>, Map<string, any>>();
+    const handlers = this.parseOptions.handlers;
+    for (const key of handlers.keys()) {
+      for (const map of handlers.get(key as HandlerType).maps()) {
+        if (map instanceof AbstractParseMap && !definitions.has(map)) {
+          definitions.set(map, new Map(map.entries()));
+        }
+      }
+    }
+    return definitions;
+  }
+
+
+  /**
+   * @param {Map<AbstractParseMap, Map>} definitions  The symbol map contents to restore.
+   */
+  protected restoreDefinitions(definitions: Map<AbstractParseMap<any>, Map<string, any>>) {
+    for (const [map, saved] of definitions.entries()) {
+      for (const [symbol] of Array.from(map.entries())) {
+        if (!saved.has(symbol)) {
+          map.remove(symbol);
+        }
+      }
+      for (const [symbol, value] of saved.entries()) {
+        map.add(symbol, value);
+      }
+    }
+  }
+
+
   /**
    * @override
    */
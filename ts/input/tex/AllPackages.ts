@@ -27,24 +27,37 @@ import './ams/AmsConfiguration.js';
 import './amscd/AmsCdConfiguration.js';
 import './bbox/BboxConfiguration.js';
 import './boldsymbol/BoldsymbolConfiguration.js';
+import './booktabs/BooktabsConfiguration.js';
 import './braket/BraketConfiguration.js';
 import './bussproofs/BussproofsConfiguration.js';
 import './cancel/CancelConfiguration.js';
+import './chemfig/ChemfigConfiguration.js';
+import './cleveref/CleverefConfiguration.js';
 import './color/ColorConfiguration.js';
+import './colortbl/ColortblConfiguration.js';
 import './colorv2/ColorV2Configuration.js';
 import './configmacros/ConfigMacrosConfiguration.js';
+import './counters/CountersConfiguration.js';
 import './enclose/EncloseConfiguration.js';
 import './extpfeil/ExtpfeilConfiguration.js';
+import './fitch/FitchConfiguration.js';
 import './html/HtmlConfiguration.js';
+import './mathtools/MathtoolsConfiguration.js';
 import './mhchem/MhchemConfiguration.js';
 import './newcommand/NewcommandConfiguration.js';
 import './noerrors/NoErrorsConfiguration.js';
 import './noundefined/NoUndefinedConfiguration.js';
 import './physics/PhysicsConfiguration.js';
+import './proof/ProofConfiguration.js';
+import './siunitx/SiunitxConfiguration.js';
 import './tagformat/TagFormatConfiguration.js';
 import './textmacros/TextMacrosConfiguration.js';
+import './tikzcd/TikzcdConfiguration.js';
 import './unicode/UnicodeConfiguration.js';
+import './unicodemath/UnicodeMathConfiguration.js';
 import './verb/VerbConfiguration.js';
+import './xparse/XparseConfiguration.js';
+import './xypic/XypicConfiguration.js';
 
 declare const MathJax: any;
 if (typeof MathJax !== 'undefined' && MathJax.loader) {
@@ -54,21 +67,34 @@ if (typeof MathJax !== 'undefined' && MathJax.loader) {
     '[tex]/amscd',
     '[tex]/bbox',
     '[tex]/boldsymbol',
+    '[tex]/booktabs',
     '[tex]/braket',
     '[tex]/bussproofs',
     '[tex]/cancel',
+    '[tex]/chemfig',
+    '[tex]/cleveref',
     '[tex]/color',
     '[tex]/colorv2',
+    '[tex]/colortbl',
+    '[tex]/counters',
     '[tex]/enclose',
     '[tex]/extpfeil',
+    '[tex]/fitch',
     '[tex]/html',
+    '[tex]/mathtools',
     '[tex]/mhchem',
     '[tex]/newcommand',
     '[tex]/noerrors',
     '[tex]/noundefined',
     '[tex]/physics',
+    '[tex]/proof',
+    '[tex]/siunitx',
+    '[tex]/tikzcd',
     '[tex]/unicode',
+    '[tex]/unicodemath',
     '[tex]/verb',
+    '[tex]/xparse',
+    '[tex]/xypic',
     '[tex]/configmacros',
     '[tex]/tagformat',
     '[tex]/textmacros'
@@ -82,19 +108,32 @@ export const AllPackages: string[] = [
   'amscd',
   'bbox',
   'boldsymbol',
+  'booktabs',
   'braket',
   'bussproofs',
   'cancel',
+  'chemfig',
+  'cleveref',
   'color',
+  'colortbl',
+  'counters',
   'enclose',
   'extpfeil',
+  'fitch',
   'html',
+  'mathtools',
   'mhchem',
   'newcommand',
   'noerrors',
   'noundefined',
+  'proof',
+  'siunitx',
+  'tikzcd',
   'unicode',
+  'unicodemath',
   'verb',
+  'xparse',
+  'xypic',
   'configmacros',
   'tagformat',
   'textmacros'
@@ -0,0 +1,336 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview  Parser for the column specifications (preambles) of
+ *                LaTeX array and tabular environments.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ArrayItem} from './base/BaseItems.js';
+import TexParser from './TexParser.js';
+import TexError from './TexError.js';
+import ParseUtil from './ParseUtil.js';
+
+
+/**
+ * The state of the preamble parsing
+ */
+export type ColumnState = {
+  parser: TexParser;        // The current TeX parser
+  template: string;         // The column template
+  i: number;                // The current position in the template
+  c: string;                // The current column specifier
+  j: number;                // The current column number
+  calign: string[];         // The column alignments
+  cwidth: string[];         // The column widths ('' for natural width)
+  cspace: string[];         // The space following each column ('' for the default)
+  clines: string[];         // The lines preceding each column ('' for none)
+  cstart: string[];         // The TeX code to insert at the start of each column's cells
+  cend: string[];           // The TeX code to insert at the end of each column's cells
+  cmaterial: string[];      // The material to insert between each column and the next
+  ralign: string[];         // The vertical alignment for each column ('' for the default)
+  lines: boolean;           // True if any column lines have been given
+};
+
+/**
+ * A function that handles a column specifier
+ */
+export type ColumnHandler = (state: ColumnState) => void;
+
+
+/**
+ * Parses the column specification of an array and stores the results in
+ * the ArrayItem (and its arraydef attributes).
+ */
+export class ColumnParser {
+
+  /**
+   * The handlers for the various column specifiers
+   */
+  public columnHandler: {[c: string]: ColumnHandler} = {
+    l: (state) => this.setColumn(state, 'left'),
+    c: (state) => this.setColumn(state, 'center'),
+    r: (state) => this.setColumn(state, 'right'),
+    p: (state) => this.getColumn(state, 'top'),
+    m: (state) => this.getColumn(state, 'center'),
+    b: (state) => this.getColumn(state, 'bottom'),
+    w: (state) => this.getColumn(state, '', this.getAlign(state)),
+    W: (state) => this.getColumn(state, '', this.getAlign(state)),
+    '|': (state) => this.addRule(state, 'solid'),
+    ':': (state) => this.addRule(state, 'dashed'),
+    '>': (state) => this.addCode(state.cstart, state.j, this.getBraces(state)),
+    '<': (state) => this.addCode(state.cend, state.j - 1, this.getBraces(state)),
+    '@': (state) => this.addMaterial(state, this.getBraces(state), '0'),
+    '!': (state) => this.addMaterial(state, this.getBraces(state), ''),
+    '*': (state) => this.repeat(state),
+    ' ': (_state) => {}
+  };
+
+  /**
+   * The number of columns that can be produced by a template (to prevent
+   * run-away expansion via *{n}{...})
+   */
+  public MAXCOLUMNS = 10000;
+
+  /**
+   * Process an array template and store the results in the ArrayItem
+   *
+   * @param {TexParser} parser    The active TeX parser
+   * @param {string} template     The alignment template to process
+   * @param {ArrayItem} array     The array being constructed
+   * @param {string} spacing      The default column spacing
+   */
+  public process(parser: TexParser, template: string, array: ArrayItem, spacing: string) {
+    this.setArrayDef(this.parse(parser, template), array, spacing);
+  }
+
+  /**
+   * Parse a column template
+   *
+   * @param {TexParser} parser    The active TeX parser
+   * @param {string} template     The alignment template to process
+   * @return {ColumnState}        The final state of the parsing
+   */
+  public parse(parser: TexParser, template: string): ColumnState {
+    const state: ColumnState = {
+      parser, template, i: 0, c: '', j: 0,
+      calign: [], cwidth: [], cspace: [], clines: [], cstart: [], cend: [], cmaterial: [], ralign: [],
+      lines: false
+    };
+    //
+    // Loop through the template, processing each specifier
+    //
+    while (state.i < state.template.length) {
+      const c = state.c = String.fromCodePoint(state.template.codePointAt(state.i));
+      state.i += c.length;
+      if (!this.columnHandler.hasOwnProperty(c)) {
+        throw new TexError('BadPreamToken', 'Illegal pream-token (%1)', c);
+      }
+      this.columnHandler[c](state);
+    }
+    return state;
+  }
+
+  /**
+   * Store the column data into the array
+   *
+   * @param {ColumnState} state   The current state of the parser
+   * @param {ArrayItem} array     The array being constructed
+   * @param {string} spacing      The default column spacing
+   */
+  protected setArrayDef(state: ColumnState, array: ArrayItem, spacing: string) {
+    const n = state.j;
+    array.arraydef.columnalign = state.calign.join(' ');
+    if (state.cwidth.some(w => !!w)) {
+      array.arraydef.columnwidth = this.fillArray(state.cwidth, n, 'auto').join(' ');
+    }
+    if (state.cspace.slice(0, n - 1).some(s => !!s)) {
+      const space = spacing.split(/ /);
+      array.arraydef.columnspacing = this.fillArray(state.cspace, n - 1, '')
+        .map((s, i) => s || space[Math.min(i, space.length - 1)]).join(' ');
+    } else {
+      array.arraydef.columnspacing = spacing;
+    }
+    if (state.lines) {
+      if (state.clines[0]) {
+        array.frame.push('left');
+        array.dashed = (state.clines[0] === 'dashed');
+      }
+      if (state.clines[n]) {
+        array.frame.push('right');
+      }
+      array.arraydef.columnlines = this.fillArray(state.clines.slice(1), n - 1, 'none').join(' ');
+    }
+    array.cstart = state.cstart;
+    array.cend = state.cend;
+    array.cmaterial = state.cmaterial;
+    array.ralign = state.ralign;
+  }
+
+  /**
+   * @param {string[]} list   The (possibly sparse) list to fill
+   * @param {number} n        The length to produce
+   * @param {string} def      The value for unset entries
+   * @return {string[]}       The filled-in list
+   */
+  protected fillArray(list: string[], n: number, def: string): string[] {
+    const result = [];
+    for (let i = 0; i < n; i++) {
+      result[i] = list[i] || def;
+    }
+    return result;
+  }
+
+  /**
+   * Add a column with the given alignment
+   *
+   * @param {ColumnState} state   The current state of the parser
+   * @param {string} calign       The horizontal alignment of the column
+   * @param {string=} width       The width of the column
+   * @param {string=} ralign      The vertical alignment of the column
+   */
+  public setColumn(state: ColumnState, calign: string, width: string = '', ralign: string = '') {
+    if (state.j >= this.MAXCOLUMNS) {
+      throw new TexError('MaxColumns', 'Too many column specifiers (perhaps looping column definitions?)');
+    }
+    state.calign[state.j] = calign;
+    state.cwidth[state.j] = width;
+    state.ralign[state.j] = ralign;
+    state.j++;
+  }
+
+  /**
+   * Process a column with a given width (p, m, b, w, W)
+   *
+   * @param {ColumnState} state   The current state of the parser
+   * @param {string} ralign       The vertical alignment of the column
+   * @param {string=} calign      The horizontal alignment of the column
+   */
+  public getColumn(state: ColumnState, ralign: string, calign: string = 'left') {
+    this.setColumn(state, calign, this.getDimen(state), ralign);
+  }
+
+  /**
+   * Get the horizontal alignment for w and W columns
+   *
+   * @param {ColumnState} state   The current state of the parser
+   * @return {string}             The alignment name
+   */
+  public getAlign(state: ColumnState): string {
+    const align = this.getBraces(state).trim();
+    const name = ({l: 'left', c: 'center', r: 'right'} as {[c: string]: string})[align];
+    if (!name) {
+      throw new TexError('BadColumnAlign', 'Column alignment for %1 must be l, c, or r', state.c);
+    }
+    return name;
+  }
+
+  /**
+   * @param {ColumnState} state   The current state of the parser
+   * @return {string}             The dimension given as the next argument
+   */
+  public getDimen(state: ColumnState): string {
+    const dim = this.getBraces(state).trim();
+    const [value, unit] = ParseUtil.matchDimen(dim);
+    if (!value || !unit) {
+      throw new TexError('MissingColumnDimOrUnits',
+                         'Missing dimension or its units for %1 column declaration', state.c);
+    }
+    return value + unit;
+  }
+
+  /**
+   * Add a column rule (| or :) preceding the next column
+   *
+   * @param {ColumnState} state   The current state of the parser
+   * @param {string} rule         The type of line to use
+   */
+  public addRule(state: ColumnState, rule: string) {
+    if (!state.clines[state.j]) {
+      state.clines[state.j] = rule;
+    }
+    state.lines = true;
+  }
+
+  /**
+   * Append TeX code to the start or end code for a column
+   *
+   * @param {string[]} list   The cstart or cend list
+   * @param {number} j        The column to use
+   * @param {string} code     The code to add
+   */
+  public addCode(list: string[], j: number, code: string) {
+    if (j < 0) return;
+    list[j] = (list[j] || '') + code;
+  }
+
+  /**
+   * Handle @{...} and !{...} material, which goes after the previous
+   * column (or at the start of the first one).
+   *
+   * @param {ColumnState} state   The current state of the parser
+   * @param {string} material     The TeX code to insert between the columns
+   * @param {string} space        The column spacing to use ('' for the default)
+   */
+  public addMaterial(state: ColumnState, material: string, space: string) {
+    const j = state.j - 1;
+    if (j < 0) {
+      state.cstart[0] = '{' + material + '}' + (state.cstart[0] || '');
+      return;
+    }
+    state.cmaterial[j] = (state.cmaterial[j] || '') + '{' + material + '}';
+    if (space) {
+      state.cspace[j] = space;
+    }
+  }
+
+  /**
+   * Handle *{n}{...} by repeating the given specification n times.
+   *
+   * @param {ColumnState} state   The current state of the parser
+   */
+  public repeat(state: ColumnState) {
+    const num = this.getBraces(state).trim();
+    const cols = this.getBraces(state);
+    const n = parseInt(num);
+    if (!num.match(/^\d+$/) || n < 0) {
+      throw new TexError('ColArgNotNum', 'First argument to %1 column specifier must be a number', '*');
+    }
+    const template = state.template.substr(state.i);
+    if (n * cols.length + template.length > state.parser.configuration.options['maxBuffer']) {
+      throw new TexError('MaxBufferSize',
+                         'MathJax internal buffer size exceeded; is there a' +
+                         ' recursive macro call?');
+    }
+    state.template = new Array(n).fill(cols).join('') + template;
+    state.i = 0;
+  }
+
+  /**
+   * Get a braced argument (or single character) from the template
+   *
+   * @param {ColumnState} state   The current state of the parser
+   * @return {string}             The contents of the argument
+   */
+  public getBraces(state: ColumnState): string {
+    const template = state.template;
+    while (template.charAt(state.i) === ' ') state.i++;
+    if (state.i >= template.length) {
+      throw new TexError('MissingArgForColumn', 'Missing argument for %1 column declaration', state.c);
+    }
+    if (template.charAt(state.i) !== '{') {
+      return template.charAt(state.i++);
+    }
+    const start = ++state.i;
+    let braces = 1;
+    while (state.i < template.length) {
+      switch (template.charAt(state.i++)) {
+      case '\\':  state.i++; break;
+      case '{':   braces++; break;
+      case '}':
+        if (--braces === 0) {
+          return template.slice(start, state.i - 1);
+        }
+        break;
+      }
+    }
+    throw new TexError('MissingCloseBrace', 'Missing close brace');
+  }
+
+}
@@ -378,16 +378,21 @@ export class ParserConfiguration {
   }
 
   /**
-   * Adds pre- and postprocessor as filters to the jax.
+   * Adds pre- and postprocessor as filters to the jax.  (Filters that are
+   * shared by several packages are only added once.)
    * @param {TeX<any} jax The TeX Jax.
    * @param {Configuration} config The configuration whose processors are added.
    */
   private addFilters(jax: TeX<any, any, any>, config: Configuration) {
     for (const [pre, priority] of config.preprocessors) {
-      jax.preFilters.add(pre, priority);
+      if (!jax.preFilters.toArray().some(filter => filter.item === pre)) {
+        jax.preFilters.add(pre, priority);
+      }
     }
     for (const [post, priority] of config.postprocessors) {
-      jax.postFilters.add(post, priority);
+      if (!jax.postFilters.toArray().some(filter => filter.item === post)) {
+        jax.postFilters.add(post, priority);
+      }
     }
   }
 
@@ -58,6 +58,45 @@ namespace FilterUtil {
   };
 
 
+  /**
+   * Extends the source range of a node to include those of its children.
+   * @param {MmlNode} node The node whose range is to be set.
+   * @return {[number, number]} The range of the node (or [Infinity, -Infinity] if none).
+   */
+  let _setPositions = function(node: MmlNode): [number, number] {
+    let start = NodeUtil.getProperty(node, 'texStart') as number;
+    let end = NodeUtil.getProperty(node, 'texEnd') as number;
+    if (typeof start !== 'number') {
+      [start, end] = [Infinity, -Infinity];
+    }
+    if (!node.isToken) {
+      for (const child of node.childNodes as MmlNode[]) {
+        if (child) {
+          const [cstart, cend] = _setPositions(child);
+          start = Math.min(start, cstart);
+          end = Math.max(end, cend);
+        }
+      }
+    }
+    if (start <= end) {
+      NodeUtil.setProperty(node, 'texStart', start);
+      NodeUtil.setProperty(node, 'texEnd', end);
+    }
+    return [start, end];
+  };
+
+
+  /**
+   * Visitor that makes the source positions recorded for the nodes (when the
+   * sourcePositions option is set) include the ranges of their children,
+   * since children can be added to a node after it is created.
+   * @param {ParseOptions} data The parse options.
+   */
+  export let setPositions = function(arg: {data: ParseOptions}) {
+    _setPositions(arg.data.root);
+  };
+
+
   /**
    * Visitor that removes superfluous attributes from nodes. I.e., if a node has
    * an attribute, which is also an inherited attribute it will be removed. This
@@ -64,7 +64,8 @@ export class FindTeX<N, T, D> extends AbstractFindMath<N, T, D> {
     //   starting in-line math mode
     processEnvironments: true, // set to true to process \begin{xxx}...\end{xxx} outside
     //   of math mode, false to prevent that
-    processRefs: true,         // set to true to process \ref{...} outside of math mode
+    processRefs: true,         // set to true to process \ref{...} and \eqref{...} outside of math mode
+    //   (and the references added by packages, e.g., \cref{...} when cleveref is loaded)
   };
 
   /**
@@ -92,6 +93,12 @@ export class FindTeX<N, T, D> extends AbstractFindMath<N, T, D> {
    */
   protected sub: number;
 
+  /**
+   * The patterns for the references to process when processRefs is true
+   *   (they must not contain capturing groups)
+   */
+  protected refs: string[] = ['\\\\(?:eq)?ref\\s*\\{[^}]*\\}'];
+
   /**
    * @override
    */
@@ -124,7 +131,7 @@ export class FindTeX<N, T, D> extends AbstractFindMath<N, T, D> {
       subparts.push('\\\\([\\\\$])');
     }
     if (options['processRefs']) {
-      subparts.push('(\\\\(?:eq)?ref\\s*\\{[^}]*\\})');
+      subparts.push('(' + this.refs.join('|') + ')');
     }
     if (subparts.length) {
       parts.push('(' + subparts.join('|') + ')');
@@ -134,6 +141,19 @@ export class FindTeX<N, T, D> extends AbstractFindMath<N, T, D> {
     this.hasPatterns = (parts.length > 0);
   }
 
+  /**
+   * Add a pattern for references to be processed outside of math mode
+   *   (when processRefs is true)
+   *
+   * @param {string} pattern  The pattern for the reference macro and its arguments
+   */
+  public addRefPattern(pattern: string) {
+    if (this.refs.indexOf(pattern) < 0) {
+      this.refs.push(pattern);
+      this.getPatterns();
+    }
+  }
+
   /**
    * Add the needed patterns for a pair of delimiters
    *
@@ -188,7 +208,7 @@ export class FindTeX<N, T, D> extends AbstractFindMath<N, T, D> {
 
   /**
    * Search a string for math delimited by one of the delimiter pairs,
-   *   or by \begin{env}...\end{env}, or \eqref{...}, \ref{...}, \\, or \$.
+   *   or by \begin{env}...\end{env}, or \eqref{...}, \ref{...} (or other references), \\, or \$.
    *
    * @param {ProtoItem[]} math  The array of proto math items located so far
    * @param {number} n          The index of the string being searched
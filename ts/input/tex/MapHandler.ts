@@ -175,6 +175,14 @@ export class SubHandler {
   }
 
 
+  /**
+   * @return {SymbolMap[]} The symbol maps in this configuration, in priority order.
+   */
+  public maps(): SymbolMap[] {
+    return this._configuration.toArray().map(entry => entry.item);
+  }
+
+
   /**
    * Prints a warning message.
    * @param {string} message The warning.
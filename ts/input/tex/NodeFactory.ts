@@ -184,11 +184,34 @@ export class NodeFactory {
     const node = func(this, rest[0], ...rest.slice(1));
     if (kind === 'node') {
       this.configuration.addNode(rest[0], node);
+      if (this.configuration.options.sourcePositions) {
+        this.setPosition(node);
+      }
     }
     return node;
   }
 
 
+  /**
+   * Record the range of the original TeX string that produced a node (by default,
+   * the token being processed by the active parser) in its texStart and texEnd
+   * properties.  (These are extended to include the ranges of the node's
+   * children by the setPositions filter once the tree is complete.)
+   * @param {MmlNode} node The node whose position is to be set.
+   * @param {[number, number]} range The range to use.
+   */
+  public setPosition(node: MmlNode, range: [number, number] = null) {
+    const parser = this.configuration.parser;
+    if (!range && parser) {
+      range = parser.getRange();
+    }
+    if (range) {
+      NodeUtil.setProperty(node, 'texStart', range[0]);
+      NodeUtil.setProperty(node, 'texEnd', range[1]);
+    }
+  }
+
+
   /**
    * @param {string} kind The method for generating a node of given kind.
    */
@@ -60,8 +60,8 @@ namespace ParseMethods {
     const def = ParseUtil.getFontDef(parser);
     if (n) {
       // @test Integer, Number, Decimal (European)
-      mml = parser.create('token', 'mn', def, n[0].replace(/[{}]/g, ''));
       parser.i += n[0].length - 1;
+      mml = parser.create('token', 'mn', def, n[0].replace(/[{}]/g, ''));
     } else {
       // @test Decimal Point, Decimal Point European
       mml = parser.create('token', 'mo', def, c);
@@ -76,17 +76,25 @@ namespace ParseMethods {
    */
   export function controlSequence(parser: TexParser, _c: string) {
     const name = parser.GetCS();
+    //
+    //  Record the name (for error messages) even if it is not in a CommandMap
+    //
+    const cs = parser.currentCS;
+    parser.currentCS = '\\' + name;
     parser.parse('macro', [parser, name]);
+    parser.currentCS = cs;
   }
 
 
   /**
-   * Handle normal mathchar (as an mi).
+   * Handle normal mathchar (as an mi).  These are italic unless a math
+   * alphabet (e.g., from \\symbf) is in effect.
    * @param {TexParser} parser The current tex parser.
    * @param {Symbol} mchar The parsed symbol.
    */
   export function mathchar0mi(parser: TexParser, mchar: Symbol) {
-    const def = mchar.attributes || {mathvariant: TexConstant.Variant.ITALIC};
+    const def = mchar.attributes ||
+      {mathvariant: parser.stack.env['mathalpha'] || TexConstant.Variant.ITALIC};
     // @test Greek
     const node = parser.create('token', 'mi', def, mchar.char);
     parser.Push(node);
@@ -28,6 +28,8 @@ import {SubHandlers} from './MapHandler.js';
 import {NodeFactory} from './NodeFactory.js';
 import {MmlNode} from '../../core/MmlTree/MmlNode.js';
 import TexParser from './TexParser.js';
+import TexError, {MessageCatalogs} from './TexError.js';
+import {ColumnParser} from './ColumnParser.js';
 import {defaultOptions, OptionList} from '../../util/Options.js';
 import {ParserConfiguration} from './Configuration.js';
 
@@ -67,12 +69,35 @@ export default class ParseOptions {
    */
   public tags: Tags;
 
+  /**
+   * The parser for array column specifications (packages can add new
+   * column types to its columnHandler list)
+   * @type {ColumnParser}
+   */
+  public columnParser: ColumnParser = new ColumnParser();
+
   /**
    * Storage area for parser-specific package data (indexed by package name)
    * @type {Map<string, any>}
    */
   public packageData: Map<string, any> = new Map();
 
+  /**
+   * Functions that save the state of a package's data (indexed by package
+   * name), each returning a function that restores that state.  These are
+   * used by the TeX input jax's lint() method to undo the changes that an
+   * expression makes to the package data.
+   * @type {Map<string, () => () => void>}
+   */
+  public packageState: Map<string, () => () => void> = new Map();
+
+  /**
+   * The translations of error messages given in the messages option,
+   * indexed by locale and then by message id.
+   * @type {MessageCatalogs}
+   */
+  public messages: MessageCatalogs = {};
+
   // Fields for ephemeral options, i.e., options that will be cleared for each
   // run of the parser.
   /**
@@ -101,6 +126,20 @@ export default class ParseOptions {
    */
   public error: boolean = false;
 
+  /**
+   * The errors that were recovered from (see the recoverErrors option),
+   * or the one that stopped the parse.
+   * @type {TexError[]}
+   */
+  public errors: TexError[] = [];
+
+  /**
+   * The problems that don't prevent the expression from being processed
+   * (see the TeX input jax's lint() method).
+   * @type {TexError[]}
+   */
+  public warnings: TexError[] = [];
+
 
 
   /**
@@ -157,6 +196,8 @@ export default class ParseOptions {
     this.root = null;
     this.nodeLists = {};
     this.error = false;
+    this.errors = [];
+    this.warnings = [];
     this.tags.resetTag();
   }
 
@@ -261,6 +261,9 @@ namespace ParseUtil {
             k = i;
           } else if (match === '') {
             // @test Interspersed Text
+            if (text.charAt(i) === '$') {
+              parser.warn('DisplayMathInText', '%1 should not be used in text mode', '$$');
+            }
             if (k < i - 1) {
               // @test Interspersed Text
               mml.push(internalText(parser, text.slice(k, i - 1), def));
@@ -216,6 +216,13 @@ export abstract class AbstractParseMap<K> extends AbstractSymbolMap<K> {
     this.map.delete(symbol);
   }
 
+  /**
+   * @return {IterableIterator<[string, K]>} The symbols in the map and their values.
+   */
+  public entries(): IterableIterator<[string, K]> {
+    return this.map.entries();
+  }
+
 }
 
 
@@ -27,7 +27,7 @@ import {MmlNode} from '../../core/MmlTree/MmlNode.js';
 import {MathItem} from '../../core/MathItem.js';
 import {EnvList} from './StackItem.js';
 import ParseOptions from './ParseOptions.js';
-import {OptionList} from '../../util/Options.js';
+import {OptionList, expandable} from '../../util/Options.js';
 
 
 /**
@@ -39,11 +39,22 @@ export class Label {
    * @constructor
    * @param {string=} tag The tag that's displayed.
    * @param {string=} id The id that serves as reference.
+   * @param {string=} url The URL of the page containing the label (for labels
+   *     from other documents).
+   * @param {string=} env The environment in which the label was created.
    */
-  constructor(public tag: string = '???', public id: string = '') {}
+  constructor(public tag: string = '???', public id: string = '',
+              public url: string = '', public env: string = '') {}
 }
 
 
+/**
+ * The format for exporting and importing labels:  the tag, id, page URL,
+ * and environment for each label.
+ */
+export type LabelData = {[key: string]: {tag: string, id: string, url?: string, env?: string}};
+
+
 /**
  * A simple class for keeping track of tag information.
  */
@@ -107,6 +118,36 @@ export interface Tags {
    */
   allLabels: {[key: string]: Label};
 
+  /**
+   * Labels from other documents.
+   * @type {Object.<Label>}
+   */
+  externalLabels: {[key: string]: Label};
+
+  /**
+   * Labels referenced in the current equation.
+   * @type {Object.<boolean>}
+   */
+  refs: {[key: string]: boolean};
+
+  /**
+   * Labels referenced in previous equations.
+   * @type {Object.<boolean>}
+   */
+  allRefs: {[key: string]: boolean};
+
+  /**
+   * The current equation number.
+   * @type {number}
+   */
+  counter: number;
+
+  /**
+   * The equation number as the current equation began.
+   * @type {number}
+   */
+  allCounter: number;
+
   /**
    * The label to use for the next tag.
    * @type {string}
@@ -152,11 +193,38 @@ export interface Tags {
    */
   formatUrl(id: string, base: string): string;
 
+  /**
+   * Look up a label, first in this document, then in the ones from other documents.
+   * @param {string} label The label to find.
+   * @return {Label} The label's data, or undefined if it isn't defined.
+   */
+  findLabel(label: string): Label;
+
+  /**
+   * Export the labels from this document, for use in other documents.
+   * @param {string} url The URL of the page containing this document.
+   * @return {LabelData} The data for the labels.
+   */
+  exportLabels(url?: string): LabelData;
+
+  /**
+   * Import labels from other documents (as produced by exportLabels()).
+   * @param {LabelData} labels The data for the labels.
+   */
+  importLabels(labels: LabelData): void;
+
   /**
    * Set the tag automatically, by incrementing equation number.
    */
   autoTag(): void;
 
+  /**
+   * @return {string} The prefix for automatically numbered equations (e.g., the
+   *     section number followed by a period, when equations are numbered within
+   *     sections).
+   */
+  numberPrefix(): string;
+
   /**
    * @return {MmlNode|void} Generates and returns the tag node.
    */
@@ -226,6 +294,17 @@ export interface Tags {
    */
   notag(): void;
 
+  /**
+   * Starts numbering equations as sub-equations (e.g., 1a, 1b) of the next
+   * equation number.
+   */
+  startSubequations(): void;
+
+  /**
+   * Ends the numbering of sub-equations.
+   */
+  endSubequations(): void;
+
   /**
    * Entag an element by creating a table around it.
    * @param {MmlNode} node The node to be tagged.
@@ -239,16 +318,14 @@ export interface Tags {
 export class AbstractTags implements Tags {
 
   /**
-   * Current equation number.
-   * @type {number}
+   * @override
    */
-  protected counter: number = 0;
+  public counter: number = 0;
 
   /**
-   * Equation number as equation begins.
-   * @type {number}
+   * @override
    */
-  protected allCounter: number = 0;
+  public allCounter: number = 0;
 
   /**
    * @override
@@ -275,6 +352,21 @@ export class AbstractTags implements Tags {
    */
   public allLabels: {[key: string]: Label} = {};
 
+  /**
+   * @override
+   */
+  public externalLabels: {[key: string]: Label} = {};
+
+  /**
+   * @override
+   */
+  public refs: {[key: string]: boolean} = {};
+
+  /**
+   * @override
+   */
+  public allRefs: {[key: string]: boolean} = {};
+
   /**
    * @override
    */
@@ -300,6 +392,14 @@ export class AbstractTags implements Tags {
 
   private stack: TagInfo[] = [];
 
+  /**
+   * The main equation number and the sub-equation count while in a
+   * subequations environment (null otherwise), and the id of the first
+   * sub-equation (the target for a label on the subequations as a whole).
+   * @type {{parent: string, counter: number, id: string}}
+   */
+  protected subequations: {parent: string, counter: number, id: string} = null;
+
   /**
    * @override
    */
@@ -361,6 +461,35 @@ export class AbstractTags implements Tags {
     return base + '#' + encodeURIComponent(id);
   }
 
+  /**
+   * @override
+   */
+  public findLabel(label: string) {
+    return this.allLabels[label] || this.labels[label] || this.externalLabels[label];
+  }
+
+  /**
+   * @override
+   */
+  public exportLabels(url: string = '') {
+    const labels: LabelData = {};
+    for (const key of Object.keys(this.allLabels)) {
+      const {tag, id, env} = this.allLabels[key];
+      labels[key] = {tag, id, url, env};
+    }
+    return labels;
+  }
+
+  /**
+   * @override
+   */
+  public importLabels(labels: LabelData) {
+    for (const key of Object.keys(labels)) {
+      const {tag, id, url, env} = labels[key];
+      this.externalLabels[key] = new Label(tag, id, url || '', env || '');
+    }
+  }
+
   /**
    * @override
    */
@@ -377,6 +506,13 @@ export class AbstractTags implements Tags {
     return 'mjx-eqn-' + id.replace(/\s/g, '_');
   }
 
+  /**
+   * @override
+   */
+  public numberPrefix(): string {
+    return '';
+  }
+
   /**
    * How to format numbers in tags.
    * @param {number} n The tag number.
@@ -386,15 +522,59 @@ export class AbstractTags implements Tags {
     return n.toString();
   }
 
+  /**
+   * How to format the sub-equation numbers in tags (a, b, ..., z, aa, ab, ...).
+   * @param {string} parent The formatted number of the main equation.
+   * @param {number} n The sub-equation number.
+   * @return {string} The formatted number.
+   */
+  protected formatSubNumber(parent: string, n: number): string {
+    let letters = '';
+    while (n > 0) {
+      n--;
+      letters = String.fromCharCode(0x61 + n % 26) + letters;
+      n = Math.floor(n / 26);
+    }
+    return parent + letters;
+  }
+
   // Tag handling functions.
   /**
    * @override
    */
   public autoTag() {
     if (this.currentTag.tag == null) {
-      this.counter++;
-      this.tag(this.formatNumber(this.counter), false);
+      const sub = this.subequations;
+      if (sub) {
+        this.tag(this.formatSubNumber(sub.parent, ++sub.counter), false);
+      } else {
+        this.counter++;
+        this.tag(this.numberPrefix() + this.formatNumber(this.counter), false);
+      }
+    }
+  }
+
+
+  /**
+   * @override
+   */
+  public startSubequations() {
+    this.start('subequations', false, false);
+    this.counter++;
+    this.subequations = {parent: this.numberPrefix() + this.formatNumber(this.counter), counter: 0, id: ''};
+  }
+
+
+  /**
+   * @override
+   */
+  public endSubequations() {
+    const sub = this.subequations;
+    if (this.label) {
+      this.labels[this.label] = new Label(sub.parent, sub.id || this.formatId(this.label), '', 'subequations');
     }
+    this.subequations = null;
+    this.end();
   }
 
 
@@ -434,6 +614,7 @@ export class AbstractTags implements Tags {
    */
   public resetTag() {
     this.history = [];
+    this.subequations = null;
     this.redo = false;
     this.refUpdate = false;
     this.clearTag();
@@ -447,6 +628,7 @@ export class AbstractTags implements Tags {
     this.counter = this.allCounter = offset;
     this.allLabels = {};
     this.allIds = {};
+    this.allRefs = {};
   }
 
   /**
@@ -455,6 +637,7 @@ export class AbstractTags implements Tags {
   public startEquation(math: MathItem<any, any, any>) {
     this.labels = {};
     this.ids = {};
+    this.refs = {};
     this.counter = this.allCounter;
     this.redo = false;
     const recompile = math.inputData.recompile;
@@ -479,6 +662,7 @@ export class AbstractTags implements Tags {
     }
     Object.assign(this.allIds, this.ids);
     Object.assign(this.allLabels, this.labels);
+    Object.assign(this.allRefs, this.refs);
   }
 
   /**
@@ -525,8 +709,11 @@ export class AbstractTags implements Tags {
    */
   private makeTag(): MmlNode {
     this.makeId();
+    if (this.subequations && !this.subequations.id) {
+      this.subequations.id = this.currentTag.tagId;
+    }
     if (this.label) {
-      this.labels[this.label] = new Label(this.currentTag.tag, this.currentTag.tagId);
+      this.labels[this.label] = new Label(this.currentTag.tag, this.currentTag.tagId, '', this.currentTag.env);
     }
     let mml = new TexParser('\\text{' + this.currentTag.tagFormat + '}', {},
                             this.configuration).mml();
@@ -620,7 +807,10 @@ export namespace TagsFactory {
     // If false it uses the actual number N that is displayed: mjx-eqn-N
     useLabelIds: true,
     // Set to true in order to prevent error messages for duplicate label ids
-    ignoreDuplicateLabels: false
+    ignoreDuplicateLabels: false,
+    // Labels from other documents (as produced by the tags' exportLabels() method)
+    // that can be referenced by \ref and \eqref (links go to the labels' url)
+    externalLabels: expandable({})
   };
 
 
@@ -45,6 +45,7 @@ export namespace TexConstant {
     LOOPED: 'looped',
     STRETCHED: 'stretched',
     CALLIGRAPHIC: '-tex-calligraphic',
+    BOLDCALLIGRAPHIC: '-tex-bold-calligraphic',
     OLDSTYLE: '-tex-oldstyle'
   };
 
@@ -23,17 +23,96 @@
  */
 
 
+/**
+ * Translations of error messages, indexed by locale and then by message id.
+ */
+export type MessageCatalogs = {[locale: string]: {[id: string]: string}};
+
+
 export default class TexError {
 
   private static pattern =
     /%(\d+|\{\d+\}|\{[a-z]+:\%\d+(?:\|(?:%\{\d+\}|%.|[^\}])*)+\}|.)/g;
 
+  /**
+   * The translations of the error messages registered by packages, indexed by
+   * locale and then by message id.  (The English messages are the ones given
+   * when the errors are created, so they form the default catalog.)  Those
+   * given in a TeX input jax's messages option are kept in its ParseOptions.
+   */
+  private static catalogs: MessageCatalogs = {};
+
   /**
    * Default error message.
    * @type {string}
    */
   public message: string;
 
+  /**
+   * The substitution arguments for the message.
+   * @type {string[]}
+   */
+  public args: string[];
+
+  /**
+   * The position of the start of the offending text in the original TeX string
+   * (null if not known).
+   * @type {number}
+   */
+  public start: number = null;
+
+  /**
+   * The position of the end of the offending text in the original TeX string
+   * (null if not known).
+   * @type {number}
+   */
+  public end: number = null;
+
+  /**
+   * The control sequence that was being processed when the error occurred.
+   * @type {string}
+   */
+  public macro: string = '';
+
+  /**
+   * The innermost environment that was open when the error occurred.
+   * @type {string}
+   */
+  public environment: string = '';
+
+  /**
+   * Add translations of error messages for a given locale (replacing
+   * any existing translations for the same message ids).
+   * @param {string} locale The locale of the messages (e.g., 'fr' or 'es-MX').
+   * @param {Object.<string>} messages The message templates indexed by message id.
+   * @param {MessageCatalogs} catalogs The catalogs to add to (the package catalogs by default).
+   */
+  public static addMessages(locale: string, messages: {[id: string]: string},
+                            catalogs: MessageCatalogs = TexError.catalogs) {
+    locale = locale.toLowerCase();
+    catalogs[locale] = Object.assign(catalogs[locale] || {}, messages);
+  }
+
+  /**
+   * Find the translation of a message, falling back on the base language
+   * of the locale (e.g., 'es' for 'es-MX') if the locale itself doesn't have one.
+   * The given catalogs take precedence over the ones registered by packages.
+   * @param {string} id The message id.
+   * @param {string} locale The locale to use.
+   * @param {MessageCatalogs} catalogs The input jax's own catalogs.
+   * @return {string} The message template, or null if there is no translation.
+   */
+  public static getMessage(id: string, locale: string, catalogs: MessageCatalogs = {}): string {
+    for (let name = locale.toLowerCase(); name; name = name.replace(/-?[^-]*$/, '')) {
+      for (const catalog of [catalogs[name], TexError.catalogs[name]]) {
+        if (catalog && catalog.hasOwnProperty(id)) {
+          return catalog[id];
+        }
+      }
+    }
+    return null;
+  }
+
   /**
    * The old MathJax processing function.
    * @param {string} str The basic error message.
@@ -79,7 +158,20 @@ export default class TexError {
    * @param{string[]=} rest   any substitution arguments
    */
   constructor(public id: string, message: string, ...rest: string[]) {
+    this.args = rest;
     this.message = TexError.processString(message, rest);
   }
 
+  /**
+   * Replace the message by its translation for the given locale (if there is one).
+   * @param {string} locale The locale to use.
+   * @param {MessageCatalogs} catalogs The input jax's own catalogs.
+   */
+  public localize(locale: string, catalogs: MessageCatalogs = {}) {
+    const message = TexError.getMessage(this.id, locale, catalogs);
+    if (message !== null) {
+      this.message = TexError.processString(message, this.args);
+    }
+  }
+
 }
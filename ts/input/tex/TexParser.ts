@@ -37,6 +37,22 @@ import {Symbol} from './Symbol.js';
 import {OptionList} from '../../util/Options.js';
 
 
+/**
+ * A portion of the string being parsed (from i to j), and the range of the
+ * original TeX string that produced it.  If the text was copied directly from
+ * the original, start is the position corresponding to i; otherwise the text
+ * is the result of macro expansion, and start to end is the range of the
+ * original that was expanded.
+ */
+export type SourceSpan = {
+  i: number,
+  j: number,
+  start: number,
+  end: number,
+  copied: boolean
+};
+
+
 /**
  * The main Tex Parser class.
  */
@@ -66,6 +82,30 @@ export default class TexParser {
    */
   public currentCS: string = '';
 
+  /**
+   * The position in the string where the token currently being processed begins.
+   * @type {number}
+   */
+  public start: number = 0;
+
+  /**
+   * The spans of the string and where they come from in the original TeX string.
+   * @type {SourceSpan[]}
+   */
+  protected spans: SourceSpan[] = [];
+
+  /**
+   * The original TeX string (for the outermost parser).
+   * @type {string}
+   */
+  protected original: string = '';
+
+  /**
+   * True if this parser was created by another parser (e.g., for an argument).
+   * @type {boolean}
+   */
+  protected nested: boolean = false;
+
   /**
    * @constructor
    * @param {string} string The string to parse.
@@ -84,10 +124,27 @@ export default class TexParser {
         ENV[id] = env[id];
       }
     }
+    this.setOrigin(configuration.parser);
     this.configuration.pushParser(this);
     this.stack = new Stack(this.itemFactory, ENV, inner ? isInner : true);
-    this.Parse();
-    this.Push(this.itemFactory.create('stop'));
+    try {
+      this.Parse();
+      this.start = this.i;
+      this.Stop();
+    } catch (err) {
+      this.markError(err);
+      if (!this.nested || !this.recoverable(err)) {
+        throw err;
+      }
+      //
+      //  Replace the whole (sub-)expression by an error
+      //
+      this.configuration.errors.push(err);
+      this.clearStack();
+      this.i = this.string.length;
+      this.Push(this.errorNode(err, this.getRange(0)[0]));
+      this.Push(this.itemFactory.create('stop'));
+    }
   }
 
   /**
@@ -116,6 +173,31 @@ export default class TexParser {
    * @param {string} str The new string to parse.
    */
   set string(str: string) {
+    //
+    //  Find the text at the beginning and end that is unchanged, and map the
+    //  text between them to the range of the current token.
+    //
+    const old = this._string;
+    const m = Math.min(old.length, str.length);
+    let p = 0;
+    while (p < m && old.charAt(p) === str.charAt(p)) {
+      p++;
+    }
+    if (p < this.i) {
+      //  The processed text was not retained, so any match is a coincidence.
+      p = 0;
+    }
+    let n = 0;
+    while (n < m - p && old.charAt(old.length - n - 1) === str.charAt(str.length - n - 1)) {
+      n++;
+    }
+    const [start, end] = this.getRange();
+    const spans = this.cutSpans(0, p, 0);
+    if (p < str.length - n) {
+      spans.push({i: p, j: str.length - n, start: start, end: end, copied: false});
+    }
+    this.spans = spans.concat(this.cutSpans(old.length - n, old.length, str.length - old.length));
+    this.start = Math.min(this.start, p);
     this._string = str;
   }
 
@@ -181,9 +263,41 @@ export default class TexParser {
   public Parse() {
     let c: string;
     while (this.i < this.string.length) {
+      this.start = this.i;
       c = this.getCodePoint();
       this.i += c.length;
-      this.parse('character', [this, c]);
+      try {
+        this.parse('character', [this, c]);
+      } catch (err) {
+        if (!this.recover(err, true)) {
+          throw err;
+        }
+      }
+    }
+  }
+
+
+  /**
+   * Pushes the stop item that finishes the parse, recovering from errors
+   * (such as unclosed groups) when the recoverErrors option is set.
+   */
+  public Stop() {
+    let token = true;
+    while (true) {
+      try {
+        this.Push(this.itemFactory.create('stop'));
+        return;
+      } catch (err) {
+        //
+        //  Unclosed groups are removed one at a time, but only allow
+        //  one error not in a group (to avoid an infinite loop).
+        //
+        const group = this.openGroup();
+        if (!this.recover(err, token)) {
+          throw err;
+        }
+        token = token && !!group;
+      }
     }
   }
 
@@ -197,6 +311,10 @@ export default class TexParser {
     if (arg instanceof AbstractMmlNode && arg.isInferred) {
       this.PushAll(arg.childNodes);
     } else {
+      const item = arg as StackItem;
+      if (item.isOpen && typeof item.getProperty('texStart') !== 'number') {
+        item.setProperty('texStart', this.getRange()[0]);
+      }
       this.stack.Push(arg);
     }
   }
@@ -225,6 +343,251 @@ export default class TexParser {
     return node;
   }
 
+  /************************************************************************
+   *
+   *   Source position routines
+   */
+
+  /**
+   * Determine where the string being parsed comes from: if it is part of the text
+   * processed so far for the parent parser's current token (e.g., a macro argument),
+   * use the corresponding spans of the parent, otherwise map the whole string to
+   * the range of the parent's current token.
+   * @param {TexParser} parent The parser that is creating this one (if any).
+   */
+  protected setOrigin(parent: TexParser) {
+    const str = this._string;
+    if (!parent) {
+      this.spans = [{i: 0, j: str.length, start: 0, end: str.length, copied: true}];
+      this.original = str;
+      return;
+    }
+    this.original = parent.original;
+    this.nested = true;
+    const k = (str ? parent.string.lastIndexOf(str, parent.i - str.length) : -1);
+    if (k >= parent.start) {
+      this.spans = parent.cutSpans(k, k + str.length, -k);
+    } else {
+      const [start, end] = parent.getRange();
+      this.spans = [{i: 0, j: str.length, start: start, end: end, copied: false}];
+    }
+  }
+
+  /**
+   * @param {number} a       The start of the portion of the string to use.
+   * @param {number} b       The end of the portion of the string to use.
+   * @param {number} shift   The amount to shift the positions of the resulting spans.
+   * @return {SourceSpan[]}  The spans covering the given portion of the string.
+   */
+  protected cutSpans(a: number, b: number, shift: number): SourceSpan[] {
+    const spans: SourceSpan[] = [];
+    for (const span of this.spans) {
+      const i = Math.max(span.i, a);
+      const j = Math.min(span.j, b);
+      if (i < j) {
+        const start = (span.copied ? span.start + i - span.i : span.start);
+        const end = (span.copied ? span.start + j - span.i : span.end);
+        spans.push({i: i + shift, j: j + shift, start: start, end: end, copied: span.copied});
+      }
+    }
+    return spans;
+  }
+
+  /**
+   * @param {number} p       A position in the current string.
+   * @param {boolean} end    True if the position is the end of a range, false for the start.
+   * @return {number}        The corresponding position in the original TeX string.
+   */
+  protected origin(p: number, end: boolean): number {
+    p = Math.max(0, Math.min(p, this._string.length));
+    let found: SourceSpan = null;
+    for (const span of this.spans) {
+      if (span.i <= p && p <= span.j) {
+        found = span;
+        if (end ? p > span.i : p < span.j) break;
+      }
+    }
+    return (!found ? 0 :
+            found.copied ? found.start + p - found.i :
+            end ? found.end : found.start);
+  }
+
+  /**
+   * @param {number} start   The starting position in the current string.
+   * @param {number} end     The ending position in the current string.
+   * @return {[number, number]} The corresponding range in the original TeX string.
+   */
+  public getRange(start: number = this.start, end: number = this.i): [number, number] {
+    return [this.origin(start, false), this.origin(end, true)];
+  }
+
+  /**
+   * Translate the message of an error, and record its location, the macro being
+   * processed, and the innermost open environment (unless an inner parser has
+   * already done so).
+   * @param {any} err The error that was thrown.
+   */
+  protected markError(err: any) {
+    if (!(err instanceof TexError) || err.start !== null) return;
+    err.localize(this.options.locale, this.configuration.messages);
+    [err.start, err.end] = this.getRange();
+    err.macro = this.currentCS;
+    for (const parser of this.configuration.parsers) {
+      for (let n = 1, item; !err.environment && (item = parser.stack.Top(n)); n++) {
+        if (item.isKind('begin')) {
+          err.environment = item.getName();
+        }
+      }
+    }
+  }
+
+  /**
+   * Record a problem that doesn't prevent the expression from being processed
+   * (these are reported by the TeX input jax's lint() method).
+   * @param {string} id        The message id.
+   * @param {string} message   The text of the message.
+   * @param {string[]} args    The arguments to substitute into the message.
+   */
+  public warn(id: string, message: string, ...args: string[]) {
+    const warning = new TexError(id, message, ...args);
+    this.markError(warning);
+    this.configuration.warnings.push(warning);
+  }
+
+  /************************************************************************
+   *
+   *   Error recovery routines
+   */
+
+  /**
+   * @param {any} err    The error that was thrown.
+   * @return {boolean}   True if the error is a TeX error and errors should be recovered from.
+   *                       (Exceeding the macro substitution or buffer size limits is always
+   *                       fatal, since continuing would only exceed the limit again.)
+   */
+  protected recoverable(err: any): boolean {
+    return err instanceof TexError && !!this.options.recoverErrors &&
+      !err.id.match(/^Max(?:MacroSub|BufferSize)/);
+  }
+
+  /**
+   * Recover from an error (when the recoverErrors option is set) by replacing the
+   * innermost group containing it (braces, \left...\right, or an environment)
+   * by an merror element, and skipping to the end of that group.  If the error is
+   * not inside a group, then for the outermost parser, only the token that
+   * caused the error is replaced, while for nested parsers, the error is passed
+   * on, so that their complete expression is replaced.
+   *
+   * @param {any} err          The error that was thrown.
+   * @param {boolean} token    True if an error that is not in a group can be recovered from.
+   * @return {boolean}         True if the error has been handled.
+   */
+  protected recover(err: any, token: boolean): boolean {
+    if (!this.recoverable(err)) return false;
+    this.markError(err);
+    const n = this.openGroup();
+    if (!n && (this.nested || !token)) return false;
+    this.configuration.errors.push(err);
+    let start = err.start;
+    if (n) {
+      const group = this.stack.Top(n);
+      const texStart = group.getProperty('texStart');
+      if (typeof texStart === 'number') {
+        start = Math.min(start, texStart);
+      }
+      for (let k = 0; k < n; k++) {
+        this.stack.Pop();
+      }
+      this.skipGroup(group);
+    } else if (err.macro === '\\begin') {
+      const env = this.string.slice(this.start, this.i).match(/^\\begin\s*\{([^}]*)\}/);
+      env && this.skipGroup(this.itemFactory.create('begin').setProperty('name', env[1]));
+    }
+    this.Push(this.errorNode(err, start));
+    this.currentCS = '';
+    return true;
+  }
+
+  /**
+   * @return {number}  The position on the stack of the innermost open group (0 if none).
+   *                   For an environment, this is its begin item.
+   */
+  protected openGroup(): number {
+    let n = 1;
+    let item: StackItem;
+    while ((item = this.stack.Top(n)) && !item.isOpen) {
+      n++;
+    }
+    if (!item || item.isKind('start')) {
+      return 0;
+    }
+    if (!item.isKind('open') && !item.isKind('left') && !item.isKind('begin') &&
+        this.stack.Top(n + 1) && this.stack.Top(n + 1).isKind('begin')) {
+      n++;
+    }
+    return n;
+  }
+
+  /**
+   * Move the parse position to the end of the given group (if its end can be found).
+   * @param {StackItem} group   The item for the group to be skipped.
+   */
+  protected skipGroup(group: StackItem) {
+    let pattern: RegExp;
+    let [open, close] = ['{', '}'];
+    if (group.isKind('left')) {
+      pattern = /\\(?:left|right)(?![a-zA-Z])|\\[a-zA-Z]+|\\[^]/g;
+      [open, close] = ['\\left', '\\right'];
+    } else if (group.isKind('begin')) {
+      const name = group.getName().replace(/[^a-zA-Z0-9]/g, '\\$&');
+      pattern = new RegExp('\\\\(begin|end)\\s*\\{\\s*' + name + '\\s*\\}|\\\\[^]', 'g');
+      [open, close] = ['begin', 'end'];
+    } else if (group.isKind('open')) {
+      pattern = /[{}]|\\[^]/g;
+    } else {
+      return;
+    }
+    pattern.lastIndex = this.i;
+    let depth = 0;
+    let match: RegExpExecArray;
+    while ((match = pattern.exec(this.string))) {
+      const token = (match[1] || match[0]);
+      if (token === open) {
+        depth++;
+      } else if (token === close && --depth < 0) {
+        this.i = pattern.lastIndex;
+        if (group.isKind('left')) {
+          this.i += this.string.slice(this.i).match(/^\s*(?:\\(?:[a-zA-Z]+|[^])|[^])?/)[0].length;
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * Discard everything that has been parsed so far.
+   */
+  protected clearStack() {
+    while (this.stack.Top(2)) {
+      this.stack.Pop();
+    }
+  }
+
+  /**
+   * @param {TexError} err    The error to report.
+   * @param {number} start    The start of the range of the original TeX string to be
+   *                            replaced (the end is the current parse position).
+   * @return {MmlNode}        The merror element for the error.
+   */
+  protected errorNode(err: TexError, start: number): MmlNode {
+    const end = Math.max(start, this.getRange(this.i, this.i)[1]);
+    const node = this.create('error', err.message.replace(/\n.*/, ''), err.id, this.original.slice(start, end));
+    if (this.options.sourcePositions) {
+      this.configuration.nodeFactory.setPosition(node, [start, end]);
+    }
+    return node;
+  }
+
   /************************************************************************
    *
    *   String handling routines
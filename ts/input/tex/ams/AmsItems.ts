@@ -23,7 +23,8 @@
  */
 
 
-import {ArrayItem} from '../base/BaseItems.js';
+import {ArrayItem, EqnArrayItem, BeginItem} from '../base/BaseItems.js';
+import {CheckType, StackItem} from '../StackItem.js';
 import ParseUtil from '../ParseUtil.js';
 import NodeUtil from '../NodeUtil.js';
 import TexError from '../TexError.js';
@@ -117,3 +118,120 @@ export class MultlineItem extends ArrayItem {
     this.factory.configuration.tags.end();
   }
 }
+
+
+/**
+ * Item dealing with the flalign, xalignat, and xxalignat environments.  Empty
+ * columns of width "fit" are added between the pairs of columns (and at the
+ * margins, for xalignat) so that the table stretches to the full width.
+ */
+export class FlalignItem extends EqnArrayItem {
+
+  /**
+   * The largest number of column pairs in any row.
+   */
+  public pairs: number = 0;
+
+  /**
+   * @override
+   */
+  get kind() {
+    return 'flalign';
+  }
+
+
+  /**
+   * @override
+   */
+  public EndEntry() {
+    super.EndEntry();
+    const n = this.getProperty('xalignat') as number;
+    if (n && this.row.length > 2 * n) {
+      throw new TexError('XalignOverflow', 'Extra %1 in row of %2', '&', this.getName());
+    }
+  }
+
+  /**
+   * @override
+   */
+  public EndRow() {
+    const n = this.getProperty('xalignat') as number;
+    const row = this.row;
+    while (row.length < 2 * n) {
+      row.push(this.create('node', 'mtd'));
+    }
+    this.row = (this.getProperty('padded') ? [this.create('node', 'mtd')] : []);
+    for (let i = 0; i < row.length; i += 2) {
+      if (i) {
+        this.row.push(this.create('node', 'mtd'));
+      }
+      this.row.push(...row.slice(i, i + 2));
+    }
+    if (this.getProperty('padded')) {
+      this.row.push(this.create('node', 'mtd'));
+    }
+    this.pairs = Math.max(this.pairs, Math.ceil(row.length / 2));
+    super.EndRow();
+  }
+
+  /**
+   * @override
+   */
+  public EndTable() {
+    super.EndTable();
+    const align: string[] = [];
+    const width: string[] = [];
+    const padded = this.getProperty('padded');
+    for (let i = 0; i < this.pairs; i++) {
+      if (i || padded) {
+        align.push('center');
+        width.push('fit');
+      }
+      align.push('right', 'left');
+      width.push('auto', 'auto');
+    }
+    if (padded) {
+      align.push('center');
+      width.push('fit');
+    }
+    this.arraydef.columnalign = align.join(' ');
+    this.arraydef.columnwidth = width.join(' ');
+  }
+
+}
+
+
+/**
+ * Item for the subequations environment, which numbers the equations it
+ * contains as 1a, 1b, etc.
+ */
+export class SubequationsItem extends BeginItem {
+
+  /**
+   * @override
+   */
+  constructor(factory: any) {
+    super(factory);
+    this.factory.configuration.tags.startSubequations();
+  }
+
+  /**
+   * @override
+   */
+  get kind() {
+    return 'subequations';
+  }
+
+  /**
+   * @override
+   */
+  public checkItem(item: StackItem): CheckType {
+    if (item.isKind('end') && item.getName() === this.getName()) {
+      this.factory.configuration.tags.endSubequations();
+      this.global.subequations = false;
+      return [[this.factory.create('mml', this.toMml())], true];
+    }
+    return super.checkItem(item);
+  }
+
+}
@@ -99,6 +99,8 @@ new sm.CommandMap('AMSmath-macros', {
 
   cfrac:       'CFrac',
 
+  intertext:  'Intertext',
+
   shoveleft:  ['HandleShove', TexConstant.Align.LEFT],
   shoveright: ['HandleShove', TexConstant.Align.RIGHT],
 
@@ -127,6 +129,14 @@ new sm.EnvironmentMap('AMSmath-environment', ParseMethods.environment, {
   'alignat*':    ['AlignAt', null, false, true],
   alignedat:     ['AlignAt', null, false, false],
 
+  flalign:       ['Flalign', null, true, true],
+  'flalign*':    ['Flalign', null, false, true],
+  xalignat:      ['XalignAt', null, true, true, true],
+  'xalignat*':   ['XalignAt', null, false, true, true],
+  xxalignat:     ['XalignAt', null, false, true, false],
+
+  subequations:  ['Subequations', null],
+
   aligned:       ['AmsEqnArray', null, null, null, 'rlrlrlrlrlrl',
                   COLS([0, 2, 0, 2, 0, 2, 0, 2, 0, 2, 0]), '.5em', 'D'],
   gathered:      ['AmsEqnArray', null, null, null, 'c', null, '.5em', 'D'],
@@ -104,6 +104,71 @@ AmsMethods.AlignAt = function(parser: TexParser, begin: StackItem,
 };
 
 
+/**
+ * Implements the flalign environment, and (via XalignAt) the xalignat and
+ * xxalignat environments.  The column alignments and widths are set up by
+ * the FlalignItem once the number of columns is known.
+ * @param {TexParser} parser The calling parser.
+ * @param {StackItem} begin The opening stackitem.
+ * @param {boolean} numbered Environment numbered.
+ * @param {boolean} taggable Environment taggable.
+ * @param {boolean} padded True if space should be added at the margins as
+ *     well as between the column pairs.
+ * @param {number} n The number of column pairs allowed (0 for no limit).
+ */
+AmsMethods.Flalign = function(parser: TexParser, begin: StackItem,
+                              numbered: boolean, taggable: boolean,
+                              padded: boolean = false, n: number = 0) {
+  parser.Push(begin);
+  ParseUtil.checkEqnEnv(parser);
+  const item = parser.itemFactory.create('flalign', begin.getName(),
+                                         numbered, taggable, parser.stack.global) as ArrayItem;
+  item.arraydef = {
+    width: '100%',
+    displaystyle: true,
+    columnspacing: '0em',
+    rowspacing: '3pt',
+    side: parser.options['tagSide'],
+    minlabelspacing: parser.options['tagIndent']
+  };
+  return item.setProperties({name: begin.getName(), padded: padded, xalignat: n});
+};
+
+
+/**
+ * Implements the xalignat and xxalignat environments.
+ * @param {TexParser} parser The calling parser.
+ * @param {StackItem} begin The opening stackitem.
+ * @param {boolean} numbered Environment numbered.
+ * @param {boolean} taggable Environment taggable.
+ * @param {boolean} padded True if space should be added at the margins.
+ */
+AmsMethods.XalignAt = function(parser: TexParser, begin: StackItem,
+                               numbered: boolean, taggable: boolean, padded: boolean) {
+  const name = '\\begin{' + begin.getName() + '}';
+  const n = ParseUtil.trimSpaces(parser.GetArgument(name));
+  if (!n.match(/^[0-9]+$/)) {
+    throw new TexError('PositiveIntegerArg',
+                       'Argument to %1 must me a positive integer', name);
+  }
+  return AmsMethods.Flalign(parser, begin, numbered, taggable, padded, parseInt(n, 10));
+};
+
+
+/**
+ * Implements the subequations environment.
+ * @param {TexParser} parser The calling parser.
+ * @param {StackItem} begin The opening stackitem.
+ */
+AmsMethods.Subequations = function(parser: TexParser, begin: StackItem) {
+  if (parser.stack.global.eqnenv || parser.stack.global.subequations) {
+    throw new TexError('ErroneousNestingEq', 'Erroneous nesting of equation structures');
+  }
+  parser.stack.global.subequations = true;
+  return parser.itemFactory.create('subequations').setProperties({name: begin.getName()});
+};
+
+
 /**
  * Implements multline environment (mostly handled through STACKITEM below)
  * @param {TexParser} parser The calling parser.
@@ -245,6 +310,22 @@ AmsMethods.xArrow = function(parser: TexParser, name: string,
 };
 
 
+/**
+ * Implements \intertext, which adds a line of text between the rows of an
+ * alignment.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ */
+AmsMethods.Intertext = function(parser: TexParser, name: string) {
+  const top = parser.stack.Top();
+  if (!(top instanceof ArrayItem) || top.Size() || top.row.length) {
+    throw new TexError('Misplaced', 'Misplaced %1', name);
+  }
+  const text = ParseUtil.internalMath(parser, parser.GetArgument(name));
+  top.TextRow(parser.create('node', 'mpadded', text, {height: '+.75em', depth: '+.75em'}));
+};
+
+
 /**
  * Record presence of \shoveleft and \shoveright
  * @param {TexParser} parser The calling parser.
@@ -148,17 +148,51 @@ export const AutoloadConfiguration = Configuration.create(
         amscd: [[], ['CD']],
         bbox: ['bbox'],
         boldsymbol: ['boldsymbol'],
+        booktabs: ['toprule', 'midrule', 'bottomrule', 'cmidrule'],
         braket: ['bra', 'ket', 'braket', 'set', 'Bra', 'Ket', 'Braket', 'Set', 'ketbra', 'Ketbra'],
         bussproofs: [[], ['prooftree']],
         cancel: ['cancel', 'bcancel', 'xcancel', 'cancelto'],
-        color: ['color', 'definecolor', 'textcolor', 'colorbox', 'fcolorbox'],
+        chemfig: ['chemfig', 'lewis', 'Lewis'],
+        cleveref: ['cref', 'Cref', 'crefrange', 'Crefrange', 'labelcref'],
+        color: ['color', 'definecolor', 'colorlet', 'textcolor', 'colorbox', 'fcolorbox'],
+        colortbl: ['rowcolor', 'columncolor', 'cellcolor', 'arrayrulecolor'],
+        counters: ['newcounter', 'setcounter', 'addtocounter', 'stepcounter', 'numberwithin', 'value',
+                   'arabic', 'roman', 'Roman', 'alph', 'Alph', 'fnsymbol',
+                   'ifthenelse', 'ifnum', 'ifdim', 'ifx'],
         enclose: ['enclose'],
         extpfeil: ['xtwoheadrightarrow', 'xtwoheadleftarrow', 'xmapsto', 'xlongequal', 'xtofrom', 'Newextarrow'],
+        fitch: ['fitchprf'],
         html: ['href', 'class', 'style', 'cssId'],
+        mathtools: [
+          ['shortintertext', 'DeclarePairedDelimiter', 'DeclarePairedDelimiterX', 'DeclarePairedDelimiterXPP',
+           'vcentcolon', 'dblcolon', 'coloneqq', 'Coloneqq', 'coloneq', 'Coloneq', 'eqqcolon', 'Eqqcolon',
+           'eqcolon', 'Eqcolon', 'colonapprox', 'Colonapprox', 'colonsim', 'Colonsim',
+           'prescript', 'underbracket', 'overbracket', 'mathllap', 'mathrlap', 'mathclap', 'cramped',
+           'smashoperator', 'xleftrightarrow', 'xLeftarrow', 'xRightarrow', 'xLeftrightarrow',
+           'xhookleftarrow', 'xhookrightarrow', 'xrightharpoondown', 'xleftharpoondown',
+           'xrightleftharpoons', 'xrightharpoonup', 'xleftharpoonup', 'xleftrightharpoons'],
+          ['dcases', 'dcases*', 'rcases', 'rcases*', 'drcases', 'drcases*', 'cases*',
+           'matrix*', 'pmatrix*', 'bmatrix*', 'Bmatrix*', 'vmatrix*', 'Vmatrix*',
+           'smallmatrix*', 'psmallmatrix', 'psmallmatrix*', 'bsmallmatrix', 'bsmallmatrix*',
+           'Bsmallmatrix', 'Bsmallmatrix*', 'vsmallmatrix', 'vsmallmatrix*', 'Vsmallmatrix', 'Vsmallmatrix*',
+           'multlined', 'spreadlines']
+        ],
         mhchem: ['ce', 'pu'],
         newcommand: ['newcommand', 'renewcommand', 'newenvironment', 'renewenvironment', 'def', 'let'],
+        proof: ['infer', 'deduce'],
+        siunitx: ['num', 'unit', 'si', 'qty', 'SI', 'ang', 'numrange', 'qtyrange', 'SIrange',
+                  'sisetup', 'DeclareSIUnit', 'DeclareSIPrefix'],
+        tikzcd: [[], ['tikzcd']],
         unicode: ['unicode'],
-        verb: ['verb']
+        unicodemath: ['symnormal', 'symup', 'symit', 'symbf', 'symbfup', 'symbfit', 'symsf', 'symsfup',
+                      'symsfit', 'symbfsf', 'symbfsfup', 'symbfsfit', 'symtt', 'symbb', 'symcal',
+                      'symbfcal', 'symscr', 'symbfscr', 'symfrak', 'symbffrak', 'mathup', 'mathbfup',
+                      'mathbfit', 'mathsfup', 'mathsfit', 'mathbfsf', 'mathbfsfup', 'mathbfsfit',
+                      'mathbfcal', 'mathbfscr', 'mathbffrak'],
+        verb: ['verb'],
+        xparse: ['NewDocumentCommand', 'RenewDocumentCommand', 'ProvideDocumentCommand',
+                 'NewDocumentEnvironment', 'RenewDocumentEnvironment', 'ProvideDocumentEnvironment'],
+        xypic: ['xymatrix']
       })
     },
     config: configAutoload,
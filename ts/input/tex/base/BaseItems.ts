@@ -763,6 +763,15 @@ export class DotsItem extends BaseItem {
  */
 export class ArrayItem extends BaseItem {
 
+  /**
+   * The macros that can come at the start of a row ahead of the column
+   * template's start code (e.g., rules between the rows).  Packages that
+   * define such macros add them here, and the macros call InsertStart()
+   * once they have been processed.
+   * @type {Set<string>}
+   */
+  public static rowMacros: Set<string> = new Set(['hline', 'hdashline', 'cline', 'cdashline']);
+
   /**
    * The table as a list of rows.
    * @type {MmlNode[]}
@@ -799,6 +808,62 @@ export class ArrayItem extends BaseItem {
    */
   public dashed: boolean = false;
 
+  /**
+   * TeX code to insert at the start of the cells of each column (from >{...}).
+   * @type {string[]}
+   */
+  public cstart: string[] = [];
+
+  /**
+   * TeX code to insert at the end of the cells of each column (from <{...}).
+   * @type {string[]}
+   */
+  public cend: string[] = [];
+
+  /**
+   * TeX code to insert between each column and the next (from @{...} and !{...}).
+   * @type {string[]}
+   */
+  public cmaterial: string[] = [];
+
+  /**
+   * The start code still to be inserted for the current cell (null once it
+   * has been handled).
+   * @type {string}
+   */
+  protected entryStart: string = null;
+
+  /**
+   * The end code still to be inserted for the current cell.
+   * @type {string}
+   */
+  protected entryEnd: string = '';
+
+  /**
+   * The material still to be inserted following the current cell.
+   * @type {string}
+   */
+  protected entryMaterial: string = '';
+
+  /**
+   * The vertical alignment of the cells of each column (from p, m, and b).
+   * @type {string[]}
+   */
+  public ralign: string[] = [];
+
+  /**
+   * Attributes to set on the mtd for the current cell (e.g., from \multicolumn).
+   * @type {{[key: string]: string|number}}
+   */
+  public cellAttributes: {[key: string]: string | number} = {};
+
+  /**
+   * Partial and non-standard horizontal rules (e.g., from \cline), each given as
+   * the row boundary, column range, style, thickness, trims, and space around it.
+   * @type {string[][]}
+   */
+  public hlines: string[][] = [];
+
   /**
    * @override
    */
@@ -832,6 +897,7 @@ export class ArrayItem extends BaseItem {
         // @test Array dashed column, Array solid column
         this.EndEntry();
         this.clearEnv();
+        this.StartEntry();
         return BaseItem.fail;
       }
       if (item.getProperty('isCR')) {
@@ -839,6 +905,7 @@ export class ArrayItem extends BaseItem {
         this.EndEntry();
         this.EndRow();
         this.clearEnv();
+        this.StartEntry();
         return BaseItem.fail;
       }
       this.EndTable();
@@ -846,6 +913,10 @@ export class ArrayItem extends BaseItem {
       const scriptlevel = this.arraydef['scriptlevel'];
       delete this.arraydef['scriptlevel'];
       let mml = this.create('node', 'mtable', this.table, this.arraydef);
+      const texStart = this.getProperty('texStart');
+      if (typeof texStart === 'number') {
+        NodeUtil.setProperty(mml, 'texStart', texStart);
+      }
       if (this.frame.length === 4) {
         // @test Enclosed frame solid, Enclosed frame dashed
         NodeUtil.setAttribute(mml, 'frame', this.dashed ? 'dashed' : 'solid');
@@ -859,6 +930,9 @@ export class ArrayItem extends BaseItem {
         // @test Enclosed left right
         mml = this.create('node', 'menclose', [mml],
                           {notation: this.frame.join(' '), isFrame: true});
+        if (this.arraydef['data-rule-color']) {
+          NodeUtil.setAttribute(mml, 'data-rule-color', this.arraydef['data-rule-color']);
+        }
         if ((this.arraydef['columnlines'] || 'none') !== 'none' ||
             (this.arraydef['rowlines'] || 'none') !== 'none') {
           // @test Enclosed dashed row, Enclosed solid row
@@ -892,12 +966,109 @@ export class ArrayItem extends BaseItem {
   }
 
 
+  /**
+   * Sets up the template code for the cell that is about to be parsed, and
+   * inserts its start code (from >{...}).
+   */
+  public StartEntry() {
+    const n = this.columnIndex();
+    this.entryStart = this.cstart[n] || '';
+    this.entryEnd = this.cend[n] || '';
+    this.entryMaterial = this.cmaterial[n] || '';
+    this.InsertStart();
+  }
+
+
+  /**
+   * Inserts the start code for the current cell into the string being parsed,
+   * unless the cell begins with a macro that must come before it (one of the
+   * rowMacros, which call this again once they have been processed).  The
+   * template isn't used for an empty cell at the end of the array, or for
+   * a \multicolumn cell, which supplies its own template.
+   */
+  public InsertStart() {
+    if (this.entryStart === null) return;
+    if (!this.entryStart && !this.entryEnd && !this.entryMaterial) {
+      this.entryStart = null;
+      return;
+    }
+    const parser = this.factory.configuration.parser;
+    const cs = (parser.string.substr(parser.i).match(/^\s*\\([a-zA-Z]+)/) || ['', ''])[1];
+    if (ArrayItem.rowMacros.has(cs)) return;
+    const start = this.entryStart;
+    this.entryStart = null;
+    if (cs === 'end' || cs === 'multicolumn') {
+      this.entryEnd = this.entryMaterial = '';
+      return;
+    }
+    if (start) {
+      parser.string = ParseUtil.addArgs(parser, start, parser.string.slice(parser.i));
+      parser.i = 0;
+    }
+  }
+
+
+  /**
+   * Inserts the end code for the current cell (from <{...}), or once that has
+   * been processed, the material between it and the next column (from @{...}
+   * and !{...}), followed by the text that ended the cell, so that the cell is
+   * ended only after that code has been processed.  The material is processed
+   * outside of the cell's environment, so it is not affected by the cell's
+   * font changes, for example.
+   * @param {string} text The text (& or \\ or \end{...}) that ends the cell.
+   * @return {boolean} True if code was inserted (and the text will be reprocessed).
+   */
+  public InsertEnd(text: string): boolean {
+    let code = this.entryEnd;
+    this.entryEnd = '';
+    if (!code) {
+      code = this.entryMaterial;
+      this.entryMaterial = '';
+      if (!code) return false;
+      this.clearEnv();
+    }
+    const parser = this.factory.configuration.parser;
+    parser.string = ParseUtil.addArgs(parser, code + text, parser.string.slice(parser.i));
+    parser.i = 0;
+    return true;
+  }
+
+
+  /**
+   * @return {number} The column number of the next cell in the current row
+   *     (taking column spans into account).
+   */
+  public columnIndex(): number {
+    return this.row.reduce(
+      (n, mtd) => n + ((NodeUtil.getAttribute(mtd, 'columnspan') as number) || 1), 0);
+  }
+
+
+  /**
+   * @param {number} k The index of a column boundary (0 for the left edge of the array).
+   * @return {string} The rule drawn at that boundary ('solid', 'dashed', or '' for none).
+   */
+  public columnRule(k: number): string {
+    const n = (this.arraydef['columnalign'] as string || '').split(/ /).length;
+    if (k === 0 || k >= n) {
+      return (this.frame.indexOf(k ? 'right' : 'left') >= 0 ? (this.dashed ? 'dashed' : 'solid') : '');
+    }
+    const lines = (this.arraydef['columnlines'] as string || 'none').split(/ /);
+    const line = lines[Math.min(k, lines.length) - 1];
+    return (line === 'none' ? '' : line);
+  }
+
+
   /**
    * Finishes a single cell of the array.
    */
   public EndEntry() {
     // @test Array1, Array2
-    const mtd = this.create('node', 'mtd', this.nodes);
+    const n = this.columnIndex();
+    const mtd = this.create('node', 'mtd', this.nodes, this.cellAttributes);
+    if (this.ralign[n] && !this.cellAttributes['columnspan']) {
+      NodeUtil.setAttribute(mtd, 'rowalign', this.ralign[n]);
+    }
     if (this.hfill.length) {
       if (this.hfill[0] === 0) {
         NodeUtil.setAttribute(mtd, 'columnalign', 'right');
@@ -911,6 +1082,20 @@ export class ArrayItem extends BaseItem {
     this.row.push(mtd);
     this.Clear();
     this.hfill = [];
+    this.cellAttributes = {};
+  }
+
+
+  /**
+   * Adds a row containing a single cell that spans the full width of the
+   * table (e.g., for \intertext).  This is inserted before the current row,
+   * and does not take part in the row numbering.
+   * @param {MmlNode} mml The contents of the row.
+   */
+  public TextRow(mml: MmlNode) {
+    const mtd = this.create('node', 'mtd', [mml], {columnalign: 'left'});
+    NodeUtil.setProperty(mtd, 'fullSpan', true);
+    this.table.push(this.create('node', 'mtr', [mtd]));
   }
 
 
@@ -942,6 +1127,57 @@ export class ArrayItem extends BaseItem {
       this.EndRow();
     }
     this.checkLines();
+    this.checkSpans();
+    if (this.hlines.length) {
+      this.arraydef['data-hlines'] = this.hlines.map(rule => rule.join(' ')).join(';');
+    }
+  }
+
+
+  /**
+   * Adds a partial or non-standard horizontal rule at the current row boundary.
+   * @param {string} name The name of the macro creating the rule.
+   * @param {string} cols The column range (i-j) covered by the rule, or null for all columns.
+   * @param {string} style The line style for the rule.
+   * @param {string} t The thickness of the rule.
+   * @param {string} lTrim The amount to remove from the left end of the rule.
+   * @param {string} rTrim The amount to remove from the right end of the rule.
+   * @param {string} space The space to leave above and below the rule.
+   */
+  public addRule(name: string, cols: string, style: string, t: string,
+                 lTrim: string = '0', rTrim: string = '0', space: string = '0') {
+    let range = '1-';
+    if (cols !== null) {
+      const match = cols.match(/^\s*(\d+)\s*-\s*(\d+)\s*$/);
+      if (!match || parseInt(match[1]) < 1 || parseInt(match[2]) < parseInt(match[1])) {
+        throw new TexError('BadColumnRange', 'Invalid column range "%1" for %2', cols, name);
+      }
+      range = match[1] + '-' + match[2];
+    }
+    this.hlines.push([String(this.table.length), range, style, t, lTrim, rTrim, space]);
+  }
+
+
+  /**
+   * Makes the cells from TextRow() span all the columns of the table.
+   */
+  public checkSpans() {
+    let n = 0;
+    const spans: MmlNode[] = [];
+    for (const row of this.table) {
+      const cells = NodeUtil.getChildren(row).slice(row.isKind('mlabeledtr') ? 1 : 0);
+      if (cells.length === 1 && NodeUtil.getProperty(cells[0], 'fullSpan')) {
+        spans.push(cells[0]);
+        continue;
+      }
+      n = Math.max(n, cells.reduce(
+        (m, mtd) => m + ((NodeUtil.getAttribute(mtd, 'columnspan') as number) || 1), 0));
+    }
+    if (n > 1) {
+      for (const mtd of spans) {
+        NodeUtil.setAttribute(mtd, 'columnspan', n);
+      }
+    }
   }
 
 
@@ -1002,9 +1238,10 @@ export class EqnArrayItem extends ArrayItem {
     if (this.row.length) {
       ParseUtil.fixInitialMO(this.factory.configuration, this.nodes);
     }
-    const node = this.create('node', 'mtd', this.nodes);
+    const node = this.create('node', 'mtd', this.nodes, this.cellAttributes);
     this.row.push(node);
     this.Clear();
+    this.cellAttributes = {};
   }
 
   /**
@@ -588,6 +588,9 @@ new sm.CommandMap('macros', {
   newline:           ['CrLaTeX', true],
   hline:             ['HLine', 'solid'],
   hdashline:         ['HLine', 'dashed'],
+  cline:             ['CLine', 'solid'],
+  cdashline:         ['CLine', 'dashed'],
+  multicolumn:        'MultiColumn',
   //      noalign:            'HandleNoAlign',
   eqalignno:         ['Matrix', null, null, 'right left',
                       TexConstant.Length.THICKMATHSPACE, '.5em', 'D', null,
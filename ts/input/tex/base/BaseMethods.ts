@@ -448,6 +448,8 @@ BaseMethods.Limits = function(parser: TexParser, _name: string, limits: string)
  */
 BaseMethods.Over = function(parser: TexParser, name: string, open: string, close: string) {
   // @test Over
+  parser.warn('DeprecatedCommand', '%1 is deprecated; use %2 instead', name,
+              name === '\\over' ? '\\frac' : name === '\\choose' ? '\\binom' : '\\genfrac');
   const mml = parser.itemFactory.create('over').setProperty('name', parser.currentCS) ;
   if (open || close) {
     // @test Choose
@@ -975,10 +977,39 @@ BaseMethods.MakeBig = function(parser: TexParser, name: string, mclass: number,
     fence: true, stretchy: true, symmetric: true
   }, delim);
   const node = parser.create('node', 'TeXAtom', [mo], {texClass: mclass});
+  if (mclass === TEXCLASS.CLOSE) {
+    checkBigSize(parser, name, sizeStr);
+  }
   parser.Push(node);
 };
 
 
+/**
+ * Check that a closing \bigr (etc.) has the same size as the \bigl (etc.)
+ * that it matches.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ * @param {string} size The size of the closing delimiter.
+ */
+function checkBigSize(parser: TexParser, name: string, size: string) {
+  const top = parser.stack.Top();
+  let depth = 0;
+  for (const node of top.Peek(top.Size()).reverse()) {
+    const mo = (node.isKind('TeXAtom') ? NodeUtil.getCoreMO(node) : null);
+    const minsize = (mo && mo.isKind('mo') ? NodeUtil.getAttribute(mo, 'minsize') : null);
+    if (!minsize) continue;
+    if (NodeUtil.getTexClass(node) === TEXCLASS.CLOSE) {
+      depth++;
+    } else if (NodeUtil.getTexClass(node) === TEXCLASS.OPEN && depth-- === 0) {
+      if (minsize !== size) {
+        parser.warn('MismatchedBigSize', '%1 does not match the size of its opening delimiter', name);
+      }
+      return;
+    }
+  }
+}
+
+
 /**
  * Handle buildrel command.
  * @param {TexParser} parser The calling parser.
@@ -1116,6 +1147,27 @@ BaseMethods.Matrix = function(parser: TexParser, _name: string,
 };
 
 
+/**
+ * Insert the end code from the column template of the array whose cell is
+ * being ended (if there is any), to be followed by the text ending the cell.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} text The text that ends the cell.
+ * @param {string=} env The name of the environment being ended, if any.
+ * @return {boolean} True if code was inserted (so the cell isn't ended yet).
+ */
+function endCellCode(parser: TexParser, text: string, env: string = null): boolean {
+  let n = 1;
+  let top = parser.stack.Top(n);
+  while (top && !(top instanceof sitem.ArrayItem)) {
+    top = parser.stack.Top(++n);
+  }
+  if (!top || (env && parser.stack.Top(n + 1).getName() !== env)) {
+    return false;
+  }
+  return (top as sitem.ArrayItem).InsertEnd(text);
+}
+
+
 /**
  * Handle array entry.
  * @param {TexParser} parser The calling parser.
@@ -1123,6 +1175,7 @@ BaseMethods.Matrix = function(parser: TexParser, _name: string,
  */
 BaseMethods.Entry = function(parser: TexParser, name: string) {
   // @test Label, Array, Cross Product Formula
+  if (endCellCode(parser, name)) return;
   parser.Push(
     parser.itemFactory.create('cell').setProperties({isEntry: true, name: name}));
   if (parser.stack.Top().getProperty('isCases')) {
@@ -1170,11 +1223,11 @@ BaseMethods.Entry = function(parser: TexParser, name: string) {
         throw new TexError('ExtraAlignTab', 'Extra alignment tab in \\cases text');
       } else if (c === '\\') {
         //
-        //  If the macro is \cr or \\, end the search, otherwise skip the macro
+        //  If the macro is \cr, \\, or \end, end the search, otherwise skip the macro
         //  (multi-letter names don't matter, as we will skip the rest of the
         //   characters in the main loop)
         //
-        if (str.substr(i).match(/^((\\cr)[^a-zA-Z]|\\\\)/)) {
+        if (str.substr(i).match(/^((\\cr|\\end)[^a-zA-Z]|\\\\)/)) {
           m = 0;
         } else {
           i += 2;
@@ -1207,6 +1260,7 @@ BaseMethods.Entry = function(parser: TexParser, name: string) {
  */
 BaseMethods.Cr = function(parser: TexParser, name: string) {
   // @test Cr Linebreak, Misplaced Cr
+  if (endCellCode(parser, name)) return;
   parser.Push(
     parser.itemFactory.create('cell').setProperties({isCR: true, name: name}));
 };
@@ -1220,6 +1274,7 @@ BaseMethods.Cr = function(parser: TexParser, name: string) {
  *     brackets.
  */
 BaseMethods.CrLaTeX = function(parser: TexParser, name: string, nobrackets: boolean = false) {
+  if (endCellCode(parser, name)) return;
   let n: string;
   if (!nobrackets && parser.string.charAt(parser.i) === '[') {
     let dim = parser.GetBrackets(name, '');
@@ -1292,6 +1347,66 @@ BaseMethods.HLine = function(parser: TexParser, _name: string, style: string) {
     lines[top.table.length - 1] = style;
     top.arraydef['rowlines'] = lines.join(' ');
   }
+  top.InsertStart();
+};
+
+/**
+ * Handle partial horizontal lines in arrays (\cline{i-j}).
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ * @param {string} style Style of the line. E.g., dashed.
+ */
+BaseMethods.CLine = function(parser: TexParser, name: string, style: string) {
+  const top = parser.stack.Top();
+  if (!(top instanceof sitem.ArrayItem) || top.Size()) {
+    throw new TexError('Misplaced', 'Misplaced %1', name);
+  }
+  top.addRule(name, parser.GetArgument(name), style, '.07em');
+  top.InsertStart();
+};
+
+
+/**
+ * Handle \multicolumn{n}{template}{text} in arrays.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ */
+BaseMethods.MultiColumn = function(parser: TexParser, name: string) {
+  const top = parser.stack.Top();
+  if (!(top instanceof sitem.ArrayItem) || top.Size()) {
+    throw new TexError('Misplaced', 'Misplaced %1', name);
+  }
+  const n = parser.GetArgument(name).trim();
+  const template = parser.GetArgument(name);
+  const text = parser.GetArgument(name);
+  if (!n.match(/^\d+$/) || parseInt(n) === 0) {
+    throw new TexError('InvalidNumber', 'Invalid number');
+  }
+  const state = parser.configuration.columnParser.parse(parser, template);
+  if (state.j !== 1) {
+    throw new TexError('MultiColumnTemplate', 'Template for %1 must specify exactly one column', name);
+  }
+  //
+  //  The cell's edges get the array's rules (the cell can't have its own),
+  //  so any rules in the template must be the same as those.
+  //
+  const k = top.columnIndex();
+  if ((state.clines[0] && state.clines[0] !== top.columnRule(k)) ||
+      (state.clines[1] && state.clines[1] !== top.columnRule(k + parseInt(n)))) {
+    throw new TexError('MultiColumnRules', 'Rules in the template for %1 must match those of the array', name);
+  }
+  top.cellAttributes['columnspan'] = parseInt(n);
+  top.cellAttributes['columnalign'] = state.calign[0];
+  if (state.ralign[0]) {
+    top.cellAttributes['rowalign'] = state.ralign[0];
+  }
+  //
+  //  Insert the text with the template's start and end code
+  //
+  const cell = ParseUtil.addArgs(parser, ParseUtil.addArgs(parser, state.cstart[0] || '', text),
+                                 (state.cend[0] || '') + (state.cmaterial[0] || ''));
+  parser.string = ParseUtil.addArgs(parser, cell, parser.string.slice(parser.i));
+  parser.i = 0;
 };
 
 
@@ -1330,6 +1445,7 @@ BaseMethods.BeginEnd = function(parser: TexParser, name: string) {
   }
   let macro = parser.configuration.handlers.get('environment').lookup(env) as Macro;
   if (macro && name === '\\end') {
+    if (endCellCode(parser, name + '{' + env + '}', env)) return;
     // If the first argument is true, we have some sort of user defined
     // environment. Otherwise we have a standard LaTeX environment that is
     // handled with begin and end items.
@@ -1370,31 +1486,9 @@ BaseMethods.Array = function(parser: TexParser, begin: StackItem,
     // @test Array Single
     align = parser.GetArgument('\\begin{' + begin.getName() + '}');
   }
-  let lines = ('c' + align).replace(/[^clr|:]/g, '').replace(/[^|:]([|:])+/g, '$1');
-  align = align.replace(/[^clr]/g, '').split('').join(' ');
-  align = align.replace(/l/g, 'left').replace(/r/g, 'right').replace(/c/g, 'center');
   const array = parser.itemFactory.create('array') as sitem.ArrayItem;
-  array.arraydef = {
-    columnalign: align,
-    columnspacing: (spacing || '1em'),
-    rowspacing: (vspacing || '4pt')
-  };
-  if (lines.match(/[|:]/)) {
-    // @test Enclosed left right
-    if (lines.charAt(0).match(/[|:]/)) {
-      // @test Enclosed left right, Enclosed left
-      array.frame.push('left');
-      array.dashed = lines.charAt(0) === ':';
-    }
-    if (lines.charAt(lines.length - 1).match(/[|:]/)) {
-      // @test Enclosed left right, Enclosed right
-      array.frame.push('right');
-    }
-    // @test Enclosed left right
-    lines = lines.substr(1, lines.length - 2);
-    array.arraydef.columnlines =
-      lines.split('').join(' ').replace(/[^|: ]/g, 'none').replace(/\|/g, 'solid').replace(/:/g, 'dashed');
-  }
+  parser.configuration.columnParser.process(parser, align, array, spacing || '1em');
+  array.arraydef.rowspacing = (vspacing || '4pt');
   if (open)  {
     // @test Cross Product
     array.setProperty('open', parser.convertDelimiter(open));
@@ -1420,6 +1514,9 @@ BaseMethods.Array = function(parser: TexParser, begin: StackItem,
     array.arraydef['useHeight'] = false;
   }
   parser.Push(begin);
+  //  Record the start now, since the column code may replace the string being parsed.
+  array.setProperty('texStart', begin.getProperty('texStart'));
+  array.StartEntry();
   return array;
 };
 
@@ -1513,9 +1610,12 @@ BaseMethods.HandleLabel = function(parser: TexParser, name: string) {
       throw new TexError('MultipleCommand', 'Multiple %1', parser.currentCS);
     }
     parser.tags.label = label;
-    if ((parser.tags.allLabels[label] || parser.tags.labels[label]) && !parser.options['ignoreDuplicateLabels']) {
-      // @ Duplicate Label Error
-      throw new TexError('MultipleLabel', 'Label \'%1\' multiply defined', label);
+    if (parser.tags.allLabels[label] || parser.tags.labels[label]) {
+      if (!parser.options['ignoreDuplicateLabels']) {
+        // @ Duplicate Label Error
+        throw new TexError('MultipleLabel', 'Label \'%1\' multiply defined', label);
+      }
+      parser.warn('MultipleLabel', 'Label \'%1\' multiply defined', label);
     }
     // TODO: This should be set in the tags structure!
     parser.tags.labels[label] = new Label(); // will be replaced by tag value later
@@ -1532,7 +1632,8 @@ BaseMethods.HandleLabel = function(parser: TexParser, name: string) {
 BaseMethods.HandleRef = function(parser: TexParser, name: string, eqref: boolean) {
   // @test Ref, Ref Unknown, Eqref, Ref Default, Ref Named
   let label = parser.GetArgument(name);
-  let ref = parser.tags.allLabels[label] || parser.tags.labels[label];
+  parser.tags.refs[label] = true;
+  let ref = parser.tags.findLabel(label);
   if (!ref) {
     // @test Ref Unknown
     if (!parser.tags.refUpdate) {
@@ -1546,7 +1647,7 @@ BaseMethods.HandleRef = function(parser: TexParser, name: string, eqref: boolean
     tag = parser.tags.formatTag(tag);
   }
   let node = parser.create('node', 'mrow', ParseUtil.internalMath(parser, tag), {
-    href: parser.tags.formatUrl(ref.id, parser.options.baseURL), 'class': 'MathJax_ref'
+    href: parser.tags.formatUrl(ref.id, ref.url || parser.options.baseURL), 'class': 'MathJax_ref'
   });
   parser.Push(node);
 };
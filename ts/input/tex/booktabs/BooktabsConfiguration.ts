@@ -0,0 +1,167 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Configuration file for the booktabs package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {Configuration} from '../Configuration.js';
+import {ArrayItem} from '../base/BaseItems.js';
+import {CommandMap} from '../SymbolMap.js';
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import TexError from '../TexError.js';
+import ParseUtil from '../ParseUtil.js';
+
+
+// Namespace
+export const BooktabsMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * Check that a rule is being placed at the start of a row in an array.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ * @return {ArrayItem} The array to add the rule to.
+ */
+function getArray(parser: TexParser, name: string): ArrayItem {
+  const top = parser.stack.Top();
+  if (!(top instanceof ArrayItem) || top.Size()) {
+    throw new TexError('Misplaced', 'Misplaced %1', name);
+  }
+  return top;
+}
+
+
+/**
+ * Check that a value is a dimension.
+ * @param {string} dim The value to check.
+ * @param {string} name The name of the calling macro.
+ * @return {string} The dimension.
+ */
+function checkDimen(dim: string, name: string): string {
+  const [value, unit] = ParseUtil.matchDimen(dim);
+  if (!value) {
+    throw new TexError('BracketMustBeDimension', 'Bracket argument to %1 must be a dimension', name);
+  }
+  return value + unit;
+}
+
+
+/**
+ * Get the optional rule thickness.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ * @param {string} width The default thickness.
+ * @return {string} The thickness of the rule.
+ */
+function getWidth(parser: TexParser, name: string, width: string): string {
+  const dim = parser.GetBrackets(name, '');
+  return (dim ? checkDimen(dim, name) : width);
+}
+
+
+/**
+ * Get the space to leave above and below an interior rule (the average
+ * of the space above and below rules, since we use the same amount on both sides).
+ * @param {TexParser} parser The current tex parser.
+ * @return {string} The space to use.
+ */
+function midSpace(parser: TexParser): string {
+  const options = parser.options.booktabs;
+  return ParseUtil.Em((ParseUtil.dimen2em(options.aboverulesep) + ParseUtil.dimen2em(options.belowrulesep)) / 2);
+}
+
+
+/**
+ * Implements \toprule, \midrule, and \bottomrule.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ * @param {string} type The type of rule (top, mid, or bottom).
+ */
+BooktabsMethods.Rule = function(parser: TexParser, name: string, type: string) {
+  const options = parser.options.booktabs;
+  const top = getArray(parser, name);
+  const width = getWidth(parser, name, options[type === 'mid' ? 'lightrulewidth' : 'heavyrulewidth']);
+  const space = (type === 'top' ? options.belowrulesep : type === 'bottom' ? options.aboverulesep : midSpace(parser));
+  top.addRule(name, null, 'solid', width, '0', '0', space);
+  top.InsertStart();
+};
+
+
+/**
+ * Implements \cmidrule[width](trim){a-b}, where trim is made up of l or r,
+ * each optionally followed by a braced dimension.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ */
+BooktabsMethods.CMidRule = function(parser: TexParser, name: string) {
+  const options = parser.options.booktabs;
+  const top = getArray(parser, name);
+  const width = getWidth(parser, name, options.cmidrulewidth);
+  let [lTrim, rTrim] = ['0', '0'];
+  if (parser.GetNext() === '(') {
+    parser.i++;
+    const trim = parser.GetUpTo(name, ')');
+    if (!trim.match(/^(?:\s*[lr](?:\s*\{[^{}]*\})?)*\s*$/)) {
+      throw new TexError('BadTrim', 'Invalid trim specification "%1" for %2', trim, name);
+    }
+    trim.replace(/([lr])(?:\s*\{([^{}]*)\})?/g, (_match: string, side: string, dim: string) => {
+      const kern = (dim === undefined ? options.cmidrulekern : checkDimen(dim, name));
+      if (side === 'l') {
+        lTrim = kern;
+      } else {
+        rTrim = kern;
+      }
+      return '';
+    });
+  }
+  top.addRule(name, parser.GetArgument(name), 'solid', width, lTrim, rTrim, midSpace(parser));
+  top.InsertStart();
+};
+
+
+new CommandMap('booktabs', {
+  toprule: ['Rule', 'top'],
+  midrule: ['Rule', 'mid'],
+  bottomrule: ['Rule', 'bottom'],
+  cmidrule: 'CMidRule'
+}, BooktabsMethods);
+
+/**
+ * The rules come before the column template's start code.
+ */
+['toprule', 'midrule', 'bottomrule', 'cmidrule'].forEach(name => ArrayItem.rowMacros.add(name));
+
+
+export const BooktabsConfiguration = Configuration.create(
+  'booktabs', {
+    handler: {macro: ['booktabs']},
+    options: {
+      booktabs: {
+        heavyrulewidth: '.08em',    // thickness of \toprule and \bottomrule
+        lightrulewidth: '.05em',    // thickness of \midrule
+        cmidrulewidth: '.03em',     // thickness of \cmidrule
+        cmidrulekern: '.5em',       // amount trimmed from \cmidrule by l and r
+        aboverulesep: '.4ex',       // space above rules
+        belowrulesep: '.65ex'       // space below rules
+      }
+    }
+  }
+);
@@ -107,18 +107,12 @@ BussproofsMethods.Inference = function(parser: TexParser, name: string, n: numbe
   }
   const rootAtTop = top.getProperty('rootAtTop') as boolean;
   const childCount = (n === 1 && !top.Peek()[0].childNodes.length) ? 0 : n;
-  let children: MmlNode[] = [];
+  let premises: MmlNode[] = [];
   do {
-    if (children.length) {
-      children.unshift(parser.create('node', 'mtd', [], {}));
-    }
-    children.unshift(
-      parser.create('node', 'mtd', [top.Pop()],
-                    {'rowalign': (rootAtTop ? 'top' : 'bottom')}));
+    premises.unshift(top.Pop() as MmlNode);
     n--;
   } while (n > 0);
-  let row = parser.create('node', 'mtr', children, {});
-  let table = parser.create('node', 'mtable', [row], {framespacing: '0 0'});
+  let table = createPremises(parser, premises, rootAtTop);
   let conclusion = paddedContent(parser, parser.GetArgument(name));
   let style = top.getProperty('currentLine') as string;
   if (style !== top.getProperty('line')) {
@@ -135,6 +129,29 @@ BussproofsMethods.Inference = function(parser: TexParser, name: string, n: numbe
 };
 
 
+/**
+ * Creates the table holding the premises of an inference rule.
+ * @param {TexParser} parser The calling parser.
+ * @param {MmlNode[]} premises The premises of the rule.
+ * @param {boolean} rootAtTop Direction of inference rule: true for root at top.
+ * @return {MmlNode} The table of premises.
+ */
+export function createPremises(parser: TexParser, premises: MmlNode[],
+                               rootAtTop: boolean): MmlNode {
+  let children: MmlNode[] = [];
+  for (const premise of premises) {
+    if (children.length) {
+      children.push(parser.create('node', 'mtd', [], {}));
+    }
+    children.push(
+      parser.create('node', 'mtd', [premise],
+                    {'rowalign': (rootAtTop ? 'top' : 'bottom')}));
+  }
+  let row = parser.create('node', 'mtr', children, {});
+  return parser.create('node', 'mtable', [row], {framespacing: '0 0'});
+}
+
+
 /**
  * Creates a ND style inference rule.
  * @param {TexParser} parser The calling parser.
@@ -144,11 +161,12 @@ BussproofsMethods.Inference = function(parser: TexParser, name: string, n: numbe
  * @param {MmlNode|null} right The right label if it exists.
  * @param {string} style Style of inference rule line.
  * @param {boolean} rootAtTop Direction of inference rule: true for root at top.
+ * @return {MmlNode} The rule (with its labels, if any).
  */
-function createRule(parser: TexParser, premise: MmlNode,
-                    conclusions: MmlNode[], left: MmlNode | null,
-                    right: MmlNode | null, style: string,
-                    rootAtTop: boolean) {
+export function createRule(parser: TexParser, premise: MmlNode,
+                           conclusions: MmlNode[], left: MmlNode | null,
+                           right: MmlNode | null, style: string,
+                           rootAtTop: boolean): MmlNode {
   const upper = parser.create(
     'node', 'mtr', [parser.create('node', 'mtd', [premise], {})], {});
   const lower = parser.create(
@@ -321,18 +339,12 @@ BussproofsMethods.InferenceF = function(parser: TexParser, name: string, n: numb
   }
   const rootAtTop = top.getProperty('rootAtTop') as boolean;
   const childCount = (n === 1 && !top.Peek()[0].childNodes.length) ? 0 : n;
-  let children: MmlNode[] = [];
+  let premises: MmlNode[] = [];
   do {
-    if (children.length) {
-      children.unshift(parser.create('node', 'mtd', [], {}));
-    }
-    children.unshift(
-      parser.create('node', 'mtd', [top.Pop()],
-                    {'rowalign': (rootAtTop ? 'top' : 'bottom')}));
+    premises.unshift(top.Pop() as MmlNode);
     n--;
   } while (n > 0);
-  let row = parser.create('node', 'mtr', children, {});
-  let table = parser.create('node', 'mtable', [row], {framespacing: '0 0'});
+  let table = createPremises(parser, premises, rootAtTop);
 
   let conclusion = parseFCenterLine(parser, name); // TODO: Padding
   let style = top.getProperty('currentLine') as string;
@@ -0,0 +1,54 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Methods for the chemfig package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import {ChemfigParser} from './ChemfigParser.js';
+
+
+// Namespace
+export const ChemfigMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * Implements \chemfig{molecule}.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+ChemfigMethods.Chemfig = function(parser: TexParser, name: string) {
+  parser.Push(new ChemfigParser(parser, parser.GetArgument(name)).parse());
+};
+
+
+/**
+ * Implements \lewis{electrons,atom} (and \Lewis) outside of \chemfig,
+ * as a molecule consisting of that one atom.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+ChemfigMethods.Lewis = function(parser: TexParser, name: string) {
+  const text = '\\lewis{' + parser.GetArgument(name) + '}';
+  parser.Push(new ChemfigParser(parser, text).parse());
+};
@@ -0,0 +1,456 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview  Parser for the molecule descriptions of the chemfig package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import TexParser from '../TexParser.js';
+import TexError from '../TexError.js';
+import ParseUtil from '../ParseUtil.js';
+import {MmlNode} from '../../../core/MmlTree/MmlNode.js';
+import {TeXMolecule, MoleculeGroup, MoleculeBond, MoleculeLewis, AtomRef}
+  from '../../../core/MmlTree/MmlNodes/TeXMolecule.js';
+
+
+/**
+ * The distance (in em) between the centers of bonded atoms
+ */
+export const ATOMSEP = 3;
+
+/**
+ * The characters that start the various bonds, and the
+ * characters that can follow < and > for Cram bonds
+ */
+const BONDS = '-=~<>';
+const CRAM = ':|';
+
+/**
+ * The characters that end an atom
+ */
+const ATOMEND = BONDS + '()*';
+
+/**
+ * Pattern for a (possibly signed) decimal number
+ */
+const NUMBER = /^[-+]?(?:\d+(?:\.\d*)?|\.\d+)$/;
+
+
+/**
+ * A ring that is being parsed
+ */
+export type RingState = {
+  turn: number,           // the change in direction (in degrees) at each vertex
+  angle: number           // the direction of the ring's first bond
+};
+
+
+/**
+ * Parses the molecule description of \chemfig and creates the TeXMolecule
+ * node that lays it out.
+ */
+export class ChemfigParser {
+
+  /**
+   * The TeX parser that called this one (for creating the atoms)
+   */
+  protected parser: TexParser;
+
+  /**
+   * The molecule description
+   */
+  protected text: string;
+
+  /**
+   * The current position in the description
+   */
+  protected i: number = 0;
+
+  /**
+   * The nodes for the atoms
+   */
+  protected atoms: MmlNode[] = [];
+
+  /**
+   * The groups of atoms
+   */
+  protected groups: MoleculeGroup[] = [];
+
+  /**
+   * The bonds between the atoms
+   */
+  protected bonds: MoleculeBond[] = [];
+
+  /**
+   * The rings that are to have circles drawn in them
+   */
+  protected circles: number[][] = [];
+
+  /**
+   * @param {TexParser} parser   The calling parser
+   * @param {string} text        The molecule description to parse
+   */
+  constructor(parser: TexParser, text: string) {
+    this.parser = parser;
+    this.text = text;
+  }
+
+  /**
+   * Parse the description and create the molecule
+   *
+   * @return {MmlNode}   The TeXMolecule for the description
+   */
+  public parse(): MmlNode {
+    this.parseChain(-1, null);
+    if (this.i < this.text.length) {
+      throw new TexError('ExtraCloseParen', 'Extra close parenthesis in %1', this.parser.currentCS);
+    }
+    if (!this.groups.length) {
+      this.addGroup('');
+    }
+    const molecule = this.parser.create('node', 'TeXMolecule', this.atoms) as TeXMolecule;
+    molecule.groups = this.groups;
+    molecule.bonds = this.bonds;
+    molecule.circles = this.circles;
+    return molecule;
+  }
+
+  /**
+   * @return {string}   The next non-space character of the description ('' at the end)
+   */
+  protected next(): string {
+    while (this.text.charAt(this.i).match(/\s/)) {
+      this.i++;
+    }
+    return this.text.charAt(this.i);
+  }
+
+  /**
+   * Parse a sequence of bonds and atoms (with branches and rings) up to
+   * a close parenthesis or the end of the description
+   *
+   * @param {number} group      The group where the chain starts (-1 for none)
+   * @param {number} angle      The direction of the bond leading to that group (null for none)
+   */
+  protected parseChain(group: number, angle: number) {
+    let c;
+    while ((c = this.next()) && c !== ')') {
+      if (group < 0 && ATOMEND.indexOf(c) < 0) {
+        group = this.addGroup(this.readAtom());
+        continue;
+      }
+      if (group < 0) {
+        group = this.addGroup('');
+      }
+      if (c === '(') {
+        this.parseBranch(group, angle || 0);
+      } else if (c === '*') {
+        this.parseRing(group, angle);
+      } else if (BONDS.indexOf(c) >= 0) {
+        const [type, options] = this.readBond();
+        const [dir, length] = this.bondDirection(options, angle || 0);
+        group = this.addBond(group, type, options, dir, length, null);
+        angle = dir;
+      } else {
+        throw new TexError('MissingBond', 'Missing bond before %1', this.readAtom());
+      }
+    }
+  }
+
+  /**
+   * Parse a branch:  a chain in parentheses starting at a given group
+   *
+   * @param {number} group   The group where the branch starts
+   * @param {number} angle   The default direction of its first bond
+   */
+  protected parseBranch(group: number, angle: number) {
+    this.i++;
+    this.parseChain(group, angle);
+    if (this.next() !== ')') {
+      throw new TexError('MissingCloseParen', 'Missing close parenthesis in %1', this.parser.currentCS);
+    }
+    this.i++;
+  }
+
+  /**
+   * Parse a ring (*n(...) or **n(...)) whose first vertex is the given group.
+   *
+   * The ring is drawn counterclockwise, with the bond that leads to it
+   * pointing at its center.  A ring that starts at a vertex of another ring
+   * shares the bond before that vertex with that ring, is drawn on the other
+   * side of that bond, and closes at that bond's first vertex.  (The angles
+   * and lengths given for the bonds of a ring are ignored.)
+   *
+   * @param {number} start      The group where the ring starts
+   * @param {number} angle      The direction of the bond leading to that group (null for none)
+   * @param {RingState} outer   The ring containing the start vertex (or null)
+   * @param {number} prev       The vertex before the start vertex in that ring (-1 for none)
+   */
+  protected parseRing(start: number, angle: number, outer: RingState = null, prev: number = -1) {
+    const text = this.text.slice(this.i);
+    const match = text.match(/^(\*\*?)\s*(\d+)\s*\(/);
+    if (!match) {
+      throw new TexError('BadRing', 'Invalid ring specification: %1', text.slice(0, 10));
+    }
+    const n = parseInt(match[2]);
+    if (n < 3) {
+      throw new TexError('BadRingSize', 'Ring must have at least 3 sides');
+    }
+    this.i += match[0].length;
+    const fused = (prev >= 0);
+    const turn = (outer && outer.turn < 0 ? -360 : 360) / n * (fused ? -1 : 1);
+    const ring: RingState = {
+      turn,
+      angle: (fused ? angle + turn : angle === null ? -90 + turn : angle - 90 + 180 / n)
+    };
+    const count = (fused ? n - 1 : n);
+    const end = (fused ? prev : start);
+    const vertices = [start];
+    let [group, previous, k] = [start, -1, 0];
+    let c;
+    while ((c = this.next()) !== ')') {
+      const inAngle = ring.angle + (k - 1) * turn;
+      if (c === '') {
+        throw new TexError('MissingCloseParen', 'Missing close parenthesis in %1', this.parser.currentCS);
+      } else if (c === '(') {
+        this.parseBranch(group, inAngle + turn / 2 - (turn < 0 ? -90 : 90));
+      } else if (c === '*') {
+        if (previous >= 0) {
+          this.parseRing(group, inAngle, ring, previous);
+        } else {
+          this.parseRing(group, inAngle + turn / 2 - (turn < 0 ? -90 : 90));
+        }
+      } else if (BONDS.indexOf(c) >= 0) {
+        if (k === count) {
+          throw new TexError('ExtraRingBond', 'Too many bonds in ring');
+        }
+        const [type, options] = this.readBond();
+        const dir = ring.angle + k * turn;
+        previous = group;
+        group = this.addBond(group, type, options, dir, ATOMSEP, k === count - 1 ? end : null,
+                             type === '=' ? (turn < 0 ? -1 : 1) : 0);
+        if (k < count - 1) {
+          vertices.push(group);
+        }
+        k++;
+      } else {
+        throw new TexError('MissingBond', 'Missing bond before %1', this.readAtom());
+      }
+    }
+    this.i++;
+    if (match[1] === '**' && k === count) {
+      this.circles.push(fused ? vertices.concat(prev) : vertices);
+    }
+  }
+
+  /**
+   * Read a bond and its options
+   *
+   * @return {[string, string[]]}   The bond type and its options
+   */
+  protected readBond(): [string, string[]] {
+    let type = this.text.charAt(this.i++);
+    if ((type === '<' || type === '>') && CRAM.indexOf(this.text.charAt(this.i)) >= 0) {
+      type += this.text.charAt(this.i++);
+    }
+    const options: string[] = [];
+    if (this.next() === '[') {
+      const j = this.i;
+      this.i = this.findEnd(this.i, '[', ']');
+      options.push(...this.text.slice(j + 1, this.i - 1).split(/,/).map(ParseUtil.trimSpaces));
+      if (options.length > 4) {
+        throw new TexError('BadBondOptions', 'Bond options can only be an angle, length, and atom numbers');
+      }
+    }
+    return [type, options];
+  }
+
+  /**
+   * @param {string[]} options   The options for the bond
+   * @param {number} angle       The direction of the previous bond
+   * @return {[number, number]}  The direction and length of the bond
+   */
+  protected bondDirection(options: string[], angle: number): [number, number] {
+    const [dir = '', length = ''] = options;
+    const [, rel, value] = dir.match(/^(:?:?)(.*)$/);
+    if (value && !value.match(NUMBER)) {
+      throw new TexError('BadBondAngle', 'Invalid bond angle: %1', dir);
+    }
+    if (length && !length.match(NUMBER)) {
+      throw new TexError('BadBondLength', 'Invalid bond length: %1', length);
+    }
+    return [
+      (!value ? angle : rel === '::' ? angle + parseFloat(value) :
+       rel === ':' ? parseFloat(value) : 45 * parseFloat(value)),
+      ATOMSEP * (length ? parseFloat(length) : 1)
+    ];
+  }
+
+  /**
+   * Add a bond from a group to either a new group (whose atom follows the
+   * bond in the description) or an existing one.
+   *
+   * @param {number} group     The group where the bond starts
+   * @param {string} type      The type of bond
+   * @param {string[]} options The bond options (for the atom numbers)
+   * @param {number} angle     The direction of the bond
+   * @param {number} length    The length of the bond
+   * @param {number} target    The group where the bond ends (null for a new group)
+   * @param {number} side      The side for the second line of a double bond
+   * @return {number}          The group where the bond ends
+   */
+  protected addBond(group: number, type: string, options: string[],
+                    angle: number, length: number, target: number, side: number = 0): number {
+    const [, , from = '', to = ''] = options;
+    const cos = Math.cos(angle * Math.PI / 180);
+    const start: AtomRef = [group, this.getAtom(group, from, cos > .001)];
+    if (target === null) {
+      target = this.addGroup(this.readAtom(), start, angle, length);
+      this.groups[target].atom = this.getAtom(target, to, cos < -.001);
+    }
+    const end: AtomRef = [target, this.getAtom(target, to, cos < -.001)];
+    this.bonds.push({from: start, to: end, type, side});
+    return target;
+  }
+
+  /**
+   * @param {number} group    The group containing the atom
+   * @param {string} n        The (1-based) number of the atom ('' for the default)
+   * @param {boolean} last    True if the default is the last atom of the group
+   * @return {number}         The position of the atom within the group
+   */
+  protected getAtom(group: number, n: string, last: boolean): number {
+    const count = Math.max(1, this.groups[group].atoms.length);
+    if (!n) {
+      return (last ? count - 1 : 0);
+    }
+    const i = parseInt(n);
+    if (!n.match(/^\d+$/) || i < 1 || i > count) {
+      throw new TexError('BadAtomNumber', 'Invalid atom number: %1', n);
+    }
+    return i - 1;
+  }
+
+  /**
+   * @param {number} i       The position of an open delimiter
+   * @param {string} open    The open delimiter
+   * @param {string} close   The matching close delimiter
+   * @return {number}        The position following the matching close delimiter
+   */
+  protected findEnd(i: number, open: string, close: string): number {
+    let nest = 0;
+    for (; i < this.text.length; i++) {
+      const c = this.text.charAt(i);
+      if (c === '\\') {
+        i++;
+      } else if (c === open) {
+        nest++;
+      } else if (c === close && --nest === 0) {
+        return i + 1;
+      }
+    }
+    throw new TexError('MissingCloseBrace', 'Missing close brace');
+  }
+
+  /**
+   * @return {string}   The text of the atom at the current position (possibly empty)
+   */
+  protected readAtom(): string {
+    const start = this.i;
+    while (this.i < this.text.length && ATOMEND.indexOf(this.text.charAt(this.i)) < 0) {
+      const c = this.text.charAt(this.i);
+      if (c === '{') {
+        this.i = this.findEnd(this.i, '{', '}');
+      } else if (c === '\\') {
+        this.i += (this.text.slice(this.i + 1).match(/^(?:[a-z]+|.)/i) || [''])[0].length + 1;
+      } else {
+        this.i++;
+      }
+    }
+    return ParseUtil.trimSpaces(this.text.slice(start, this.i));
+  }
+
+  /**
+   * Split the text of a group into its atoms, each of which starts with an
+   * upper-case letter, a macro, or a braced group (other than arguments of
+   * macros, superscripts, and subscripts).
+   *
+   * @param {string} text   The text of the group
+   * @return {string[]}     The texts of its atoms
+   */
+  protected splitAtoms(text: string): string[] {
+    const atoms: string[] = [];
+    const tokens = text.match(/\\(?:[a-z]+|.)|\{(?:[^{}\\]|\\.|\{(?:[^{}\\]|\\.)*\})*\}|\S/gi) || [];
+    let prev = '';
+    for (const token of tokens) {
+      const macro = !!token.match(/^\\[a-z]+$/i);
+      const argument = !!(prev.match(/^[_^]$/) || (token.charAt(0) === '{' && prev.match(/^\\[a-z]+$/i)));
+      if (!atoms.length || (token.match(/^[A-Z{\\]/) && !argument)) {
+        atoms.push('');
+      }
+      atoms[atoms.length - 1] += (macro ? token + ' ' : token);
+      prev = token;
+    }
+    return atoms;
+  }
+
+  /**
+   * Add a group of atoms
+   *
+   * @param {string} text      The text of the group
+   * @param {AtomRef} from     The atom the group is positioned from (null for none)
+   * @param {number} angle     The direction from that atom
+   * @param {number} length    The distance from that atom
+   * @return {number}          The index of the new group
+   */
+  protected addGroup(text: string, from: AtomRef = null, angle: number = 0, length: number = 0): number {
+    const group: MoleculeGroup = {atoms: [], from, atom: 0, angle, length, lewis: []};
+    this.splitAtoms(text).forEach((atom, i) => {
+      const lewis = atom.match(/^\\[lL]ewis\s*(\{(?:[^{}\\]|\\.|\{(?:[^{}\\]|\\.)*\})*\})/);
+      if (lewis) {
+        const [content, electrons] = this.parseLewis(lewis[1].slice(1, -1), i);
+        atom = content + atom.slice(lewis[0].length);
+        group.lewis.push(...electrons);
+      }
+      group.atoms.push(this.atoms.length);
+      this.atoms.push(new TexParser('\\mathrm{' + atom + '}', this.parser.stack.env,
+                                    this.parser.configuration).mml());
+    });
+    this.groups.push(group);
+    return this.groups.length - 1;
+  }
+
+  /**
+   * @param {string} text    The argument of \lewis (the electrons, a comma, and the atom)
+   * @param {number} atom    The position of the atom in its group
+   * @return {[string, MoleculeLewis[]]}   The text of the atom, and its electrons
+   */
+  protected parseLewis(text: string, atom: number): [string, MoleculeLewis[]] {
+    const i = text.indexOf(',');
+    const spec = (i < 0 ? '' : text.slice(0, i).replace(/\s+/g, ''));
+    if (i < 0 || !spec.match(/^(?:\d[:.|]?)+$/)) {
+      throw new TexError('BadLewis', 'Invalid electron specification: %1', text);
+    }
+    const lewis = spec.match(/\d[:.|]?/g).map(
+      mark => ({atom, angle: 45 * parseInt(mark.charAt(0)), type: mark.charAt(1) || ':'})
+    );
+    return [text.slice(i + 1), lewis];
+  }
+
+}
@@ -0,0 +1,80 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Configuration file for the cleveref package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {Configuration, ParserConfiguration} from '../Configuration.js';
+import {TeX} from '../../tex.js';
+import {CommandMap} from '../SymbolMap.js';
+import {expandable} from '../../../util/Options.js';
+import {CleverefMethods} from './CleverefMethods.js';
+
+
+/**
+ * Macros for the cleveref package.
+ */
+new CommandMap('cleveref-macros', {
+  cref:       ['Cref', false],
+  Cref:       ['Cref', true],
+  crefrange:  ['CrefRange', false],
+  Crefrange:  ['CrefRange', true],
+  labelcref:  'LabelCref'
+}, CleverefMethods);
+
+
+/**
+ * Have the references be processed outside of math mode, like \ref and \eqref.
+ *
+ * @param {ParserConfiguration} _config The current configuration.
+ * @param {TeX} jax The TeX input jax.
+ */
+function config(_config: ParserConfiguration, jax: TeX<any, any, any>) {
+  jax.findTeX.addRefPattern('\\\\(?:[cC]ref|labelcref)\\s*\\{[^}]*\\}');
+  jax.findTeX.addRefPattern('\\\\[cC]refrange\\s*\\{[^}]*\\}\\s*\\{[^}]*\\}');
+}
+
+
+export const CleverefConfiguration = Configuration.create(
+  'cleveref', {
+    handler: {macro: ['cleveref-macros']},
+    config: config,
+    options: {
+      tagformat: {
+        // The reference type for labels created in the given environments,
+        //   e.g., {subequations: 'equation'} (the default type is 'equation')
+        refTypes: expandable({}),
+        // The names of the reference types (singular and plural) and the
+        //   conjunctions used to join the references, indexed by locale
+        //   (the capitalized type is used for \Cref, if given)
+        refNames: expandable({
+          en: expandable({
+            equation: ['eq.', 'eqs.'],
+            Equation: ['Eq.', 'Eqs.'],
+            pair: ' and ',
+            middle: ', ',
+            last: ' and ',
+            range: ' to '
+          })
+        })
+      }
+    }
+  }
+);
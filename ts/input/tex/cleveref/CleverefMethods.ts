@@ -0,0 +1,325 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Methods for the cleveref package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import ParseUtil from '../ParseUtil.js';
+import {Label} from '../Tags.js';
+import {MmlNode} from '../../../core/MmlTree/MmlNode.js';
+
+
+// Namespace
+export const CleverefMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * A reference to a label:  its label data, and its reference type (e.g., equation),
+ * which is null when the label is not defined.
+ */
+type Reference = {
+  ref: Label,
+  type: string
+};
+
+/**
+ * A list of references to be rendered:  single references, or ranges of them.
+ */
+type RefList = (Reference | [Reference, Reference])[];
+
+
+/**
+ * @param {TexParser} parser The calling parser.
+ * @return {{[name: string]: any}} The reference names and conjunctions for the current locale.
+ */
+function getNames(parser: TexParser): {[name: string]: any} {
+  const names = parser.options.tagformat.refNames;
+  const locale = parser.options.locale.toLowerCase();
+  return names[locale] || names[locale.replace(/-.*/, '')] || names.en;
+}
+
+
+/**
+ * Get the name for a reference type.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} type The reference type.
+ * @param {boolean} plural True if the plural form is needed.
+ * @param {boolean} capital True if the capitalized form is needed (for \Cref).
+ * @return {string} The name for the reference type.
+ */
+function getName(parser: TexParser, type: string, plural: boolean, capital: boolean): string {
+  const names = getNames(parser);
+  const Type = type.charAt(0).toUpperCase() + type.substr(1);
+  const [singular, plurals] = (capital && names[Type]) || names[type] || [type, type];
+  const name = (plural ? plurals : singular);
+  return (capital && !names[Type] ? name.charAt(0).toUpperCase() + name.substr(1) : name);
+}
+
+
+/**
+ * Get the data for a label being referenced (marking it as referenced, and
+ * requesting that the expression be reprocessed if it is not yet defined).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} label The label being referenced.
+ * @return {Reference} The reference data.
+ */
+function getReference(parser: TexParser, label: string): Reference {
+  const tags = parser.tags;
+  tags.refs[label] = true;
+  const ref = tags.findLabel(label);
+  if (!ref) {
+    if (!tags.refUpdate) {
+      tags.redo = true;
+    }
+    return {ref: new Label(), type: null};
+  }
+  return {ref, type: parser.options.tagformat.refTypes[ref.env] || 'equation'};
+}
+
+
+/**
+ * Get the references for a comma-separated list of labels, grouped by type
+ * (in the order the types first appear) and sorted by number, with runs of
+ * three or more consecutive numbers collapsed into ranges.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @return {RefList[]} The groups of references.
+ */
+function getReferences(parser: TexParser, name: string): RefList[] {
+  const groups: Map<string, Reference[]> = new Map();
+  for (const label of parser.GetArgument(name).split(/,/)) {
+    const id = ParseUtil.trimSpaces(label);
+    if (!id) continue;
+    const ref = getReference(parser, id);
+    if (!groups.has(ref.type)) {
+      groups.set(ref.type, []);
+    }
+    groups.get(ref.type).push(ref);
+  }
+  return Array.from(groups.values()).map(refs => collapseRanges(sortReferences(refs)));
+}
+
+
+/**
+ * @param {Reference} ref The reference whose number is needed.
+ * @return {number[]} The parts of its hierarchical number (e.g., [2, 3] for 2.3),
+ *                    or null if its tag is not a number.
+ */
+function numberParts(ref: Reference): number[] {
+  return (ref.ref.tag.match(/^\d+(?:\.\d+)*$/) ? ref.ref.tag.split(/\./).map(n => parseInt(n)) : null);
+}
+
+
+/**
+ * Sort references by number (when all the tags are numbers).
+ *
+ * @param {Reference[]} refs The references to sort.
+ * @return {Reference[]} The sorted references.
+ */
+function sortReferences(refs: Reference[]): Reference[] {
+  const numbers = refs.map(numberParts);
+  if (numbers.indexOf(null) >= 0) {
+    return refs;
+  }
+  const compare = (a: number[], b: number[]) => {
+    for (let i = 0; i < a.length && i < b.length; i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  };
+  return refs.map((ref, i) => [ref, numbers[i]] as [Reference, number[]])
+    .sort((a, b) => compare(a[1], b[1])).map(([ref]) => ref);
+}
+
+
+/**
+ * @param {Reference} a The first reference.
+ * @param {Reference} b The second reference.
+ * @return {boolean} True if the second reference's number follows the first's
+ *                   (e.g., 2.3 and 2.4).
+ */
+function isNext(a: Reference, b: Reference): boolean {
+  const [m, n] = [numberParts(a), numberParts(b)];
+  if (!m || !n || m.length !== n.length) return false;
+  const last = m.length - 1;
+  return m.slice(0, last).join('.') === n.slice(0, last).join('.') && n[last] === m[last] + 1;
+}
+
+
+/**
+ * Replace runs of three or more consecutive references by ranges.
+ *
+ * @param {Reference[]} refs The sorted references.
+ * @return {RefList} The references and ranges.
+ */
+function collapseRanges(refs: Reference[]): RefList {
+  const list: RefList = [];
+  let i = 0;
+  while (i < refs.length) {
+    let j = i;
+    while (j + 1 < refs.length && isNext(refs[j], refs[j + 1])) {
+      j++;
+    }
+    if (j - i >= 2) {
+      list.push([refs[i], refs[j]]);
+    } else {
+      list.push(...refs.slice(i, j + 1));
+    }
+    i = j + 1;
+  }
+  return list;
+}
+
+
+/**
+ * Create the linked reference number for a reference (or ?? for an undefined label,
+ * as LaTeX does).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {Reference} ref The reference.
+ * @return {MmlNode} The mrow containing the linked reference.
+ */
+function makeLink(parser: TexParser, ref: Reference): MmlNode {
+  if (ref.type === null) {
+    return parser.create('node', 'mrow', ParseUtil.internalMath(parser, '??'));
+  }
+  const tags = parser.tags;
+  return parser.create('node', 'mrow', ParseUtil.internalMath(parser, tags.formatTag(ref.ref.tag)), {
+    href: tags.formatUrl(ref.ref.id, ref.ref.url || parser.options.baseURL), 'class': 'MathJax_ref'
+  });
+}
+
+
+/**
+ * Join a list of items using the conjunctions for the current locale.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {MmlNode[][]} items The items to join.
+ * @return {MmlNode[]} The joined items.
+ */
+function joinList(parser: TexParser, items: MmlNode[][]): MmlNode[] {
+  const names = getNames(parser);
+  const mml: MmlNode[] = [];
+  items.forEach((item, i) => {
+    if (i) {
+      const conjunction = (items.length === 2 ? names.pair : i === items.length - 1 ? names.last : names.middle);
+      mml.push(...ParseUtil.internalMath(parser, conjunction));
+    }
+    mml.push(...item);
+  });
+  return mml;
+}
+
+
+/**
+ * Create the nodes for a list of references (without the type name).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {RefList} refs The references and ranges.
+ * @return {MmlNode[]} The nodes for the references.
+ */
+function makeRefs(parser: TexParser, refs: RefList): MmlNode[] {
+  return joinList(parser, refs.map(ref => Array.isArray(ref) ? makeRange(parser, ref[0], ref[1]) : [makeLink(parser, ref)]));
+}
+
+
+/**
+ * Create the nodes for a range of references.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {Reference} start The first reference in the range.
+ * @param {Reference} end The last reference in the range.
+ * @return {MmlNode[]} The nodes for the range.
+ */
+function makeRange(parser: TexParser, start: Reference, end: Reference): MmlNode[] {
+  return [makeLink(parser, start), ...ParseUtil.internalMath(parser, getNames(parser).range), makeLink(parser, end)];
+}
+
+
+/**
+ * @param {TexParser} parser The calling parser.
+ * @param {string} type The reference type (null for undefined labels).
+ * @param {boolean} plural True if the plural form is needed.
+ * @param {boolean} capital True if the capitalized form is needed (for \Cref).
+ * @return {MmlNode[]} The nodes for the name of the type followed by a space
+ *                     (none for undefined labels).
+ */
+function makeName(parser: TexParser, type: string, plural: boolean, capital: boolean): MmlNode[] {
+  return (type === null ? [] : ParseUtil.internalMath(parser, getName(parser, type, plural, capital) + ' '));
+}
+
+
+/**
+ * Push an mrow containing the given nodes.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {MmlNode[]} mml The nodes to push.
+ */
+function pushRefs(parser: TexParser, mml: MmlNode[]) {
+  parser.Push(parser.create('node', 'mrow', mml));
+}
+
+
+/**
+ * Implements \cref{labels} and \Cref{labels}.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @param {boolean} capital True for \Cref.
+ */
+CleverefMethods.Cref = function(parser: TexParser, name: string, capital: boolean) {
+  const groups = getReferences(parser, name);
+  pushRefs(parser, joinList(parser, groups.map(refs => {
+    const plural = (refs.length > 1 || Array.isArray(refs[0]));
+    const type = (Array.isArray(refs[0]) ? refs[0][0] : refs[0] as Reference).type;
+    return [...makeName(parser, type, plural, capital), ...makeRefs(parser, refs)];
+  })));
+};
+
+
+/**
+ * Implements \crefrange{label1}{label2} and \Crefrange{label1}{label2}.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @param {boolean} capital True for \Crefrange.
+ */
+CleverefMethods.CrefRange = function(parser: TexParser, name: string, capital: boolean) {
+  const start = getReference(parser, ParseUtil.trimSpaces(parser.GetArgument(name)));
+  const end = getReference(parser, ParseUtil.trimSpaces(parser.GetArgument(name)));
+  pushRefs(parser, [...makeName(parser, start.type, true, capital), ...makeRange(parser, start, end)]);
+};
+
+
+/**
+ * Implements \labelcref{labels}.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+CleverefMethods.LabelCref = function(parser: TexParser, name: string) {
+  const refs = getReferences(parser, name).reduce((list, group) => list.concat(group), [] as RefList);
+  pushRefs(parser, makeRefs(parser, refs));
+};
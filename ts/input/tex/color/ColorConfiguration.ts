@@ -35,6 +35,7 @@ new CommandMap('color', {
   color: 'Color',
   textcolor: 'TextColor',
   definecolor: 'DefineColor',
+  colorlet: 'ColorLet',
   colorbox: 'ColorBox',
   fcolorbox: 'FColorBox'
 }, ColorMethods);
@@ -46,7 +47,9 @@ new CommandMap('color', {
  * @param {TeX} jax              The TeX jax having that configuration
  */
 const config = function(_config: ParserConfiguration, jax: TeX<any, any, any>) {
-  jax.parseOptions.packageData.set('color', {model: new ColorModel()});
+  const model = new ColorModel();
+  jax.parseOptions.packageData.set('color', {model});
+  jax.parseOptions.packageState.set('color', () => model.save());
 };
 
 /**
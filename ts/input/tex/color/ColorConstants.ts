@@ -91,3 +91,31 @@ export const COLORS: Map<string, string> = new Map<string, string>([
   ['YellowGreen', '#98CC70'],
   ['YellowOrange', '#FAA21A'],
 ]);
+
+
+/**
+ * The xcolor base colors, used to resolve color names in color expressions
+ * (e.g., `green!30`) when they are not otherwise defined.  (Names used on
+ * their own are passed to CSS, as before.)
+ */
+export const XCOLORS: Map<string, string> = new Map<string, string>([
+  ['red', '#FF0000'],
+  ['green', '#00FF00'],
+  ['blue', '#0000FF'],
+  ['cyan', '#00FFFF'],
+  ['magenta', '#FF00FF'],
+  ['yellow', '#FFFF00'],
+  ['black', '#000000'],
+  ['white', '#FFFFFF'],
+  ['gray', '#808080'],
+  ['darkgray', '#404040'],
+  ['lightgray', '#BFBFBF'],
+  ['brown', '#BF8040'],
+  ['lime', '#BFFF00'],
+  ['olive', '#808000'],
+  ['orange', '#FF8000'],
+  ['pink', '#FFBFBF'],
+  ['purple', '#BF0040'],
+  ['teal', '#008080'],
+  ['violet', '#800080'],
+]);
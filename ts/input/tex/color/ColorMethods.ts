@@ -114,6 +114,23 @@ ColorMethods.DefineColor = function (parser: TexParser, name: string) {
   colorModel.defineColor(model, cname, def);
 };
 
+/**
+ * Define the \colorlet macro (the optional type and model are ignored,
+ * since the colors are all stored in the same format).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the control sequence.
+ */
+ColorMethods.ColorLet = function (parser: TexParser, name: string) {
+  parser.GetBrackets(name, '');
+  const cname = parser.GetArgument(name);
+  parser.GetBrackets(name, '');
+  const def = parser.GetArgument(name);
+
+  const colorModel: ColorModel = parser.configuration.packageData.get('color').model;
+  colorModel.defineColor('named', cname, colorModel.getColor('named', def));
+};
+
 /**
  * Produce a text box with a colored background: `\colorbox`.
  *
@@ -23,7 +23,7 @@
 
 
 import TexError from '../TexError.js';
-import {COLORS} from './ColorConstants.js';
+import {COLORS, XCOLORS} from './ColorConstants.js';
 
 type ColorModelProcessor = (def: string) => string;
 const ColorModelProcessors: Map<string, ColorModelProcessor> = new Map<string, ColorModelProcessor>();
@@ -42,7 +42,7 @@ export class ColorModel {
   /**
    * Converts a color model from string representation to its CSS format `#44ff00`
    *
-   * @param {string} model The coloring model type: `rgb` `RGB` or `gray`.
+   * @param {string} model The coloring model type: e.g., `rgb` `RGB`, `gray`, or `cmyk`.
    * @param {string} def The color definition: `0.5,0,1`, `128,0,255`, `0.5`.
    * @return {string} The color definition in CSS format e.g. `#44ff00`.
    */
@@ -63,8 +63,8 @@ export class ColorModel {
   /**
    * Look up a color based on its model and definition.
    *
-   * @param {string} model The coloring model type: `named`, `rgb` `RGB` or `gray`.
-   * @param {string} def The color definition: `red, `0.5,0,1`, `128,0,255`, `0.5`.
+   * @param {string} model The coloring model type: `named`, `rgb` `RGB`, `gray`, etc.
+   * @param {string} def The color definition: `red`, `red!30`, `0.5,0,1`, `128,0,255`, `0.5`.
    * @return {string} The color definition in CSS format e.g. `#44ff00`.
    */
   public getColor(model: string, def: string): string {
@@ -76,9 +76,9 @@ export class ColorModel {
   }
 
   /**
-   * Get a named color.
+   * Get a named color (or the color given by an xcolor color expression).
    *
-   * @param {string} name The color name e.g. `darkblue`.
+   * @param {string} name The color name e.g. `darkblue` or `blue!50!green`.
    * @return {string} The color definition in CSS format e.g. `#44ff00`.
    *
    * To retain backward compatilbity with MathJax v2 this method returns
@@ -97,10 +97,68 @@ export class ColorModel {
       return COLORS.get(name);
     }
 
+    if (name.match(/^\s*-|!/)) {
+      return this.colorExpression(name);
+    }
+
     // Pass the color name as-is to CSS
     return name;
   }
 
+  /**
+   * Evaluate an xcolor color expression, e.g., `red!30` (30% red and 70% white),
+   * `blue!50!green` (50% blue and 50% green), or `-red` (the complement of red).
+   * The mixes are applied from left to right, so `red!30!green!40` is 40% of
+   * `red!30!green` and 60% white.
+   *
+   * @param {string} expr The color expression.
+   * @return {string} The color in CSS format e.g. `#44ff00`.
+   */
+  private colorExpression(expr: string): string {
+    const [ , minus, mix] = expr.match(/^\s*((?:-\s*)*)(.*)$/);
+    const parts = mix.split(/!/).map(part => part.trim());
+    let rgb = this.getRGB(parts[0]);
+    for (let i = 1; i < parts.length; i += 2) {
+      if (!parts[i].match(/^(\d+(\.\d*)?|\.\d+)$/)) {
+        throw new TexError('InvalidDecimalNumber', 'Invalid decimal number');
+      }
+      const p = parseFloat(parts[i]) / 100;
+      if (p > 1) {
+        throw new TexError('BadColorPercent', 'Color percentages must be between %1 and %2', '0', '100');
+      }
+      const other = (i + 1 < parts.length ? this.getRGB(parts[i + 1]) : [1, 1, 1]);
+      rgb = rgb.map((c, j) => p * c + (1 - p) * other[j]);
+    }
+    if (minus.replace(/\s/g, '').length % 2) {
+      rgb = rgb.map(c => 1 - c);
+    }
+    return RGBtoHex(rgb);
+  }
+
+  /**
+   * Get the red, green, and blue values for a color name.  A user-defined
+   * color can be defined in terms of another name (e.g., by \colorlet{a}{red}
+   * or \definecolor{a}{named}{red}), so those are followed to the actual color.
+   *
+   * @param {string} name The color name.
+   * @return {number[]} The red, green, and blue values (between 0 and 1).
+   */
+  private getRGB(name: string): number[] {
+    const seen = new Set<string>();
+    let color = name;
+    while (this.userColors.has(color) && !seen.has(color)) {
+      seen.add(color);
+      color = this.userColors.get(color);
+    }
+    color = COLORS.get(color) || XCOLORS.get(color) || color;
+    const match = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) {
+      throw new TexError('UndefinedColor', 'Undefined color \'%1\'', name);
+    }
+    const hex = (match[1].length === 3 ? match[1].replace(/(.)/g, '$1$1') : match[1]);
+    return [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16) / 255);
+  }
+
   /**
    * Create a new user-defined color.
    *
@@ -114,6 +172,17 @@ export class ColorModel {
     const normalized = this.normalizeColor(model, def);
     this.userColors.set(name, normalized);
   }
+
+  /**
+   * @return {Function}   A function that restores the user-defined colors to
+   *                        the ones defined when save() was called.
+   */
+  public save(): () => void {
+    const colors = new Map(this.userColors);
+    return () => {
+      this.userColors = colors;
+    };
+  }
 }
 
 
@@ -216,3 +285,137 @@ ColorModelProcessors.set('gray', function (gray: string): string {
 
   return `#${pn}${pn}${pn}`;
 });
+
+/**
+ * Get the values for a color definition in a given model.
+ *
+ * @param {string} model The color model (for error messages).
+ * @param {string} def The color definition: e.g., `0.5,0,1,0`.
+ * @param {number} n The number of values needed.
+ * @param {number} max The largest value allowed.
+ * @param {boolean} integer True if the values must be integers.
+ * @return {number[]} The values.
+ */
+function modelValues(model: string, def: string, n: number, max: number, integer: boolean = false): number[] {
+  const parts = def.trim().split(/\s*,\s*/);
+  if (parts.length !== n) {
+    throw new TexError('ModelArgCount', 'Color values for the %1 model require %2 numbers', model, String(n));
+  }
+  return parts.map(part => {
+    if (!part.match(integer ? /^\d+$/ : /^(\d+(\.\d*)?|\.\d+)$/)) {
+      throw (integer ? new TexError('InvalidNumber', 'Invalid number') :
+             new TexError('InvalidDecimalNumber', 'Invalid decimal number'));
+    }
+    const value = parseFloat(part);
+    if (value > max) {
+      throw new TexError('ModelArg2',
+                         'Color values for the %1 model must be between %2 and %3',
+                         model, '0', String(max));
+    }
+    return value;
+  });
+}
+
+/**
+ * Convert red, green, and blue values to CSS format.
+ *
+ * @param {number[]} rgb The red, green, and blue values (between 0 and 1).
+ * @return {string} The color definition in CSS format e.g. `#44ff00`.
+ */
+function RGBtoHex(rgb: number[]): string {
+  return '#' + rgb.map(c => {
+    const pn = Math.round(Math.max(0, Math.min(1, c)) * 255).toString(16);
+    return (pn.length < 2 ? '0' + pn : pn);
+  }).join('');
+}
+
+/**
+ * Convert hue, saturation, and brightness values to red, green, and blue ones.
+ *
+ * @param {number[]} hsb The hue, saturation, and brightness values (between 0 and 1).
+ * @return {number[]} The red, green, and blue values.
+ */
+function HSBtoRGB([h, s, b]: number[]): number[] {
+  const i = Math.floor(6 * h) % 6;
+  const f = 6 * h - Math.floor(6 * h);
+  const [p, q, t] = [b * (1 - s), b * (1 - s * f), b * (1 - s * (1 - f))];
+  return [[b, t, p], [q, b, p], [p, b, t], [p, q, b], [t, p, b], [b, p, q]][i];
+}
+
+/**
+ * Get a cmyk color.
+ *
+ * @param {string} cmyk The color definition in cmyk: `0,1,1,0.2`.
+ * @return {string} The color definition in CSS format e.g. `#cc0000`.
+ */
+ColorModelProcessors.set('cmyk', function (cmyk: string): string {
+  const [c, m, y, k] = modelValues('cmyk', cmyk, 4, 1);
+  return RGBtoHex([c, m, y].map(x => 1 - Math.min(1, x + k)));
+});
+
+/**
+ * Get an HTML color.
+ *
+ * @param {string} html The color definition in HTML: `FF8000`.
+ * @return {string} The color definition in CSS format e.g. `#FF8000`.
+ */
+ColorModelProcessors.set('HTML', function (html: string): string {
+  if (!html.match(/^\s*[0-9a-f]{6}\s*$/i)) {
+    throw new TexError('ModelArg3', 'Color value for the %1 model must be 6 hexadecimal digits', 'HTML');
+  }
+  return '#' + html.trim();
+});
+
+/**
+ * Get an hsb color.
+ *
+ * @param {string} hsb The color definition in hsb: `0.5,1,0.8`.
+ * @return {string} The color definition in CSS format e.g. `#00cccc`.
+ */
+ColorModelProcessors.set('hsb', function (hsb: string): string {
+  return RGBtoHex(HSBtoRGB(modelValues('hsb', hsb, 3, 1)));
+});
+
+/**
+ * Get an HSB color.
+ *
+ * @param {string} hsb The color definition in HSB: `120,240,192`.
+ * @return {string} The color definition in CSS format e.g. `#00cccc`.
+ */
+ColorModelProcessors.set('HSB', function (hsb: string): string {
+  return RGBtoHex(HSBtoRGB(modelValues('HSB', hsb, 3, 240, true).map(x => x / 240)));
+});
+
+/**
+ * Get a Gray color.
+ *
+ * @param {string} gray The color definition in Gray: `8`.
+ * @return {string} The color definition in CSS format e.g. `#888888`.
+ */
+ColorModelProcessors.set('Gray', function (gray: string): string {
+  const [n] = modelValues('Gray', gray, 1, 15, true);
+  return RGBtoHex([n / 15, n / 15, n / 15]);
+});
+
+/**
+ * Get a color from its wavelength (in nanometers), following xcolor's
+ * approximation of the visible spectrum.
+ *
+ * @param {string} wave The color definition as a wavelength: `600`.
+ * @return {string} The color definition in CSS format e.g. `#ffb100`.
+ */
+ColorModelProcessors.set('wave', function (wave: string): string {
+  const [w] = modelValues('wave', wave, 1, Infinity);
+  if (w < 363 || w > 814) {
+    throw new TexError('ModelArg2',
+                       'Color values for the %1 model must be between %2 and %3',
+                       'wave', '363', '814');
+  }
+  const rgb = (w < 440 ? [(440 - w) / 60, 0, 1] :
+               w < 490 ? [0, (w - 440) / 50, 1] :
+               w < 510 ? [0, 1, (510 - w) / 20] :
+               w < 580 ? [(w - 510) / 70, 1, 0] :
+               w < 645 ? [1, (645 - w) / 65, 0] : [1, 0, 0]);
+  const f = (w < 420 ? .3 + .7 * (w - 380) / 40 : w > 700 ? .3 + .7 * (780 - w) / 80 : 1);
+  return RGBtoHex(rgb.map(c => f * Math.min(1, c)));
+});
@@ -0,0 +1,195 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Configuration file for the colortbl package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ArrayItem} from '../base/BaseItems.js';
+import {Configuration, ParserConfiguration} from '../Configuration.js';
+import {ColorConfiguration} from '../color/ColorConfiguration.js';
+import {CommandMap} from '../SymbolMap.js';
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import TexError from '../TexError.js';
+import NodeUtil from '../NodeUtil.js';
+import {TeX} from '../../tex.js';
+
+
+/**
+ * The colors that have been set for the current cell, row, and columns
+ * (span is the column color given in the template of a \multicolumn cell).
+ */
+export type ColorData = {
+  cell: string,
+  row: string,
+  col: string[],
+  span: string
+};
+
+
+/**
+ * An array that can have colored cells, rows, and columns, and colored rules.
+ */
+export class ColorArrayItem extends ArrayItem {
+
+  /**
+   * The colors that are in effect.
+   */
+  public color: ColorData = {cell: '', row: '', col: [], span: ''};
+
+  /**
+   * @override
+   */
+  public EndEntry() {
+    const n = this.columnIndex();
+    const color = this.color.cell ||
+      (this.color.row ? '' : this.cellAttributes['columnspan'] ? this.color.span : this.color.col[n]);
+    super.EndEntry();
+    if (color) {
+      NodeUtil.setAttribute(this.row[this.row.length - 1], 'mathbackground', color);
+    }
+    this.color.cell = this.color.span = '';
+  }
+
+  /**
+   * @override
+   */
+  public EndRow() {
+    super.EndRow();
+    if (this.color.row) {
+      NodeUtil.setAttribute(this.table[this.table.length - 1], 'mathbackground', this.color.row);
+      this.color.row = '';
+    }
+  }
+
+  /**
+   * @override
+   */
+  public EndTable() {
+    super.EndTable();
+    if (this.global.arrayrulecolor) {
+      this.arraydef['data-rule-color'] = this.global.arrayrulecolor as string;
+    }
+  }
+
+}
+
+
+// Namespace
+export const ColortblMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * Get the optional color model and the color name.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ * @return {string} The color.
+ */
+function getColor(parser: TexParser, name: string): string {
+  const model = parser.GetBrackets(name, '');
+  const color = parser.GetArgument(name);
+  return parser.configuration.packageData.get('color').model.getColor(model, color);
+}
+
+
+/**
+ * Implements \rowcolor, \columncolor, and \cellcolor.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ * @param {string} type The type of color (row, col, or cell).
+ */
+ColortblMethods.TableColor = function(parser: TexParser, name: string, type: string) {
+  const top = parser.stack.Top();
+  if (!(top instanceof ColorArrayItem)) {
+    throw new TexError('UnsupportedTableColor', 'Unsupported use of %1', name);
+  }
+  const color = getColor(parser, name);
+  if (type !== 'cell') {
+    //
+    //  The overhangs are not supported, so just skip them
+    //
+    parser.GetBrackets(name);
+    parser.GetBrackets(name);
+  }
+  switch (type) {
+  case 'row':
+    if (top.row.length) {
+      throw new TexError('Misplaced', 'Misplaced %1', name);
+    }
+    top.color.row = color;
+    top.InsertStart();
+    break;
+  case 'col':
+    if (top.cellAttributes['columnspan']) {
+      top.color.span = color;
+    } else {
+      top.color.col[top.columnIndex()] = color;
+    }
+    break;
+  default:
+    top.color.cell = color;
+  }
+};
+
+
+/**
+ * Implements \arrayrulecolor, which sets the color of the rules for the
+ * arrays that follow (or the one that contains it).
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ */
+ColortblMethods.ArrayRuleColor = function(parser: TexParser, name: string) {
+  parser.stack.global.arrayrulecolor = getColor(parser, name);
+};
+
+
+new CommandMap('colortbl', {
+  rowcolor: ['TableColor', 'row'],
+  columncolor: ['TableColor', 'col'],
+  cellcolor: ['TableColor', 'cell'],
+  arrayrulecolor: 'ArrayRuleColor'
+}, ColortblMethods);
+
+/**
+ * The row color comes before the column template's start code.
+ */
+ArrayItem.rowMacros.add('rowcolor');
+
+
+/**
+ * Make sure the color model is available (in case the color package isn't loaded).
+ * @param {ParserConfiguration} config The current configuration.
+ * @param {TeX} jax The TeX jax having that configuration.
+ */
+const config = function(config: ParserConfiguration, jax: TeX<any, any, any>) {
+  if (!jax.parseOptions.packageData.has('color')) {
+    ColorConfiguration.config(config, jax);
+  }
+};
+
+
+export const ColortblConfiguration = Configuration.create(
+  'colortbl', {
+    handler: {macro: ['colortbl']},
+    items: {'array': ColorArrayItem},
+    priority: 10,
+    config: [config, 10]
+  }
+);
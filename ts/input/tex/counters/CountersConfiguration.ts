@@ -0,0 +1,248 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Configuration file for the counters package (LaTeX
+ *               counters, and the ifthen-style conditionals).
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {Configuration, ParserConfiguration} from '../Configuration.js';
+import {CommandMap} from '../SymbolMap.js';
+import ParseOptions from '../ParseOptions.js';
+import {MathItem} from '../../../core/MathItem.js';
+import {MathDocument} from '../../../core/MathDocument.js';
+import {DOMAdaptor} from '../../../core/DOMAdaptor.js';
+import {expandable} from '../../../util/Options.js';
+import {TeX} from '../../tex.js';
+import {CountersMethods, CounterData, copyCounters, getCounterData, defineCounter,
+        changeCounter, numberWithin, equationPrefix} from './CountersMethods.js';
+import '../newcommand/NewcommandConfiguration.js';
+
+
+type FilterData = {math: MathItem<any, any, any>, document: MathDocument<any, any, any>, data: ParseOptions};
+
+
+/**
+ * Macros for the counters package.
+ */
+new CommandMap('counters-macros', {
+  newcounter:   'NewCounter',
+  setcounter:   'SetCounter',
+  addtocounter: 'AddToCounter',
+  stepcounter:  'StepCounter',
+  numberwithin: 'NumberWithin',
+  value:        ['Format', 'arabic'],
+  arabic:       ['Format', 'arabic'],
+  roman:        ['Format', 'roman'],
+  Roman:        ['Format', 'Roman'],
+  alph:         ['Format', 'alph'],
+  Alph:         ['Format', 'Alph'],
+  fnsymbol:     ['Format', 'fnsymbol'],
+  theequation:  ['Macro', '\\arabic{equation}'],
+  ifthenelse:   'IfThenElse',
+  ifnum:        'IfNum',
+  ifdim:        'IfDim',
+  ifx:          'IfX',
+  else:         'Extra',
+  fi:           'Extra'
+}, CountersMethods);
+
+
+/**
+ * Set a counter between expressions (e.g., to advance the section number in
+ * a document being processed one expression at a time).  The counters
+ * numbered within it are reset if its value changes.
+ *
+ * @param {TeX} jax The TeX input jax whose counter is to be set.
+ * @param {string} name The name of the counter.
+ * @param {number} value The new value for the counter.
+ */
+export function setCounter(jax: TeX<any, any, any>, name: string, value: number) {
+  changeCounter(jax.parseOptions, name, value);
+}
+
+
+/**
+ * Create the counter data (the equation counter is predefined, and
+ * its value is the one kept by the tagging code), and the counters given
+ * in the configuration.  The counters last for the life of the document
+ * (though the changes made while an expression is linted are undone).
+ *
+ * @param {ParserConfiguration} config The current configuration.
+ * @param {TeX} jax The TeX jax having that configuration.
+ */
+const config = function(_config: ParserConfiguration, jax: TeX<any, any, any>) {
+  const options = jax.parseOptions;
+  options.packageData.set('counters', {
+    counters: {equation: {value: 0, within: ''}},
+    start: null,
+    saved: null,
+    node: null
+  });
+  options.packageState.set('counters', () => {
+    const data = getCounterData(options);
+    const counters = copyCounters(data.counters);
+    return () => {
+      data.counters = counters;
+    };
+  });
+  const {define, numberWithin: within} = options.options.counters;
+  for (const name of Object.keys(define)) {
+    defineCounter(options, name);
+  }
+  for (const name of Object.keys(define)) {
+    if (define[name]) {
+      numberWithin(options, name, define[name]);
+    }
+  }
+  for (const name of Object.keys(within)) {
+    numberWithin(options, name, within[name]);
+  }
+};
+
+
+/**
+ * @param {DOMAdaptor} adaptor The DOM adaptor for the document.
+ * @param {N|T} node The node whose predecessor is needed.
+ * @return {N|T} The node preceding the given one in document order.
+ *
+ * @template N The HTMLElement node class
+ * @template T The Text node class
+ */
+function previousNode<N, T>(adaptor: DOMAdaptor<N, T, any>, node: N | T): N | T {
+  let prev = adaptor.previous(node);
+  if (!prev) {
+    return adaptor.parent(node);
+  }
+  while (isElement(adaptor, prev) && adaptor.lastChild(prev as N)) {
+    prev = adaptor.lastChild(prev as N);
+  }
+  return prev;
+}
+
+/**
+ * @param {DOMAdaptor} adaptor The DOM adaptor for the document.
+ * @param {N|T} node The node to check.
+ * @return {boolean} True if the node is an element node.
+ *
+ * @template N The HTMLElement node class
+ * @template T The Text node class
+ */
+function isElement<N, T>(adaptor: DOMAdaptor<N, T, any>, node: N | T): boolean {
+  const kind = adaptor.kind(node);
+  return !!kind && kind.charAt(0) !== '#';
+}
+
+
+/**
+ * Set the counters from the attributes of the elements in the page that precede
+ * a math item (back to the previous math item), so that, for example,
+ * <h2 data-mjx-counters="section=2"> sets the section number (and so resets the
+ * equation number, when equations are numbered within sections) for the math
+ * that follows it.  The attribute can contain several counter=value pairs,
+ * separated by spaces, commas, or semicolons.
+ *
+ * @param {FilterData} arg The math item, document, and parse options.
+ */
+function pageCounters({math, document, data}: FilterData) {
+  const attribute = data.options.counters.attribute;
+  const counters = getCounterData(data);
+  const node = math.start.node;
+  if (!attribute || !node || !document || node === counters.node) return;
+  const adaptor = document.adaptor;
+  const settings: string[] = [];
+  let prev = node;
+  while ((prev = previousNode(adaptor, prev)) && prev !== counters.node) {
+    if (isElement(adaptor, prev) && adaptor.hasAttribute(prev, attribute)) {
+      settings.unshift(adaptor.getAttribute(prev, attribute));
+    }
+  }
+  counters.node = node;
+  for (const setting of settings) {
+    for (const pair of setting.split(/[\s,;]+/)) {
+      const match = pair.match(/^([a-zA-Z]+)=([-+]?\d+)$/);
+      if (match) {
+        changeCounter(data, match[1], parseInt(match[2]));
+      }
+    }
+  }
+}
+
+
+/**
+ * Set the counters from the page, and save the counter values before an
+ * expression is processed, so that if it is reprocessed to resolve forward
+ * references, its counter changes are not made twice (the values at the time
+ * it was first processed are used, and the current ones are restored afterward).
+ *
+ * @param {FilterData} arg The math item, document, and parse options.
+ */
+const saveCounters = function(arg: FilterData) {
+  const {math, data} = arg;
+  const counters = getCounterData(data);
+  const recompile = math.inputData.recompile;
+  data.tags.numberPrefix = () => equationPrefix(data);
+  if (recompile && recompile.counters) {
+    counters.saved = counters.counters;
+    counters.counters = copyCounters(recompile.counters);
+  } else {
+    pageCounters(arg);
+    counters.start = copyCounters(counters.counters);
+  }
+};
+
+
+/**
+ * Record the starting counter values for an expression that will be reprocessed,
+ * or restore the counter values after an expression has been reprocessed.
+ *
+ * @param {FilterData} arg The math item, document, and parse options.
+ */
+const restoreCounters = function({math, data}: FilterData) {
+  const counters = data.packageData.get('counters') as CounterData;
+  if (counters.saved) {
+    counters.counters = counters.saved;
+    counters.saved = null;
+  } else if (math.inputData.recompile) {
+    math.inputData.recompile.counters = counters.start;
+  }
+  counters.start = null;
+};
+
+
+export const CountersConfiguration = Configuration.create(
+  'counters', {
+    handler: {macro: ['counters-macros']},
+    options: {
+      counters: {
+        // The counters to define, and the counter each is numbered within (if any)
+        define: expandable({section: '', subsection: 'section', subsubsection: 'subsection'}),
+        // The counters to number within other ones (as with \numberwithin),
+        //   e.g., {equation: 'section'} to number equations within sections
+        numberWithin: expandable({}),
+        // The attribute of elements in the page that sets counters for the math that follows,
+        //   e.g., <h2 data-mjx-counters="section=2"> (use '' to not check the page)
+        attribute: 'data-mjx-counters'
+      }
+    },
+    config,
+    preprocessors: [saveCounters],
+    postprocessors: [restoreCounters]
+  }
+);
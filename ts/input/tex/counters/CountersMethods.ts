@@ -0,0 +1,795 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Methods for the counters package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import ParseOptions from '../ParseOptions.js';
+import TexError from '../TexError.js';
+import ParseUtil from '../ParseUtil.js';
+import BaseMethods from '../base/BaseMethods.js';
+import NewcommandUtil from '../newcommand/NewcommandUtil.js';
+import {CommandMap} from '../SymbolMap.js';
+import {Symbol, Macro} from '../Symbol.js';
+
+
+// Namespace
+export const CountersMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * A LaTeX counter:  its value, and the counter whose stepping resets it (if any).
+ */
+export type Counter = {
+  value: number,
+  within: string
+};
+
+/**
+ * The counter data stored in the parse options' packageData:  the current
+ * counters, the ones at the start of the current expression, the ones
+ * saved while an expression is being reprocessed, and the page node where
+ * the previous expression started.
+ */
+export type CounterData = {
+  counters: {[name: string]: Counter},
+  start: {[name: string]: Counter},
+  saved: {[name: string]: Counter},
+  node: any
+};
+
+
+/**
+ * The pattern for an integer (with optional signs), or a counter value.
+ */
+const INTEGER = '((?:[-+]\\s*)*)(\\d+|\\\\value\\s*\\{[^{}]*\\})';
+
+/**
+ * The pattern for an integer comparison.
+ */
+const COMPARISON = new RegExp('^\\s*' + INTEGER + '\\s*([<=>])\\s*' + INTEGER + ' ?');
+
+
+/**
+ * @param {ParseOptions} options The parse options.
+ * @return {CounterData} The counter data for the parse options.
+ */
+export function getCounterData(options: ParseOptions): CounterData {
+  return options.packageData.get('counters');
+}
+
+
+/**
+ * @param {{[name:string]:Counter}} counters The counters to copy.
+ * @return {{[name:string]:Counter}} A copy of the counters (so that the values can be restored later).
+ */
+export function copyCounters(counters: {[name: string]: Counter}): {[name: string]: Counter} {
+  const copy: {[name: string]: Counter} = {};
+  for (const name of Object.keys(counters)) {
+    copy[name] = {...counters[name]};
+  }
+  return copy;
+}
+
+
+/**
+ * Get a counter, checking that it exists.
+ *
+ * @param {ParseOptions} options The parse options.
+ * @param {string} name The name of the counter.
+ * @return {Counter} The counter.
+ */
+function getCounter(options: ParseOptions, name: string): Counter {
+  const counter = getCounterData(options).counters[name];
+  if (!counter) {
+    throw new TexError('NoCounter', 'No counter \'%1\' defined', name);
+  }
+  return counter;
+}
+
+
+/**
+ * Get the value of a counter (the equation counter is the one used by the tagging code).
+ *
+ * @param {ParseOptions} options The parse options.
+ * @param {string} name The name of the counter.
+ * @return {number} The counter's value.
+ */
+export function getValue(options: ParseOptions, name: string): number {
+  const counter = getCounter(options, name);
+  return (name === 'equation' ? options.tags.counter : counter.value);
+}
+
+
+/**
+ * Set the value of a counter (the equation counter is the one used by the tagging code).
+ *
+ * @param {ParseOptions} options The parse options.
+ * @param {string} name The name of the counter.
+ * @param {number} value The new value.
+ */
+export function setValue(options: ParseOptions, name: string, value: number) {
+  const counter = getCounter(options, name);
+  if (name === 'equation') {
+    options.tags.counter = value;
+  } else {
+    counter.value = value;
+  }
+}
+
+
+/**
+ * Reset the counters that are numbered within a given one (and the ones within them).
+ *
+ * @param {ParseOptions} options The parse options.
+ * @param {string} name The name of the counter that was stepped.
+ */
+function resetWithin(options: ParseOptions, name: string) {
+  const counters = getCounterData(options).counters;
+  for (const id of Object.keys(counters)) {
+    if (counters[id].within === name) {
+      setValue(options, id, 0);
+      resetWithin(options, id);
+    }
+  }
+}
+
+
+/**
+ * Define (or redefine) the \the<name> macro for a counter.
+ *
+ * @param {ParseOptions} options The parse options.
+ * @param {string} name The name of the counter.
+ * @param {string} def The definition of the macro.
+ */
+function defineThe(options: ParseOptions, name: string, def: string) {
+  const map = options.handlers.retrieve(NewcommandUtil.NEW_COMMAND) as CommandMap;
+  map.add('the' + name, new Macro('the' + name, BaseMethods.Macro, [def, 0]));
+}
+
+
+/**
+ * Create a new counter.
+ *
+ * @param {ParseOptions} options The parse options.
+ * @param {string} name The name of the counter.
+ * @param {string} within The counter whose stepping resets this one (if any).
+ */
+export function defineCounter(options: ParseOptions, name: string, within: string = '') {
+  getCounterData(options).counters[name] = {value: 0, within};
+  defineThe(options, name, '\\arabic{' + name + '}');
+}
+
+
+/**
+ * Set a counter between expressions (e.g., a section number from the page), resetting
+ * the counters numbered within it if its value changes.  The counter is created if
+ * it doesn't already exist.
+ *
+ * @param {ParseOptions} options The parse options.
+ * @param {string} name The name of the counter.
+ * @param {number} value The new value.
+ */
+export function changeCounter(options: ParseOptions, name: string, value: number) {
+  const counters = getCounterData(options).counters;
+  const tags = options.tags;
+  if (!counters[name]) {
+    defineCounter(options, name);
+  }
+  tags.counter = tags.allCounter;
+  if (getValue(options, name) !== value) {
+    setValue(options, name, value);
+    resetWithin(options, name);
+  }
+  tags.allCounter = tags.counter;
+}
+
+
+/**
+ * @param {ParseOptions} options The parse options.
+ * @param {string} name The name of the counter.
+ * @return {string} The counter's number, including those of the counters it is
+ *                  numbered within (e.g., 2.3 for subsection 3 of section 2).
+ */
+function theCounter(options: ParseOptions, name: string): string {
+  const within = getCounter(options, name).within;
+  return (within ? theCounter(options, within) + '.' : '') + getValue(options, name);
+}
+
+
+/**
+ * @param {ParseOptions} options The parse options.
+ * @return {string} The prefix for equation numbers (e.g., the section number and a
+ *                  period, when equations are numbered within sections).
+ */
+export function equationPrefix(options: ParseOptions): string {
+  const within = getCounter(options, 'equation').within;
+  return (within ? theCounter(options, within) + '.' : '');
+}
+
+
+/**
+ * Number one counter within another (so that stepping the latter resets the former,
+ * and the former's number includes the latter's).
+ *
+ * @param {ParseOptions} options The parse options.
+ * @param {string} name The counter to number within another.
+ * @param {string} within The counter to number it within.
+ */
+export function numberWithin(options: ParseOptions, name: string, within: string) {
+  getCounter(options, within);
+  getCounter(options, name).within = within;
+  defineThe(options, name, '\\the' + within + '.\\arabic{' + name + '}');
+}
+
+
+/**
+ * Convert an integer (with optional signs) or counter value to a number.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} signs The signs preceding the value.
+ * @param {string} value The digits or \value{...} call.
+ * @return {number} The integer's value.
+ */
+function integerValue(parser: TexParser, signs: string, value: string): number {
+  const sign = (signs.split('-').length % 2 ? 1 : -1);
+  const counter = value.match(/^\\value\s*\{\s*(.*?)\s*\}$/);
+  return sign * (counter ? getValue(parser.configuration, counter[1]) : parseInt(value));
+}
+
+
+/**
+ * Get an integer argument (digits with optional signs, or a \value{...} call).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @return {number} The integer's value.
+ */
+function GetInteger(parser: TexParser, name: string): number {
+  const match = ParseUtil.trimSpaces(parser.GetArgument(name)).match(new RegExp('^' + INTEGER + '$'));
+  if (!match) {
+    throw new TexError('InvalidNumber', 'Invalid number');
+  }
+  return integerValue(parser, match[1], match[2]);
+}
+
+
+/**
+ * Compare two integers.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string[]} match The match of the COMPARISON pattern.
+ * @return {boolean} The result of the comparison.
+ */
+function compareIntegers(parser: TexParser, match: string[]): boolean {
+  const [a, b] = [integerValue(parser, match[1], match[2]), integerValue(parser, match[4], match[5])];
+  return (match[3] === '<' ? a < b : match[3] === '>' ? a > b : a === b);
+}
+
+
+/**
+ * Compare two dimensions.
+ *
+ * @param {string} text The text containing the comparison.
+ * @return {[boolean, number]} The result of the comparison and the length of the text it used
+ *                             (the length is 0 if the text isn't a valid comparison).
+ */
+function compareDimensions(text: string): [boolean, number] {
+  const [v1, u1, l1] = ParseUtil.matchDimen(text, true);
+  const match = text.substr(l1).match(/^\s*([<=>])\s*/);
+  if (!v1 || !match) {
+    return [false, 0];
+  }
+  const [v2, u2, l2] = ParseUtil.matchDimen(text.substr(l1 + match[0].length), true);
+  if (!v2) {
+    return [false, 0];
+  }
+  const [a, b] = [ParseUtil.dimen2em(v1 + u1), ParseUtil.dimen2em(v2 + u2)];
+  return [(match[1] === '<' ? a < b : match[1] === '>' ? a > b : a === b),
+          l1 + match[0].length + l2];
+}
+
+
+/**
+ * Evaluates the tests used by \ifthenelse:  \equal{a}{b}, \isodd{n},
+ * \lengthtest{d1 < d2}, and integer comparisons (n1 < n2, n1 = n2, n1 > n2),
+ * combined using \not, \and, \or, and \( ... \) (or their upper-case forms).
+ */
+class IfThenTest {
+
+  /**
+   * The current position in the test.
+   */
+  protected i: number = 0;
+
+  /**
+   * @param {TexParser} parser The calling parser.
+   * @param {string} name The name of the calling macro.
+   * @param {string} test The test to evaluate.
+   */
+  constructor(protected parser: TexParser, protected name: string, protected test: string) {}
+
+  /**
+   * @return {boolean} The value of the test.
+   */
+  public evaluate(): boolean {
+    const result = this.Or();
+    if (this.test.slice(this.i).match(/\S/)) {
+      this.error();
+    }
+    return result;
+  }
+
+  /**
+   * @return {boolean} The value of a disjunction.
+   */
+  protected Or(): boolean {
+    let result = this.And();
+    while (this.keyword('or')) {
+      result = this.And() || result;
+    }
+    return result;
+  }
+
+  /**
+   * @return {boolean} The value of a conjunction.
+   */
+  protected And(): boolean {
+    let result = this.Not();
+    while (this.keyword('and')) {
+      result = this.Not() && result;
+    }
+    return result;
+  }
+
+  /**
+   * @return {boolean} The value of a (possibly) negated test.
+   */
+  protected Not(): boolean {
+    return (this.keyword('not') ? !this.Not() : this.Test());
+  }
+
+  /**
+   * @return {boolean} The value of a single test.
+   */
+  protected Test(): boolean {
+    if (this.keyword('(')) {
+      const result = this.Or();
+      if (!this.keyword(')')) {
+        this.error();
+      }
+      return result;
+    }
+    if (this.keyword('equal')) {
+      return ParseUtil.trimSpaces(this.argument()) === ParseUtil.trimSpaces(this.argument());
+    }
+    if (this.keyword('isodd')) {
+      const match = ParseUtil.trimSpaces(this.argument()).match(new RegExp('^' + INTEGER + '$'));
+      if (!match) {
+        throw new TexError('InvalidNumber', 'Invalid number');
+      }
+      return Math.abs(integerValue(this.parser, match[1], match[2])) % 2 === 1;
+    }
+    if (this.keyword('lengthtest')) {
+      const text = this.argument();
+      const [result, length] = compareDimensions(text);
+      if (!length || text.slice(length).match(/\S/)) {
+        this.error();
+      }
+      return result;
+    }
+    const match = this.test.slice(this.i).match(COMPARISON);
+    if (!match) {
+      this.error();
+    }
+    this.i += match[0].length;
+    return compareIntegers(this.parser, match);
+  }
+
+  /**
+   * Check for (and skip) a control sequence in the test.
+   *
+   * @param {string} cs The name of the control sequence (lower case).
+   * @return {boolean} True if the control sequence is next in the test.
+   */
+  protected keyword(cs: string): boolean {
+    const pattern = (cs.match(/^[a-z]+$/) ? cs + '(?![a-zA-Z])|' + cs.toUpperCase() + '(?![a-zA-Z])' : '\\' + cs);
+    const match = this.test.slice(this.i).match(new RegExp('^\\s*\\\\(?:' + pattern + ')\\s*'));
+    if (match) {
+      this.i += match[0].length;
+    }
+    return !!match;
+  }
+
+  /**
+   * @return {string} The next braced argument (or single character) in the test.
+   */
+  protected argument(): string {
+    const text = this.test.slice(this.i);
+    const start = text.length - text.replace(/^\s*/, '').length;
+    if (text.charAt(start) !== '{') {
+      if (start === text.length) {
+        throw new TexError('MissingArgFor', 'Missing argument for %1', this.parser.currentCS);
+      }
+      this.i += start + 1;
+      return text.charAt(start);
+    }
+    let braces = 0;
+    for (let j = start; j < text.length; j++) {
+      const c = text.charAt(j);
+      if (c === '\\') {
+        j++;
+      } else if (c === '{') {
+        braces++;
+      } else if (c === '}' && --braces === 0) {
+        this.i += j + 1;
+        return text.slice(start + 1, j);
+      }
+    }
+    throw new TexError('MissingCloseBrace', 'Missing close brace');
+  }
+
+  /**
+   * Report an invalid test.
+   */
+  protected error() {
+    throw new TexError('InvalidTest', 'Invalid test for %1: %2', this.name, this.test);
+  }
+
+}
+
+
+/**
+ * The TeX conditionals that must be matched by a \fi when they are skipped
+ * (those that aren't implemented will produce an error if they are used).
+ */
+const CONDITIONALS = ['ifnum', 'ifdim', 'ifx', 'ifodd'];
+
+/**
+ * @param {TexParser} parser The calling parser.
+ * @param {string} cs The name of a macro (without the backslash).
+ * @return {boolean} True if the macro is a conditional that needs a \fi
+ *                   (either one of the TeX conditionals, or one defined from them by \let).
+ */
+function isConditional(parser: TexParser, cs: string): boolean {
+  if (CONDITIONALS.indexOf(cs) >= 0) {
+    return true;
+  }
+  const macro = parser.lookup('macro', cs);
+  return macro instanceof Macro &&
+    [CountersMethods.IfNum, CountersMethods.IfDim, CountersMethods.IfX].indexOf(macro.func) >= 0;
+}
+
+
+/**
+ * Get the text of the branches of a \ifnum, \ifdim, or \ifx conditional
+ * (properly skipping nested conditionals), and remove the conditional
+ * from the string being parsed.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the conditional.
+ * @return {[string, string]} The true and false branches.
+ */
+function getBranches(parser: TexParser, name: string): [string, string] {
+  const pattern = /\\(?:([a-zA-Z]+)|.)/g;
+  pattern.lastIndex = parser.i;
+  let depth = 0;
+  let [start, end] = [parser.i, -1];
+  let match;
+  while ((match = pattern.exec(parser.string))) {
+    const cs = match[1] || '';
+    if (cs && isConditional(parser, cs)) {
+      depth++;
+    } else if (cs === 'else' && depth === 0 && end < 0) {
+      end = match.index;
+      start = pattern.lastIndex;
+    } else if (cs === 'fi' && depth-- === 0) {
+      const branches: [string, string] = (end < 0 ?
+        [parser.string.slice(start, match.index), ''] :
+        [parser.string.slice(parser.i, end), parser.string.slice(start, match.index)]);
+      parser.string = parser.string.slice(pattern.lastIndex);
+      parser.i = 0;
+      return branches;
+    }
+  }
+  throw new TexError('MissingFi', 'Missing \\fi for %1', name);
+}
+
+
+/**
+ * Get the next token (a control sequence or a character) for \ifx.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @return {string} The token.
+ */
+function getToken(parser: TexParser): string {
+  const c = parser.GetNext();
+  if (c === '') {
+    throw new TexError('MissingArgFor', 'Missing argument for %1', parser.currentCS);
+  }
+  parser.i += c.length;
+  return (c === '\\' ? '\\' + parser.GetCS() : c);
+}
+
+
+/**
+ * Check if two tokens have the same meaning (are the same character,
+ * are both undefined, or are macros with the same definition).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} a The first token.
+ * @param {string} b The second token.
+ * @return {boolean} True if the tokens are the same.
+ */
+function sameMeaning(parser: TexParser, a: string, b: string): boolean {
+  if (a === b) return true;
+  if (a.length < 2 || b.length < 2 || a.charAt(0) !== '\\' || b.charAt(0) !== '\\') return false;
+  const [A, B] = [parser.lookup('macro', a.substr(1)), parser.lookup('macro', b.substr(1))];
+  if (!A || !B) return !A && !B;
+  if (A instanceof Symbol && B instanceof Symbol) {
+    return A.char === B.char;
+  }
+  if (A instanceof Macro && B instanceof Macro) {
+    return A.func === B.func && A.args.length === B.args.length &&
+      A.args.every((arg: any, i: number) => arg === B.args[i]);
+  }
+  return false;
+}
+
+
+/**
+ * Implements \newcounter{name}[within].
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+CountersMethods.NewCounter = function(parser: TexParser, name: string) {
+  const id = ParseUtil.trimSpaces(parser.GetArgument(name));
+  const within = ParseUtil.trimSpaces(parser.GetBrackets(name, ''));
+  if (!id.match(/^[a-zA-Z]+$/)) {
+    throw new TexError('BadCounterName', 'Illegal counter name \'%1\'', id);
+  }
+  if (getCounterData(parser.configuration).counters[id]) {
+    throw new TexError('CounterDefined', 'Counter \'%1\' already defined', id);
+  }
+  if (within) {
+    getCounter(parser.configuration, within);
+  }
+  defineCounter(parser.configuration, id, within);
+};
+
+
+/**
+ * Implements \numberwithin{name}{within}.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+CountersMethods.NumberWithin = function(parser: TexParser, name: string) {
+  const id = ParseUtil.trimSpaces(parser.GetArgument(name));
+  const within = ParseUtil.trimSpaces(parser.GetArgument(name));
+  numberWithin(parser.configuration, id, within);
+};
+
+
+/**
+ * Implements \setcounter{name}{value}.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+CountersMethods.SetCounter = function(parser: TexParser, name: string) {
+  const id = ParseUtil.trimSpaces(parser.GetArgument(name));
+  setValue(parser.configuration, id, GetInteger(parser, name));
+};
+
+
+/**
+ * Implements \addtocounter{name}{value}.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+CountersMethods.AddToCounter = function(parser: TexParser, name: string) {
+  const id = ParseUtil.trimSpaces(parser.GetArgument(name));
+  setValue(parser.configuration, id, getValue(parser.configuration, id) + GetInteger(parser, name));
+};
+
+
+/**
+ * Implements \stepcounter{name} (resetting the counters numbered within it).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+CountersMethods.StepCounter = function(parser: TexParser, name: string) {
+  const id = ParseUtil.trimSpaces(parser.GetArgument(name));
+  setValue(parser.configuration, id, getValue(parser.configuration, id) + 1);
+  resetWithin(parser.configuration, id);
+};
+
+
+/**
+ * Implements \value{name}, \arabic{name}, \roman{name}, etc.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @param {string} format The name of the format to use for the counter's value.
+ */
+CountersMethods.Format = function(parser: TexParser, name: string, format: string) {
+  const value = getValue(parser.configuration, ParseUtil.trimSpaces(parser.GetArgument(name)));
+  BaseMethods.Macro(parser, name, CounterFormats[format](value), 0);
+};
+
+
+/**
+ * Implements \ifthenelse{test}{true}{false}.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+CountersMethods.IfThenElse = function(parser: TexParser, name: string) {
+  const test = parser.GetArgument(name);
+  const T = parser.GetArgument(name);
+  const F = parser.GetArgument(name);
+  BaseMethods.Macro(parser, name, new IfThenTest(parser, name, test).evaluate() ? T : F, 0);
+};
+
+
+/**
+ * Implements \ifnum n1 < n2 ... \else ... \fi (and = and >).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+CountersMethods.IfNum = function(parser: TexParser, name: string) {
+  const match = parser.string.slice(parser.i).match(COMPARISON);
+  if (!match) {
+    throw new TexError('InvalidTest', 'Invalid test for %1: %2', name, parser.string.slice(parser.i));
+  }
+  parser.i += match[0].length;
+  const test = compareIntegers(parser, match);
+  const [T, F] = getBranches(parser, name);
+  BaseMethods.Macro(parser, name, test ? T : F, 0);
+};
+
+
+/**
+ * Implements \ifdim d1 < d2 ... \else ... \fi (and = and >).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+CountersMethods.IfDim = function(parser: TexParser, name: string) {
+  const [test, length] = compareDimensions(parser.string.slice(parser.i));
+  if (!length) {
+    throw new TexError('InvalidTest', 'Invalid test for %1: %2', name, parser.string.slice(parser.i));
+  }
+  parser.i += length;
+  const [T, F] = getBranches(parser, name);
+  BaseMethods.Macro(parser, name, test ? T : F, 0);
+};
+
+
+/**
+ * Implements \ifx\a\b ... \else ... \fi.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+CountersMethods.IfX = function(parser: TexParser, name: string) {
+  const test = sameMeaning(parser, getToken(parser), getToken(parser));
+  const [T, F] = getBranches(parser, name);
+  BaseMethods.Macro(parser, name, test ? T : F, 0);
+};
+
+
+/**
+ * Macros with fixed definitions.
+ */
+CountersMethods.Macro = BaseMethods.Macro;
+
+
+/**
+ * Report an \else or \fi without a matching conditional.
+ *
+ * @param {TexParser} _parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+CountersMethods.Extra = function(_parser: TexParser, name: string) {
+  throw new TexError('ExtraConditional', 'Extra %1', name);
+};
+
+
+/**
+ * Formats for the counter values.
+ */
+export const CounterFormats: {[name: string]: (n: number) => string} = {
+
+  /**
+   * @param {number} n The value to format.
+   * @return {string} The value as arabic numerals.
+   */
+  arabic(n: number): string {
+    return String(n);
+  },
+
+  /**
+   * @param {number} n The value to format.
+   * @return {string} The value as lower-case roman numerals.
+   */
+  roman(n: number): string {
+    return CounterFormats.Roman(n).toLowerCase();
+  },
+
+  /**
+   * @param {number} n The value to format.
+   * @return {string} The value as upper-case roman numerals.
+   */
+  Roman(n: number): string {
+    const numerals: [number, string][] = [
+      [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+      [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+    ];
+    let text = '';
+    for (const [value, numeral] of numerals) {
+      while (n >= value) {
+        text += numeral;
+        n -= value;
+      }
+    }
+    return text;
+  },
+
+  /**
+   * @param {number} n The value to format.
+   * @return {string} The value as lower-case letters (1 to 26).
+   */
+  alph(n: number): string {
+    return CounterFormats.Alph(n).toLowerCase();
+  },
+
+  /**
+   * @param {number} n The value to format.
+   * @return {string} The value as upper-case letters (1 to 26).
+   */
+  Alph(n: number): string {
+    if (n < 0 || n > 26) {
+      throw new TexError('CounterTooLarge', 'Counter too large');
+    }
+    return (n ? String.fromCharCode(0x40 + n) : '');
+  },
+
+  /**
+   * @param {number} n The value to format.
+   * @return {string} The value as footnote symbols (1 to 9).
+   */
+  fnsymbol(n: number): string {
+    const symbols = ['', '\\ast', '\\dagger', '\\ddagger', '\\S', '\\P', '\\|',
+                     '\\ast\\ast', '\\dagger\\dagger', '\\ddagger\\ddagger'];
+    if (n < 0 || n >= symbols.length) {
+      throw new TexError('CounterTooLarge', 'Counter too large');
+    }
+    return symbols[n];
+  }
+
+};
@@ -0,0 +1,46 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Configuration file for the fitch package (Fitch-style
+ *               natural deduction proofs).
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {Configuration} from '../Configuration.js';
+import {CommandMap} from '../SymbolMap.js';
+import {FitchMethods} from './FitchMethods.js';
+
+
+/**
+ * Macros for the fitch package.
+ */
+new CommandMap('fitch-macros', {
+  fitchprf: 'Proof',
+  subproof: 'Subproof',
+  pline:    'Line'
+}, FitchMethods);
+
+
+export const FitchConfiguration = Configuration.create(
+  'fitch', {
+    handler: {
+      macro: ['fitch-macros']
+    }
+  }
+);
@@ -0,0 +1,212 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Methods for the fitch package (Fitch-style natural deduction
+ *               proofs, using lplfitch's \fitchprf, \subproof, and \pline).
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import TexError from '../TexError.js';
+import ParseUtil from '../ParseUtil.js';
+import NodeUtil from '../NodeUtil.js';
+import {MmlNode} from '../../../core/MmlTree/MmlNode.js';
+
+
+// Namespace
+export const FitchMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * The proof is a table whose first column holds the line numbers and whose
+ * last one holds the justifications.  Between them is a column for each level
+ * of nesting, and the formula for a line at level n spans the columns from
+ * the nth one to the last of them.  The scope lines are the column lines
+ * between these columns, which are hidden where they cross a formula, so each
+ * is drawn only beside the lines of its (sub)proof.  The bars below the
+ * hypotheses are partial horizontal rules starting at the proof's scope line.
+ */
+
+/**
+ * The space between the line numbers and the outer scope line, between
+ * nested scope lines, and before the justifications.
+ */
+const NUMBERSEP = '1em';
+const INDENT = '.8em';
+const JUSTIFICATIONSEP = '2em';
+
+
+/**
+ * Parse the lines of a proof (the \pline and \subproof commands separated by \\).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @return {MmlNode[]} The mtr nodes for the lines (with their nesting depths).
+ */
+function getLines(parser: TexParser, name: string): MmlNode[] {
+  const env = Object.assign({}, parser.stack.env, {fitchLines: true});
+  const mml = new TexParser(parser.GetArgument(name), env, parser.configuration).mml();
+  const lines: MmlNode[] = [];
+  const collect = (node: MmlNode) => {
+    if (node.isKind('mtr')) {
+      lines.push(node);
+    } else if (node.isInferred || NodeUtil.getProperty(node, 'fitchLines')) {
+      node.childNodes.forEach(collect);
+    } else if (!node.isKind('mspace')) {
+      throw new TexError('BadFitchLine', 'Only \\pline and \\subproof can be used in %1', name);
+    }
+  };
+  collect(mml);
+  return lines;
+}
+
+
+/**
+ * Parse text (for formulas, line numbers and justifications) within a proof.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} text The text to parse.
+ * @param {boolean} math True for math mode, false for text mode.
+ * @return {MmlNode} The parsed text.
+ */
+function parseText(parser: TexParser, text: string, math: boolean): MmlNode {
+  if (math) {
+    const env = Object.assign({}, parser.stack.env, {fitchLines: false});
+    return new TexParser(text, env, parser.configuration).mml();
+  }
+  const nodes = ParseUtil.internalMath(parser, text, 0);
+  return (nodes.length === 1 ? nodes[0] : parser.create('node', 'mrow', nodes));
+}
+
+
+/**
+ * Check that a proof line is being used within a proof.
+ *
+ * @param {TexParser} parser The calling parser.
+ */
+function checkProof(parser: TexParser) {
+  if (!parser.stack.env['fitchLines']) {
+    throw new TexError('MisplacedFitchLine', '%1 can only be used within \\fitchprf', parser.currentCS);
+  }
+}
+
+
+/**
+ * Increase the nesting depth of the given lines, marking the last hypothesis.
+ *
+ * @param {MmlNode[]} hyps The hypotheses of the (sub)proof.
+ * @param {MmlNode[]} lines The remaining lines of the (sub)proof.
+ */
+function nestLines(hyps: MmlNode[], lines: MmlNode[]) {
+  for (const line of hyps.concat(lines)) {
+    NodeUtil.setProperty(line, 'fitchDepth', (NodeUtil.getProperty(line, 'fitchDepth') as number) + 1);
+  }
+  if (hyps.length) {
+    NodeUtil.setProperty(hyps[hyps.length - 1], 'fitchHyp', true);
+  }
+}
+
+
+/**
+ * Implements \pline[number]{formula}[justification].
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+FitchMethods.Line = function(parser: TexParser, name: string) {
+  checkProof(parser);
+  const n = parser.GetBrackets(name, '');
+  const formula = parser.GetArgument(name);
+  const justification = parser.GetBrackets(name, '');
+  const line = parser.create('node', 'mtr', [
+    parser.create('node', 'mtd', n ? [parseText(parser, n, false)] : []),
+    parser.create('node', 'mtd', [parseText(parser, formula, true)]),
+    parser.create('node', 'mtd', justification ? [parseText(parser, justification, false)] : [])
+  ]);
+  NodeUtil.setProperty(line, 'fitchDepth', 0);
+  parser.Push(line);
+};
+
+
+/**
+ * Implements \subproof{hypotheses}{lines}.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+FitchMethods.Subproof = function(parser: TexParser, name: string) {
+  checkProof(parser);
+  const hyps = getLines(parser, name);
+  const lines = getLines(parser, name);
+  nestLines(hyps, lines);
+  const mrow = parser.create('node', 'mrow', hyps.concat(lines));
+  NodeUtil.setProperty(mrow, 'fitchLines', true);
+  parser.Push(mrow);
+};
+
+
+/**
+ * Implements \fitchprf{premises}{lines}.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+FitchMethods.Proof = function(parser: TexParser, name: string) {
+  const premises = getLines(parser, name);
+  const lines = premises.concat(getLines(parser, name));
+  nestLines([], lines);
+  const depths = lines.map(line => NodeUtil.getProperty(line, 'fitchDepth') as number);
+  const D = Math.max(1, ...depths);
+  //
+  //  The bars below the hypotheses (the one for the premises is always drawn),
+  //  which stop at the formulas rather than the middle of the space before the
+  //  justifications
+  //
+  const trim = ParseUtil.Em(ParseUtil.dimen2em(JUSTIFICATIONSEP) / 2);
+  const rules = [[premises.length, 2]];
+  lines.forEach((line, j) => {
+    if (NodeUtil.getProperty(line, 'fitchHyp')) {
+      rules.push([j + 1, depths[j] + 1]);
+    }
+  });
+  //
+  //  Place the formulas in the columns for their depths
+  //
+  const rows = lines.map((line, j) => {
+    const [n, formula, justification] = line.childNodes as MmlNode[];
+    const d = depths[j];
+    if (d < D) {
+      NodeUtil.setAttribute(formula, 'columnspan', D - d + 1);
+    }
+    const empty = Array.from(Array(d - 1).keys()).map(() => parser.create('node', 'mtd', []));
+    return parser.create('node', 'mtr', [n, ...empty, formula, justification]);
+  });
+  const repeat = (value: string, n: number) => Array(n).fill(value);
+  const table = parser.create('node', 'mtable', rows, {
+    columnalign: ['right', ...repeat('left', D + 1)].join(' '),
+    columnlines: [...repeat('solid', D), 'none'].join(' '),
+    columnspacing: [NUMBERSEP, ...repeat(INDENT, D - 1), JUSTIFICATIONSEP].join(' '),
+    columnwidth: ['auto', ...repeat('0', D - 1), 'auto', 'auto'].join(' '),
+    rowspacing: '.2em',
+    displaystyle: false,
+    'data-hlines': rules.map(([row, col]) => `${row} ${col}-${D + 1} solid .07em 0 ${trim}`).join(';')
+  });
+  parser.Push(table);
+};
@@ -0,0 +1,60 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Configuration file for the mathtools package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {Configuration, ParserConfiguration} from '../Configuration.js';
+import {NewcommandConfiguration} from '../newcommand/NewcommandConfiguration.js';
+import {MultlinedItem, SpreadLinesItem} from './MathtoolsItems.js';
+import './MathtoolsMappings.js';
+
+
+/**
+ * Make sure the newcommand handlers are available for \DeclarePairedDelimiter.
+ * @param {ParserConfiguration} config The current configuration.
+ */
+const init = function(config: ParserConfiguration) {
+  NewcommandConfiguration.init(config);
+};
+
+
+export const MathtoolsConfiguration = Configuration.create(
+  'mathtools', {
+    handler: {
+      macro: ['mathtools-macros'],
+      environment: ['mathtools-environments']
+    },
+    items: {
+      [MultlinedItem.prototype.kind]: MultlinedItem,
+      [SpreadLinesItem.prototype.kind]: SpreadLinesItem
+    },
+    options: {
+      mathtools: {
+        multlinegap: '1em',             // horizontal space for multlined environments
+        'multlined-pos': 'c',           // default alignment for multlined environments
+        'firstline-afterskip': '',      // space for first line of multlined (overrides multlinegap)
+        'lastline-preskip': '',         // space for last line of multlined (overrides multlinegap)
+        'shortintertext-skip': '.25em'  // space above and below \shortintertext text
+      }
+    },
+    init: init
+  }
+);
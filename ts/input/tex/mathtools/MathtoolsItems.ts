@@ -0,0 +1,137 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview StackItems needed for the mathtools package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {CheckType, StackItem} from '../StackItem.js';
+import {BeginItem} from '../base/BaseItems.js';
+import {MultlineItem} from '../ams/AmsItems.js';
+import {TagInfo} from '../Tags.js';
+import ParseUtil from '../ParseUtil.js';
+import NodeUtil from '../NodeUtil.js';
+import {TexConstant} from '../TexConstants.js';
+import {MmlNode} from '../../../core/MmlTree/MmlNode.js';
+
+
+/**
+ * The multlined environment: a multline that can be used within other
+ * expressions (and so is not numbered).
+ */
+export class MultlinedItem extends MultlineItem {
+
+  /**
+   * @override
+   */
+  constructor(factory: any, ...args: any[]) {
+    super(factory, ...args);
+    //
+    // Replace the tag information started by multline, since multlined
+    // can't be tagged.
+    //
+    this.factory.configuration.tags.currentTag = new TagInfo('multlined', false, false);
+  }
+
+  /**
+   * @override
+   */
+  get kind() {
+    return 'multlined';
+  }
+
+  /**
+   * @override
+   */
+  public EndTable() {
+    if (this.Size() || this.row.length) {
+      this.EndEntry();
+      this.EndRow();
+    }
+    if (this.table.length > 1) {
+      const options = this.factory.configuration.options.mathtools;
+      const gap = options.multlinegap;
+      const first = NodeUtil.getChildren(this.table[0])[0];
+      if (NodeUtil.getAttribute(first, 'columnalign') !== TexConstant.Align.RIGHT) {
+        NodeUtil.appendChildren(first, [this.create('node', 'mspace', [], {
+          width: options['firstline-afterskip'] || gap
+        })]);
+      }
+      const last = NodeUtil.getChildren(this.table[this.table.length - 1])[0];
+      if (NodeUtil.getAttribute(last, 'columnalign') !== TexConstant.Align.LEFT) {
+        const mrow = NodeUtil.getChildren(last)[0];
+        mrow.childNodes.unshift(null);
+        NodeUtil.setChild(mrow, 0, this.create('node', 'mspace', [], {
+          width: options['lastline-preskip'] || gap
+        }));
+      }
+    }
+    super.EndTable();
+  }
+
+}
+
+
+/**
+ * The spreadlines environment, which adds space between the rows of the
+ * tables that it contains.
+ */
+export class SpreadLinesItem extends BeginItem {
+
+  /**
+   * @override
+   */
+  get kind() {
+    return 'spreadlines';
+  }
+
+  /**
+   * @override
+   */
+  public checkItem(item: StackItem): CheckType {
+    if (item.isKind('end') && item.getName() === this.getName()) {
+      this.spreadTables(this.nodes, ParseUtil.dimen2em(this.getProperty('spread') as string));
+      return [[this.factory.create('mml', this.toMml())], true];
+    }
+    return super.checkItem(item);
+  }
+
+  /**
+   * Add the extra space to the rowspacing of any tables in the given nodes
+   * (but not tables within the cells of those tables).
+   *
+   * @param {MmlNode[]} nodes   The nodes to search for tables
+   * @param {number} spread     The amount of space to add (in em's)
+   */
+  protected spreadTables(nodes: MmlNode[], spread: number) {
+    for (const node of nodes) {
+      if (!node || node.isToken) continue;
+      if (node.isKind('mtable')) {
+        const spacing = NodeUtil.getAttribute(node, 'rowspacing') as string;
+        NodeUtil.setAttribute(node, 'rowspacing', !spacing ? ParseUtil.Em(Math.max(0, spread)) :
+                              spacing.split(/ /).map(
+                                s => ParseUtil.Em(Math.max(0, ParseUtil.dimen2em(s) + spread))
+                              ).join(' '));
+      } else {
+        this.spreadTables(node.childNodes as MmlNode[], spread);
+      }
+    }
+  }
+
+}
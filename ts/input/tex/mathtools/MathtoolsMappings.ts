@@ -0,0 +1,114 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Mappings for TeX parsing of the mathtools package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {CommandMap, EnvironmentMap} from '../SymbolMap.js';
+import ParseMethods from '../ParseMethods.js';
+import {MathtoolsMethods} from './MathtoolsMethods.js';
+
+
+/**
+ * Macros for the mathtools package.
+ */
+new CommandMap('mathtools-macros', {
+  shortintertext:             'ShortIntertext',
+
+  DeclarePairedDelimiter:     ['DeclarePairedDelimiters', false, false],
+  DeclarePairedDelimiterX:    ['DeclarePairedDelimiters', true, false],
+  DeclarePairedDelimiterXPP:  ['DeclarePairedDelimiters', true, true],
+
+  vcentcolon:                 'CenterColon',
+  dblcolon:                   ['Macro', '\\mathrel{\\vcentcolon\\mkern-.9mu\\vcentcolon}'],
+  coloneqq:                   ['Macro', '\\mathrel{\\vcentcolon\\mkern-1.2mu=}'],
+  Coloneqq:                   ['Macro', '\\mathrel{\\vcentcolon\\mkern-.9mu\\vcentcolon\\mkern-1.2mu=}'],
+  coloneq:                    ['Macro', '\\mathrel{\\vcentcolon\\mkern-1.2mu\\mathrel{-}}'],
+  Coloneq:                    ['Macro', '\\mathrel{\\vcentcolon\\mkern-.9mu\\vcentcolon\\mkern-1.2mu\\mathrel{-}}'],
+  eqqcolon:                   ['Macro', '\\mathrel{=\\mkern-1.2mu\\vcentcolon}'],
+  Eqqcolon:                   ['Macro', '\\mathrel{=\\mkern-1.2mu\\vcentcolon\\mkern-.9mu\\vcentcolon}'],
+  eqcolon:                    ['Macro', '\\mathrel{\\mathrel{-}\\mkern-1.2mu\\vcentcolon}'],
+  Eqcolon:                    ['Macro', '\\mathrel{\\mathrel{-}\\mkern-1.2mu\\vcentcolon\\mkern-.9mu\\vcentcolon}'],
+  colonapprox:                ['Macro', '\\mathrel{\\vcentcolon\\mkern-1.2mu\\approx}'],
+  Colonapprox:                ['Macro', '\\mathrel{\\vcentcolon\\mkern-.9mu\\vcentcolon\\mkern-1.2mu\\approx}'],
+  colonsim:                   ['Macro', '\\mathrel{\\vcentcolon\\mkern-1.2mu\\sim}'],
+  Colonsim:                   ['Macro', '\\mathrel{\\vcentcolon\\mkern-.9mu\\vcentcolon\\mkern-1.2mu\\sim}'],
+
+  prescript:                  'Prescript',
+
+  underbracket:               'UnderOverBracket',
+  overbracket:                'UnderOverBracket',
+
+  mathllap:                   ['MathLap', '-1width'],
+  mathrlap:                   ['MathLap', ''],
+  mathclap:                   ['MathLap', '-.5width'],
+  cramped:                    'Cramped',
+  smashoperator:              'SmashOperator',
+
+  xleftrightarrow:            ['xArrow', 0x2194, 10, 10],
+  xLeftarrow:                 ['xArrow', 0x21D0, 12, 7],
+  xRightarrow:                ['xArrow', 0x21D2, 7, 12],
+  xLeftrightarrow:            ['xArrow', 0x21D4, 12, 12],
+  xhookleftarrow:             ['xArrow', 0x21A9, 10, 5],
+  xhookrightarrow:            ['xArrow', 0x21AA, 5, 10],
+  xmapsto:                    ['xArrow', 0x21A6, 10, 10],
+  xrightharpoondown:          ['xArrow', 0x21C1, 5, 10],
+  xleftharpoondown:           ['xArrow', 0x21BD, 10, 5],
+  xrightleftharpoons:         ['xArrow', 0x21CC, 10, 10],
+  xrightharpoonup:            ['xArrow', 0x21C0, 5, 10],
+  xleftharpoonup:             ['xArrow', 0x21BC, 10, 5],
+  xleftrightharpoons:         ['xArrow', 0x21CB, 10, 10]
+}, MathtoolsMethods);
+
+
+/**
+ * Environments for the mathtools package.
+ */
+new EnvironmentMap('mathtools-environments', ParseMethods.environment, {
+  dcases:           ['Array', null, '\\{', '.', 'll', null, '.2em', 'D'],
+  rcases:           ['Array', null, '.', '\\}', 'll', null, '.2em', 'T'],
+  drcases:          ['Array', null, '.', '\\}', 'll', null, '.2em', 'D'],
+  'cases*':         ['Cases', null, '\\{', '.', 'T'],
+  'dcases*':        ['Cases', null, '\\{', '.', 'D'],
+  'rcases*':        ['Cases', null, '.', '\\}', 'T'],
+  'drcases*':       ['Cases', null, '.', '\\}', 'D'],
+
+  'matrix*':        ['MtMatrix', null, null, null],
+  'pmatrix*':       ['MtMatrix', null, '(', ')'],
+  'bmatrix*':       ['MtMatrix', null, '[', ']'],
+  'Bmatrix*':       ['MtMatrix', null, '\\{', '\\}'],
+  'vmatrix*':       ['MtMatrix', null, '\\vert', '\\vert'],
+  'Vmatrix*':       ['MtMatrix', null, '\\Vert', '\\Vert'],
+
+  'smallmatrix*':   ['MtSmallMatrix', null, null, null],
+  psmallmatrix:     ['MtSmallMatrix', null, '(', ')', 'c'],
+  'psmallmatrix*':  ['MtSmallMatrix', null, '(', ')'],
+  bsmallmatrix:     ['MtSmallMatrix', null, '[', ']', 'c'],
+  'bsmallmatrix*':  ['MtSmallMatrix', null, '[', ']'],
+  Bsmallmatrix:     ['MtSmallMatrix', null, '\\{', '\\}', 'c'],
+  'Bsmallmatrix*':  ['MtSmallMatrix', null, '\\{', '\\}'],
+  vsmallmatrix:     ['MtSmallMatrix', null, '\\vert', '\\vert', 'c'],
+  'vsmallmatrix*':  ['MtSmallMatrix', null, '\\vert', '\\vert'],
+  Vsmallmatrix:     ['MtSmallMatrix', null, '\\Vert', '\\Vert', 'c'],
+  'Vsmallmatrix*':  ['MtSmallMatrix', null, '\\Vert', '\\Vert'],
+
+  multlined:        ['MtMultlined', null],
+  spreadlines:      ['SpreadLines', null]
+}, MathtoolsMethods);
@@ -0,0 +1,402 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview The mathtools parse methods.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {StackItem} from '../StackItem.js';
+import {ParseMethod} from '../Types.js';
+import ParseUtil from '../ParseUtil.js';
+import NodeUtil from '../NodeUtil.js';
+import TexParser from '../TexParser.js';
+import TexError from '../TexError.js';
+import {ArrayItem} from '../base/BaseItems.js';
+import BaseMethods from '../base/BaseMethods.js';
+import {AmsMethods} from '../ams/AmsMethods.js';
+import NewcommandUtil from '../newcommand/NewcommandUtil.js';
+import {MmlNode, TEXCLASS} from '../../../core/MmlTree/MmlNode.js';
+import {MmlMunderover} from '../../../core/MmlTree/MmlNodes/munderover.js';
+
+
+/**
+ * Check that a column alignment is l, c, or r.
+ * @param {string} align The alignment to check.
+ * @param {string} name The name of the environment using it.
+ * @return {string} The (trimmed) alignment.
+ */
+function checkAlign(align: string, name: string): string {
+  align = align.trim();
+  if (!align.match(/^[lcr]$/)) {
+    throw new TexError('BadAlignment', 'Alignment for %1 must be l, c, or r', '\\begin{' + name + '}');
+  }
+  return align;
+}
+
+
+/**
+ * Get a control sequence name given as an argument (with or without braces).
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @return {string} The control sequence name (without the backslash).
+ */
+function getCSname(parser: TexParser, name: string): string {
+  const cs = ParseUtil.trimSpaces(parser.GetArgument(name));
+  if (!cs.match(/^\\([a-z]+|.)$/i)) {
+    throw new TexError('IllegalControlSequenceName', 'Illegal control sequence name for %1', name);
+  }
+  return cs.substr(1);
+}
+
+
+/**
+ * Parse an argument, preceded by an optional math style (e.g., \scriptstyle).
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @return {MmlNode} The parsed argument.
+ */
+function parseStyledArg(parser: TexParser, name: string): MmlNode {
+  const style = ParseUtil.trimSpaces(parser.GetBrackets(name, ''));
+  const arg = parser.GetArgument(name);
+  return new TexParser(style ? style + '{' + arg + '}' : arg,
+                       parser.stack.env, parser.configuration).mml();
+}
+
+
+/**
+ * Find the munderover at the core of an operator (looking through mrows and
+ * TeXAtoms that contain only one child).
+ * @param {MmlNode} mml The node to check.
+ * @return {MmlMunderover} The munderover, or null if there isn't one.
+ */
+function getUnderOver(mml: MmlNode): MmlMunderover {
+  while (mml && (mml.isKind('mrow') || mml.isKind('TeXAtom') || mml.isInferred) &&
+         mml.childNodes.length === 1) {
+    mml = mml.childNodes[0] as MmlNode;
+  }
+  return (mml && mml.isKind('munderover') ? mml as MmlMunderover : null);
+}
+
+
+// Namespace
+export const MathtoolsMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * Handle the cases-like environments whose second column is in text mode
+ * (cases*, dcases*, rcases*, drcases*).
+ * @param {TexParser} parser The calling parser.
+ * @param {StackItem} begin The opening stackitem.
+ * @param {string} open The open delimiter.
+ * @param {string} close The close delimiter.
+ * @param {string} style Display style indicator.
+ */
+MathtoolsMethods.Cases = function(parser: TexParser, begin: StackItem,
+                                  open: string, close: string, style: string) {
+  const array = BaseMethods.Array(parser, begin, open, close, 'll', null, '.2em', style) as ArrayItem;
+  array.setProperty('isCases', true);
+  return array;
+};
+
+
+/**
+ * Handle the matrix environments with an optional column alignment
+ * (e.g., pmatrix*).
+ * @param {TexParser} parser The calling parser.
+ * @param {StackItem} begin The opening stackitem.
+ * @param {string} open The open delimiter.
+ * @param {string} close The close delimiter.
+ */
+MathtoolsMethods.MtMatrix = function(parser: TexParser, begin: StackItem,
+                                     open: string, close: string) {
+  const name = begin.getName();
+  const align = checkAlign(parser.GetBrackets('\\begin{' + name + '}', 'c'), name);
+  return BaseMethods.Array(parser, begin, open, close, align);
+};
+
+
+/**
+ * Handle the small matrix environments (e.g., psmallmatrix), with an
+ * optional column alignment for the starred forms.
+ * @param {TexParser} parser The calling parser.
+ * @param {StackItem} begin The opening stackitem.
+ * @param {string} open The open delimiter.
+ * @param {string} close The close delimiter.
+ * @param {string} align The column alignment (or null to read it as an option).
+ */
+MathtoolsMethods.MtSmallMatrix = function(parser: TexParser, begin: StackItem,
+                                          open: string, close: string, align: string) {
+  if (!align) {
+    const name = begin.getName();
+    align = checkAlign(parser.GetBrackets('\\begin{' + name + '}', 'c'), name);
+  }
+  return BaseMethods.Array(parser, begin, open, close, align, ParseUtil.Em(1 / 3), '.2em', 'S', true);
+};
+
+
+/**
+ * Implements the multlined environment, which takes optional position and
+ * width arguments (in either order).
+ * @param {TexParser} parser The calling parser.
+ * @param {StackItem} begin The opening stackitem.
+ */
+MathtoolsMethods.MtMultlined = function(parser: TexParser, begin: StackItem) {
+  const name = '\\begin{' + begin.getName() + '}';
+  let pos = parser.GetBrackets(name, '');
+  let width = (pos ? parser.GetBrackets(name, '') : '');
+  if (pos && !pos.trim().match(/^[cbt]$/)) {
+    [width, pos] = [pos, width];
+  }
+  parser.Push(begin);
+  const item = parser.itemFactory.create('multlined', false) as ArrayItem;
+  item.arraydef = {
+    displaystyle: true,
+    rowspacing: '.5em',
+    width: ParseUtil.trimSpaces(width) || 'auto',
+    columnwidth: '100%'
+  };
+  return ParseUtil.setArrayAlign(item, pos || parser.options.mathtools['multlined-pos']);
+};
+
+
+/**
+ * Implements the spreadlines environment.
+ * @param {TexParser} parser The calling parser.
+ * @param {StackItem} begin The opening stackitem.
+ */
+MathtoolsMethods.SpreadLines = function(parser: TexParser, begin: StackItem) {
+  const spread = parser.GetDimen('\\begin{' + begin.getName() + '}');
+  return parser.itemFactory.create('spreadlines').setProperties({name: begin.getName(), spread});
+};
+
+
+/**
+ * Implements \shortintertext, which adds a line of text between the rows
+ * of an alignment (with less space around it than \intertext).
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ */
+MathtoolsMethods.ShortIntertext = function(parser: TexParser, name: string) {
+  const top = parser.stack.Top();
+  if (!(top instanceof ArrayItem) || top.Size() || top.row.length) {
+    throw new TexError('Misplaced', 'Misplaced %1', name);
+  }
+  const skip = '+' + parser.options.mathtools['shortintertext-skip'];
+  const text = ParseUtil.internalMath(parser, parser.GetArgument(name));
+  top.TextRow(parser.create('node', 'mpadded', text, {height: skip, depth: skip}));
+};
+
+
+/**
+ * Implements \DeclarePairedDelimiter, \DeclarePairedDelimiterX, and
+ * \DeclarePairedDelimiterXPP.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ * @param {boolean} body True if there is a body (and argument count) given.
+ * @param {boolean} prepost True if there is pre- and post-delimiter code given.
+ */
+MathtoolsMethods.DeclarePairedDelimiters = function(parser: TexParser, name: string,
+                                                    body: boolean = false, prepost: boolean = false) {
+  const cs = getCSname(parser, name);
+  let n = (body ? ParseUtil.trimSpaces(parser.GetBrackets(name, '1')) : '1');
+  if (!n.match(/^[0-9]$/)) {
+    throw new TexError('IllegalParamNumber', 'Illegal number of parameters specified in %1', name);
+  }
+  const pre = (prepost ? parser.GetArgument(name) : '');
+  const open = parser.GetArgument(name);
+  const close = parser.GetArgument(name);
+  const post = (prepost ? parser.GetArgument(name) : '');
+  const def = (body ? parser.GetArgument(name) : '#1');
+  NewcommandUtil.addMacro(parser, cs, MathtoolsMethods.PairedDelimiters,
+                          [open, close, def, parseInt(n), pre, post]);
+};
+
+
+/**
+ * Implements a macro defined by \DeclarePairedDelimiter (or its variants).
+ * The starred form uses \left and \right, and a size macro (e.g., \big)
+ * can be given as an optional argument.  Within the body, \delimsize
+ * refers to the size being used.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ * @param {string} open The open delimiter.
+ * @param {string} close The close delimiter.
+ * @param {string} body The body of the macro (with #1, #2, etc.).
+ * @param {number} n The number of arguments.
+ * @param {string} pre Code to insert before the open delimiter.
+ * @param {string} post Code to insert after the close delimiter.
+ */
+MathtoolsMethods.PairedDelimiters = function(parser: TexParser, name: string,
+                                             open: string, close: string, body: string = '#1',
+                                             n: number = 1, pre: string = '', post: string = '') {
+  const star = parser.GetStar();
+  const size = (star ? '' : ParseUtil.trimSpaces(parser.GetBrackets(name, '')));
+  const [left, right, delim] = (star ? ['\\left', '\\right', '\\middle'] :
+                                size ? [size + 'l', size + 'r', size] : ['', '', '']);
+  body = body.replace(/\\delimsize(?![a-zA-Z])/g, delim);
+  if (n) {
+    const args: string[] = [];
+    for (let i = 0; i < n; i++) {
+      args.push(parser.GetArgument(name));
+    }
+    pre = ParseUtil.substituteArgs(parser, args, pre);
+    body = ParseUtil.substituteArgs(parser, args, body);
+    post = ParseUtil.substituteArgs(parser, args, post);
+  }
+  const tex = (star ? [left, open, ' ', body, right, close] :
+               ['\\mathopen{', left, open, '}', body, '\\mathclose{', right, close, '}']);
+  parser.string = [pre, ...tex, post, parser.string.substr(parser.i)]
+    .reduce((s, part) => ParseUtil.addArgs(parser, s, part), '');
+  parser.i = 0;
+  if (++parser.macroCount > parser.configuration.options['maxMacros']) {
+    throw new TexError('MaxMacroSub1',
+                       'MathJax maximum macro substitution count exceeded; ' +
+                       'is there a recursive macro call?');
+  }
+};
+
+
+/**
+ * Implements \vcentcolon, a colon that is centered on the math axis.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ */
+MathtoolsMethods.CenterColon = function(parser: TexParser, _name: string) {
+  const colon = parser.create('token', 'mo', {}, ':');
+  const mpadded = parser.create('node', 'mpadded', [colon], {voffset: '.04em', height: '+.04em', depth: '-.04em'});
+  parser.Push(parser.create('node', 'TeXAtom', [mpadded], {texClass: TEXCLASS.REL}));
+};
+
+
+/**
+ * Implements \prescript{sup}{sub}{base}.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ */
+MathtoolsMethods.Prescript = function(parser: TexParser, name: string) {
+  const sup = ParseUtil.trimSpaces(parser.GetArgument(name));
+  const sub = ParseUtil.trimSpaces(parser.GetArgument(name));
+  const base = parser.ParseArg(name);
+  const script = (tex: string) => (tex ? new TexParser(tex, parser.stack.env, parser.configuration).mml() :
+                                   parser.create('node', 'none'));
+  parser.Push(parser.create('node', 'mmultiscripts', [
+    base, parser.create('node', 'mprescripts'), script(sub), script(sup)
+  ]));
+};
+
+
+/**
+ * Implements \underbracket and \overbracket, with optional rule thickness
+ * and bracket height.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ */
+MathtoolsMethods.UnderOverBracket = function(parser: TexParser, name: string) {
+  const thickness = ParseUtil.trimSpaces(parser.GetBrackets(name, '')) || '.4pt';
+  const height = ParseUtil.trimSpaces(parser.GetBrackets(name, '')) || '3pt';
+  const arg = parser.GetArgument(name);
+  const over = (name.charAt(1) === 'o');
+  const parse = () => new TexParser(arg, parser.stack.env, parser.configuration).mml();
+  const phantom = parser.create('node', 'mpadded', [parser.create('node', 'mphantom', [parse()])],
+                                {height: height, depth: 0});
+  const bracket = parser.create('node', 'menclose', [phantom], {
+    notation: (over ? 'top' : 'bottom') + ' left right',
+    'data-padding': 0,
+    'data-thickness': thickness
+  });
+  const mml = parser.create('node', 'munderover', [parse()], {[over ? 'accent' : 'accentunder']: true}) as MmlMunderover;
+  NodeUtil.setChild(mml, over ? mml.over : mml.under, bracket);
+  const node = parser.create('node', 'TeXAtom', [mml], {texClass: TEXCLASS.OP, movesupsub: true});
+  NodeUtil.setProperty(node, 'subsupOK', true);
+  parser.Push(node);
+};
+
+
+/**
+ * Implements \mathllap, \mathrlap, and \mathclap, with an optional math style.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ * @param {string} lspace The lspace to use to position the content.
+ */
+MathtoolsMethods.MathLap = function(parser: TexParser, name: string, lspace: string) {
+  const mml = parser.create('node', 'mpadded', [parseStyledArg(parser, name)], {width: 0});
+  if (lspace) {
+    NodeUtil.setAttribute(mml, 'lspace', lspace);
+  }
+  parser.Push(parser.create('node', 'TeXAtom', [mml]));
+};
+
+
+/**
+ * Implements \cramped, with an optional math style.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ */
+MathtoolsMethods.Cramped = function(parser: TexParser, name: string) {
+  parser.Push(parser.create('node', 'mstyle', [parseStyledArg(parser, name)], {texprimestyle: true}));
+};
+
+
+/**
+ * Implements \smashoperator[lr]{op}, which makes the limits of the operator
+ * not take up space beyond the operator on the given sides.
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The macro name.
+ */
+MathtoolsMethods.SmashOperator = function(parser: TexParser, name: string) {
+  const smash = ParseUtil.trimSpaces(parser.GetBrackets(name, 'lr'));
+  if (!smash.match(/^(l|r|lr|rl)$/)) {
+    throw new TexError('BadSmashOperatorOption', 'Option for %1 must be l, r, or lr', name);
+  }
+  const arg = parser.GetArgument(name);
+  const parse = () => new TexParser(arg, parser.stack.env, parser.configuration).mml();
+  const mml = parse();
+  const op = getUnderOver(mml);
+  if (!op) {
+    parser.Push(mml);
+    return;
+  }
+  if (op.isEmbellished) {
+    NodeUtil.setProperties(NodeUtil.getCoreMO(op), {lspace: 0, rspace: 0});
+  }
+  //
+  //  The operator is centered in a box that covers the unsmashed sides of
+  //  the limits, and is padded out to the edges of the base on the smashed sides
+  //  using half-width phantoms of the base.
+  //
+  const [l, r] = [!!smash.match(/l/), !!smash.match(/r/)];
+  const mpadded = parser.create('node', 'mpadded', [mml], {
+    width: (l && r ? 0 : '.5width'),
+    lspace: (l ? '-.5width' : 0)
+  });
+  const half = () => {
+    const base = getUnderOver(parse()).childNodes[op.base] as MmlNode;
+    return parser.create('node', 'mpadded', [parser.create('node', 'mphantom', [base])], {width: '.5width'});
+  };
+  const nodes = [...(l ? [half()] : []), mpadded, ...(r ? [half()] : [])]
+    .map(node => parser.create('node', 'TeXAtom', [node]));
+  parser.Push(parser.create('node', 'TeXAtom', nodes, {texClass: TEXCLASS.OP}));
+};
+
+
+MathtoolsMethods.Array = BaseMethods.Array;
+
+MathtoolsMethods.Macro = BaseMethods.Macro;
+
+MathtoolsMethods.xArrow = AmsMethods.xArrow;
@@ -24,6 +24,7 @@
 
 
 import {ParseMethod} from '../Types.js';
+import {HandlerType} from '../MapHandler.js';
 import TexError from '../TexError.js';
 import TexParser from '../TexParser.js';
 import * as sm from '../SymbolMap.js';
@@ -37,6 +38,21 @@ import NewcommandUtil from './NewcommandUtil.js';
 // Namespace
 let NewcommandMethods: Record<string, ParseMethod> = {};
 
+
+/**
+ * Check whether a name is already defined by one of the packages (rather
+ * than by a previous \newcommand or \newenvironment).
+ * @param {TexParser} parser The calling parser.
+ * @param {HandlerType} kind The type of name (macro or environment).
+ * @param {string} name The name to check.
+ * @param {string} map The name of the map holding the user definitions.
+ * @return {boolean} True if a package map defines the name.
+ */
+function isPackageDefined(parser: TexParser, kind: HandlerType, name: string, map: string): boolean {
+  const defined = parser.configuration.handlers.get(kind).applicable(name);
+  return !!defined && defined.name !== map;
+}
+
 /**
  * Implements \newcommand{\name}[n][default]{...}
  * @param {TexParser} parser The calling parser.
@@ -66,6 +82,9 @@ NewcommandMethods.NewCommand = function(parser: TexParser, name: string) {
                           'Illegal number of parameters specified in %1', name);
     }
   }
+  if (name === '\\newcommand' && isPackageDefined(parser, 'macro', cs, NewcommandUtil.NEW_COMMAND)) {
+    parser.warn('CommandRedefined', 'Command %1 is already defined', '\\' + cs);
+  }
   NewcommandUtil.addMacro(parser, cs, NewcommandMethods.Macro, [def, n, opt]);
 };
 
@@ -91,6 +110,10 @@ NewcommandMethods.NewEnvironment = function(parser: TexParser, name: string) {
                           'Illegal number of parameters specified in %1', name);
         }
   }
+  if (name === '\\newenvironment' &&
+      isPackageDefined(parser, 'environment', env, NewcommandUtil.NEW_ENVIRONMENT)) {
+    parser.warn('EnvironmentRedefined', 'Environment \'%1\' is already defined', env);
+  }
   NewcommandUtil.addEnvironment(parser, env, NewcommandMethods.BeginEnv, [true, bdef, edef, n, opt]);
 };
 
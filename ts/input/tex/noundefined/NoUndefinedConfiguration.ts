@@ -32,6 +32,7 @@ import TexParser from '../TexParser.js';
  * @param {string} name The macro name.
  */
 function noUndefined(parser: TexParser, name: string) {
+  parser.warn('UndefinedControlSequence', 'Undefined control sequence %1', '\\' + name);
   const textNode = parser.create('text', '\\' + name);
   const options = parser.options.noundefined || {};
   const def = {} as {[name: string]: string};
@@ -0,0 +1,100 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Creates TeX packages from LaTeX preambles of macro definitions.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {Configuration} from '../Configuration.js';
+import {AbstractParseMap, CommandMap, DelimiterMap, EnvironmentMap} from '../SymbolMap.js';
+import {BeginEnvItem} from '../newcommand/NewcommandItems.js';
+import NewcommandUtil from '../newcommand/NewcommandUtil.js';
+import '../newcommand/NewcommandConfiguration.js';
+import {NEW_OPS} from '../ams/AmsMethods.js';
+import '../ams/AmsConfiguration.js';
+import ParseMethods from '../ParseMethods.js';
+import TexParser from '../TexParser.js';
+import {MmlFactory} from '../../../core/MmlTree/MmlFactory.js';
+import {TeX} from '../../tex.js';
+
+
+/**
+ * Copy the definitions from one map to another.
+ * @param {AbstractParseMap} from The map containing the definitions (if any).
+ * @param {AbstractParseMap} to The map to copy them to.
+ */
+function copyMap(from: AbstractParseMap<any>, to: AbstractParseMap<any>) {
+  if (!from) return;
+  for (const [symbol, value] of from.entries()) {
+    to.add(symbol, value);
+  }
+}
+
+
+/**
+ * Process a LaTeX preamble (a collection of \newcommand, \def, \let,
+ * \newenvironment, and \DeclareMathOperator definitions, and the like) and
+ * create a package containing the resulting macros and environments.  The
+ * package can then be included in the TeX input jax's packages array, or
+ * loaded via \require{}.  The new package relies on the newcommand package
+ * (and on the ams package for operators defined by \DeclareMathOperator), so
+ * those should be loaded as well.
+ *
+ * @param {string} name The name of the package to create.
+ * @param {string} preamble The LaTeX definitions to process.
+ * @param {string[]} packages The packages needed to process the definitions.
+ * @return {Configuration} The configuration for the new package.
+ */
+export function definePreamble(name: string, preamble: string,
+                               packages: string[] = ['base', 'ams', 'newcommand']): Configuration {
+  //
+  //  Process the definitions using a separate TeX input jax
+  //    (any errors are thrown as TexErrors).
+  //
+  const jax = new TeX({packages});
+  jax.setMmlFactory(new MmlFactory());
+  new TexParser(preamble, {}, jax.parseOptions).mml();
+  //
+  //  Move the definitions into maps for the new package.
+  //
+  const handlers = jax.parseOptions.handlers;
+  const DELIMITERS = name + '-preamble-delimiters';
+  const MACROS = name + '-preamble-macros';
+  const ENVIRONMENTS = name + '-preamble-environments';
+  copyMap(handlers.retrieve(NewcommandUtil.NEW_DELIMITER) as DelimiterMap,
+          new DelimiterMap(DELIMITERS, ParseMethods.delimiter, {}));
+  const macros = new CommandMap(MACROS, {}, {});
+  copyMap(handlers.retrieve(NewcommandUtil.NEW_COMMAND) as CommandMap, macros);
+  copyMap(handlers.retrieve(NEW_OPS) as CommandMap, macros);
+  copyMap(handlers.retrieve(NewcommandUtil.NEW_ENVIRONMENT) as EnvironmentMap,
+          new EnvironmentMap(ENVIRONMENTS, ParseMethods.environment, {}, {}));
+  return Configuration.create(
+    name, {
+      handler: {
+        delimiter: [DELIMITERS],
+        macro: [DELIMITERS, MACROS],
+        environment: [ENVIRONMENTS]
+      },
+      items: {
+        [BeginEnvItem.prototype.kind]: BeginEnvItem
+      },
+      priority: 3
+    }
+  );
+}
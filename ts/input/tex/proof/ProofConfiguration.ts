@@ -0,0 +1,54 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Configuration file for the proof package (proof.sty's
+ *               inference rules, laid out as in bussproofs).
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {Configuration} from '../Configuration.js';
+import {CommandMap} from '../SymbolMap.js';
+import {ProofMethods} from './ProofMethods.js';
+import {saveDocument, clearDocument, balanceRules, makeBsprAttributes} from '../bussproofs/BussproofsUtil.js';
+
+
+/**
+ * Macros for the proof package.
+ */
+new CommandMap('proof-macros', {
+  infer:  'Infer',
+  deduce: 'Deduce'
+}, ProofMethods);
+
+
+export const ProofConfiguration = Configuration.create(
+  'proof', {
+    handler: {
+      macro: ['proof-macros']
+    },
+    preprocessors: [
+      [saveDocument, 1]
+    ],
+    postprocessors: [
+      [clearDocument, 3],
+      [makeBsprAttributes, 2],
+      [balanceRules, 1]
+    ]
+  }
+);
@@ -0,0 +1,142 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Methods for the proof package (proof.sty's \infer and \deduce).
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import {MmlNode} from '../../../core/MmlTree/MmlNode.js';
+import {createPremises, createRule} from '../bussproofs/BussproofsMethods.js';
+import * as BussproofsUtil from '../bussproofs/BussproofsUtil.js';
+
+
+// Namespace
+export const ProofMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * Split the premises of a rule at the & that are not in braces.
+ *
+ * @param {string} text The premises, separated by &.
+ * @return {string[]} The individual premises.
+ */
+function splitPremises(text: string): string[] {
+  const premises: string[] = [];
+  let [braces, start] = [0, 0];
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charAt(i);
+    if (c === '\\') {
+      i++;
+    } else if (c === '{') {
+      braces++;
+    } else if (c === '}') {
+      braces--;
+    } else if (c === '&' && !braces) {
+      premises.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  premises.push(text.slice(start));
+  return premises;
+}
+
+
+/**
+ * Parse a formula of the proof.  Inferences are used as they are, while
+ * other formulas are padded on either side (as in bussproofs).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} text The formula to parse.
+ * @return {MmlNode} The parsed formula.
+ */
+function parseFormula(parser: TexParser, text: string): MmlNode {
+  const mml = new TexParser(text, parser.stack.env, parser.configuration).mml();
+  if (BussproofsUtil.getProperty(mml, 'inference') != null) {
+    BussproofsUtil.removeProperty(mml, 'proof');
+    return mml;
+  }
+  if (!mml.childNodes.length && mml.isInferred) {
+    return parser.create('node', 'mrow', []);
+  }
+  const lpad = parser.create('node', 'mspace', [], {width: '.5ex'});
+  const rpad = parser.create('node', 'mspace', [], {width: '.5ex'});
+  return parser.create('node', 'mrow', [lpad, mml, rpad]);
+}
+
+
+/**
+ * Creates the inference from its parts and pushes it on the stack.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @param {string} middle The material between the premises and conclusion
+ *     (or null when the two are separated by a line).
+ * @param {string} label The label for the rule, in script style (or '' for none).
+ */
+function makeInference(parser: TexParser, name: string, middle: string, label: string) {
+  const conclusion = parseFormula(parser, parser.GetArgument(name));
+  const premises = splitPremises(parser.GetArgument(name)).map(text => parseFormula(parser, text));
+  const childCount = (premises.length === 1 && !premises[0].childNodes.length ? 0 : premises.length);
+  let lower = conclusion;
+  if (middle) {
+    const mid = new TexParser(middle, parser.stack.env, parser.configuration).mml();
+    lower = parser.create('node', 'mtable', [
+      parser.create('node', 'mtr', [parser.create('node', 'mtd', [mid])]),
+      parser.create('node', 'mtr', [parser.create('node', 'mtd', [conclusion])])
+    ], {rowspacing: '0', framespacing: '0 0'});
+  }
+  const right = (label ?
+                 parser.create('node', 'mstyle', [
+                   new TexParser(label, parser.stack.env, parser.configuration).mml()
+                 ], {displaystyle: false, scriptlevel: 1}) : null);
+  const rule = createRule(parser, createPremises(parser, premises, false), [lower],
+                          null, right, (middle === null ? 'solid' : 'none'), false);
+  BussproofsUtil.setProperty(rule, 'inference', childCount);
+  BussproofsUtil.setProperty(rule, 'proof', true);
+  parser.configuration.addNode('inference', rule);
+  parser.Push(rule);
+}
+
+
+/**
+ * Implements \infer[label]{conclusion}{premise & premise ...}, and
+ * \infer*[label]{conclusion}{premises} for multi-step inferences.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+ProofMethods.Infer = function(parser: TexParser, name: string) {
+  const steps = parser.GetStar();
+  const label = parser.GetBrackets(name, '');
+  makeInference(parser, name, steps ? '\\vdots' : null, label);
+};
+
+
+/**
+ * Implements \deduce[proof]{conclusion}{premises}, which stacks the premises
+ * over the conclusion with no rule (and the proof between them, if given).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+ProofMethods.Deduce = function(parser: TexParser, name: string) {
+  makeInference(parser, name, parser.GetBrackets(name, ''), '');
+};
@@ -117,7 +117,7 @@ export function RequireLoad(parser: TexParser, name: string) {
   if (!allowed) {
     throw new TexError('BadRequire', 'Extension "%1" is now allowed to be loaded', extension);
   }
-  if (Package.packages.has(extension)) {
+  if (Package.packages.has(extension) || ConfigurationHandler.get(name)) {
     RegisterExtension(parser.configuration.packageData.get('require').jax, extension);
   } else {
     mathjax.retryAfter(Loader.load(extension));
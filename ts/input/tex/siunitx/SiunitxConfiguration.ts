@@ -0,0 +1,103 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Configuration file for the siunitx package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {Configuration, ParserConfiguration} from '../Configuration.js';
+import {UnitRegistry} from './SiunitxUnits.js';
+import {expandable} from '../../../util/Options.js';
+import {TeX} from '../../tex.js';
+import './SiunitxMappings.js';
+
+
+/**
+ * Create the unit registry (including any units and prefixes from the configuration),
+ * and save its state, together with the siunitx options, when asked.
+ * @param {ParserConfiguration} config The current configuration.
+ * @param {TeX} jax The TeX jax having that configuration.
+ */
+const config = function(_config: ParserConfiguration, jax: TeX<any, any, any>) {
+  const options = jax.parseOptions.options;
+  const units = new UnitRegistry(options.siunitx);
+  jax.parseOptions.packageData.set('siunitx', {units});
+  jax.parseOptions.packageState.set('siunitx', () => {
+    const restoreUnits = units.save();
+    const settings = {...options.siunitx};
+    return () => {
+      restoreUnits();
+      options.siunitx = settings;
+    };
+  });
+};
+
+
+export const SiunitxConfiguration = Configuration.create(
+  'siunitx', {
+    handler: {macro: ['siunitx-macros']},
+    options: {
+      siunitx: {
+        //
+        //  Number parsing and output
+        //
+        'parse-numbers': true,              // false to use numbers as given
+        'output-decimal-marker': '.',       // the decimal marker to use
+        'group-digits': 'all',              // all, none, integer, or decimal
+        'group-minimum-digits': 5,          // the number of digits needed before grouping
+        'group-separator': '\\,',           // the TeX between digit groups
+        'bracket-negative-numbers': false,  // true to use (1) rather than -1
+        'retain-explicit-plus': false,      // true to keep a leading +
+        'uncertainty-mode': 'compact',      // compact or separate
+        'exponent-mode': 'input',           // input, fixed, scientific, or engineering
+        'fixed-exponent': 0,                // the exponent used for fixed exponent-mode
+        'exponent-base': '10',              // the base for exponents
+        'exponent-product': '\\times',      // the TeX between the mantissa and the base
+        'output-exponent-marker': '',       // the marker to use in place of the base (e.g., e)
+        'print-unity-mantissa': true,       // false to use 10^3 rather than 1 x 10^3
+        'print-zero-exponent': false,       // true to show exponents of zero
+        'round-mode': 'none',               // none, places, or figures
+        'round-precision': 2,               // the number of places or figures to round to
+        'round-pad': true,                  // true to pad with zeros to the rounding precision
+        //
+        //  Unit output
+        //
+        'per-mode': 'power',                // power, power-positive-first, fraction, symbol,
+                                            //   or repeated-symbol
+        'per-symbol': '/',                  // the TeX for the symbol per-modes
+        'bracket-unit-denominator': true,   // true to enclose multiple denominator units in parens
+        'inter-unit-product': '\\,',        // the TeX between units
+        'number-unit-product': '\\,',       // the TeX between a number and its units
+        //
+        //  Ranges
+        //
+        'range-phrase': '\\text{ to }',     // the TeX between the numbers in a range
+        'range-units': 'repeat',            // repeat, single, or bracket
+        //
+        //  Additional units and prefixes, e.g.,
+        //    units: {furlong: 'fur', kWh: {units: '\\kilo\\watt\\hour'}},
+        //    prefixes: {myria: ['my', 4]}
+        //
+        units: expandable({}),
+        prefixes: expandable({})
+      }
+    },
+    config: config
+  }
+);
@@ -0,0 +1,45 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Mappings for TeX parsing of the siunitx package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {CommandMap} from '../SymbolMap.js';
+import {SiunitxMethods} from './SiunitxMethods.js';
+
+
+/**
+ * Macros for the siunitx package (including the names from version 2).
+ */
+new CommandMap('siunitx-macros', {
+  num:            'Num',
+  unit:           'Unit',
+  si:             'Unit',
+  qty:            ['Quantity', false],
+  SI:             ['Quantity', true],
+  ang:            'Angle',
+  numrange:       'NumRange',
+  qtyrange:       'QuantityRange',
+  SIrange:        'QuantityRange',
+
+  sisetup:        'SiSetup',
+  DeclareSIUnit:  'DeclareUnit',
+  DeclareSIPrefix: 'DeclarePrefix'
+}, SiunitxMethods);
@@ -0,0 +1,262 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Methods for the siunitx package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import TexError from '../TexError.js';
+import ParseUtil from '../ParseUtil.js';
+import {EnvList} from '../StackItem.js';
+import {OptionList} from '../../../util/Options.js';
+import {parseNumber, formatNumber} from './SiunitxNumbers.js';
+import {UnitRegistry, UnitData} from './SiunitxUnits.js';
+
+
+// Namespace
+export const SiunitxMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * Check a keyval list of siunitx options.
+ * @param {string} keyvals The options to check.
+ * @param {OptionList} options The current siunitx options.
+ * @return {EnvList} The options as key/value pairs.
+ */
+function checkOptions(keyvals: string, options: OptionList): EnvList {
+  const settings = ParseUtil.keyvalOptions(keyvals, options, true);
+  for (const key of ['units', 'prefixes']) {
+    if (settings.hasOwnProperty(key)) {
+      throw new TexError('InvalidOption', 'Invalid optional argument: %1', key);
+    }
+  }
+  return settings;
+}
+
+
+/**
+ * Get the options to use for a macro (the global ones plus any given in brackets).
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ * @return {OptionList} The options to use.
+ */
+function getOptions(parser: TexParser, name: string): OptionList {
+  const options = parser.options.siunitx;
+  const keyvals = parser.GetBrackets(name, '');
+  return (keyvals ? Object.assign({}, options, checkOptions(keyvals, options)) : options);
+}
+
+
+/**
+ * @param {TexParser} parser The current tex parser.
+ * @return {UnitRegistry} The unit registry for this TeX input jax.
+ */
+function registry(parser: TexParser): UnitRegistry {
+  return parser.configuration.packageData.get('siunitx').units;
+}
+
+
+/**
+ * @param {string} text The number to format.
+ * @param {OptionList} options The siunitx options to use.
+ * @param {string} name The name of the calling macro.
+ * @return {string} The TeX for the number.
+ */
+function number(text: string, options: OptionList, name: string): string {
+  return (options['parse-numbers'] ? formatNumber(parseNumber(text, name), options) : text);
+}
+
+
+/**
+ * @param {UnitData[]} units The units following a number.
+ * @param {OptionList} options The siunitx options to use.
+ * @return {string} The TeX to use between the number and the units.
+ */
+function product(units: UnitData[], options: OptionList): string {
+  const key = 'number-unit-product';
+  return (units.length === 1 && units[0].options.hasOwnProperty(key) ? units[0].options[key] :
+          options[key]) as string;
+}
+
+
+/**
+ * Push the result of parsing some TeX code.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} tex The TeX code to parse.
+ */
+function pushTeX(parser: TexParser, tex: string) {
+  parser.Push(new TexParser('{' + tex + '}', parser.stack.env, parser.configuration).mml());
+}
+
+
+/**
+ * Implements \num[options]{number}.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ */
+SiunitxMethods.Num = function(parser: TexParser, name: string) {
+  const options = getOptions(parser, name);
+  pushTeX(parser, number(parser.GetArgument(name), options, name));
+};
+
+
+/**
+ * Implements \unit[options]{units} and \si[options]{units}.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ */
+SiunitxMethods.Unit = function(parser: TexParser, name: string) {
+  const options = getOptions(parser, name);
+  const units = registry(parser);
+  pushTeX(parser, units.format(units.parse(parser.GetArgument(name), name), options));
+};
+
+
+/**
+ * Implements \qty[options]{number}{units} and \SI[options]{number}[pre-units]{units}.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ * @param {boolean} preunits True if pre-units are allowed.
+ */
+SiunitxMethods.Quantity = function(parser: TexParser, name: string, preunits: boolean) {
+  const options = getOptions(parser, name);
+  const units = registry(parser);
+  const num = number(parser.GetArgument(name), options, name);
+  const pre = (preunits ? units.parse(parser.GetBrackets(name, ''), name) : []);
+  const post = units.parse(parser.GetArgument(name), name);
+  pushTeX(parser,
+          (pre.length ? units.format(pre, options) + product(pre, options) : '') +
+          num + (post.length ? product(post, options) + units.format(post, options) : ''));
+};
+
+
+/**
+ * Implements \ang[options]{angle}, where the angle is either a decimal
+ * number of degrees, or degrees;minutes;seconds.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ */
+SiunitxMethods.Angle = function(parser: TexParser, name: string) {
+  const options = getOptions(parser, name);
+  const units = registry(parser);
+  const parts = parser.GetArgument(name).split(/;/);
+  if (parts.length > 3) {
+    throw new TexError('InvalidAngle', 'Invalid angle "%1" for %2', parts.join(';'), name);
+  }
+  const symbols = ['\\degree', '\\arcminute', '\\arcsecond'];
+  pushTeX(parser, parts.map((part, i) => {
+    return (part.match(/\S/) ? number(part, options, name) + units.format(units.parse(symbols[i], name), options) : '');
+  }).join(''));
+};
+
+
+/**
+ * Implements \numrange[options]{number}{number}.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ */
+SiunitxMethods.NumRange = function(parser: TexParser, name: string) {
+  const options = getOptions(parser, name);
+  const n1 = number(parser.GetArgument(name), options, name);
+  const n2 = number(parser.GetArgument(name), options, name);
+  pushTeX(parser, n1 + options['range-phrase'] + n2);
+};
+
+
+/**
+ * Implements \qtyrange[options]{number}{number}{units} and \SIrange.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ */
+SiunitxMethods.QuantityRange = function(parser: TexParser, name: string) {
+  const options = getOptions(parser, name);
+  const units = registry(parser);
+  const n1 = number(parser.GetArgument(name), options, name);
+  const n2 = number(parser.GetArgument(name), options, name);
+  const list = units.parse(parser.GetArgument(name), name);
+  const unit = (list.length ? product(list, options) + units.format(list, options) : '');
+  const phrase = options['range-phrase'];
+  switch (options['range-units']) {
+  case 'single':
+    pushTeX(parser, n1 + phrase + n2 + unit);
+    break;
+  case 'bracket':
+    pushTeX(parser, '(' + n1 + phrase + n2 + ')' + unit);
+    break;
+  default:
+    pushTeX(parser, n1 + unit + phrase + n2 + unit);
+  }
+};
+
+
+/**
+ * Implements \sisetup{options}, which sets the options for the expressions that follow.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ */
+SiunitxMethods.SiSetup = function(parser: TexParser, name: string) {
+  const options = parser.options.siunitx;
+  Object.assign(options, checkOptions(parser.GetArgument(name), options));
+};
+
+
+/**
+ * Get the name of a unit or prefix being declared.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ * @return {string} The name of the unit macro (without the backslash).
+ */
+function getUnitName(parser: TexParser, name: string): string {
+  const cs = ParseUtil.trimSpaces(parser.GetArgument(name));
+  if (!cs.match(/^\\[a-zA-Z]+$/)) {
+    throw new TexError('SIUnitNeedsCS', 'First argument to %1 must be a control sequence', name);
+  }
+  return cs.substr(1);
+}
+
+
+/**
+ * Implements \DeclareSIUnit[options]{\name}{units}.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ */
+SiunitxMethods.DeclareUnit = function(parser: TexParser, name: string) {
+  const keyvals = parser.GetBrackets(name, '');
+  const options = (keyvals ? checkOptions(keyvals, parser.options.siunitx) : {});
+  const cs = getUnitName(parser, name);
+  registry(parser).defineUnit(cs, parser.GetArgument(name), options);
+};
+
+
+/**
+ * Implements \DeclareSIPrefix{\name}{symbol}{power}.
+ * @param {TexParser} parser The current tex parser.
+ * @param {string} name The name of the calling macro.
+ */
+SiunitxMethods.DeclarePrefix = function(parser: TexParser, name: string) {
+  const cs = getUnitName(parser, name);
+  const symbol = parser.GetArgument(name);
+  const power = ParseUtil.trimSpaces(parser.GetArgument(name));
+  if (!power.match(/^[-+]?[0-9]+$/)) {
+    throw new TexError('InvalidPrefixPower', 'Invalid power "%1" for %2', power, name);
+  }
+  registry(parser).definePrefix(cs, symbol, parseInt(power));
+};
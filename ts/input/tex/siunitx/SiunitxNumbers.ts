@@ -0,0 +1,298 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Parsing and formatting of numbers for the siunitx package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {OptionList} from '../../../util/Options.js';
+import TexError from '../TexError.js';
+
+
+/**
+ * The parts of a number.  The uncertainty is stored in compact form, i.e.,
+ * as the digits that apply to the last digits of the mantissa.
+ */
+export type NumberData = {
+  comparator: string,    // TeX for a comparator preceding the number
+  sign: string,          // TeX for the sign of the mantissa
+  int: string,           // the integer digits
+  dec: string,           // the decimal digits
+  unc: string,           // the uncertainty digits
+  exp: string            // the exponent (with its sign), or null if none
+};
+
+
+/**
+ * The pattern for the numbers that can be parsed
+ *   (comparator, sign, integer, decimal, compact uncertainty,
+ *    separate uncertainty integer and decimal, exponent)
+ */
+const NUMBER = new RegExp(
+  '^(<|>|=|\\\\(?:approx|sim|ll|gg|le|leq|ge|geq|ne|neq))?' +
+  '([-+]|\\\\pm|\\\\mp)?' +
+  '([0-9]*)(?:[.,]([0-9]*))?' +
+  '(?:\\(([0-9]+)\\)|\\\\pm([0-9]*)(?:[.,]([0-9]*))?)?' +
+  '(?:[eEdD]([-+]?[0-9]+))?$'
+);
+
+
+/**
+ * @param {number} n   The number of zeros needed
+ * @return {string}    A string of n zeros
+ */
+function zeros(n: number): string {
+  return (n > 0 ? new Array(n + 1).join('0') : '');
+}
+
+
+/**
+ * Remove leading zeros from the integer part (leaving at least one).
+ *
+ * @param {string} int   The integer digits
+ * @return {string}      The digits without the leading zeros
+ */
+function trimInteger(int: string): string {
+  return int.replace(/^0+(?=.)/, '');
+}
+
+
+/**
+ * Parse a number into its parts.
+ *
+ * @param {string} text   The number to parse
+ * @param {string} name   The macro being processed (for error messages)
+ * @return {NumberData}   The parts of the number
+ */
+export function parseNumber(text: string, name: string): NumberData {
+  const match = text.replace(/\s+|\\[,;:! ]|~|[{}]/g, '').match(NUMBER);
+  if (!match || !(match[3] || match[4] || match[8])) {
+    throw new TexError('InvalidNumber', 'Invalid number "%1" for %2', text, name);
+  }
+  const [, comparator = '', sign = '', int = '', dec = '', unc = '', uint, udec, exp = null] = match;
+  const num: NumberData = {comparator, sign, int, dec, unc, exp};
+  if (uint !== undefined || udec !== undefined) {
+    //
+    //  Convert a separate uncertainty to compact form by aligning its digits
+    //  with those of the mantissa.
+    //
+    const n = num.dec.length;
+    const m = (udec || '').length;
+    num.dec += zeros(m - n);
+    num.unc = trimInteger((uint || '') + (udec || '') + zeros(n - m));
+  }
+  return num;
+}
+
+
+/**
+ * Move the decimal point of the mantissa, adjusting the exponent to compensate.
+ *
+ * @param {NumberData} num   The number to modify
+ * @param {number} k         The number of places to move the decimal left (negative for right)
+ */
+function shift(num: NumberData, k: number) {
+  const digits = num.int + num.dec;
+  const point = num.int.length - k;
+  if (point <= 0) {
+    num.int = '0';
+    num.dec = zeros(-point) + digits;
+  } else if (point >= digits.length) {
+    const n = point - digits.length;
+    num.int = trimInteger(digits + zeros(n));
+    num.dec = '';
+    num.unc && (num.unc += zeros(n));
+  } else {
+    num.int = trimInteger(digits.substr(0, point));
+    num.dec = digits.substr(point);
+  }
+  num.exp = String(parseInt(num.exp || '0') + k);
+}
+
+
+/**
+ * Adjust the exponent according to the exponent-mode option.
+ *
+ * @param {NumberData} num     The number to modify
+ * @param {OptionList} options The siunitx options
+ */
+function setExponent(num: NumberData, options: OptionList) {
+  const mode = options['exponent-mode'];
+  if (mode === 'input') return;
+  const digits = num.int + num.dec;
+  const first = digits.search(/[1-9]/);
+  if (mode === 'fixed') {
+    shift(num, parseInt(options['fixed-exponent']) - parseInt(num.exp || '0'));
+    return;
+  }
+  if (first < 0) return;
+  let k = num.int.length - first - 1;
+  if (mode === 'engineering') {
+    k -= ((parseInt(num.exp || '0') + k) % 3 + 3) % 3;
+  }
+  shift(num, k);
+}
+
+
+/**
+ * Round a string of digits to the given number of digits.
+ *
+ * @param {string} digits   The digits to round
+ * @param {number} n        The number of digits to keep
+ * @return {string}         The rounded digits (one longer than n if there is a carry)
+ */
+function roundDigits(digits: string, n: number): string {
+  if (digits.length <= n) {
+    return digits + zeros(n - digits.length);
+  }
+  const result = digits.substr(0, Math.max(n, 0)).split('');
+  if (digits.charAt(n) >= '5' && n >= 0) {
+    let i = n - 1;
+    while (i >= 0 && result[i] === '9') {
+      result[i--] = '0';
+    }
+    if (i < 0) {
+      result.unshift('1');
+    } else {
+      result[i] = String(parseInt(result[i]) + 1);
+    }
+  }
+  return result.join('');
+}
+
+
+/**
+ * Round the mantissa according to the round-mode option (numbers with
+ * uncertainties are not rounded).
+ *
+ * @param {NumberData} num     The number to modify
+ * @param {OptionList} options The siunitx options
+ */
+function round(num: NumberData, options: OptionList) {
+  const mode = options['round-mode'];
+  const precision = parseInt(options['round-precision']);
+  if ((mode !== 'places' && mode !== 'figures') || num.unc || isNaN(precision)) return;
+  const digits = num.int + num.dec;
+  const n = (mode === 'places' ? num.int.length + Math.max(precision, 0) :
+             digits.search(/[1-9]/) + Math.max(precision, 1));
+  if (n < 0 || (mode === 'figures' && digits.search(/[1-9]/) < 0)) return;
+  if (!options['round-pad'] && digits.length <= n) return;
+  const rounded = roundDigits(digits, n);
+  const length = num.int.length + rounded.length - n;
+  num.int = trimInteger(rounded.substr(0, length) + zeros(length - rounded.length)) || '0';
+  num.dec = rounded.substr(length);
+}
+
+
+/**
+ * Insert the group separator into a string of digits.
+ *
+ * @param {string} digits      The digits to group
+ * @param {boolean} right      True if groups are counted from the right (integer part)
+ * @param {OptionList} options The siunitx options
+ * @return {string}            The grouped digits
+ */
+function group(digits: string, right: boolean, options: OptionList): string {
+  if (digits.length < parseInt(options['group-minimum-digits'])) {
+    return digits;
+  }
+  const groups = [];
+  if (right) {
+    for (let i = digits.length; i > 0; i -= 3) {
+      groups.unshift(digits.substring(Math.max(0, i - 3), i));
+    }
+  } else {
+    for (let i = 0; i < digits.length; i += 3) {
+      groups.push(digits.substr(i, 3));
+    }
+  }
+  return groups.join('{' + options['group-separator'] + '}');
+}
+
+
+/**
+ * @param {string} int         The integer digits
+ * @param {string} dec         The decimal digits
+ * @param {OptionList} options The siunitx options
+ * @return {string}            The TeX for the digits (grouped as needed)
+ */
+function digits(int: string, dec: string, options: OptionList): string {
+  let mode = options['group-digits'];
+  mode = (mode === true ? 'all' : mode === false ? 'none' : mode);
+  const marker = options['output-decimal-marker'];
+  if (mode === 'all' || mode === 'integer') {
+    int = group(int, true, options);
+  }
+  if (mode === 'all' || mode === 'decimal') {
+    dec = group(dec, false, options);
+  }
+  return int + (dec ? (marker === ',' ? '{,}' : marker) + dec : '');
+}
+
+
+/**
+ * Produce the TeX for a parsed number, according to the siunitx options.
+ *
+ * @param {NumberData} num     The number to format
+ * @param {OptionList} options The siunitx options
+ * @return {string}            The TeX for the number
+ */
+export function formatNumber(num: NumberData, options: OptionList): string {
+  const implicit = !num.int && !num.dec;
+  if (implicit) {
+    num.int = '1';
+  }
+  num.int = trimInteger(num.int) || '0';
+  setExponent(num, options);
+  round(num, options);
+  let tex = digits(num.int, num.dec, options);
+  if (num.unc) {
+    if (options['uncertainty-mode'] === 'separate') {
+      const n = num.dec.length;
+      const unc = zeros(n + 1 - num.unc.length) + num.unc;
+      tex += '\\pm ' + digits(trimInteger(unc.substr(0, unc.length - n)), unc.substr(unc.length - n), options);
+    } else {
+      tex += '(' + num.unc + ')';
+    }
+  }
+  let sign = (num.sign === '+' && !options['retain-explicit-plus'] ? '' : num.sign);
+  const bracket = (sign === '-' && options['bracket-negative-numbers']);
+  if (bracket) {
+    sign = '';
+  }
+  const exp = (num.exp === null ? '' : num.exp.replace(/^\+/, '').replace(/^(-?)0+(?=.)/, '$1'));
+  if (exp && (exp !== '0' || options['print-zero-exponent'])) {
+    if (options['output-exponent-marker']) {
+      tex += '\\mathrm{' + options['output-exponent-marker'] + '}' + exp;
+    } else {
+      const power = options['exponent-base'] + '^{' + exp + '}';
+      if (implicit || (tex === '1' && !options['print-unity-mantissa'])) {
+        tex = power;
+      } else {
+        tex = (num.unc && options['uncertainty-mode'] === 'separate' ? '(' + tex + ')' : tex) +
+          options['exponent-product'] + ' ' + power;
+      }
+    }
+  }
+  tex = sign + tex;
+  if (bracket) {
+    tex = '(' + tex + ')';
+  }
+  return (num.comparator ? num.comparator + ' ' : '') + tex;
+}
@@ -0,0 +1,648 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview The unit and prefix tables for the siunitx package, and the
+ *               registry that parses and formats units.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {EnvList} from '../StackItem.js';
+import {OptionList} from '../../../util/Options.js';
+import TexError from '../TexError.js';
+
+
+/**
+ * A unit definition: either the TeX for the unit's symbol, or a unit
+ * specification (in terms of other units) that is parsed when the unit is used,
+ * together with any options that apply when the unit is used by itself.
+ */
+export type UnitDef = {
+  symbol?: string,
+  units?: string,
+  options?: EnvList
+};
+
+
+/**
+ * A unit within a unit specification.
+ */
+export type UnitData = {
+  prefix: string,      // TeX for the prefix
+  symbol: string,      // TeX for the unit symbol
+  power: string,       // the power for the unit ('' for none)
+  qualifier: string,   // TeX for the qualifier ('' for none)
+  per: boolean,        // true if the unit is in the denominator
+  options: EnvList     // options from the unit definition
+};
+
+
+/**
+ * The SI prefixes: their symbols and powers of ten.
+ */
+export const PREFIXES: {[name: string]: [string, number]} = {
+  quecto: ['q', -30],
+  ronto:  ['r', -27],
+  yocto:  ['y', -24],
+  zepto:  ['z', -21],
+  atto:   ['a', -18],
+  femto:  ['f', -15],
+  pico:   ['p', -12],
+  nano:   ['n', -9],
+  micro:  ['\\text{\u03BC}', -6],
+  milli:  ['m', -3],
+  centi:  ['c', -2],
+  deci:   ['d', -1],
+  deca:   ['da', 1],
+  deka:   ['da', 1],
+  hecto:  ['h', 2],
+  kilo:   ['k', 3],
+  mega:   ['M', 6],
+  giga:   ['G', 9],
+  tera:   ['T', 12],
+  peta:   ['P', 15],
+  exa:    ['E', 18],
+  zetta:  ['Z', 21],
+  yotta:  ['Y', 24],
+  ronna:  ['R', 27],
+  quetta: ['Q', 30]
+};
+
+
+/**
+ * The predefined units.
+ */
+export const UNITS: {[name: string]: UnitDef} = {
+  //
+  //  SI base units
+  //
+  ampere:             {symbol: 'A'},
+  candela:            {symbol: 'cd'},
+  kelvin:             {symbol: 'K'},
+  kilogram:           {symbol: 'kg'},
+  gram:               {symbol: 'g'},
+  metre:              {symbol: 'm'},
+  meter:              {symbol: 'm'},
+  mole:               {symbol: 'mol'},
+  second:             {symbol: 's'},
+  //
+  //  Derived SI units
+  //
+  becquerel:          {symbol: 'Bq'},
+  degreeCelsius:      {symbol: '{}^{\\circ}\\mathrm{C}'},
+  coulomb:            {symbol: 'C'},
+  farad:              {symbol: 'F'},
+  gray:               {symbol: 'Gy'},
+  hertz:              {symbol: 'Hz'},
+  henry:              {symbol: 'H'},
+  joule:              {symbol: 'J'},
+  katal:              {symbol: 'kat'},
+  lumen:              {symbol: 'lm'},
+  lux:                {symbol: 'lx'},
+  newton:             {symbol: 'N'},
+  ohm:                {symbol: '\\Omega'},
+  pascal:             {symbol: 'Pa'},
+  radian:             {symbol: 'rad'},
+  siemens:            {symbol: 'S'},
+  sievert:            {symbol: 'Sv'},
+  steradian:          {symbol: 'sr'},
+  tesla:              {symbol: 'T'},
+  volt:               {symbol: 'V'},
+  watt:               {symbol: 'W'},
+  weber:              {symbol: 'Wb'},
+  //
+  //  Non-SI units accepted for use with the SI
+  //
+  astronomicalunit:   {symbol: 'au'},
+  bel:                {symbol: 'B'},
+  dalton:             {symbol: 'Da'},
+  day:                {symbol: 'd'},
+  decibel:            {symbol: 'dB'},
+  degree:             {symbol: '{}^{\\circ}', options: {'number-unit-product': ''}},
+  arcminute:          {symbol: '{}^{\\prime}', options: {'number-unit-product': ''}},
+  arcsecond:          {symbol: '{}^{\\prime\\prime}', options: {'number-unit-product': ''}},
+  electronvolt:       {symbol: 'eV'},
+  hectare:            {symbol: 'ha'},
+  hour:               {symbol: 'h'},
+  litre:              {symbol: 'L'},
+  liter:              {symbol: 'L'},
+  minute:             {symbol: 'min'},
+  neper:              {symbol: 'Np'},
+  tonne:              {symbol: 't'},
+  //
+  //  Other units
+  //
+  angstrom:           {symbol: '\u00C5'},
+  bar:                {symbol: 'bar'},
+  barn:               {symbol: 'b'},
+  knot:               {symbol: 'kn'},
+  mmHg:               {symbol: 'mmHg'},
+  nauticalmile:       {symbol: 'M'},
+  percent:            {symbol: '\\%'},
+  //
+  //  Abbreviations
+  //
+  fg: {units: '\\femto\\gram'},
+  pg: {units: '\\pico\\gram'},
+  ng: {units: '\\nano\\gram'},
+  ug: {units: '\\micro\\gram'},
+  mg: {units: '\\milli\\gram'},
+  g:  {units: '\\gram'},
+  kg: {units: '\\kilogram'},
+  pm: {units: '\\pico\\metre'},
+  nm: {units: '\\nano\\metre'},
+  um: {units: '\\micro\\metre'},
+  mm: {units: '\\milli\\metre'},
+  cm: {units: '\\centi\\metre'},
+  dm: {units: '\\deci\\metre'},
+  m:  {units: '\\metre'},
+  km: {units: '\\kilo\\metre'},
+  as: {units: '\\atto\\second'},
+  fs: {units: '\\femto\\second'},
+  ps: {units: '\\pico\\second'},
+  ns: {units: '\\nano\\second'},
+  us: {units: '\\micro\\second'},
+  ms: {units: '\\milli\\second'},
+  s:  {units: '\\second'},
+  fmol: {units: '\\femto\\mole'},
+  pmol: {units: '\\pico\\mole'},
+  nmol: {units: '\\nano\\mole'},
+  umol: {units: '\\micro\\mole'},
+  mmol: {units: '\\milli\\mole'},
+  mol:  {units: '\\mole'},
+  kmol: {units: '\\kilo\\mole'},
+  pA: {units: '\\pico\\ampere'},
+  nA: {units: '\\nano\\ampere'},
+  uA: {units: '\\micro\\ampere'},
+  mA: {units: '\\milli\\ampere'},
+  A:  {units: '\\ampere'},
+  kA: {units: '\\kilo\\ampere'},
+  ul: {units: '\\micro\\litre'},
+  ml: {units: '\\milli\\litre'},
+  l:  {units: '\\litre'},
+  hl: {units: '\\hecto\\litre'},
+  uL: {units: '\\micro\\liter'},
+  mL: {units: '\\milli\\liter'},
+  L:  {units: '\\liter'},
+  hL: {units: '\\hecto\\liter'},
+  mHz: {units: '\\milli\\hertz'},
+  Hz:  {units: '\\hertz'},
+  kHz: {units: '\\kilo\\hertz'},
+  MHz: {units: '\\mega\\hertz'},
+  GHz: {units: '\\giga\\hertz'},
+  THz: {units: '\\tera\\hertz'},
+  mN: {units: '\\milli\\newton'},
+  N:  {units: '\\newton'},
+  kN: {units: '\\kilo\\newton'},
+  MN: {units: '\\mega\\newton'},
+  Pa:  {units: '\\pascal'},
+  kPa: {units: '\\kilo\\pascal'},
+  MPa: {units: '\\mega\\pascal'},
+  GPa: {units: '\\giga\\pascal'},
+  mohm: {units: '\\milli\\ohm'},
+  kohm: {units: '\\kilo\\ohm'},
+  Mohm: {units: '\\mega\\ohm'},
+  pV: {units: '\\pico\\volt'},
+  nV: {units: '\\nano\\volt'},
+  uV: {units: '\\micro\\volt'},
+  mV: {units: '\\milli\\volt'},
+  V:  {units: '\\volt'},
+  kV: {units: '\\kilo\\volt'},
+  nW: {units: '\\nano\\watt'},
+  uW: {units: '\\micro\\watt'},
+  mW: {units: '\\milli\\watt'},
+  W:  {units: '\\watt'},
+  kW: {units: '\\kilo\\watt'},
+  MW: {units: '\\mega\\watt'},
+  GW: {units: '\\giga\\watt'},
+  J:  {units: '\\joule'},
+  uJ: {units: '\\micro\\joule'},
+  mJ: {units: '\\milli\\joule'},
+  kJ: {units: '\\kilo\\joule'},
+  eV:  {units: '\\electronvolt'},
+  meV: {units: '\\milli\\electronvolt'},
+  keV: {units: '\\kilo\\electronvolt'},
+  MeV: {units: '\\mega\\electronvolt'},
+  GeV: {units: '\\giga\\electronvolt'},
+  TeV: {units: '\\tera\\electronvolt'},
+  kWh: {units: '\\kilo\\watt\\hour'},
+  F:  {units: '\\farad'},
+  fF: {units: '\\femto\\farad'},
+  pF: {units: '\\pico\\farad'},
+  nF: {units: '\\nano\\farad'},
+  uF: {units: '\\micro\\farad'},
+  H:  {units: '\\henry'},
+  mH: {units: '\\milli\\henry'},
+  uH: {units: '\\micro\\henry'},
+  K:  {units: '\\kelvin'},
+  dB: {units: '\\decibel'}
+};
+
+
+/**
+ * The macros that modify units, rather than produce them.
+ */
+const MODIFIERS = ['per', 'square', 'cubic', 'squared', 'cubed', 'tothe', 'raiseto', 'of'];
+
+
+/**
+ * The registry of units and prefixes, including those declared in the
+ * configuration or by \DeclareSIUnit and \DeclareSIPrefix, together with
+ * the methods needed to parse and format unit specifications.
+ *
+ * The registry is local to the TeX input jax, so two jax in the same page
+ * can have different sets of units.
+ */
+export class UnitRegistry {
+
+  /**
+   * The known units.
+   */
+  protected units: Map<string, UnitDef> = new Map();
+
+  /**
+   * The known prefixes.
+   */
+  protected prefixes: Map<string, [string, number]> = new Map();
+
+  /**
+   * @param {OptionList} options   The siunitx options (including any custom units and prefixes)
+   */
+  constructor(options: OptionList) {
+    for (const name of Object.keys(PREFIXES)) {
+      this.prefixes.set(name, PREFIXES[name]);
+    }
+    for (const name of Object.keys(UNITS)) {
+      this.units.set(name, UNITS[name]);
+    }
+    for (const name of Object.keys(options.prefixes)) {
+      const [symbol, power] = options.prefixes[name];
+      this.definePrefix(name, symbol, power);
+    }
+    for (const name of Object.keys(options.units)) {
+      const def = options.units[name];
+      this.defineUnit(name, typeof def === 'string' ? def : def.units, def.options || {});
+    }
+  }
+
+  /**
+   * @param {string} name        The name of the unit macro (without the backslash)
+   * @param {string} units       The unit specification for the unit
+   * @param {EnvList} options    The options to use when the unit is used by itself
+   */
+  public defineUnit(name: string, units: string, options: EnvList = {}) {
+    this.units.set(name, {units, options});
+  }
+
+  /**
+   * @param {string} name     The name of the prefix macro (without the backslash)
+   * @param {string} symbol   The TeX for the prefix
+   * @param {number} power    The power of ten represented by the prefix
+   */
+  public definePrefix(name: string, symbol: string, power: number) {
+    this.prefixes.set(name, [symbol, power]);
+  }
+
+  /**
+   * @param {string} name   The name of a unit macro
+   * @return {boolean}      True if the unit or prefix is defined
+   */
+  public isDefined(name: string): boolean {
+    return this.units.has(name) || this.prefixes.has(name) || MODIFIERS.indexOf(name) >= 0;
+  }
+
+  /**
+   * @return {Function}   A function that restores the units and prefixes to
+   *                        the ones defined when save() was called.
+   */
+  public save(): () => void {
+    const units = new Map(this.units);
+    const prefixes = new Map(this.prefixes);
+    return () => {
+      this.units = units;
+      this.prefixes = prefixes;
+    };
+  }
+
+  /**
+   * Parse a unit specification into a list of units.  Literal text (including
+   * any macros that are not unit macros) is used as a unit symbol.
+   *
+   * @param {string} text     The unit specification to parse
+   * @param {string} name     The macro whose argument is being parsed (for error messages)
+   * @param {number} depth    The nesting depth of unit definitions (to prevent loops)
+   * @return {UnitData[]}     The units in the specification
+   */
+  public parse(text: string, name: string, depth: number = 0): UnitData[] {
+    if (depth > 100) {
+      throw new TexError('RecursiveUnit', 'Unit definitions nested too deeply in %1', name);
+    }
+    const units: UnitData[] = [];
+    let prefix = '';
+    let power = '';
+    let per = false;
+    const last = (cs: string) => {
+      if (!units.length) {
+        throw new TexError('MissingUnit', 'Missing unit before %1 in %2', cs, name);
+      }
+      return units[units.length - 1];
+    };
+    const add = (unit: UnitData) => {
+      unit.prefix = prefix + unit.prefix;
+      unit.power = unit.power || power;
+      unit.per = unit.per || per;
+      units.push(unit);
+      prefix = power = '';
+      per = false;
+    };
+    const scanner = new UnitScanner(text, name, (cs: string) => this.isDefined(cs));
+    while (scanner.more()) {
+      const token = scanner.next();
+      if (token.match(/^\\[a-zA-Z]+$/) && this.isDefined(token.substr(1))) {
+        const cs = token.substr(1);
+        switch (cs) {
+        case 'per':
+          per = true;
+          break;
+        case 'square':
+        case 'cubic':
+          power = (cs === 'square' ? '2' : '3');
+          break;
+        case 'raiseto':
+          power = scanner.argument(token);
+          break;
+        case 'squared':
+        case 'cubed':
+          last(token).power = (cs === 'squared' ? '2' : '3');
+          break;
+        case 'tothe':
+          last(token).power = scanner.argument(token);
+          break;
+        case 'of':
+          last(token).qualifier = scanner.argument(token);
+          break;
+        default:
+          if (this.prefixes.has(cs)) {
+            prefix += this.prefixes.get(cs)[0];
+          } else {
+            const parts = this.expand(cs, name, depth);
+            parts.length && add(parts[0]);
+            units.push(...parts.slice(1));
+          }
+        }
+      } else if (token === '^') {
+        last(token).power = scanner.argument(token);
+      } else if (token === '_') {
+        last(token).qualifier = scanner.argument(token);
+      } else if (token === '/') {
+        per = true;
+      } else if (token !== '.' && token !== '~') {
+        add(this.makeUnit(token, {}));
+      }
+    }
+    if (prefix) {
+      add(this.makeUnit('', {}));
+    }
+    return units;
+  }
+
+  /**
+   * @param {string} cs       The name of the unit macro to expand
+   * @param {string} name     The macro whose argument is being parsed (for error messages)
+   * @param {number} depth    The nesting depth of unit definitions
+   * @return {UnitData[]}     The units for the unit macro
+   */
+  protected expand(cs: string, name: string, depth: number): UnitData[] {
+    const def = this.units.get(cs);
+    if (def.symbol) {
+      return [this.makeUnit(def.symbol, def.options)];
+    }
+    const units = this.parse(def.units, name, depth + 1);
+    if (units.length === 1) {
+      units[0].options = Object.assign({}, units[0].options, def.options);
+    }
+    return units;
+  }
+
+  /**
+   * @param {string} symbol     The TeX for the unit symbol
+   * @param {EnvList} options   The options for the unit
+   * @return {UnitData}         The data for the unit
+   */
+  protected makeUnit(symbol: string, options: EnvList): UnitData {
+    return {prefix: '', symbol, power: '', qualifier: '', per: false, options: options || {}};
+  }
+
+  /**
+   * Produce the TeX for a list of units, using the per-mode setting to determine
+   * how units in the denominator are displayed.
+   *
+   * @param {UnitData[]} units     The units to format
+   * @param {OptionList} options   The siunitx options to use
+   * @return {string}              The TeX for the units
+   */
+  public format(units: UnitData[], options: OptionList): string {
+    const product = options['inter-unit-product'];
+    const mode = options['per-mode'];
+    const num = units.filter(unit => !unit.per);
+    const den = units.filter(unit => unit.per);
+    switch (mode) {
+    case 'fraction':
+      if (!den.length) break;
+      return '\\frac{' + (this.join(num, product, false) || '1') + '}{' + this.join(den, product, false) + '}';
+    case 'symbol':
+    case 'repeated-symbol':
+      if (!den.length) break;
+      const symbol = options['per-symbol'];
+      const top = this.join(num, product, false) || '1';
+      if (mode === 'repeated-symbol') {
+        return top + den.map(unit => symbol + this.unit(unit, false)).join('');
+      }
+      const bottom = this.join(den, product, false);
+      return top + symbol + (den.length > 1 && options['bracket-unit-denominator'] ? '(' + bottom + ')' : bottom);
+    case 'power-positive-first':
+      return this.join(num.concat(den), product, true);
+    }
+    return this.join(units, product, true);
+  }
+
+  /**
+   * @param {UnitData[]} units   The units to join
+   * @param {string} product     The TeX to use between units
+   * @param {boolean} negate     True if units in the denominator should have negative powers
+   * @return {string}            The TeX for the combined units
+   */
+  protected join(units: UnitData[], product: string, negate: boolean): string {
+    return units.map(unit => this.unit(unit, negate)).join(product);
+  }
+
+  /**
+   * @param {UnitData} unit    The unit to format
+   * @param {boolean} negate   True if a unit in the denominator should have a negative power
+   * @return {string}          The TeX for the unit
+   */
+  protected unit(unit: UnitData, negate: boolean): string {
+    let power = unit.power;
+    if (negate && unit.per) {
+      power = (power ? (power.charAt(0) === '-' ? power.substr(1) : '-' + power) : '-1');
+    }
+    const space = (unit.prefix.match(/\\[a-zA-Z]+$/) ? ' ' : '');
+    return '\\mathrm{' + unit.prefix + space + unit.symbol + '}' +
+      (unit.qualifier ? '_{\\mathrm{' + unit.qualifier + '}}' : '') +
+      (power ? '^{' + power + '}' : '');
+  }
+
+}
+
+
+/**
+ * A simple tokenizer for unit specifications.  Tokens are unit macros,
+ * the characters ^, _, /, ., and ~, or literal text (which runs up to the
+ * next space, unit macro, or special character).
+ */
+class UnitScanner {
+
+  /**
+   * The position in the string
+   */
+  protected i: number = 0;
+
+  /**
+   * @param {string} text   The unit specification to tokenize
+   * @param {string} name   The macro whose argument is being parsed (for error messages)
+   * @param {function(string):boolean} isUnit   Test whether a macro is a unit macro
+   */
+  constructor(protected text: string, protected name: string, protected isUnit: (cs: string) => boolean) {
+    this.skipSpaces();
+  }
+
+  /**
+   * @return {boolean}   True if there are more tokens
+   */
+  public more(): boolean {
+    return this.i < this.text.length;
+  }
+
+  /**
+   * @return {string}   The next token in the string
+   */
+  public next(): string {
+    const text = this.text;
+    let token = '';
+    if (text.charAt(this.i).match(/[\^_\/.~]/)) {
+      token = text.charAt(this.i++);
+    } else if (this.isUnitMacro()) {
+      token = this.macro();
+    } else {
+      token = this.literal();
+    }
+    this.skipSpaces();
+    return token;
+  }
+
+  /**
+   * @param {string} cs   The macro or character needing the argument
+   * @return {string}     The argument (braced group or single character)
+   */
+  public argument(cs: string): string {
+    const text = this.text;
+    this.skipSpaces();
+    if (!this.more()) {
+      throw new TexError('MissingArgFor', 'Missing argument for %1', cs);
+    }
+    let arg: string;
+    if (text.charAt(this.i) === '{') {
+      arg = this.group();
+      arg = arg.substr(1, arg.length - 2);
+    } else {
+      const match = text.substr(this.i).match(/^[-+]?(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)/);
+      arg = (match ? match[0] : text.charAt(this.i));
+      this.i += arg.length;
+    }
+    this.skipSpaces();
+    return arg;
+  }
+
+  /**
+   * Skip spaces in the string
+   */
+  protected skipSpaces() {
+    while (this.text.charAt(this.i).match(/\s/)) {
+      this.i++;
+    }
+  }
+
+  /**
+   * @return {boolean}   True if the current position is at a unit macro
+   */
+  protected isUnitMacro(): boolean {
+    const match = this.text.substr(this.i).match(/^\\([a-zA-Z]+)/);
+    return !!match && this.isUnit(match[1]);
+  }
+
+  /**
+   * @return {string}  The macro name at the current position
+   */
+  protected macro(): string {
+    const match = this.text.substr(this.i).match(/^\\(?:[a-zA-Z]+|.)/);
+    this.i += match[0].length;
+    return match[0];
+  }
+
+  /**
+   * @return {string}   The braced group at the current position
+   */
+  protected group(): string {
+    const text = this.text;
+    const start = this.i;
+    let braces = 0;
+    while (this.i < text.length) {
+      const c = text.charAt(this.i++);
+      if (c === '\\') {
+        this.i++;
+      } else if (c === '{') {
+        braces++;
+      } else if (c === '}' && --braces === 0) {
+        return text.substring(start, this.i);
+      }
+    }
+    throw new TexError('MissingCloseBrace', 'Missing close brace');
+  }
+
+  /**
+   * @return {string}   The literal text at the current position
+   */
+  protected literal(): string {
+    const text = this.text;
+    let token = '';
+    while (this.more()) {
+      const c = text.charAt(this.i);
+      if (c.match(/[\s\^_\/.~]/)) break;
+      if (c === '{') {
+        token += this.group();
+      } else if (c === '\\') {
+        if (this.isUnitMacro()) break;
+        token += this.macro();
+      } else {
+        token += text.charAt(this.i++);
+      }
+    }
+    return token;
+  }
+
+}
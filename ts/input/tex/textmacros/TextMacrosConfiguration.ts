@@ -84,10 +84,28 @@ export const textBase = Configuration.local({
  */
 function internalMath(parser: TexParser, text: string, level?: number | string, mathvariant?: string): MmlNode[] {
   const config = parser.configuration.packageData.get('textmacros');
-  if (!(parser instanceof TextParser)) {
-    config.texParser = parser;
+  if (parser instanceof TextParser) {
+    return [(new TextParser(text, mathvariant ? {mathvariant} : {}, config.parseOptions, level)).mml()];
+  }
+  config.texParser = parser;
+  const options = config.parseOptions as ParseOptions;
+  //
+  //  Set the MmlFactory for the nodeFactory, since it was not available
+  //  durring configuration.
+  //
+  options.nodeFactory.setMmlFactory(config.jax.mmlFactory);
+  try {
+    return [(new TextParser(text, mathvariant ? {mathvariant} : {}, options, level)).mml()];
+  } finally {
+    //
+    //  Move any recovered errors, warnings, and label references
+    //    from the text-mode parser to the calling one.
+    //
+    parser.configuration.errors.push(...options.errors.splice(0));
+    parser.configuration.warnings.push(...options.warnings.splice(0));
+    Object.assign(parser.tags.refs, options.tags.refs);
+    options.tags.refs = {};
   }
-  return [(new TextParser(text, mathvariant ? {mathvariant} : {}, config.parseOptions, level)).mml()];
 }
 
 //
@@ -108,6 +126,7 @@ Configuration.create('textmacros', {
     textConf.init();
     const parseOptions = new ParseOptions(textConf, []);
     parseOptions.options = jax.parseOptions.options;      // share the TeX options
+    parseOptions.messages = jax.parseOptions.messages;    //   and error message translations
     textConf.config(jax);
     TagsFactory.addTags(textConf.tags);
     parseOptions.tags = TagsFactory.getDefault();
@@ -121,13 +140,5 @@ Configuration.create('textmacros', {
     parseOptions.packageData = jax.parseOptions.packageData;
     parseOptions.packageData.set('textmacros', {parseOptions, jax, texParser: null});
     parseOptions.options.internalMath = internalMath;
-  },
-  preprocessors: [(data: {data: ParseOptions}) => {
-    //
-    //  Set the MmlFactory for the nodeFactory, since it was not available
-    //  durring configuration above.
-    //
-    const config = data.data.packageData.get('textmacros');
-    config.parseOptions.nodeFactory.setMmlFactory(config.jax.mmlFactory);
-  }]
+  }
 });
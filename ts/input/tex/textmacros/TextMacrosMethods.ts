@@ -49,6 +49,9 @@ export const TextMacrosMethods = {
    */
   Math(parser: TextParser, open: string) {
     parser.saveText();
+    if (open === '$' && parser.string.charAt(parser.i) === '$') {
+      parser.warn('DisplayMathInText', '%1 should not be used in text mode', '$$');
+    }
     let i = parser.i;
     let j, c;
     let braces = 0;
@@ -40,7 +40,12 @@ export class TextParser extends TexParser {
   /**
    * The accumulated text material to go into an mtext element
    */
-  public text: string;
+  protected _text: string;
+
+  /**
+   * The position in the string where the accumulated text begins
+   */
+  protected textStart: number = 0;
 
   /**
    * Saved stack environments for processing braces
@@ -64,6 +69,24 @@ export class TextParser extends TexParser {
     return this.configuration.packageData.get('textmacros').texParser;
   }
 
+  /**
+   * @return {string} The accumulated text material
+   */
+  public get text(): string {
+    return this._text;
+  }
+
+  /**
+   * Sets the accumulated text, recording where it begins, if it was empty.
+   * @param {string} text The new text
+   */
+  public set text(text: string) {
+    if (!this._text) {
+      this.textStart = this.start;
+    }
+    this._text = text;
+  }
+
   /**
    * @override
    */
@@ -80,15 +103,27 @@ export class TextParser extends TexParser {
     this.level = level;
   }
 
+  /**
+   * Text-mode parsers have their own configuration, so use the TeX parser that
+   * requested the text as the parent when there is no enclosing text-mode parser.
+   *
+   * @override
+   */
+  protected setOrigin(parent: TexParser) {
+    super.setOrigin(parent || this.texParser);
+  }
+
   /**
    * Make sure we only return one element (wrap multiple ones in an mrow or mstyle, as needed).
    *
    * @override
    */
   public mml() {
-    return (this.level != null ?
-            this.create('node', 'mstyle', this.nodes, {displaystyle: false, scriptlevel: this.level}) :
-            this.nodes.length === 1 ? this.nodes[0] : this.create('node', 'inferredMrow', this.nodes));
+    const mml = (this.level != null ?
+                 this.create('node', 'mstyle', this.nodes, {displaystyle: false, scriptlevel: this.level}) :
+                 this.nodes.length === 1 ? this.nodes[0] : this.create('node', 'inferredMrow', this.nodes));
+    this.configuration.popParser();
+    return mml;
   }
 
   /**
@@ -101,13 +136,27 @@ export class TextParser extends TexParser {
     super.Parse();
   }
 
+  /**
+   * @override
+   */
+  protected clearStack() {
+    super.clearStack();
+    this.text = '';
+    this.nodes = [];
+  }
+
   /**
    * Creates an mtext element for the saved text and pushes that onto the node list
+   *
+   * @param {number} end   The position in the string where the text ends
    */
-  public saveText() {
+  public saveText(end: number = this.start) {
     if (this.text) {
       const mathvariant = this.stack.env.mathvariant;
       const text = ParseUtil.internalText(this, this.text, mathvariant ? {mathvariant} : {});
+      if (this.options.sourcePositions) {
+        this.configuration.nodeFactory.setPosition(text, this.getRange(this.textStart, end));
+      }
       this.text = '';
       this.Push(text);
     }
@@ -118,7 +167,7 @@ export class TextParser extends TexParser {
    */
   public Push(mml: MmlNode | StackItem) {
     if (this.text) {
-      this.saveText();
+      this.saveText(mml instanceof StopItem ? this.i : this.start);
     }
     if (mml instanceof StopItem) {
       return super.Push(mml);
@@ -0,0 +1,59 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Configuration file for the tikzcd package (a subset of
+ *               tikz-cd's commutative diagrams).
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {Configuration} from '../Configuration.js';
+import {CommandMap, EnvironmentMap} from '../SymbolMap.js';
+import ParseMethods from '../ParseMethods.js';
+import {TikzcdMethods} from './TikzcdMethods.js';
+import {TikzcdItem} from './TikzcdItems.js';
+
+
+/**
+ * Macros for the tikzcd package.
+ */
+new CommandMap('tikzcd-macros', {
+  arrow: 'Arrow',
+  ar:    'Arrow'
+}, TikzcdMethods);
+
+
+/**
+ * Environments for the tikzcd package.
+ */
+new EnvironmentMap('tikzcd-environment', ParseMethods.environment, {
+  tikzcd: 'Tikzcd'
+}, TikzcdMethods);
+
+
+export const TikzcdConfiguration = Configuration.create(
+  'tikzcd', {
+    handler: {
+      macro: ['tikzcd-macros'],
+      environment: ['tikzcd-environment']
+    },
+    items: {
+      [TikzcdItem.prototype.kind]: TikzcdItem
+    }
+  }
+);
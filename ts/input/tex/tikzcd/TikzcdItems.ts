@@ -0,0 +1,109 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Stack items for the tikzcd package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {CheckType, StackItem} from '../StackItem.js';
+import {ArrayItem} from '../base/BaseItems.js';
+import TexError from '../TexError.js';
+import {ParseMethod} from '../Types.js';
+import {MmlNode} from '../../../core/MmlTree/MmlNode.js';
+import {TeXDiagram, DiagramArrow} from '../../../core/MmlTree/MmlNodes/TeXDiagram.js';
+
+
+/**
+ * The tikzcd environment:  an array whose cells can contain \arrow commands.
+ * When the array ends, its table is placed in a TeXDiagram node along with
+ * the arrows and their labels.
+ */
+export class TikzcdItem extends ArrayItem {
+
+  /**
+   * The arrows given in the cells of the diagram.
+   * @type {DiagramArrow[]}
+   */
+  public arrows: DiagramArrow[] = [];
+
+  /**
+   * The labels for the arrows (children 1 and above of the TeXDiagram).
+   * @type {MmlNode[]}
+   */
+  public labels: MmlNode[] = [];
+
+  /**
+   * The method that parses the arrows of the diagram.  (Since \ar is
+   * defined by more than one package, the diagram determines its syntax.)
+   * @type {ParseMethod}
+   */
+  public arrowMethod: ParseMethod = null;
+
+  /**
+   * @override
+   */
+  public get kind() {
+    return 'tikzcd';
+  }
+
+  /**
+   * @return {DiagramArrow} A new arrow starting (and ending) at the current cell.
+   */
+  public newArrow(): DiagramArrow {
+    const [row, col] = [this.table.length, this.row.length];
+    return {
+      from: [row, col], to: [row, col],
+      line: 'solid', head: 'to', tail: 'none',
+      bend: 0, shift: 0, labels: []
+    };
+  }
+
+  /**
+   * Add a label (in script style) for one of the arrows.
+   *
+   * @param {MmlNode} mml The contents of the label.
+   * @return {number} The index of the label's node within the TeXDiagram.
+   */
+  public addLabel(mml: MmlNode): number {
+    this.labels.push(this.create('node', 'mstyle', [mml], {displaystyle: false, scriptlevel: 1}));
+    return this.labels.length;
+  }
+
+  /**
+   * @override
+   */
+  public checkItem(item: StackItem): CheckType {
+    if (!item.isClose || item.isKind('over') || item.getProperty('isEntry') || item.getProperty('isCR')) {
+      return super.checkItem(item);
+    }
+    const [[mml, ...rest], done] = super.checkItem(item) as [StackItem[], boolean];
+    const table = mml.toMml();
+    for (const arrow of this.arrows) {
+      const [row, col] = arrow.to;
+      const mtr = table.childNodes[row];
+      if (row < 0 || col < 0 || !mtr || col >= mtr.childNodes.length) {
+        throw new TexError('BadArrowTarget', 'Arrow target is not a cell of the diagram');
+      }
+    }
+    const diagram = this.create('node', 'TeXDiagram', [table, ...this.labels]) as TeXDiagram;
+    diagram.arrows = this.arrows;
+    return [[this.factory.create('mml', diagram), ...rest], done];
+  }
+
+}
@@ -0,0 +1,278 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Methods for the tikzcd package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import TexError from '../TexError.js';
+import ParseUtil from '../ParseUtil.js';
+import {StackItem} from '../StackItem.js';
+import {TikzcdItem} from './TikzcdItems.js';
+import {DiagramLabel} from '../../../core/MmlTree/MmlNodes/TeXDiagram.js';
+
+
+// Namespace
+export const TikzcdMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * The named separations between the objects of a diagram (in em).
+ */
+const SEPARATIONS: {[name: string]: number} = {
+  tiny: .45,
+  small: .9,
+  scriptsize: 1.35,
+  normal: 1.8,
+  large: 2.7,
+  huge: 3.6
+};
+
+/**
+ * The space around each object of the diagram (the arrows stop there),
+ * which is added to the separations between the objects.
+ */
+const INNERSEP = .333;
+
+/**
+ * The default bend angle (in degrees) and shift (in em) for arrows.
+ */
+const BEND = 30;
+const SHIFT = .25;
+
+/**
+ * The arrow options that change the style of the arrow.
+ */
+const STYLES: {[name: string]: {line?: string, head?: string, tail?: string}} = {
+  'dashed':     {line: 'dashed'},
+  'dotted':     {line: 'dotted'},
+  'equal':      {line: 'double', head: 'none'},
+  'Rightarrow': {line: 'double', head: 'double'},
+  'phantom':    {line: 'none', head: 'none', tail: 'none'},
+  'two heads':  {head: 'two heads'},
+  'no head':    {head: 'none'},
+  'dash':       {head: 'none'},
+  'hook':       {tail: 'hook'},
+  'hook\'':     {tail: 'hook\''},
+  'tail':       {tail: 'tail'},
+  'maps to':    {tail: 'maps to'}
+};
+
+/**
+ * The label options that change the position of the label along the arrow.
+ */
+const POSITIONS: {[name: string]: number} = {
+  'at start': 0,
+  'very near start': .125,
+  'near start': .25,
+  'midway': .5,
+  'near end': .75,
+  'very near end': .875,
+  'at end': 1
+};
+
+
+/**
+ * Split a list of options at the commas that are not in braces or quotation marks.
+ *
+ * @param {string} text The option list.
+ * @return {string[]} The (trimmed, non-empty) options.
+ */
+function splitOptions(text: string): string[] {
+  const options: string[] = [];
+  let [braces, quoted, start] = [0, false, 0];
+  for (let i = 0; i <= text.length; i++) {
+    const c = text.charAt(i);
+    if (c === '{') {
+      braces++;
+    } else if (c === '}') {
+      braces--;
+    } else if (c === '"' && !braces) {
+      quoted = !quoted;
+    } else if ((c === ',' || c === '') && !braces && !quoted) {
+      options.push(ParseUtil.trimSpaces(text.slice(start, i)));
+      start = i + 1;
+    }
+  }
+  if (braces || quoted) {
+    throw new TexError('ExtraOpenMissingClose', 'Extra open brace or missing close brace');
+  }
+  return options.filter(option => option);
+}
+
+
+/**
+ * @param {string} value A separation name, or a dimension.
+ * @param {string} option The option being processed (for error messages).
+ * @return {number} The separation in em.
+ */
+function getSeparation(value: string, option: string): number {
+  if (SEPARATIONS.hasOwnProperty(value)) {
+    return SEPARATIONS[value];
+  }
+  if (!ParseUtil.matchDimen(value)[0]) {
+    throw new TexError('BadTikzcdValue', 'Invalid value for %1: %2', option, value);
+  }
+  return ParseUtil.dimen2em(value);
+}
+
+
+/**
+ * @param {string} value The value of a bend or shift option ('' for the default).
+ * @param {number} def The default value (in the option's units).
+ * @param {string} option The option being processed (for error messages).
+ * @param {boolean} dimen True if the value can be a dimension (rather than a
+ *     multiple of the default).
+ * @return {number} The value of the option.
+ */
+function getAmount(value: string, def: number, option: string, dimen: boolean): number {
+  if (!value) {
+    return def;
+  }
+  if (value.match(/^[-+]?(?:\d+(?:\.\d*)?|\.\d+)$/)) {
+    return (dimen ? parseFloat(value) * def : parseFloat(value));
+  }
+  if (dimen && ParseUtil.matchDimen(value)[0]) {
+    return ParseUtil.dimen2em(value);
+  }
+  throw new TexError('BadTikzcdValue', 'Invalid value for %1: %2', option, value);
+}
+
+
+/**
+ * Process a label option ("text" followed by label options such as ' or
+ * description) for an arrow, creating its node (in script style).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {TikzcdItem} top The diagram containing the arrow.
+ * @param {string} option The label option.
+ * @return {DiagramLabel} The data for the label.
+ */
+function makeLabel(parser: TexParser, top: TikzcdItem, option: string): DiagramLabel {
+  const i = option.indexOf('"', 1);
+  const text = option.slice(1, i);
+  const label: DiagramLabel = {node: 0, side: 'left', pos: .5, fill: false};
+  let rest = ParseUtil.trimSpaces(option.slice(i + 1));
+  if (rest.charAt(0) === '\'') {
+    label.side = 'right';
+    rest = rest.slice(1);
+  }
+  for (const key of splitOptions(rest.replace(/^\s*\{([^]*)\}\s*$/, '$1'))) {
+    if (key === 'swap' || key === '\'') {
+      label.side = 'right';
+    } else if (key === 'description') {
+      [label.side, label.fill] = ['center', true];
+    } else if (POSITIONS.hasOwnProperty(key)) {
+      label.pos = POSITIONS[key];
+    } else {
+      throw new TexError('UnknownArrowOption', 'Unknown arrow option: %1', key);
+    }
+  }
+  label.node = top.addLabel(new TexParser(text, parser.stack.env, parser.configuration).mml());
+  return label;
+}
+
+
+/**
+ * Parses \arrow[options] (and \ar) within a tikzcd environment.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+function TikzcdArrow(parser: TexParser, name: string) {
+  const top = parser.stack.Top() as TikzcdItem;
+  const arrow = top.newArrow();
+  const [row, col] = arrow.from;
+  for (const option of splitOptions(parser.GetBrackets(name, ''))) {
+    if (option.charAt(0) === '"') {
+      arrow.labels.push(makeLabel(parser, top, option));
+      continue;
+    }
+    if (option.match(/^[rlud]+$/)) {
+      for (const c of option.split('')) {
+        const [dr, dc] = {r: [0, 1], l: [0, -1], d: [1, 0], u: [-1, 0]}[c as 'r' | 'l' | 'd' | 'u'];
+        arrow.to = [arrow.to[0] + dr, arrow.to[1] + dc];
+      }
+      continue;
+    }
+    const [key, value] = option.split(/\s*=\s*/).map(ParseUtil.trimSpaces).concat(['']);
+    if (STYLES.hasOwnProperty(key)) {
+      Object.assign(arrow, STYLES[key]);
+    } else if (key === 'bend left' || key === 'bend right') {
+      arrow.bend = (key === 'bend left' ? 1 : -1) * getAmount(value, BEND, key, false);
+    } else if (key === 'shift left' || key === 'shift right') {
+      arrow.shift = (key === 'shift left' ? 1 : -1) * getAmount(value, SHIFT, key, true);
+    } else {
+      throw new TexError('UnknownArrowOption', 'Unknown arrow option: %1', option);
+    }
+  }
+  if (arrow.to[0] === row && arrow.to[1] === col) {
+    throw new TexError('MissingArrowDirection', 'Missing direction for %1', parser.currentCS);
+  }
+  if (arrow.line === 'none') {
+    for (const label of arrow.labels) {
+      [label.side, label.fill] = ['center', false];
+    }
+  }
+  top.arrows.push(arrow);
+}
+
+
+/**
+ * Implements the tikzcd environment.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {StackItem} begin The opening stackitem.
+ */
+TikzcdMethods.Tikzcd = function(parser: TexParser, begin: StackItem) {
+  const options = ParseUtil.keyvalOptions(
+    parser.GetBrackets('\\begin{' + begin.getName() + '}', ''),
+    {'sep': 1, 'row sep': 1, 'column sep': 1}, true);
+  const sep = (options['sep'] ? getSeparation(options['sep'] as string, 'sep') : SEPARATIONS.normal);
+  const rowsep = (options['row sep'] ? getSeparation(options['row sep'] as string, 'row sep') : sep);
+  const colsep = (options['column sep'] ? getSeparation(options['column sep'] as string, 'column sep') : sep);
+  parser.Push(begin);
+  const item = parser.itemFactory.create('tikzcd') as TikzcdItem;
+  item.arraydef = {
+    columnalign: 'center',
+    columnspacing: ParseUtil.Em(colsep + 2 * INNERSEP),
+    rowspacing: ParseUtil.Em(rowsep + 2 * INNERSEP),
+    displaystyle: false
+  };
+  item.arrowMethod = TikzcdArrow;
+  return item;
+};
+
+
+/**
+ * Implements \arrow (and \ar) within a diagram, using the arrow syntax
+ * of the diagram's package.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+TikzcdMethods.Arrow = function(parser: TexParser, name: string) {
+  const top = parser.stack.Top();
+  if (!(top instanceof TikzcdItem)) {
+    throw new TexError('ArrowOutsideDiagram', '%1 can only be used within a diagram', parser.currentCS);
+  }
+  top.arrowMethod(parser, name);
+};
@@ -0,0 +1,90 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Configuration file for the unicodemath package (the
+ *               unicode-math math alphabet macros, and input of the
+ *               Math Alphanumerics characters).
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {Configuration} from '../Configuration.js';
+import {CommandMap, RegExpMap} from '../SymbolMap.js';
+import {TexConstant} from '../TexConstants.js';
+import {UnicodeMathMethods, MathAlphanumeric} from './UnicodeMathMethods.js';
+
+
+const Variant = TexConstant.Variant;
+
+/**
+ * The math alphabet macros.  The \sym... macros apply to lower-case Greek as
+ * well (as the unicode-math ones do), while the \math... macros do not.
+ */
+new CommandMap('unicodemath-macros', {
+  symnormal:   ['MathAlphabet', '', true],
+  symup:       ['MathAlphabet', Variant.NORMAL, true],
+  symit:       ['MathAlphabet', Variant.ITALIC, true],
+  symbf:       ['MathAlphabet', Variant.BOLD, true],
+  symbfup:     ['MathAlphabet', Variant.BOLD, true],
+  symbfit:     ['MathAlphabet', Variant.BOLDITALIC, true],
+  symsf:       ['MathAlphabet', Variant.SANSSERIF, true],
+  symsfup:     ['MathAlphabet', Variant.SANSSERIF, true],
+  symsfit:     ['MathAlphabet', Variant.SANSSERIFITALIC, true],
+  symbfsf:     ['MathAlphabet', Variant.BOLDSANSSERIF, true],
+  symbfsfup:   ['MathAlphabet', Variant.BOLDSANSSERIF, true],
+  symbfsfit:   ['MathAlphabet', Variant.SANSSERIFBOLDITALIC, true],
+  symtt:       ['MathAlphabet', Variant.MONOSPACE, true],
+  symbb:       ['MathAlphabet', Variant.DOUBLESTRUCK, true],
+  symcal:      ['MathAlphabet', Variant.CALLIGRAPHIC, true],
+  symbfcal:    ['MathAlphabet', Variant.BOLDCALLIGRAPHIC, true],
+  symscr:      ['MathAlphabet', Variant.SCRIPT, true],
+  symbfscr:    ['MathAlphabet', Variant.BOLDSCRIPT, true],
+  symfrak:     ['MathAlphabet', Variant.FRAKTUR, true],
+  symbffrak:   ['MathAlphabet', Variant.BOLDFRAKTUR, true],
+  mathup:      ['MathAlphabet', Variant.NORMAL, false],
+  mathbfup:    ['MathAlphabet', Variant.BOLD, false],
+  mathbfit:    ['MathAlphabet', Variant.BOLDITALIC, false],
+  mathsfup:    ['MathAlphabet', Variant.SANSSERIF, false],
+  mathsfit:    ['MathAlphabet', Variant.SANSSERIFITALIC, false],
+  mathbfsf:    ['MathAlphabet', Variant.BOLDSANSSERIF, false],
+  mathbfsfup:  ['MathAlphabet', Variant.BOLDSANSSERIF, false],
+  mathbfsfit:  ['MathAlphabet', Variant.SANSSERIFBOLDITALIC, false],
+  mathbfcal:   ['MathAlphabet', Variant.BOLDCALLIGRAPHIC, false],
+  mathbfscr:   ['MathAlphabet', Variant.BOLDSCRIPT, false],
+  mathbffrak:  ['MathAlphabet', Variant.BOLDFRAKTUR, false]
+}, UnicodeMathMethods);
+
+
+/**
+ * The characters in the Math Alphanumerics block (U+1D400 to U+1D7FF), and the
+ * Letterlike Symbols that fill the holes in it.
+ */
+new RegExpMap(
+  'unicodemath-alphanumerics', MathAlphanumeric,
+  /^(?:\uD835[\uDC00-\uDFFF]|[\u2102\u210A-\u210E\u2110-\u2112\u2115\u2119-\u211D\u2124\u2128\u212C\u212D\u212F-\u2131\u2133\u2134])$/
+);
+
+
+export const UnicodeMathConfiguration = Configuration.create(
+  'unicodemath', {
+    handler: {
+      macro: ['unicodemath-macros'],
+      character: ['unicodemath-alphanumerics']
+    }
+  }
+);
@@ -0,0 +1,175 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Methods for the unicodemath package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import {TexConstant} from '../TexConstants.js';
+
+
+// Namespace
+export const UnicodeMathMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * The positions of the alphabets for each variant in the Math Alphanumerics block:
+ *  [upper-alpha, lower-alpha, upper-Greek, lower-Greek, numbers]
+ */
+const ALPHABETS: {[variant: string]: number[]} = {
+  [TexConstant.Variant.BOLD]: [0x1D400, 0x1D41A, 0x1D6A8, 0x1D6C2, 0x1D7CE],
+  [TexConstant.Variant.ITALIC]: [0x1D434, 0x1D44E, 0x1D6E2, 0x1D6FC],
+  [TexConstant.Variant.BOLDITALIC]: [0x1D468, 0x1D482, 0x1D71C, 0x1D736],
+  [TexConstant.Variant.SCRIPT]: [0x1D49C, 0x1D4B6],
+  [TexConstant.Variant.BOLDSCRIPT]: [0x1D4D0, 0x1D4EA],
+  [TexConstant.Variant.FRAKTUR]: [0x1D504, 0x1D51E],
+  [TexConstant.Variant.DOUBLESTRUCK]: [0x1D538, 0x1D552, , , 0x1D7D8],
+  [TexConstant.Variant.BOLDFRAKTUR]: [0x1D56C, 0x1D586],
+  [TexConstant.Variant.SANSSERIF]: [0x1D5A0, 0x1D5BA, , , 0x1D7E2],
+  [TexConstant.Variant.BOLDSANSSERIF]: [0x1D5D4, 0x1D5EE, 0x1D756, 0x1D770, 0x1D7EC],
+  [TexConstant.Variant.SANSSERIFITALIC]: [0x1D608, 0x1D622],
+  [TexConstant.Variant.SANSSERIFBOLDITALIC]: [0x1D63C, 0x1D656, 0x1D790, 0x1D7AA],
+  [TexConstant.Variant.MONOSPACE]: [0x1D670, 0x1D68A, , , 0x1D7F6]
+};
+
+/**
+ * @param {number} lo   The first character in the range
+ * @param {number} hi   The last character in the range
+ * @return {string}     The string of characters from lo to hi
+ */
+function charRange(lo: number, hi: number): string {
+  let chars = '';
+  for (let n = lo; n <= hi; n++) {
+    chars += String.fromCodePoint(n);
+  }
+  return chars;
+}
+
+/**
+ * The characters in each of the alphabets, in the order they appear in the
+ * Math Alphanumerics block
+ */
+const LETTERS = [
+  charRange(0x41, 0x5A),
+  charRange(0x61, 0x7A),
+  charRange(0x391, 0x3A1) + '\u03F4' + charRange(0x3A3, 0x3A9) + '\u2207',
+  charRange(0x3B1, 0x3C9) + '\u2202\u03F5\u03D1\u03F0\u03D5\u03F1\u03D6',
+  charRange(0x30, 0x39)
+];
+
+/**
+ * The Math Alphanumerics not in the alphabets above, and the Letterlike Symbols
+ * that fill the holes in them
+ */
+const OTHERS: {[n: number]: [string, string]} = {
+  0x1D6A4: [TexConstant.Variant.ITALIC, '\u0131'],  // dotless i
+  0x1D6A5: [TexConstant.Variant.ITALIC, '\u0237'],  // dotless j
+  0x1D7CA: [TexConstant.Variant.BOLD, '\u03DC'],    // digamma
+  0x1D7CB: [TexConstant.Variant.BOLD, '\u03DD'],    // small digamma
+  0x210E: [TexConstant.Variant.ITALIC, 'h'],
+  0x212C: [TexConstant.Variant.SCRIPT, 'B'],
+  0x2130: [TexConstant.Variant.SCRIPT, 'E'],
+  0x2131: [TexConstant.Variant.SCRIPT, 'F'],
+  0x210B: [TexConstant.Variant.SCRIPT, 'H'],
+  0x2110: [TexConstant.Variant.SCRIPT, 'I'],
+  0x2112: [TexConstant.Variant.SCRIPT, 'L'],
+  0x2133: [TexConstant.Variant.SCRIPT, 'M'],
+  0x211B: [TexConstant.Variant.SCRIPT, 'R'],
+  0x212F: [TexConstant.Variant.SCRIPT, 'e'],
+  0x210A: [TexConstant.Variant.SCRIPT, 'g'],
+  0x2134: [TexConstant.Variant.SCRIPT, 'o'],
+  0x212D: [TexConstant.Variant.FRAKTUR, 'C'],
+  0x210C: [TexConstant.Variant.FRAKTUR, 'H'],
+  0x2111: [TexConstant.Variant.FRAKTUR, 'I'],
+  0x211C: [TexConstant.Variant.FRAKTUR, 'R'],
+  0x2128: [TexConstant.Variant.FRAKTUR, 'Z'],
+  0x2102: [TexConstant.Variant.DOUBLESTRUCK, 'C'],
+  0x210D: [TexConstant.Variant.DOUBLESTRUCK, 'H'],
+  0x2115: [TexConstant.Variant.DOUBLESTRUCK, 'N'],
+  0x2119: [TexConstant.Variant.DOUBLESTRUCK, 'P'],
+  0x211A: [TexConstant.Variant.DOUBLESTRUCK, 'Q'],
+  0x211D: [TexConstant.Variant.DOUBLESTRUCK, 'R'],
+  0x2124: [TexConstant.Variant.DOUBLESTRUCK, 'Z']
+};
+
+
+/**
+ * @param {number} n   A character in the Math Alphanumerics block (or one filling a hole in it)
+ * @return {[string, string, boolean]}   The variant and (unstyled) character that
+ *                                         it represents, and whether it is a digit
+ */
+function mathAlphanumeric(n: number): [string, string, boolean] {
+  if (OTHERS[n]) {
+    return [...OTHERS[n], false] as [string, string, boolean];
+  }
+  for (const variant of Object.keys(ALPHABETS)) {
+    const alphabets = ALPHABETS[variant];
+    for (let i = 0; i < alphabets.length; i++) {
+      const k = n - alphabets[i];
+      if (alphabets[i] && k >= 0 && k < LETTERS[i].length) {
+        return [variant, LETTERS[i].charAt(k), i === 4];
+      }
+    }
+  }
+  return null;
+}
+
+
+/**
+ * Handle a character from the Math Alphanumerics block (or one filling a hole
+ * in it) by using the unstyled character with the mathvariant that it represents.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} c The character being parsed.
+ */
+export function MathAlphanumeric(parser: TexParser, c: string) {
+  const alpha = mathAlphanumeric(c.codePointAt(0));
+  if (!alpha) {
+    // Unassigned positions in the block are left as they are
+    parser.Push(parser.create('token', 'mi', {mathvariant: TexConstant.Variant.NORMAL}, c));
+    return;
+  }
+  const [variant, char, digit] = alpha;
+  parser.Push(parser.create('token', digit ? 'mn' : 'mi', {mathvariant: variant}, char));
+}
+
+
+/**
+ * Implements the math alphabet macros, e.g., \symbf and \mathbfit.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @param {string} variant The mathvariant for the alphabet ('' for the default).
+ * @param {boolean} greek True if lower-case Greek should use the variant as
+ *                          well (as for the \sym... macros).
+ */
+UnicodeMathMethods.MathAlphabet = function(parser: TexParser, name: string, variant: string, greek: boolean) {
+  const env = parser.stack.env;
+  const [font, mathalpha] = [env['font'], env['mathalpha']];
+  env['font'] = variant;
+  if (greek) {
+    env['mathalpha'] = variant;
+  }
+  const mml = parser.ParseArg(name);
+  env['font'] = font;
+  env['mathalpha'] = mathalpha;
+  parser.Push(parser.create('node', 'TeXAtom', [mml]));
+};
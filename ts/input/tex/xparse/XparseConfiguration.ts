@@ -0,0 +1,58 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Configuration file for the xparse package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {Configuration} from '../Configuration.js';
+import {CommandMap} from '../SymbolMap.js';
+import {XparseMethods, NOVALUE, TRUE} from './XparseMethods.js';
+import '../newcommand/NewcommandConfiguration.js';
+
+
+/**
+ * Macros for the xparse package.
+ */
+new CommandMap('xparse-macros', {
+  NewDocumentCommand:         ['DocumentCommand', 'New'],
+  RenewDocumentCommand:       ['DocumentCommand', 'Renew'],
+  ProvideDocumentCommand:     ['DocumentCommand', 'Provide'],
+  NewDocumentEnvironment:     ['DocumentEnvironment', 'New'],
+  RenewDocumentEnvironment:   ['DocumentEnvironment', 'Renew'],
+  ProvideDocumentEnvironment: ['DocumentEnvironment', 'Provide'],
+  IfNoValueTF:                ['IfValue', NOVALUE, true, 'TF'],
+  IfNoValueT:                 ['IfValue', NOVALUE, true, 'T'],
+  IfNoValueF:                 ['IfValue', NOVALUE, true, 'F'],
+  IfValueTF:                  ['IfValue', NOVALUE, false, 'TF'],
+  IfValueT:                   ['IfValue', NOVALUE, false, 'T'],
+  IfValueF:                   ['IfValue', NOVALUE, false, 'F'],
+  IfBooleanTF:                ['IfValue', TRUE, true, 'TF'],
+  IfBooleanT:                 ['IfValue', TRUE, true, 'T'],
+  IfBooleanF:                 ['IfValue', TRUE, true, 'F'],
+  BooleanTrue:                ['Macro', '', ''],
+  BooleanFalse:               ['Macro', '', '']
+}, XparseMethods);
+
+
+export const XparseConfiguration = Configuration.create(
+  'xparse', {
+    handler: {macro: ['xparse-macros']}
+  }
+);
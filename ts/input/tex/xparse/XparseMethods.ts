@@ -0,0 +1,438 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Methods for the xparse package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import TexError from '../TexError.js';
+import ParseUtil from '../ParseUtil.js';
+import {StackItem} from '../StackItem.js';
+import NewcommandUtil from '../newcommand/NewcommandUtil.js';
+
+
+// Namespace
+export const XparseMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * The value of an optional argument that is not present.
+ */
+export const NOVALUE = '-NoValue-';
+
+/**
+ * The values of the arguments for s and t specifiers.
+ */
+export const TRUE = '\\BooleanTrue';
+export const FALSE = '\\BooleanFalse';
+
+
+/**
+ * A parsed argument specifier:  the type (m, o, t, r, d, e, or g), the
+ * tokens used by the argument (the test token for t, the delimiters for r
+ * and d, the embellishments for e), and the default value (for O, D, and G).
+ */
+export type ArgSpec = {
+  type: string,
+  tokens: string[],
+  def: string
+};
+
+
+/**
+ * Get the next token from an argument specification (a character, a control
+ * sequence, or the contents of a braced group).
+ *
+ * @param {string} spec The argument specification.
+ * @param {number} i The position of the token.
+ * @param {string} name The name of the calling macro.
+ * @return {[string, number]} The token and the position following it.
+ */
+function specToken(spec: string, i: number, name: string): [string, number] {
+  while (spec.charAt(i).match(/\s/)) {
+    i++;
+  }
+  const c = spec.charAt(i);
+  if (c === '\\') {
+    const cs = spec.substr(i).match(/^\\(?:[a-z]+|.)/i)[0];
+    return [cs, i + cs.length];
+  }
+  if (c === '{') {
+    let braces = 0;
+    for (let j = i; j < spec.length; j++) {
+      const k = spec.charAt(j);
+      if (k === '\\') {
+        j++;
+      } else if (k === '{') {
+        braces++;
+      } else if (k === '}' && --braces === 0) {
+        return [spec.substring(i + 1, j), j + 1];
+      }
+    }
+  }
+  if (!c || c === '{' || c === '}') {
+    throw new TexError('BadArgSpec', 'Invalid argument specification for %1', name);
+  }
+  return [c, i + 1];
+}
+
+
+/**
+ * Parse an xparse argument specification.
+ *
+ * @param {string} spec The argument specification.
+ * @param {string} name The name of the calling macro.
+ * @return {ArgSpec[]} The parsed arguments.
+ */
+export function parseSpec(spec: string, name: string): ArgSpec[] {
+  const args: ArgSpec[] = [];
+  let n = 0;
+  let i = 0;
+  let c: string, open: string, close: string, list: string;
+  while (!spec.substr(i).match(/^\s*$/)) {
+    [c, i] = specToken(spec, i, name);
+    if (c === '+' || c === '!') continue;
+    const arg: ArgSpec = {type: c.toLowerCase(), tokens: [], def: NOVALUE};
+    switch (c) {
+    case 'm':
+    case 'o':
+    case 'g':
+      break;
+    case 'O':
+    case 'G':
+      [arg.def, i] = specToken(spec, i, name);
+      break;
+    case 's':
+      arg.type = 't';
+      arg.tokens = ['*'];
+      break;
+    case 't':
+      [open, i] = specToken(spec, i, name);
+      arg.tokens = [open];
+      break;
+    case 'r':
+    case 'd':
+    case 'D':
+      [open, i] = specToken(spec, i, name);
+      [close, i] = specToken(spec, i, name);
+      arg.tokens = [open, close];
+      if (c === 'D') {
+        [arg.def, i] = specToken(spec, i, name);
+      }
+      break;
+    case 'e':
+      [list, i] = specToken(spec, i, name);
+      for (let j = 0; !list.substr(j).match(/^\s*$/); ) {
+        [c, j] = specToken(list, j, name);
+        arg.tokens.push(c);
+      }
+      n += arg.tokens.length - 1;
+      break;
+    default:
+      throw new TexError('BadArgType', 'Unknown argument type \'%1\' for %2', c, name);
+    }
+    args.push(arg);
+    if (++n > 9) {
+      throw new TexError('TooManyArgs', 'Too many arguments specified for %1', name);
+    }
+  }
+  return args;
+}
+
+
+/**
+ * Check for (and skip) a token at the current location.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} token The token to check for.
+ * @return {boolean} True if the token was found.
+ */
+function matchToken(parser: TexParser, token: string): boolean {
+  parser.GetNext();
+  return !!NewcommandUtil.MatchParam(parser, token);
+}
+
+
+/**
+ * Get an argument delimited by the given tokens (nested delimiters and
+ * braced groups are skipped).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @param {string} open The open delimiter (already matched).
+ * @param {string} close The close delimiter.
+ * @return {string} The contents of the delimiters.
+ */
+function getDelimited(parser: TexParser, name: string, open: string, close: string): string {
+  const i = parser.i;
+  let depth = 0;
+  while (parser.i < parser.string.length) {
+    const j = parser.i;
+    if (NewcommandUtil.MatchParam(parser, close)) {
+      if (depth-- === 0) {
+        return parser.string.substring(i, j);
+      }
+    } else if (open !== close && NewcommandUtil.MatchParam(parser, open)) {
+      depth++;
+    } else if (parser.string.charAt(parser.i) === '{') {
+      parser.GetArgument(name);
+    } else if (parser.string.charAt(parser.i) === '\\') {
+      parser.i++;
+      parser.GetCS();
+    } else {
+      parser.i++;
+    }
+  }
+  throw new TexError('TokenNotFoundForCommand', 'Could not find %1 for %2', close, name);
+}
+
+
+/**
+ * Get the arguments for a macro or environment from the parser string.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the macro or environment.
+ * @param {string} spec The argument specification.
+ * @return {string[]} The argument values.
+ */
+function getArguments(parser: TexParser, name: string, spec: string): string[] {
+  const args: string[] = [];
+  for (const arg of parseSpec(spec, name)) {
+    switch (arg.type) {
+    case 'm':
+      args.push(parser.GetArgument(name));
+      break;
+    case 'o':
+      args.push(parser.GetBrackets(name, arg.def));
+      break;
+    case 'g':
+      args.push(parser.GetNext() === '{' ? parser.GetArgument(name) : arg.def);
+      break;
+    case 't':
+      args.push(matchToken(parser, arg.tokens[0]) ? TRUE : FALSE);
+      break;
+    case 'r':
+      if (!matchToken(parser, arg.tokens[0])) {
+        throw new TexError('MissingDelimitedArg',
+                           'Failed to find required argument starting with %1 for %2',
+                           arg.tokens[0], name);
+      }
+      args.push(getDelimited(parser, name, arg.tokens[0], arg.tokens[1]));
+      break;
+    case 'd':
+      args.push(matchToken(parser, arg.tokens[0]) ?
+                getDelimited(parser, name, arg.tokens[0], arg.tokens[1]) : arg.def);
+      break;
+    case 'e':
+      //
+      //  Embellishments can come in any order, but each only once
+      //
+      const values = arg.tokens.map(() => arg.def);
+      let found = true;
+      while (found) {
+        found = false;
+        arg.tokens.forEach((token, k) => {
+          if (!found && values[k] === arg.def && matchToken(parser, token)) {
+            values[k] = parser.GetArgument(name);
+            found = true;
+          }
+        });
+      }
+      args.push(...values);
+      break;
+    }
+  }
+  return args;
+}
+
+
+/**
+ * Get the name of the macro being defined.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @return {string} The control sequence name (without the backslash).
+ */
+function getCSname(parser: TexParser, name: string): string {
+  let cs = ParseUtil.trimSpaces(parser.GetArgument(name));
+  if (cs.charAt(0) === '\\') {
+    cs = cs.substr(1);
+  }
+  if (!cs.match(/^(.|[a-z]+)$/i)) {
+    throw new TexError('IllegalControlSequenceName',
+                       'Illegal control sequence name for %1', name);
+  }
+  return cs;
+}
+
+
+/**
+ * Check whether a definition should be made, given the type of definition
+ * and whether the name is already defined.
+ *
+ * @param {string} type The type of definition (New, Renew, or Provide).
+ * @param {boolean} defined True if the name is already defined.
+ * @param {string} kind The kind of object being defined (Command or Environment).
+ * @param {string} id The name being defined.
+ * @return {boolean} True if the definition should be made.
+ */
+function checkDefined(type: string, defined: boolean, kind: string, id: string): boolean {
+  if (type === 'New' && defined) {
+    throw new TexError(kind + 'Defined', '%1 \'%2\' already defined', kind, id);
+  }
+  if (type === 'Renew' && !defined) {
+    throw new TexError(kind + 'NotDefined', '%1 \'%2\' not yet defined', kind, id);
+  }
+  return !(type === 'Provide' && defined);
+}
+
+
+/**
+ * Implements \NewDocumentCommand{\name}{spec}{definition}, and the
+ * corresponding \RenewDocumentCommand and \ProvideDocumentCommand.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @param {string} type The type of definition (New, Renew, or Provide).
+ */
+XparseMethods.DocumentCommand = function(parser: TexParser, name: string, type: string) {
+  const cs = getCSname(parser, name);
+  const spec = parser.GetArgument(name);
+  const def = parser.GetArgument(name);
+  parseSpec(spec, name);
+  const defined = parser.configuration.handlers.get('macro').contains(cs);
+  if (checkDefined(type, defined, 'Command', '\\' + cs)) {
+    NewcommandUtil.addMacro(parser, cs, XparseMethods.Macro, [def, spec]);
+  }
+};
+
+
+/**
+ * Implements \NewDocumentEnvironment{name}{spec}{begin}{end}, and the
+ * corresponding \RenewDocumentEnvironment and \ProvideDocumentEnvironment.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @param {string} type The type of definition (New, Renew, or Provide).
+ */
+XparseMethods.DocumentEnvironment = function(parser: TexParser, name: string, type: string) {
+  const env = ParseUtil.trimSpaces(parser.GetArgument(name));
+  const spec = parser.GetArgument(name);
+  const bdef = parser.GetArgument(name);
+  const edef = parser.GetArgument(name);
+  parseSpec(spec, name);
+  const defined = parser.configuration.handlers.get('environment').contains(env);
+  if (checkDefined(type, defined, 'Environment', env)) {
+    NewcommandUtil.addEnvironment(parser, env, XparseMethods.BeginEnv, [true, bdef, edef, spec]);
+  }
+};
+
+
+/**
+ * Implements the \IfNoValueTF, \IfValueTF, and \IfBooleanTF conditionals
+ * (and their T and F forms).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ * @param {string} value The value that makes the test true.
+ * @param {boolean} equal True if the test is for the argument being that value,
+ *                        false if it is for the argument being different.
+ * @param {string} branches The branches being given (TF, T, or F).
+ */
+XparseMethods.IfValue = function(parser: TexParser, name: string, value: string,
+                                 equal: boolean, branches: string) {
+  const test = (ParseUtil.trimSpaces(parser.GetArgument(name)) === value) === equal;
+  const T = (branches.match(/T/) ? parser.GetArgument(name) : '');
+  const F = (branches.match(/F/) ? parser.GetArgument(name) : '');
+  parser.string = ParseUtil.addArgs(parser, test ? T : F, parser.string.slice(parser.i));
+  parser.i = 0;
+};
+
+
+/**
+ * Process a macro defined by \NewDocumentCommand.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the macro.
+ * @param {string} def The definition of the macro.
+ * @param {string} spec The argument specification.
+ */
+XparseMethods.Macro = function(parser: TexParser, name: string, def: string, spec: string) {
+  const args = getArguments(parser, name, spec);
+  if (args.length) {
+    def = ParseUtil.substituteArgs(parser, args, def);
+  }
+  parser.string = ParseUtil.addArgs(parser, def, parser.string.slice(parser.i));
+  parser.i = 0;
+  if (++parser.macroCount > parser.configuration.options['maxMacros']) {
+    throw new TexError('MaxMacroSub1',
+                       'MathJax maximum macro substitution count exceeded; ' +
+                       'is there a recursive macro call?');
+  }
+};
+
+
+/**
+ * Process an environment defined by \NewDocumentEnvironment.  Unlike
+ * \newenvironment, the arguments can be used in the end code, so the
+ * substituted end code is saved in the beginEnv item.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {StackItem} begin The begin stackitem.
+ * @param {string} bdef The begin code.
+ * @param {string} edef The end code.
+ * @param {string} spec The argument specification.
+ * @return {StackItem} The beginEnv or end item.
+ */
+XparseMethods.BeginEnv = function(parser: TexParser, begin: StackItem,
+                                  bdef: string, edef: string, spec: string) {
+  const env = begin.getName();
+  if (begin.getProperty('end') && parser.stack.env['closing'] === env) {
+    delete parser.stack.env['closing'];
+    //
+    //  Get the end code (with its arguments substituted) from the beginEnv item.
+    //
+    for (let n = 1, item; (item = parser.stack.Top(n)); n++) {
+      if (item.isKind('beginEnv') && item.getName() === env) {
+        edef = item.getProperty('edef') as string;
+        break;
+      }
+    }
+    //
+    //  Parse the end code, then reset to parsing the remainder of the expression.
+    //
+    let rest = parser.string.slice(parser.i);
+    parser.string = edef;
+    parser.i = 0;
+    parser.Parse();
+    parser.string = rest;
+    parser.i = 0;
+    return parser.itemFactory.create('end').setProperty('name', env);
+  }
+  const args = getArguments(parser, '\\begin{' + env + '}', spec);
+  if (args.length) {
+    bdef = ParseUtil.substituteArgs(parser, args, bdef);
+    edef = ParseUtil.substituteArgs(parser, args, edef);
+  }
+  parser.string = ParseUtil.addArgs(parser, bdef, parser.string.slice(parser.i));
+  parser.i = 0;
+  return parser.itemFactory.create('beginEnv').setProperties({name: env, edef: edef});
+};
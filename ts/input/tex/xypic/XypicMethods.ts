@@ -0,0 +1,270 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview Methods for the xypic package.
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {ParseMethod} from '../Types.js';
+import TexParser from '../TexParser.js';
+import TexError from '../TexError.js';
+import ParseUtil from '../ParseUtil.js';
+import {TikzcdItem} from '../tikzcd/TikzcdItems.js';
+import {TikzcdMethods} from '../tikzcd/TikzcdMethods.js';
+import {DiagramArrow, DiagramLabel} from '../../../core/MmlTree/MmlNodes/TeXDiagram.js';
+
+
+// Namespace
+export const XypicMethods: Record<string, ParseMethod> = {};
+
+
+/**
+ * The default row and column spacing (2pc) and the entry margin (in em).
+ */
+const SPACING = 2.4;
+const MARGIN = .333;
+
+/**
+ * The default bend angle (in degrees) for @/^/ and @/_/.
+ */
+const BEND = 30;
+
+/**
+ * The parts of an arrow style @{tail body head}.
+ */
+const TAILS: {[name: string]: string} = {
+  '':      'none',
+  '^{(}':  'hook',
+  '_{(}':  'hook\'',
+  '>':     'tail',
+  '|':     'maps to'
+};
+
+const BODIES: {[name: string]: string} = {
+  '-':  'solid',
+  '--': 'dashed',
+  '.':  'dotted',
+  '..': 'dotted',
+  '=':  'double',
+  '':   'none'
+};
+
+const HEADS: {[name: string]: string} = {
+  '>':  'to',
+  '>>': 'two heads',
+  '':   'none'
+};
+
+/**
+ * The positions of labels given by < and > (and their doubled versions).
+ */
+const POSITIONS: {[name: string]: number} = {
+  '<<': .125,
+  '<':  .25,
+  '-':  .5,
+  '>':  .75,
+  '>>': .875
+};
+
+
+/**
+ * Set the line, head, and tail of an arrow from an @{...} style.
+ *
+ * @param {DiagramArrow} arrow The arrow to modify.
+ * @param {string} style The contents of the @{...}.
+ * @param {boolean} double True if @2 was given.
+ */
+function setStyle(arrow: DiagramArrow, style: string, double: boolean) {
+  if (style === '') {
+    Object.assign(arrow, {line: 'none', head: 'none', tail: 'none'});
+    return;
+  }
+  const match = style.replace(/\s+/g, '').match(/^(\^\{\(\}|_\{\(\}|>|\||)(--|-|\.\.|\.|=|)(>>|>|)$/);
+  if (!match || (!match[2] && (match[1] || match[3]))) {
+    throw new TexError('UnknownArrowOption', 'Unknown arrow option: %1', '@{' + style + '}');
+  }
+  Object.assign(arrow, {tail: TAILS[match[1]], line: BODIES[match[2]], head: HEADS[match[3]]});
+  if (double && arrow.line === 'solid') {
+    arrow.line = 'double';
+  }
+  if (arrow.line === 'double' && arrow.head === 'to') {
+    arrow.head = 'double';
+  }
+}
+
+
+/**
+ * Process the @ modifiers for an arrow (@{...}, @2, @/^/, @/_/, and @<dimen>).
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {DiagramArrow} arrow The arrow to modify.
+ * @param {string} name The name of the calling macro.
+ */
+function getModifiers(parser: TexParser, arrow: DiagramArrow, name: string) {
+  let [style, double] = [null as string, false];
+  while (parser.GetNext() === '@') {
+    parser.i++;
+    const c = parser.GetNext();
+    if (c === '{') {
+      style = parser.GetArgument(name);
+    } else if (c === '2') {
+      parser.i++;
+      double = true;
+    } else if (c === '<') {
+      parser.i++;
+      const dimen = parser.GetUpTo(name, '>');
+      if (!ParseUtil.matchDimen(dimen)[0]) {
+        throw new TexError('UnknownArrowOption', 'Unknown arrow option: %1', '@<' + dimen + '>');
+      }
+      arrow.shift = ParseUtil.dimen2em(dimen);
+    } else if (parser.string.substr(parser.i, 3).match(/^\/[\^_]\/$/)) {
+      arrow.bend = (parser.string.charAt(parser.i + 1) === '^' ? BEND : -BEND);
+      parser.i += 3;
+    } else {
+      throw new TexError('UnknownArrowOption', 'Unknown arrow option: %1', '@' + c);
+    }
+  }
+  if (style !== null) {
+    setStyle(arrow, style, double);
+  } else if (double) {
+    Object.assign(arrow, {line: 'double', head: 'double'});
+  }
+}
+
+
+/**
+ * Process the labels (^, _, or |, followed by an optional position and the
+ * label's contents) for an arrow.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {TikzcdItem} top The diagram containing the arrow.
+ * @param {DiagramArrow} arrow The arrow to modify.
+ * @param {string} name The name of the calling macro.
+ */
+function getLabels(parser: TexParser, top: TikzcdItem, arrow: DiagramArrow, name: string) {
+  let c: string;
+  while ((c = parser.GetNext()).match(/^[\^_|]$/)) {
+    parser.i++;
+    const label: DiagramLabel = {
+      node: 0, pos: .5,
+      side: (c === '^' ? 'left' : c === '_' ? 'right' : 'center'),
+      fill: (c === '|')
+    };
+    const position = parser.string.slice(parser.i).match(/^\s*(<<|>>|<|>|-|\(\s*([-+]?(?:\d+(?:\.\d*)?|\.\d+))\s*\))/);
+    if (position) {
+      label.pos = (position[2] ? parseFloat(position[2]) : POSITIONS[position[1]]);
+      parser.i += position[0].length;
+    }
+    const text = parser.GetArgument(name);
+    label.node = top.addLabel(new TexParser(text, parser.stack.env, parser.configuration).mml());
+    arrow.labels.push(label);
+  }
+}
+
+
+/**
+ * Parses \ar@{style}@/^/@<dimen>[dirs]^{label}_{label}|{label}
+ * within an \xymatrix.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+function XypicArrow(parser: TexParser, name: string) {
+  const top = parser.stack.Top() as TikzcdItem;
+  const arrow = top.newArrow();
+  const [row, col] = arrow.from;
+  getModifiers(parser, arrow, name);
+  const dirs = (parser.GetNext() === '[' ? parser.GetBrackets(name) : '');
+  if (!dirs.match(/^[rlud]*$/)) {
+    throw new TexError('UnknownArrowOption', 'Unknown arrow option: %1', '[' + dirs + ']');
+  }
+  for (const c of dirs.split('')) {
+    const [dr, dc] = {r: [0, 1], l: [0, -1], d: [1, 0], u: [-1, 0]}[c as 'r' | 'l' | 'd' | 'u'];
+    arrow.to = [arrow.to[0] + dr, arrow.to[1] + dc];
+  }
+  if (arrow.to[0] === row && arrow.to[1] === col) {
+    throw new TexError('MissingArrowDirection', 'Missing direction for %1', parser.currentCS);
+  }
+  getLabels(parser, top, arrow, name);
+  if (arrow.line === 'none') {
+    for (const label of arrow.labels) {
+      [label.side, label.fill] = ['center', false];
+    }
+  }
+  top.arrows.push(arrow);
+}
+
+
+/**
+ * Implements \xymatrix@R=dimen@C=dimen{...}.
+ *
+ * @param {TexParser} parser The calling parser.
+ * @param {string} name The name of the calling macro.
+ */
+XypicMethods.Xymatrix = function(parser: TexParser, name: string) {
+  let [rowsep, colsep] = [SPACING, SPACING];
+  let equal = '';
+  while (parser.GetNext() === '@') {
+    parser.i++;
+    const option = parser.string.slice(parser.i).match(/^([RC]?)\s*([-+=])|^!([RC0]?)/);
+    if (!option) {
+      throw new TexError('UnknownXymatrixOption', 'Unknown option for %1: %2',
+                         parser.currentCS, '@' + parser.GetNext());
+    }
+    parser.i += option[0].length;
+    if (option[2]) {
+      const dimen = ParseUtil.dimen2em(parser.GetDimen(name));
+      const [r, c] = [option[1] !== 'C', option[1] !== 'R'];
+      const op = option[2];
+      if (r) {
+        rowsep = (op === '=' ? dimen : rowsep + (op === '+' ? dimen : -dimen));
+      }
+      if (c) {
+        colsep = (op === '=' ? dimen : colsep + (op === '+' ? dimen : -dimen));
+      }
+    } else {
+      equal = (option[3] === '0' ? '' : option[3]) || 'RC';
+    }
+  }
+  if (parser.GetNext() !== '{') {
+    throw new TexError('MissingArgFor', 'Missing argument for %1', parser.currentCS);
+  }
+  parser.i++;
+  const item = parser.itemFactory.create('tikzcd').setProperty('requireClose', true) as TikzcdItem;
+  item.arraydef = {
+    columnalign: 'center',
+    columnspacing: ParseUtil.Em(Math.max(0, colsep) + 2 * MARGIN),
+    rowspacing: ParseUtil.Em(Math.max(0, rowsep) + 2 * MARGIN),
+    displaystyle: false
+  };
+  if (equal.indexOf('R') >= 0) {
+    item.arraydef.equalrows = true;
+  }
+  if (equal.indexOf('C') >= 0) {
+    item.arraydef.equalcolumns = true;
+  }
+  item.arrowMethod = XypicArrow;
+  parser.Push(item);
+};
+
+
+/**
+ * Implements \ar (the diagram determines whether xypic or tikzcd syntax is used).
+ */
+XypicMethods.Arrow = TikzcdMethods.Arrow;
@@ -49,13 +49,22 @@ export const RenderElement = function<N, T, D>(name: string, offset: string = ''
   }) as Notation.Renderer<CHTMLmenclose<N, T, D>, N>;
 };
 
+/**
+ * @param {CHTMLmenclose} node   The menclose whose border is being drawn
+ * @return {string}              The CSS border (using the rule color, if one is given)
+ */
+export const BorderStyle = function<N, T, D>(node: CHTMLmenclose<N, T, D>): string {
+  const color = node.node.attributes.get('data-rule-color') as string;
+  return node.em(node.thickness) + ' solid' + (color ? ' ' + color : '');
+};
+
 /**
  * @param {Notation.Side} side   The side on which a border should appear
  * @return {DEFPAIR}      The notation definition for the notation having a line on the given side
  */
 export const Border = function<N, T, D>(side: Notation.Side): DEFPAIR<N, T, D> {
   return Notation.CommonBorder<CHTMLmenclose<N, T, D>, N>((node, child) => {
-    node.adaptor.setStyle(child, 'border-' + side, node.em(node.thickness) + ' solid');
+    node.adaptor.setStyle(child, 'border-' + side, BorderStyle(node));
   })(side);
 };
 
@@ -68,7 +77,7 @@ export const Border = function<N, T, D>(side: Notation.Side): DEFPAIR<N, T, D> {
  */
 export const Border2 = function<N, T, D>(name: string, side1: Notation.Side, side2: Notation.Side): DEFPAIR<N, T, D> {
   return Notation.CommonBorder2<CHTMLmenclose<N, T, D>, N>((node, child) => {
-    const border = node.em(node.thickness) + ' solid';
+    const border = BorderStyle(node);
     node.adaptor.setStyle(child, 'border-' + side1, border);
     node.adaptor.setStyle(child, 'border-' + side2, border);
   })(name, side1, side2);
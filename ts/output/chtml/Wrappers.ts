@@ -47,6 +47,8 @@ import {CHTMLmaction} from './Wrappers/maction.js';
 import {CHTMLmglyph} from './Wrappers/mglyph.js';
 import {CHTMLsemantics, CHTMLannotation, CHTMLannotationXML, CHTMLxml} from './Wrappers/semantics.js';
 import {CHTMLTeXAtom} from './Wrappers/TeXAtom.js';
+import {CHTMLTeXDiagram} from './Wrappers/TeXDiagram.js';
+import {CHTMLTeXMolecule} from './Wrappers/TeXMolecule.js';
 import {CHTMLTextNode} from './Wrappers/TextNode.js';
 
 export const CHTMLWrappers: {[kind: string]: WrapperConstructor}  = {
@@ -83,6 +85,8 @@ export const CHTMLWrappers: {[kind: string]: WrapperConstructor}  = {
   [CHTMLannotationXML.kind]: CHTMLannotationXML,
   [CHTMLxml.kind]: CHTMLxml,
   [CHTMLTeXAtom.kind]: CHTMLTeXAtom,
+  [CHTMLTeXDiagram.kind]: CHTMLTeXDiagram,
+  [CHTMLTeXMolecule.kind]: CHTMLTeXMolecule,
   [CHTMLTextNode.kind]: CHTMLTextNode,
   [CHTMLWrapper.kind]: CHTMLWrapper
 };
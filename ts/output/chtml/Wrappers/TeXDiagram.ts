@@ -0,0 +1,133 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview  Implements the CHTMLTeXDiagram wrapper for the TeXDiagram object
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {CHTMLWrapper, CHTMLConstructor, StringMap} from '../Wrapper.js';
+import {CommonTeXDiagramMixin} from '../../common/Wrappers/TeXDiagram.js';
+import {TeXDiagram} from '../../../core/MmlTree/MmlNodes/TeXDiagram.js';
+import {StyleList} from '../../../util/StyleList.js';
+
+/**
+ * The namespace for the svg element used to draw the arrows
+ */
+const SVGNS = 'http://www.w3.org/2000/svg';
+
+/*****************************************************************/
+/**
+ * The CHTMLTeXDiagram wrapper for the TeXDiagram object
+ *
+ * The arrows are drawn by an svg element laid over the table,
+ * and the labels are positioned absolutely above that.
+ *
+ * @template N  The HTMLElement node class
+ * @template T  The Text node class
+ * @template D  The Document class
+ */
+// @ts-ignore
+export class CHTMLTeXDiagram<N, T, D> extends
+CommonTeXDiagramMixin<CHTMLWrapper<any, any, any>, CHTMLConstructor<any, any, any>>(CHTMLWrapper) {
+
+  /**
+   * The TeXDiagram wrapper
+   */
+  public static kind = TeXDiagram.prototype.kind;
+
+  /**
+   * @override
+   */
+  public static styles: StyleList = {
+    'mjx-TeXDiagram': {
+      display: 'inline-block',
+      position: 'relative'
+    },
+    'mjx-TeXDiagram > svg': {
+      position: 'absolute',
+      left: 0, top: 0,
+      overflow: 'visible'
+    },
+    'mjx-TeXDiagram > mjx-dlabel': {
+      position: 'absolute'
+    },
+    'mjx-TeXDiagram > mjx-dlabel[fill]': {
+      'background-color': 'white'
+    }
+  };
+
+  /**
+   * @override
+   */
+  public toCHTML(parent: N) {
+    const chtml = this.standardCHTMLnode(parent);
+    const {w, h, d} = this.getBBox();
+    const table = this.childNodes[0];
+    const tbox = table.getBBox();
+    table.toCHTML(chtml);
+    if (this.dx) {
+      this.adaptor.setStyle(table.chtml, 'marginLeft', this.em(this.dx));
+    }
+    //
+    //  Make the diagram large enough for the arrows and labels
+    //
+    const style: StringMap = {width: this.em(w)};
+    if (h > tbox.h) {
+      style.paddingTop = this.em(h - tbox.h);
+    }
+    if (d > tbox.d) {
+      style.paddingBottom = this.em(d - tbox.d);
+    }
+    for (const name of Object.keys(style)) {
+      this.adaptor.setStyle(chtml, name, style[name]);
+    }
+    //
+    //  Draw the arrows
+    //
+    const t = this.jax.fixed(this.getLineThickness() * 1000, 1);
+    const paths = this.paths.map(({path, dash}) => {
+      const def: StringMap = {
+        d: this.pathString(path, true), fill: 'none', stroke: 'currentColor', 'stroke-width': t,
+        'stroke-linecap': 'round', 'stroke-linejoin': 'round'
+      };
+      if (dash.length) {
+        def['stroke-dasharray'] = dash.map(x => this.jax.fixed(x * 1000, 1)).join(' ');
+      }
+      return this.jax.html('path', def, [], SVGNS);
+    });
+    this.adaptor.append(chtml, this.jax.html('svg', {
+      xmlns: SVGNS,
+      width: this.em(w), height: this.em(h + d),
+      viewBox: [0, -h, w, h + d].map(x => this.jax.fixed(x * 1000, 1)).join(' ')
+    }, paths, SVGNS));
+    //
+    //  Place the labels
+    //
+    for (const {label, x, y, fill} of this.labels) {
+      const {h: lh, rscale} = label.getBBox();
+      const def = {style: {left: this.em(x + this.dx), top: this.em(h - y - lh * rscale)}};
+      const node = this.adaptor.append(chtml, this.html('mjx-dlabel', def)) as N;
+      if (fill) {
+        this.adaptor.setAttribute(node, 'fill', 'true');
+      }
+      label.toCHTML(node);
+    }
+  }
+
+}
@@ -0,0 +1,110 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview  Implements the CHTMLTeXMolecule wrapper for the TeXMolecule object
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {CHTMLWrapper, CHTMLConstructor, StringMap} from '../Wrapper.js';
+import {CommonTeXMoleculeMixin} from '../../common/Wrappers/TeXMolecule.js';
+import {TeXMolecule} from '../../../core/MmlTree/MmlNodes/TeXMolecule.js';
+import {StyleList} from '../../../util/StyleList.js';
+
+/**
+ * The namespace for the svg element used to draw the bonds
+ */
+const SVGNS = 'http://www.w3.org/2000/svg';
+
+/*****************************************************************/
+/**
+ * The CHTMLTeXMolecule wrapper for the TeXMolecule object
+ *
+ * The bonds are drawn by an svg element that fills the molecule's box,
+ * and the atoms are positioned absolutely above that.
+ *
+ * @template N  The HTMLElement node class
+ * @template T  The Text node class
+ * @template D  The Document class
+ */
+// @ts-ignore
+export class CHTMLTeXMolecule<N, T, D> extends
+CommonTeXMoleculeMixin<CHTMLWrapper<any, any, any>, CHTMLConstructor<any, any, any>>(CHTMLWrapper) {
+
+  /**
+   * The TeXMolecule wrapper
+   */
+  public static kind = TeXMolecule.prototype.kind;
+
+  /**
+   * @override
+   */
+  public static styles: StyleList = {
+    'mjx-TeXMolecule': {
+      display: 'inline-block',
+      position: 'relative'
+    },
+    'mjx-TeXMolecule > svg': {
+      position: 'absolute',
+      left: 0, top: 0,
+      overflow: 'visible'
+    },
+    'mjx-TeXMolecule > mjx-atom': {
+      position: 'absolute'
+    }
+  };
+
+  /**
+   * @override
+   */
+  public toCHTML(parent: N) {
+    const chtml = this.standardCHTMLnode(parent);
+    const {w, h, d} = this.getBBox();
+    const style: StringMap = {width: this.em(w), height: this.em(h + d), verticalAlign: this.em(-d)};
+    for (const name of Object.keys(style)) {
+      this.adaptor.setStyle(chtml, name, style[name]);
+    }
+    //
+    //  Draw the bonds
+    //
+    const paths = this.paths.map(({path, width}) => {
+      const def: StringMap = (width ? {
+        d: this.pathString(path, true), fill: 'none', stroke: 'currentColor',
+        'stroke-width': this.jax.fixed(width * 1000, 1),
+        'stroke-linecap': 'round', 'stroke-linejoin': 'round'
+      } : {
+        d: this.pathString(path, true), fill: 'currentColor', stroke: 'none'
+      });
+      return this.jax.html('path', def, [], SVGNS);
+    });
+    this.adaptor.append(chtml, this.jax.html('svg', {
+      xmlns: SVGNS,
+      width: this.em(w), height: this.em(h + d),
+      viewBox: [0, -h, w, h + d].map(x => this.jax.fixed(x * 1000, 1)).join(' ')
+    }, paths, SVGNS));
+    //
+    //  Place the atoms
+    //
+    for (const {atom, x, y} of this.atoms) {
+      const {h: ah, rscale} = atom.getBBox();
+      const def = {style: {left: this.em(x + this.dx), top: this.em(h - y - ah * rscale)}};
+      atom.toCHTML(this.adaptor.append(chtml, this.html('mjx-atom', def)) as N);
+    }
+  }
+
+}
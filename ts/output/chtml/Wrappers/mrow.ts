@@ -21,10 +21,11 @@
  * @author dpvc@mathjax.org (Davide Cervone)
  */
 
-import {CHTMLWrapper, CHTMLConstructor, Constructor} from '../Wrapper.js';
-import {CommonMrowMixin} from '../../common/Wrappers/mrow.js';
+import {CHTMLWrapper, CHTMLConstructor, Constructor, StringMap} from '../Wrapper.js';
+import {CommonMrowMixin, LineData} from '../../common/Wrappers/mrow.js';
 import {CommonInferredMrowMixin} from '../../common/Wrappers/mrow.js';
 import {MmlMrow, MmlInferredMrow} from '../../../core/MmlTree/MmlNodes/mrow.js';
+import {StyleList} from '../../../util/StyleList.js';
 
 /*****************************************************************/
 /**
@@ -43,11 +44,33 @@ CommonMrowMixin<CHTMLConstructor<any, any, any>>(CHTMLWrapper) {
    */
   public static kind = MmlMrow.prototype.kind;
 
+  /**
+   * @override
+   */
+  public static styles: StyleList = {
+    'mjx-linestack': {
+      display: 'inline-block'
+    },
+    'mjx-linebox': {
+      display: 'block',
+      'white-space': 'nowrap'
+    },
+    'mjx-linestrut': {
+      display: 'inline-block',
+      width: 0
+    }
+  };
+
   /**
    * @override
    */
   public toCHTML(parent: N) {
     const chtml = (this.node.isInferred ? (this.chtml = parent) : this.standardCHTMLnode(parent));
+    this.getBBox();
+    if (this.lines) {
+      this.addLines(chtml);
+      return;
+    }
     let hasNegative = false;
     for (const child of this.childNodes) {
       child.toCHTML(chtml);
@@ -55,7 +78,6 @@ CommonMrowMixin<CHTMLConstructor<any, any, any>>(CHTMLWrapper) {
         hasNegative = true;
       }
     }
-    // FIXME:  handle line breaks
     if (hasNegative) {
       const {w} = this.getBBox();
       if (w) {
@@ -67,6 +89,40 @@ CommonMrowMixin<CHTMLConstructor<any, any, any>>(CHTMLWrapper) {
     }
   }
 
+  /**
+   * Create a stack of line boxes and add the children to them line by line
+   *   (a strut in each line sets its height and depth, and the stack is
+   *   positioned so that the first line is on the surrounding baseline).
+   *
+   * @param {N} parent  The container for the lines
+   */
+  protected addLines(parent: N) {
+    const lines = this.lines;
+    const last = lines[lines.length - 1];
+    const stack = this.adaptor.append(parent, this.html('mjx-linestack', {style: {
+      width: this.em(this.bbox.w),
+      'vertical-align': this.em(-last.y)
+    }})) as N;
+    let prev: LineData = null;
+    for (const line of lines) {
+      const {h, d} = line.bbox;
+      const styles: StringMap = {};
+      if (line.x) {
+        styles['padding-left'] = this.em(line.x);
+      }
+      if (prev) {
+        styles['margin-top'] = this.em(line.y - prev.y - prev.bbox.d - h);
+      }
+      const box = this.adaptor.append(stack, this.html('mjx-linebox', {style: styles}, [
+        this.html('mjx-linestrut', {style: {height: this.em(h + d), 'vertical-align': this.em(-d)}})
+      ])) as N;
+      for (const child of this.lineChildren(line) as CHTMLWrapper<N, T, D>[]) {
+        child.toCHTML(box);
+      }
+      prev = line;
+    }
+  }
+
 }
 
 /*****************************************************************/
@@ -21,7 +21,7 @@
  * @author dpvc@mathjax.org (Davide Cervone)
  */
 
-import {CHTMLWrapper, CHTMLConstructor} from '../Wrapper.js';
+import {CHTMLWrapper, CHTMLConstructor, StringMap} from '../Wrapper.js';
 import {CHTMLWrapperFactory} from '../WrapperFactory.js';
 import {CommonMtableMixin} from '../../common/Wrappers/mtable.js';
 import {CHTMLmtr} from './mtr.js';
@@ -163,6 +163,8 @@ CommonMtableMixin<CHTMLmtd<any, any, any>, CHTMLmtr<any, any, any>, CHTMLConstru
     this.handleColumnWidths();
     this.handleRowSpacing();
     this.handleRowLines();
+    this.handleHRules();
+    this.handleCellSpans();
     this.handleEqualRows();
     this.handleFrame();
     this.handleWidth();
@@ -188,13 +190,18 @@ CommonMtableMixin<CHTMLmtd<any, any, any>, CHTMLmtr<any, any, any>, CHTMLConstru
   /******************************************************************/
 
   /**
-   * Pad any short rows with extra cells
+   * Put the cells of each row into their grid columns, adding empty cells for
+   *   positions covered by spanning cells, and to pad any short rows
    */
   protected padRows() {
     const adaptor = this.adaptor;
-    for (const row of adaptor.childNodes(this.itable) as N[]) {
-      while (adaptor.childNodes(row).length < this.numCols) {
-        adaptor.append(row, this.html('mjx-mtd'));
+    const rows = this.tableRows;
+    for (let j = 0; j < this.numRows; j++) {
+      const cells = rows[j].tableCells;
+      const columns = this.cellColumns[j];
+      let k = 0;
+      for (let i = 0; i < this.numCols; i++) {
+        adaptor.append(rows[j].chtml, columns[k] === i ? cells[k++].chtml : this.html('mjx-mtd'));
       }
     }
   }
@@ -214,9 +221,9 @@ CommonMtableMixin<CHTMLmtd<any, any, any>, CHTMLmtr<any, any, any>, CHTMLConstru
     for (const row of this.tableRows) {
       let i = 0;
       //
-      //  For each cell in the row...
+      //  For each cell in the row (including the empty ones)...
       //
-      for (const cell of row.tableCells) {
+      for (const cell of this.adaptor.childNodes(row.chtml) as N[]) {
         //
         //  Get the left and right-hand spacing
         //
@@ -226,12 +233,11 @@ CommonMtableMixin<CHTMLmtd<any, any, any>, CHTMLmtr<any, any, any>, CHTMLConstru
         //  Set the style for the spacing, if it is needed, and isn't the
         //  default already set in the mtd styles
         //
-        const styleNode = (cell ? cell.chtml : this.adaptor.childNodes(row.chtml)[i] as N);
         if ((i > 1 && lspace !== '0.4em') || (frame && i === 1)) {
-          this.adaptor.setStyle(styleNode, 'paddingLeft', lspace);
+          this.adaptor.setStyle(cell, 'paddingLeft', lspace);
         }
         if ((i < this.numCols && rspace !== '0.4em') || (frame && i === this.numCols)) {
-          this.adaptor.setStyle(styleNode, 'paddingRight', rspace);
+          this.adaptor.setStyle(cell, 'paddingRight', rspace);
         }
       }
     }
@@ -239,16 +245,18 @@ CommonMtableMixin<CHTMLmtd<any, any, any>, CHTMLmtr<any, any, any>, CHTMLConstru
 
   /**
    * Add borders to the left of cells to make the column lines
+   *   (lines within a spanning cell are transparent, so the columns stay aligned)
    */
   protected handleColumnLines() {
     if (this.node.attributes.get('columnlines') === 'none') return;
     const lines = this.getColumnAttributes('columnlines');
-    for (const row of this.childNodes) {
+    for (let j = 0; j < this.numRows; j++) {
       let i = 0;
-      for (const cell of this.adaptor.childNodes(row.chtml).slice(1) as N[]) {
+      for (const cell of this.adaptor.childNodes(this.childNodes[j].chtml).slice(1) as N[]) {
         const line = lines[i++];
         if (line === 'none') continue;
-        this.adaptor.setStyle(cell, 'borderLeft', '.07em ' + line);
+        const border = (this.isSameCell(j, i - 1, j, i) ? '.07em solid transparent' : this.lineBorder(line));
+        this.adaptor.setStyle(cell, 'borderLeft', border);
       }
     }
   }
@@ -284,25 +292,26 @@ CommonMtableMixin<CHTMLmtd<any, any, any>, CHTMLmtr<any, any, any>, CHTMLConstru
     //  For each row...
     //
     let i = 0;
-    for (const row of this.childNodes) {
+    for (const row of this.tableRows) {
       //
       //  Get the top and bottom spacing
       //
       const tspace = spacing[i++];
       const bspace = spacing[i];
       //
-      //  For each cell in the row...
+      //  For each cell in the row (including the label and the empty cells)...
       //
-      for (const cell of row.childNodes) {
+      const cells = (row.labeled ? [row.childNodes[0].chtml] : []) as N[];
+      for (const cell of cells.concat(this.adaptor.childNodes(row.chtml) as N[])) {
         //
         //  Set the style for the spacing, if it is needed, and isn't the
         //  default already set in the mtd styles
         //
         if ((i > 1 && tspace !== '0.215em') || (frame && i === 1)) {
-          this.adaptor.setStyle(cell.chtml, 'paddingTop', tspace);
+          this.adaptor.setStyle(cell, 'paddingTop', tspace);
         }
         if ((i < this.numRows && bspace !== '0.215em') || (frame && i === this.numRows)) {
-          this.adaptor.setStyle(cell.chtml, 'paddingBottom', bspace);
+          this.adaptor.setStyle(cell, 'paddingBottom', bspace);
         }
       }
     }
@@ -310,16 +319,127 @@ CommonMtableMixin<CHTMLmtd<any, any, any>, CHTMLmtr<any, any, any>, CHTMLConstru
 
   /**
    * Add borders to the tops of cells to make the row lines
+   *   (lines within a spanning cell are transparent, so the rows stay aligned)
    */
   protected handleRowLines() {
     if (this.node.attributes.get('rowlines') === 'none') return;
     const lines = this.getRowAttributes('rowlines');
-    let i = 0;
-    for (const row of this.childNodes.slice(1)) {
-      const line = lines[i++];
+    for (let j = 1; j < this.numRows; j++) {
+      const line = lines[j - 1];
       if (line === 'none') continue;
-      for (const cell of this.adaptor.childNodes(row.chtml) as N[]) {
-        this.adaptor.setStyle(cell, 'borderTop', '.07em ' + line);
+      let i = 0;
+      for (const cell of this.adaptor.childNodes(this.childNodes[j].chtml) as N[]) {
+        const border = (this.isSameCell(j - 1, i, j, i) ? '.07em solid transparent' : this.lineBorder(line));
+        this.adaptor.setStyle(cell, 'borderTop', border);
+        i++;
+      }
+    }
+  }
+
+  /**
+   * Add the space needed for partial and non-standard horizontal rules to the cells
+   *   next to them, and draw the rules as backgrounds on those cells
+   */
+  protected handleHRules() {
+    if (!this.hRules.length) return;
+    const adaptor = this.adaptor;
+    const n = this.numRows;
+    const space = this.getRowHalfSpacing();
+    const cells = this.tableRows.map(row => adaptor.childNodes(row.chtml) as N[]);
+    for (let j = 0; j < n; j++) {
+      for (const cell of cells[j]) {
+        this.hSlots[j] && adaptor.setStyle(cell, 'paddingTop', this.em(space[j] + this.hSlots[j]));
+        j === n - 1 && this.hSlots[n] && adaptor.setStyle(cell, 'paddingBottom', this.em(space[n] + this.hSlots[n]));
+      }
+    }
+    //
+    //  Collect the background layers for each cell, then set them
+    //
+    const color = (this.node.attributes.get('data-rule-color') as string) || 'currentColor';
+    const layers = cells.map(row => row.map(() => [[], [], []] as string[][]));
+    for (const {row, start, end, style, t, lTrim, rTrim} of this.hRules) {
+      const j = (row === n ? n - 1 : row);
+      const y = (row === 0 ? 'top 0' : row === n ? 'bottom 0' :
+                 'top ' + this.em(this.rLines[row - 1] - this.hSlots[row] + (this.hSlots[row] - t) / 2));
+      const image = (style === 'dashed' ?
+                     `repeating-linear-gradient(to right, ${color} 0, ${color} .14em, transparent .14em, transparent .28em)` :
+                     `linear-gradient(${color}, ${color})`);
+      for (let i = start; i <= end; i++) {
+        const l = (i === start ? lTrim : 0);
+        const r = (i === end ? rTrim : 0);
+        const [images, sizes, positions] = layers[j][i];
+        images.push(image);
+        sizes.push((l || r ? `calc(100% - ${this.em(l + r)})` : '100%') + ' ' + this.em(t));
+        positions.push('left ' + this.em(l) + ' ' + y);
+      }
+    }
+    for (let j = 0; j < n; j++) {
+      cells[j].forEach((cell, i) => {
+        const [images, sizes, positions] = layers[j][i];
+        if (!images.length) return;
+        adaptor.setStyle(cell, 'backgroundImage', images.join(', '));
+        adaptor.setStyle(cell, 'backgroundSize', sizes.join(', '));
+        adaptor.setStyle(cell, 'backgroundPosition', positions.join(', '));
+        adaptor.setStyle(cell, 'backgroundRepeat', 'no-repeat');
+        adaptor.setStyle(cell, 'backgroundOrigin', 'border-box');
+      });
+    }
+  }
+
+  /**
+   * Make cells that span several columns or rows cover the area of the cells that they span.
+   *   The cell contents are placed in a box the size of the spanned area, with negative margins
+   *   so that the box contributes only the size of the cell's own row and column to the table.
+   *   The empty cells that are covered keep the sizes of their columns and rows.
+   */
+  protected handleCellSpans() {
+    const adaptor = this.adaptor;
+    const {H, D} = this.getTableData();
+    const CW = this.getComputedWidths();
+    const rows = this.tableRows;
+    for (let j = 0; j < this.numRows; j++) {
+      const cells = rows[j].tableCells;
+      for (let k = 0; k < cells.length; k++) {
+        const cell = cells[k];
+        const [r, c] = this.getCellSpans(cell, j);
+        if (r === 1 && c === 1) continue;
+        const i = this.cellColumns[j][k];
+        const styles: StringMap = {};
+        if (c > 1) {
+          const W = this.getSpanWidth(CW, i, c);
+          styles.width = this.em(W);
+          styles['margin-right'] = this.em(CW[i] - W);
+          const row = adaptor.childNodes(rows[j].chtml) as N[];
+          for (let l = i + 1; l < i + c; l++) {
+            if (this.cWidths[l] === null) {
+              adaptor.setStyle(row[l], 'width', this.em(CW[l]));
+            }
+          }
+        }
+        if (r > 1) {
+          const {h, d} = cell.getBBox();
+          const HD = this.getSpanHeight(H, D, j, r);
+          const ralign = cell.node.attributes.get('rowalign') as string;
+          const dy = (ralign === 'top' ? 0 : ralign === 'bottom' ? HD - h - d :
+                      ralign === 'center' ? (HD - h - d) / 2 : H[j] - h);
+          styles['padding-top'] = this.em(dy);
+          styles.height = this.em(HD - dy);
+          styles['margin-bottom'] = this.em(H[j] + D[j] - HD);
+          adaptor.setStyle(cell.chtml, 'verticalAlign', 'top');
+          //
+          //  Make sure the last spanned row is tall enough
+          //
+          const J = j + r - 1;
+          adaptor.append(adaptor.childNodes(rows[J].chtml)[i] as N, this.html('mjx-tstrut', {style: {
+            height: this.em(H[J] + D[J]), 'vertical-align': this.em(-D[J])
+          }}));
+        }
+        //
+        //  Move the cell contents (but not its strut) into the box
+        //
+        const strut = adaptor.lastChild(cell.chtml);
+        const content = adaptor.childNodes(cell.chtml).slice(0, -1) as N[];
+        adaptor.insert(this.html('mjx-cspan', {style: styles}, content), strut);
       }
     }
   }
@@ -395,10 +515,19 @@ CommonMtableMixin<CHTMLmtd<any, any, any>, CHTMLmtr<any, any, any>, CHTMLConstru
    */
   protected handleFrame() {
     if (this.frame) {
-      this.adaptor.setStyle(this.itable, 'border', '.07em ' + this.node.attributes.get('frame'));
+      this.adaptor.setStyle(this.itable, 'border', this.lineBorder(this.node.attributes.get('frame') as string));
     }
   }
 
+  /**
+   * @param {string} style   The style of the line
+   * @return {string}        The CSS border for the line (using the rule color, if one is given)
+   */
+  protected lineBorder(style: string): string {
+    const color = this.node.attributes.get('data-rule-color') as string;
+    return '.07em ' + style + (color ? ' ' + color : '');
+  }
+
   /**
    * Handle percentage widths and fixed widths
    */
@@ -538,7 +667,7 @@ CommonMtableMixin<CHTMLmtd<any, any, any>, CHTMLmtr<any, any, any>, CHTMLConstru
     //  Start with frame size and add in spacing, height and depth,
     //    and line thickness for each non-labeled row.
     //
-    let h = this.fLine;
+    let h = this.tLine;
     let current = adaptor.firstChild(this.labels) as N;
     for (let i = 0; i < this.numRows; i++) {
       const row = this.childNodes[i];
@@ -69,6 +69,9 @@ CommonMtdMixin<CHTMLConstructor<any, any, any>>(CHTMLWrapper) {
       height: '1em',
       'vertical-align': '-.25em'
     },
+    'mjx-cspan': {
+      display: 'inline-block'
+    },
     'mjx-labels[align="left"] > mjx-mtr > mjx-mtd': {
       'text-align': 'left'
     },
@@ -80,6 +80,33 @@ CommonMtrMixin<CHTMLmtd<any, any, any>, CHTMLConstructor<any, any, any>>(CHTMLWr
     if (align !== 'baseline') {
       this.adaptor.setAttribute(this.chtml, 'rowalign', align);
     }
+    this.extendColor();
+  }
+
+  /**
+   * Extend the background color into the padding of a partial frame around the table
+   *   (using box shadows on the cells at the edges of the table)
+   */
+  protected extendColor() {
+    const color = this.node.attributes.getExplicit('mathbackground') as string;
+    if (!color) return;
+    const table = this.parent as CHTMLmtable<N, T, D>;
+    const [t, r, b, l] = table.getFramePadding();
+    const j = this.node.childPosition();
+    const Y = [0].concat(j === 0 && t ? [-t] : [], j === table.numRows - 1 && b ? [b] : []);
+    const cells = this.tableCells;
+    cells.forEach((cell, i) => {
+      const X = [0].concat(i === 0 && l ? [-l] : [], i === cells.length - 1 && r ? [r] : []);
+      const shadows = [] as string[];
+      for (const x of X) {
+        for (const y of Y) {
+          (x || y) && shadows.push(this.em(x) + ' ' + this.em(y) + ' ' + color);
+        }
+      }
+      if (shadows.length) {
+        this.adaptor.setStyle(cell.chtml, 'boxShadow', shadows.join(', '));
+      }
+    });
   }
 
 }
@@ -311,6 +311,12 @@ export class FontData<C extends CharOptions, V extends VariantData<C>, D extends
     [4, 0x30, 0x39]    // Numbers
   ];
 
+  /**
+   * Math Alphanumerics that are not in the font, and the ones to use in their place:
+   *  [first, last, replacement for first]
+   */
+  public static SmpFallbacks: number[][] = [];
+
   /**
    * Characters to map back top other Unicode positions
    * (holes in the Math Alphanumeric ranges)
@@ -530,6 +536,7 @@ export class FontData<C extends CharOptions, V extends VariantData<C>, D extends
     for (const name of Object.keys(CLASS.defaultChars)) {
       this.defineChars(name, CLASS.defaultChars[name]);
     }
+    this.defineSmpFallbacks(CLASS.SmpFallbacks);
     this.defineRemap('accent', CLASS.defaultAccentMap);
     this.defineRemap('mo', CLASS.defaultMoMap);
     this.defineRemap('mn', CLASS.defaultMnMap);
@@ -647,6 +654,25 @@ export class FontData<C extends CharOptions, V extends VariantData<C>, D extends
     }
   }
 
+  /**
+   * Defines the Math Alphanumerics that the font lacks (in the normal variant,
+   *   which the others inherit from) by copying the data for their replacements.
+   *
+   * @param {number[][]} ranges  Array of [first, last, replacement] values
+   */
+  public defineSmpFallbacks(ranges: number[][]) {
+    const chars = this.variant.normal.chars;
+    const fallbacks: CharMap<C> = {};
+    for (const [lo, hi, base] of ranges) {
+      for (let n = lo; n <= hi; n++) {
+        const char = chars[base + n - lo];
+        if (chars[n] || !char) continue;
+        fallbacks[n] = [char[0], char[1], char[2], {...(char[3] || {})} as C];
+      }
+    }
+    this.defineChars('normal', fallbacks);
+  }
+
   /**
    * Defines stretchy delimiters
    *
@@ -29,7 +29,7 @@ import {FontData, FontDataClass, CharOptions, DelimiterData, CssFontData} from '
 import {OptionList, separateOptions} from '../../util/Options.js';
 import {CommonWrapper, AnyWrapper, AnyWrapperClass} from './Wrapper.js';
 import {CommonWrapperFactory, AnyWrapperFactory} from './WrapperFactory.js';
-import {percent} from '../../util/lengths.js';
+import {percent, length2em} from '../../util/lengths.js';
 import {StyleList, Styles} from '../../util/Styles.js';
 import {StyleList as CssStyleList, CssStyles} from '../../util/StyleList.js';
 
@@ -96,6 +96,10 @@ export abstract class CommonOutputJax<
     exFactor: .5,                  // default size of ex in em units
     displayAlign: 'center',        // default for indentalign when set to 'auto'
     displayIndent: '0',            // default for indentshift when set to 'auto'
+    linebreaks: {                  // options for line breaking
+      automatic: false,            //   true to break at newlines and to fit the container
+      width: '100%'                //   the maximum line width (percentages are of the container width)
+    },
     wrapperFactory: null,          // The wrapper factory to use
     font: null,                    // The FontData object to use
     cssStyles: null                // The CssStyles object to use
@@ -430,7 +434,9 @@ export abstract class CommonOutputJax<
                             adaptor.nodeBBox(adaptor.firstChild(node) as N).left - 2);
     const scale = Math.max(this.options.minScale,
                            this.options.matchFontHeight ? ex / this.font.params.x_height / em : 1);
-    const lineWidth = 1000000;      // no linebreaking (otherwise would be a percentage of cwidth)
+    const lineWidth = (this.options.linebreaks.automatic ?
+                       length2em(this.options.linebreaks.width, containerWidth / em, 1, em) * em :
+                       1000000);
     return {em, ex, containerWidth, lineWidth, scale, family};
   }
 
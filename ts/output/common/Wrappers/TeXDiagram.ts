@@ -0,0 +1,501 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview  Implements the CommonTeXDiagram wrapper mixin for the TeXDiagram object
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {AnyWrapper, WrapperConstructor, Constructor} from '../Wrapper.js';
+import {CommonMtable} from './mtable.js';
+import {CommonMtr} from './mtr.js';
+import {BBox} from '../../../util/BBox.js';
+import {TeXDiagram, DiagramArrow} from '../../../core/MmlTree/MmlNodes/TeXDiagram.js';
+
+/*****************************************************************/
+
+/**
+ * The space around the objects of the diagram (where arrows stop)
+ */
+export const INNERSEP = .333;
+
+/**
+ * The space between an arrow and its labels
+ */
+export const LABELSEP = .15;
+
+/**
+ * The length and half-width of arrow heads (and tails)
+ */
+export const HEADLENGTH = .3;
+export const HEADWIDTH = .2;
+
+/**
+ * Half the distance between the lines of a double arrow
+ */
+export const DOUBLESEP = .1;
+
+/**
+ * The radius of the hook for hooked arrows
+ */
+export const HOOKSIZE = .12;
+
+/**
+ * The distance of the control points of a bent arrow from its ends
+ * (as a fraction of the distance between the ends)
+ */
+export const LOOSENESS = .3915;
+
+/**
+ * The dash patterns for the line styles (in em)
+ */
+export const DASHES: {[style: string]: number[]} = {
+  solid: [],
+  double: [],
+  dashed: [.3, .2],
+  dotted: [0, .2]
+};
+
+/*****************************************************************/
+
+/**
+ * A point in the diagram (in em, with y upward from the table's baseline)
+ */
+export type Point = [number, number];
+
+/**
+ * The box around an object of the diagram, and the point at which arrows are aimed
+ */
+export type ObjectBox = {
+  x: number, y: number,      // the point where arrows are aimed
+  l: number, r: number,      // the left and right edges of the box
+  t: number, b: number       // the top and bottom edges of the box
+};
+
+/**
+ * A path to be stroked, given as SVG path commands followed by their points
+ */
+export type DiagramPath = {
+  path: (string | Point)[],
+  dash: number[]             // the dash pattern (empty for a solid line)
+};
+
+/**
+ * The position of a label (its left baseline point)
+ *
+ * @template W  The type of wrapper for the label
+ */
+export type LabelPosition<W extends AnyWrapper> = {
+  label: W,
+  x: number,
+  y: number,
+  fill: boolean
+};
+
+/**
+ * @param {Point} p     The point to move
+ * @param {Point} u     The direction to move it
+ * @param {number} s    The distance to move it
+ * @return {Point}      The moved point
+ */
+function move(p: Point, u: Point, s: number): Point {
+  return [p[0] + s * u[0], p[1] + s * u[1]];
+}
+
+/**
+ * @param {number} a    An angle (in radians)
+ * @return {Point}      The unit vector in that direction
+ */
+function direction(a: number): Point {
+  return [Math.cos(a), Math.sin(a)];
+}
+
+/**
+ * @param {Point} p     The starting point
+ * @param {Point} q     The ending point
+ * @return {Point}      The unit vector from p to q
+ */
+function unit(p: Point, q: Point): Point {
+  const [x, y] = [q[0] - p[0], q[1] - p[1]];
+  const d = Math.sqrt(x * x + y * y) || 1;
+  return [x / d, y / d];
+}
+
+/**
+ * @param {Point} u     A unit vector
+ * @return {Point}      The unit vector 90 degrees counter-clockwise from it (i.e., to its left)
+ */
+function normal(u: Point): Point {
+  return [-u[1], u[0]];
+}
+
+/**
+ * @param {Point[]} P   The end and control points of a cubic Bezier curve
+ * @param {number} t    The parameter value (0 to 1)
+ * @return {Point}      The point on the curve at that value
+ */
+function bezier(P: Point[], t: number): Point {
+  const s = 1 - t;
+  const [a, b, c, d] = [s * s * s, 3 * s * s * t, 3 * s * t * t, t * t * t];
+  return [a * P[0][0] + b * P[1][0] + c * P[2][0] + d * P[3][0],
+          a * P[0][1] + b * P[1][1] + c * P[2][1] + d * P[3][1]];
+}
+
+/**
+ * @param {Point[]} P   The end and control points of a cubic Bezier curve
+ * @param {number} t    The parameter value (0 to 1)
+ * @return {Point}      The unit tangent to the curve at that value
+ */
+function tangent(P: Point[], t: number): Point {
+  const dt = .001;
+  return unit(bezier(P, Math.max(0, t - dt)), bezier(P, Math.min(1, t + dt)));
+}
+
+/*****************************************************************/
+/**
+ * The CommonTeXDiagram interface
+ *
+ * @template W  The type of wrapper for the labels
+ */
+export interface CommonTeXDiagram<W extends AnyWrapper> extends AnyWrapper {
+
+  /**
+   * The horizontal offset of the table (when arrows extend to its left)
+   */
+  dx: number;
+
+  /**
+   * The paths to stroke for the arrows
+   */
+  paths: DiagramPath[];
+
+  /**
+   * The positions of the labels for the arrows
+   */
+  labels: LabelPosition<W>[];
+
+  /**
+   * Compute the paths and label positions for the arrows
+   *
+   * @return {number[]}   The bounds [xmin, ymin, xmax, ymax] of the arrows and labels
+   */
+  getArrows(): number[];
+
+  /**
+   * @return {ObjectBox[][]}   The boxes around the objects, by row and column
+   */
+  getObjectBoxes(): ObjectBox[][];
+
+  /**
+   * @param {ObjectBox} box   The box around an object
+   * @param {Point} p         A point within the box
+   * @param {Point} u         The direction of a ray from that point
+   * @return {Point}          The point where the ray leaves the box
+   */
+  boxExit(box: ObjectBox, p: Point, u: Point): Point;
+
+  /**
+   * @param {DiagramArrow} arrow   The arrow whose paths are needed
+   * @param {ObjectBox} A          The box around the starting object
+   * @param {ObjectBox} B          The box around the ending object
+   * @return {Point[]}             The end and control points for the arrow
+   */
+  addArrow(arrow: DiagramArrow, A: ObjectBox, B: ObjectBox): Point[];
+
+  /**
+   * @param {DiagramArrow} arrow   The arrow whose labels are to be placed
+   * @param {Point[]} P            The end and control points for the arrow
+   */
+  addLabels(arrow: DiagramArrow, P: Point[]): void;
+
+  /**
+   * @param {string} head   The type of arrow head
+   * @param {Point} p       The tip of the arrow
+   * @param {Point} u       The direction of the arrow at its tip
+   * @return {(string | Point)[]}   The path for the arrow head
+   */
+  arrowHead(head: string, p: Point, u: Point): (string | Point)[];
+
+  /**
+   * @param {string} tail   The type of arrow tail
+   * @param {Point} p       The start of the arrow
+   * @param {Point} u       The direction of the arrow at its start
+   * @return {(string | Point)[]}   The path for the arrow tail
+   */
+  arrowTail(tail: string, p: Point, u: Point): (string | Point)[];
+
+  /**
+   * @param {(string | Point)[]} path   The path to convert
+   * @param {boolean} flip              True if the y-axis points downward
+   * @return {string}                   The path as an SVG path string (in thousandths of an em)
+   */
+  pathString(path: (string | Point)[], flip: boolean): string;
+
+  /**
+   * @return {number}   The thickness of the lines of the arrows
+   */
+  getLineThickness(): number;
+}
+
+/**
+ * Shorthand for the CommonTeXDiagram constructor
+ *
+ * @template W  The type of wrapper for the labels
+ */
+export type TeXDiagramConstructor<W extends AnyWrapper> = Constructor<CommonTeXDiagram<W>>;
+
+/*****************************************************************/
+/**
+ * The CommonTeXDiagram wrapper mixin for the TeXDiagram object
+ *
+ * @template W  The type of wrapper for the labels
+ * @template T  The Wrapper class constructor type
+ */
+export function CommonTeXDiagramMixin<
+  W extends AnyWrapper,
+  T extends WrapperConstructor
+>(Base: T): TeXDiagramConstructor<W> & T {
+
+  return class extends Base {
+
+    /**
+     * The horizontal offset of the table
+     */
+    public dx: number = 0;
+
+    /**
+     * The paths for the arrows
+     */
+    public paths: DiagramPath[] = [];
+
+    /**
+     * The label positions
+     */
+    public labels: LabelPosition<W>[] = [];
+
+    /**
+     * @override
+     */
+    public computeBBox(bbox: BBox, _recompute: boolean = false) {
+      const tbox = this.childNodes[0].getBBox();
+      const [xmin, ymin, xmax, ymax] = this.getArrows();
+      this.dx = Math.max(0, -xmin);
+      bbox.w = Math.max(tbox.w, xmax) + this.dx;
+      bbox.h = Math.max(tbox.h, ymax);
+      bbox.d = Math.max(tbox.d, -ymin);
+    }
+
+    /**
+     * @override
+     */
+    public getArrows(): number[] {
+      this.paths = [];
+      this.labels = [];
+      const boxes = this.getObjectBoxes();
+      const bounds = [0, 0, 0, 0];
+      const extend = ([x, y]: Point, s: number = 0) => {
+        bounds[0] = Math.min(bounds[0], x - s);
+        bounds[1] = Math.min(bounds[1], y - s);
+        bounds[2] = Math.max(bounds[2], x + s);
+        bounds[3] = Math.max(bounds[3], y + s);
+      };
+      for (const arrow of (this.node as TeXDiagram).arrows) {
+        const A = (boxes[arrow.from[0]] || [])[arrow.from[1]];
+        const B = (boxes[arrow.to[0]] || [])[arrow.to[1]];
+        if (!A || !B) continue;
+        const P = this.addArrow(arrow, A, B);
+        for (let i = 0; i <= 16; i++) {
+          extend(bezier(P, i / 16), HEADWIDTH + DOUBLESEP);
+        }
+        this.addLabels(arrow, P);
+      }
+      for (const {label, x, y} of this.labels) {
+        const {w, h, d, rscale} = label.getBBox();
+        extend([x, y - d * rscale]);
+        extend([x + w * rscale, y + h * rscale]);
+      }
+      return bounds;
+    }
+
+    /**
+     * @override
+     */
+    public getObjectBoxes(): ObjectBox[][] {
+      const table = this.childNodes[0] as any as CommonMtable<AnyWrapper, CommonMtr<AnyWrapper>>;
+      const {H, D} = table.getTableData();
+      const W = table.getComputedWidths();
+      const cSpace = table.getColumnHalfSpacing();
+      const rSpace = table.getRowHalfSpacing();
+      const a = this.font.params.axis_height;
+      const X: number[] = [];
+      let x = table.fLine;
+      for (let i = 0; i < table.numCols; i++) {
+        x += cSpace[i];
+        X.push(x + W[i] / 2);
+        x += W[i] + cSpace[i + 1] + (table.cLines[i] || 0);
+      }
+      const boxes: ObjectBox[][] = [];
+      let y = table.getBBox().h - table.tLine;
+      table.tableRows.forEach((row, j) => {
+        y -= rSpace[j] + H[j];
+        const objects: ObjectBox[] = [];
+        row.tableCells.forEach((cell, k) => {
+          const i = table.cellColumns[j][k];
+          const {w, h, d} = cell.getBBox();
+          const [cx, cy] = [X[i], y + a];
+          objects[i] = {
+            x: cx, y: cy,
+            l: cx - w / 2 - INNERSEP, r: cx + w / 2 + INNERSEP,
+            t: Math.max(y + h, cy) + INNERSEP, b: Math.min(y - d, cy) - INNERSEP
+          };
+        });
+        boxes.push(objects);
+        y -= D[j] + rSpace[j + 1] + (table.rLines[j] || 0);
+      });
+      return boxes;
+    }
+
+    /**
+     * @override
+     */
+    public boxExit(box: ObjectBox, p: Point, u: Point): Point {
+      const tx = (u[0] > 0 ? (box.r - p[0]) / u[0] : u[0] < 0 ? (box.l - p[0]) / u[0] : Infinity);
+      const ty = (u[1] > 0 ? (box.t - p[1]) / u[1] : u[1] < 0 ? (box.b - p[1]) / u[1] : Infinity);
+      return move(p, u, Math.max(0, Math.min(tx, ty)));
+    }
+
+    /**
+     * @override
+     */
+    public addArrow(arrow: DiagramArrow, A: ObjectBox, B: ObjectBox): Point[] {
+      const u = unit([A.x, A.y], [B.x, B.y]);
+      const n = normal(u);
+      const [a, b] = [move([A.x, A.y], n, arrow.shift), move([B.x, B.y], n, arrow.shift)];
+      //
+      //  Get the directions out of the two objects, and the end and control points
+      //
+      const angle = Math.atan2(u[1], u[0]);
+      const bend = arrow.bend * Math.PI / 180;
+      const [out, back] = [direction(angle + bend), direction(angle + Math.PI - bend)];
+      const p = this.boxExit(A, a, out);
+      const q = this.boxExit(B, b, back);
+      const s = LOOSENESS * Math.sqrt((q[0] - p[0]) * (q[0] - p[0]) + (q[1] - p[1]) * (q[1] - p[1]));
+      const P = [p, move(p, out, s), move(q, back, s), q];
+      //
+      //  Add the line(s), stopping double lines at the sides of the arrow head
+      //
+      const straight = !arrow.bend;
+      if (arrow.line === 'double') {
+        const dq = (arrow.head === 'none' ? 0 : HEADLENGTH * DOUBLESEP / (1.5 * HEADWIDTH));
+        const [c, r] = [move(P[2], back, dq), move(q, back, dq)];
+        const [n0, n1] = [normal(unit(p, P[1])), normal(unit(c, r))];
+        for (const k of [DOUBLESEP, -DOUBLESEP]) {
+          const Q = [move(p, n0, k), move(P[1], n0, k), move(c, n1, k), move(r, n1, k)];
+          this.paths.push({
+            path: straight ? ['M', Q[0], 'L', Q[3]] : ['M', Q[0], 'C', Q[1], Q[2], Q[3]],
+            dash: DASHES.double
+          });
+        }
+      } else if (arrow.line !== 'none') {
+        this.paths.push({
+          path: straight ? ['M', p, 'L', q] : ['M', p, 'C', P[1], P[2], q],
+          dash: DASHES[arrow.line] || []
+        });
+      }
+      //
+      //  Add the head and tail
+      //
+      if (arrow.head !== 'none') {
+        this.paths.push({path: this.arrowHead(arrow.head, q, straight ? u : unit(P[2], q)), dash: []});
+      }
+      if (arrow.tail !== 'none') {
+        this.paths.push({path: this.arrowTail(arrow.tail, p, straight ? u : unit(p, P[1])), dash: []});
+      }
+      return P;
+    }
+
+    /**
+     * @override
+     */
+    public addLabels(arrow: DiagramArrow, P: Point[]) {
+      for (const {node, side, pos, fill} of arrow.labels) {
+        const label = this.childNodes[node] as W;
+        if (!label) continue;
+        const {w, h, d, rscale} = label.getBBox();
+        const [W, H, D] = [w * rscale, h * rscale, d * rscale];
+        let [x, y] = bezier(P, pos);
+        if (side !== 'center') {
+          const n = normal(tangent(P, pos));
+          const s = (side === 'left' ? 1 : -1) *
+                    (Math.abs(n[0]) * W / 2 + Math.abs(n[1]) * (H + D) / 2 + LABELSEP);
+          [x, y] = move([x, y], n, s);
+        }
+        this.labels.push({label, x: x - W / 2, y: y - (H - D) / 2, fill});
+      }
+    }
+
+    /**
+     * @override
+     */
+    public arrowHead(head: string, p: Point, u: Point): (string | Point)[] {
+      const n = normal(u);
+      const vee = (q: Point, w: number) => {
+        const r = move(q, u, -HEADLENGTH);
+        return ['M', move(r, n, w), 'L', q, 'L', move(r, n, -w)] as (string | Point)[];
+      };
+      return (head === 'double' ? vee(p, 1.5 * HEADWIDTH) :
+              head === 'two heads' ? [...vee(p, HEADWIDTH), ...vee(move(p, u, -.7 * HEADLENGTH), HEADWIDTH)] :
+              vee(p, HEADWIDTH));
+    }
+
+    /**
+     * @override
+     */
+    public arrowTail(tail: string, p: Point, u: Point): (string | Point)[] {
+      const n = normal(u);
+      if (tail === 'maps to') {
+        return ['M', move(p, n, HEADWIDTH), 'L', move(p, n, -HEADWIDTH)];
+      }
+      if (tail === 'tail') {
+        return ['M', move(p, n, HEADWIDTH), 'L', move(p, u, HEADLENGTH), 'L', move(p, n, -HEADWIDTH)];
+      }
+      const r = (tail === 'hook' ? HOOKSIZE : -HOOKSIZE);
+      const q = move(p, n, 2 * r);
+      const c = 4 / 3 * HOOKSIZE;
+      return ['M', p, 'C', move(p, u, -c), move(q, u, -c), q];
+    }
+
+    /**
+     * @override
+     */
+    public pathString(path: (string | Point)[], flip: boolean): string {
+      return path.map(p => typeof p === 'string' ? p :
+                      this.jax.fixed((p[0] + this.dx) * 1000, 1) + ' ' +
+                      this.jax.fixed((flip ? -p[1] : p[1]) * 1000, 1)).join(' ');
+    }
+
+    /**
+     * @override
+     */
+    public getLineThickness(): number {
+      return this.font.params.rule_thickness * 2 / 3;
+    }
+
+  };
+
+}
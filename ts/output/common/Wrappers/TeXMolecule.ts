@@ -0,0 +1,489 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview  Implements the CommonTeXMolecule wrapper mixin for the TeXMolecule object
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {AnyWrapper, WrapperConstructor, Constructor} from '../Wrapper.js';
+import {BBox} from '../../../util/BBox.js';
+import {TeXMolecule, MoleculeBond, MoleculeLewis, AtomRef} from '../../../core/MmlTree/MmlNodes/TeXMolecule.js';
+
+/*****************************************************************/
+
+/**
+ * The space between an atom and the bonds that end at it
+ */
+export const BONDSEP = .1;
+
+/**
+ * The distance between the lines of double and triple bonds
+ */
+export const BONDGAP = .2;
+
+/**
+ * The amount the inner line of a double bond in a ring is shortened at each end
+ */
+export const INNERTRIM = .25;
+
+/**
+ * The half-width of the wide end of a wedge (Cram) bond, and the spacing of
+ * the lines of a dashed wedge
+ */
+export const WEDGEWIDTH = .15;
+export const WEDGEDASH = .15;
+
+/**
+ * The space between an atom and its electrons, the diameter of the electrons,
+ * the distance between the two of a pair, and the half-length of a bar
+ */
+export const LEWISSEP = .15;
+export const LEWISDOT = .1;
+export const LEWISPAIR = .12;
+export const LEWISBAR = .2;
+
+/**
+ * The size of a ring's circle (relative to the distance from the center to its sides)
+ */
+export const CIRCLESIZE = .65;
+
+/**
+ * The distance of the control points of the Bezier curves that approximate a
+ * quarter circle (as a fraction of the radius)
+ */
+const KAPPA = .5523;
+
+/*****************************************************************/
+
+/**
+ * A point in the molecule (in em, with y upward from the baseline of the first atom)
+ */
+export type Point = [number, number];
+
+/**
+ * The box around an atom (expanded by BONDSEP, except for bare vertices), and its center
+ */
+export type AtomBox = {
+  x: number, y: number,      // the center of the atom (where bonds are aimed)
+  l: number, r: number,      // the left and right edges of the box
+  t: number, b: number       // the top and bottom edges of the box
+};
+
+/**
+ * A path to be drawn, given as SVG path commands followed by their points
+ */
+export type MoleculePath = {
+  path: (string | Point)[],
+  width: number              // the width of the stroke (0 for a filled path)
+};
+
+/**
+ * The position of an atom (its left baseline point)
+ *
+ * @template W  The type of wrapper for the atoms
+ */
+export type AtomPosition<W extends AnyWrapper> = {
+  atom: W,
+  x: number,
+  y: number
+};
+
+/**
+ * @param {Point} p     The point to move
+ * @param {Point} u     The direction to move it
+ * @param {number} s    The distance to move it
+ * @return {Point}      The moved point
+ */
+function move(p: Point, u: Point, s: number): Point {
+  return [p[0] + s * u[0], p[1] + s * u[1]];
+}
+
+/**
+ * @param {number} a    An angle (in degrees)
+ * @return {Point}      The unit vector in that direction
+ */
+function direction(a: number): Point {
+  return [Math.cos(a * Math.PI / 180), Math.sin(a * Math.PI / 180)];
+}
+
+/**
+ * @param {Point} p     The starting point
+ * @param {Point} q     The ending point
+ * @return {Point}      The unit vector from p to q
+ */
+function unit(p: Point, q: Point): Point {
+  const [x, y] = [q[0] - p[0], q[1] - p[1]];
+  const d = Math.sqrt(x * x + y * y) || 1;
+  return [x / d, y / d];
+}
+
+/**
+ * @param {Point} u     A unit vector
+ * @return {Point}      The unit vector 90 degrees counter-clockwise from it (i.e., to its left)
+ */
+function normal(u: Point): Point {
+  return [-u[1], u[0]];
+}
+
+/**
+ * @param {Point} p     The first point
+ * @param {Point} q     The second point
+ * @return {number}     The distance between them
+ */
+function distance(p: Point, q: Point): number {
+  return Math.sqrt((q[0] - p[0]) * (q[0] - p[0]) + (q[1] - p[1]) * (q[1] - p[1]));
+}
+
+/*****************************************************************/
+/**
+ * The CommonTeXMolecule interface
+ *
+ * @template W  The type of wrapper for the atoms
+ */
+export interface CommonTeXMolecule<W extends AnyWrapper> extends AnyWrapper {
+
+  /**
+   * The horizontal offset of the molecule (so that nothing extends to the left of the origin)
+   */
+  dx: number;
+
+  /**
+   * The paths to draw for the bonds, electrons, and circles
+   */
+  paths: MoleculePath[];
+
+  /**
+   * The positions of the atoms
+   */
+  atoms: AtomPosition<W>[];
+
+  /**
+   * Compute the positions of the atoms and the paths for the bonds
+   *
+   * @return {number[]}   The bounds [xmin, ymin, xmax, ymax] of the molecule
+   */
+  getLayout(): number[];
+
+  /**
+   * @return {AtomBox[][]}   The boxes around the atoms, by group and position within the group
+   */
+  getAtomBoxes(): AtomBox[][];
+
+  /**
+   * @param {AtomBox} box   The box around an atom
+   * @param {Point} p       A point within the box
+   * @param {Point} u       The direction of a ray from that point
+   * @return {Point}        The point where the ray leaves the box
+   */
+  boxExit(box: AtomBox, p: Point, u: Point): Point;
+
+  /**
+   * @param {MoleculeBond} bond   The bond to add
+   * @param {AtomBox} A           The box around the atom where the bond starts
+   * @param {AtomBox} B           The box around the atom where the bond ends
+   */
+  addBond(bond: MoleculeBond, A: AtomBox, B: AtomBox): void;
+
+  /**
+   * @param {MoleculeLewis} lewis   The electrons to add
+   * @param {AtomBox} box           The box around their atom
+   */
+  addLewis(lewis: MoleculeLewis, box: AtomBox): void;
+
+  /**
+   * @param {Point[]} P   The vertices of the ring
+   */
+  addCircle(P: Point[]): void;
+
+  /**
+   * @param {(string | Point)[]} path   The path to convert
+   * @param {boolean} flip              True if the y-axis points downward
+   * @return {string}                   The path as an SVG path string (in thousandths of an em)
+   */
+  pathString(path: (string | Point)[], flip: boolean): string;
+
+  /**
+   * @return {number}   The thickness of the lines of the bonds
+   */
+  getLineThickness(): number;
+}
+
+/**
+ * Shorthand for the CommonTeXMolecule constructor
+ *
+ * @template W  The type of wrapper for the atoms
+ */
+export type TeXMoleculeConstructor<W extends AnyWrapper> = Constructor<CommonTeXMolecule<W>>;
+
+/*****************************************************************/
+/**
+ * The CommonTeXMolecule wrapper mixin for the TeXMolecule object
+ *
+ * @template W  The type of wrapper for the atoms
+ * @template T  The Wrapper class constructor type
+ */
+export function CommonTeXMoleculeMixin<
+  W extends AnyWrapper,
+  T extends WrapperConstructor
+>(Base: T): TeXMoleculeConstructor<W> & T {
+
+  return class extends Base {
+
+    /**
+     * The horizontal offset of the molecule
+     */
+    public dx: number = 0;
+
+    /**
+     * The paths for the bonds, electrons, and circles
+     */
+    public paths: MoleculePath[] = [];
+
+    /**
+     * The atom positions
+     */
+    public atoms: AtomPosition<W>[] = [];
+
+    /**
+     * @override
+     */
+    public computeBBox(bbox: BBox, _recompute: boolean = false) {
+      const [xmin, ymin, xmax, ymax] = this.getLayout();
+      this.dx = -xmin;
+      bbox.w = xmax - xmin;
+      bbox.h = Math.max(0, ymax);
+      bbox.d = Math.max(0, -ymin);
+    }
+
+    /**
+     * @override
+     */
+    public getLayout(): number[] {
+      this.paths = [];
+      const node = this.node as TeXMolecule;
+      const boxes = this.getAtomBoxes();
+      const box = ([g, a]: AtomRef) => boxes[g][a];
+      for (const bond of node.bonds) {
+        this.addBond(bond, box(bond.from), box(bond.to));
+      }
+      node.groups.forEach((group, g) => {
+        for (const lewis of group.lewis) {
+          this.addLewis(lewis, boxes[g][lewis.atom]);
+        }
+      });
+      for (const ring of node.circles) {
+        this.addCircle(ring.map(g => {
+          const {x, y} = boxes[g][node.groups[g].atom];
+          return [x, y] as Point;
+        }));
+      }
+      //
+      //  Get the bounds of the atoms and the paths
+      //
+      const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+      const extend = ([x, y]: Point, s: number = 0) => {
+        bounds[0] = Math.min(bounds[0], x - s);
+        bounds[1] = Math.min(bounds[1], y - s);
+        bounds[2] = Math.max(bounds[2], x + s);
+        bounds[3] = Math.max(bounds[3], y + s);
+      };
+      extend([0, 0]);
+      for (const {atom, x, y} of this.atoms) {
+        const {w, h, d, rscale} = atom.getBBox();
+        extend([x, y - d * rscale]);
+        extend([x + w * rscale, y + h * rscale]);
+      }
+      for (const {path, width} of this.paths) {
+        for (const p of path) {
+          if (typeof p !== 'string') {
+            extend(p, width / 2);
+          }
+        }
+      }
+      return bounds;
+    }
+
+    /**
+     * @override
+     */
+    public getAtomBoxes(): AtomBox[][] {
+      this.atoms = [];
+      const node = this.node as TeXMolecule;
+      const a = this.font.params.axis_height;
+      const boxes: AtomBox[][] = [];
+      for (const group of node.groups) {
+        //
+        //  Find the center of the atom that positions the group
+        //
+        let p: Point = [0, a];
+        if (group.from) {
+          const {x, y} = boxes[group.from[0]][group.from[1]];
+          p = move([x, y], direction(group.angle), group.length);
+        }
+        if (!group.atoms.length) {
+          boxes.push([{x: p[0], y: p[1], l: p[0], r: p[0], t: p[1], b: p[1]}]);
+          continue;
+        }
+        //
+        //  Lay out the atoms of the group next to each other
+        //
+        const sizes = group.atoms.map(n => {
+          const {w, h, d, rscale} = this.childNodes[n].getBBox();
+          return [w * rscale, h * rscale, d * rscale];
+        });
+        let x = p[0] - sizes[group.atom][0] / 2;
+        for (let i = 0; i < group.atom; i++) {
+          x -= sizes[i][0];
+        }
+        const y = p[1] - a;
+        const atoms: AtomBox[] = [];
+        sizes.forEach(([w, h, d], i) => {
+          this.atoms.push({atom: this.childNodes[group.atoms[i]] as W, x, y});
+          atoms.push({
+            x: x + w / 2, y: p[1],
+            l: x - BONDSEP, r: x + w + BONDSEP,
+            t: y + h + BONDSEP, b: y - d - BONDSEP
+          });
+          x += w;
+        });
+        boxes.push(atoms);
+      }
+      return boxes;
+    }
+
+    /**
+     * @override
+     */
+    public boxExit(box: AtomBox, p: Point, u: Point): Point {
+      const tx = (u[0] > 0 ? (box.r - p[0]) / u[0] : u[0] < 0 ? (box.l - p[0]) / u[0] : Infinity);
+      const ty = (u[1] > 0 ? (box.t - p[1]) / u[1] : u[1] < 0 ? (box.b - p[1]) / u[1] : Infinity);
+      return move(p, u, Math.max(0, Math.min(tx, ty)));
+    }
+
+    /**
+     * @override
+     */
+    public addBond(bond: MoleculeBond, A: AtomBox, B: AtomBox) {
+      const u = unit([A.x, A.y], [B.x, B.y]);
+      const n = normal(u);
+      const p = this.boxExit(A, [A.x, A.y], u);
+      const q = this.boxExit(B, [B.x, B.y], [-u[0], -u[1]]);
+      const t = this.getLineThickness();
+      const line = (s: number, trim: number = 0) => {
+        this.paths.push({path: ['M', move(move(p, n, s), u, trim), 'L', move(move(q, n, s), u, -trim)], width: t});
+      };
+      const [a, b] = (bond.type.charAt(0) === '<' ? [q, p] : [p, q]);
+      if (bond.type === '=') {
+        if (bond.side) {
+          line(0);
+          line(bond.side * BONDGAP, Math.min(INNERTRIM, distance(p, q) / 4));
+        } else {
+          line(BONDGAP / 2);
+          line(-BONDGAP / 2);
+        }
+      } else if (bond.type === '~') {
+        line(0);
+        line(BONDGAP);
+        line(-BONDGAP);
+      } else if (bond.type.charAt(1) === ':') {
+        //
+        //  A dashed wedge:  lines across the bond that get longer toward its wide end
+        //
+        const [v, l] = [unit(a, b), distance(a, b)];
+        const m = Math.max(1, Math.floor(l / WEDGEDASH));
+        for (let i = 1; i <= m; i++) {
+          const r = move(a, v, i * l / m);
+          const s = i / m * WEDGEWIDTH;
+          this.paths.push({path: ['M', move(r, n, s), 'L', move(r, n, -s)], width: t});
+        }
+      } else if (bond.type !== '-') {
+        //
+        //  A solid or hollow wedge
+        //
+        const path = ['M', a, 'L', move(b, n, WEDGEWIDTH), 'L', move(b, n, -WEDGEWIDTH), 'Z'];
+        this.paths.push({path, width: bond.type.charAt(1) === '|' ? t : 0});
+      } else {
+        line(0);
+      }
+    }
+
+    /**
+     * @override
+     */
+    public addLewis(lewis: MoleculeLewis, box: AtomBox) {
+      const u = direction(lewis.angle);
+      const n = normal(u);
+      const s = (box.l === box.r ? LEWISSEP : LEWISSEP - BONDSEP);
+      const p = this.boxExit({
+        x: box.x, y: box.y,
+        l: box.l - s, r: box.r + s, t: box.t + s, b: box.b - s
+      }, [box.x, box.y], u);
+      const dot = (q: Point) => {
+        q = move(q, u, LEWISDOT / 2);
+        this.paths.push({path: ['M', q, 'L', q], width: LEWISDOT});
+      };
+      if (lewis.type === '|') {
+        this.paths.push({path: ['M', move(p, n, LEWISBAR), 'L', move(p, n, -LEWISBAR)], width: this.getLineThickness()});
+      } else if (lewis.type === '.') {
+        dot(p);
+      } else {
+        dot(move(p, n, LEWISPAIR / 2 + LEWISDOT / 2));
+        dot(move(p, n, -LEWISPAIR / 2 - LEWISDOT / 2));
+      }
+    }
+
+    /**
+     * @override
+     */
+    public addCircle(P: Point[]) {
+      const c: Point = [0, 0];
+      for (const [x, y] of P) {
+        c[0] += x / P.length;
+        c[1] += y / P.length;
+      }
+      const r = CIRCLESIZE * distance(c, [(P[0][0] + P[1][0]) / 2, (P[0][1] + P[1][1]) / 2]);
+      const k = KAPPA * r;
+      const path: (string | Point)[] = ['M', [c[0] + r, c[1]]];
+      for (const [x, y] of [[1, 0], [0, 1], [-1, 0], [0, -1]]) {
+        const [X, Y] = [-y, x];
+        path.push('C', [c[0] + r * x + k * X, c[1] + r * y + k * Y],
+                  [c[0] + r * X + k * x, c[1] + r * Y + k * y], [c[0] + r * X, c[1] + r * Y]);
+      }
+      this.paths.push({path, width: this.getLineThickness()});
+    }
+
+    /**
+     * @override
+     */
+    public pathString(path: (string | Point)[], flip: boolean): string {
+      return path.map(p => typeof p === 'string' ? p :
+                      this.jax.fixed((p[0] + this.dx) * 1000, 1) + ' ' +
+                      this.jax.fixed((flip ? -p[1] : p[1]) * 1000, 1)).join(' ');
+    }
+
+    /**
+     * @override
+     */
+    public getLineThickness(): number {
+      return this.font.params.rule_thickness * 2 / 3;
+    }
+
+  };
+
+}
@@ -21,21 +21,84 @@
  * @author dpvc@mathjax.org (Davide Cervone)
  */
 
-import {AnyWrapper, WrapperConstructor, Constructor} from '../Wrapper.js';
+import {AnyWrapper, WrapperConstructor, Constructor, StringMap} from '../Wrapper.js';
 import {CommonMo} from './mo.js';
 import {BBox} from '../../../util/BBox.js';
+import {BIGDIMEN} from '../../../util/lengths.js';
 import {DIRECTION} from '../FontData.js';
+import {MmlNode, TextNode, AbstractMmlNode, TEXCLASS} from '../../../core/MmlTree/MmlNode.js';
+import {MmlMo} from '../../../core/MmlTree/MmlNodes/mo.js';
+
+/*****************************************************************/
+/**
+ * The data for one line of a row that has been broken
+ */
+export type LineData = {
+  start: number;          // index of the first child in the line
+  end: number;            // index following the last child in the line
+  dup: AnyWrapper;        // duplicate operator at the end of the line (for linebreakstyle="duplicate")
+  breaker: AnyWrapper;    // the node whose break started this line (null for the first line)
+  bbox: BBox;             // the bounding box of the line's contents
+  x: number;              // the horizontal offset of the line within the row
+  y: number;              // the distance of the line's baseline below that of the first line
+};
+
+/**
+ * The data for a potential break point
+ */
+export type BreakData = {
+  i: number;              // index of the child that starts the next line
+  dup: boolean;           // true if the operator is to be duplicated at the end of the line
+  breaker: AnyWrapper;    // the node (embellished operator or mspace) that causes the break
+  penalty: number;        // the cost of breaking here (smaller is better)
+  forced: boolean;        // true for linebreak="newline"
+};
+
+/**
+ * The penalties for breaking at operators of the given TeX classes
+ * (other classes can only be broken when linebreak="goodbreak")
+ */
+export const BREAKPENALTY: {[texClass: number]: number} = {
+  [TEXCLASS.REL]: 0,
+  [TEXCLASS.PUNCT]: 5,
+  [TEXCLASS.BIN]: 10
+};
+
+/**
+ * The adjustments to the penalty for the linebreak attribute values
+ */
+export const LINEBREAKPENALTY: {[linebreak: string]: number} = {
+  goodbreak: -50,
+  badbreak: 50
+};
 
 /*****************************************************************/
 /**
  * The CommonMrow interface
  */
 export interface CommonMrow extends AnyWrapper {
+  /**
+   * The lines into which the row has been broken (null if it is not broken)
+   */
+  lines: LineData[];
+
+  /**
+   * True if this row's children can be split into lines (the top-level row
+   *   of the math, or the only child of such a row)
+   */
+  readonly isBreakable: boolean;
+
   /**
    * Handle vertical stretching of children to match height of
    *  other nodes in the row.
    */
   stretchChildren(): void;
+
+  /**
+   * @param {LineData} line  The line whose children are needed
+   * @return {AnyWrapper[]}  The children in the line (including any duplicated operator)
+   */
+  lineChildren(line: LineData): AnyWrapper[];
 }
 
 /**
@@ -53,6 +116,16 @@ export function CommonMrowMixin<T extends WrapperConstructor>(Base: T): MrowCons
 
   return class extends Base {
 
+    /**
+     * The lines into which the row has been broken (null if it is not broken)
+     */
+    public lines: LineData[] = null;
+
+    /**
+     * The duplicated operators used for linebreakstyle="duplicate", indexed by child number
+     */
+    protected dups: Map<number, AnyWrapper> = new Map();
+
     /**
      * @override
      */
@@ -60,6 +133,18 @@ export function CommonMrowMixin<T extends WrapperConstructor>(Base: T): MrowCons
       return false;
     }
 
+    /**
+     * @return {boolean}  True if this row's children can be split into lines
+     */
+    get isBreakable(): boolean {
+      const parent = this.parent as CommonMrow;
+      if (!parent) return false;
+      if (this.node.isInferred) {
+        return parent.node.isKind('math');
+      }
+      return (parent.node.isInferred && parent.childNodes.length === 1 && parent.isBreakable);
+    }
+
     /**
      * @override
      * @constructor
@@ -116,6 +201,253 @@ export function CommonMrowMixin<T extends WrapperConstructor>(Base: T): MrowCons
       }
     }
 
+    /**
+     * Break the row into lines, if needed, and stack them; otherwise
+     *   lay out the children in a single line as usual.  (Rows are only
+     *   broken, even at explicit newlines, when line breaking is enabled.)
+     *
+     * @override
+     */
+    protected computeBBox(bbox: BBox, recompute: boolean = false) {
+      this.lines = null;
+      if (this.jax.options.linebreaks.automatic && this.isBreakable && !this.bbox.pwidth) {
+        const lines = this.breakLines(this.getLineWidth());
+        if (lines.length > 1) {
+          this.lines = lines;
+          this.stackLines(bbox);
+          return;
+        }
+      }
+      super.computeBBox(bbox, recompute);
+    }
+
+    /**
+     * @return {number}  The width (in ems) available for a line
+     */
+    protected getLineWidth(): number {
+      const width = this.jax.options.linebreaks.width;
+      const cwidth = this.metrics.containerWidth / this.jax.pxPerEm;
+      return Math.min(this.metrics.lineWidth / this.jax.pxPerEm, this.length2em(width, cwidth));
+    }
+
+    /**
+     * Split the children into lines so that each fits within the given width (when
+     *   possible), breaking at the best available operator in each line, and at any
+     *   explicit newlines.
+     *
+     * @param {number} W         The maximum line width
+     * @return {LineData[]}      The lines that make up the row
+     */
+    protected breakLines(W: number): LineData[] {
+      const n = this.childNodes.length;
+      const lines: LineData[] = [];
+      let breaker: AnyWrapper = null;
+      let start = 0;
+      let best: BreakData = null;
+      let x = 0;
+      let i = 0;
+      while (i < n) {
+        const child = this.childNodes[i];
+        const {w, L, R, rscale} = child.getBBox();
+        const cw = rscale * (L + w + R);
+        const br = this.getBreak(i, start, x, cw, W);
+        const next = (br && br.forced ? br : x + cw > W ? best : null);
+        if (next) {
+          lines.push(this.makeLine(start, next, breaker));
+          breaker = next.breaker;
+          start = i = next.i;
+          best = null;
+          x = 0;
+          continue;
+        }
+        if (br && (!best || br.penalty <= best.penalty)) {
+          best = br;
+        }
+        x += cw;
+        i++;
+      }
+      lines.push(this.makeLine(start, null, breaker));
+      return lines;
+    }
+
+    /**
+     * @param {number} i       The index of the child to check for a break
+     * @param {number} start   The index of the first child of the current line
+     * @param {number} x       The width of the line before this child
+     * @param {number} cw      The width of the child
+     * @param {number} W       The maximum line width
+     * @return {BreakData}     The data for a break at this child, or null if it can't be broken
+     */
+    protected getBreak(i: number, start: number, x: number, cw: number, W: number): BreakData {
+      const child = this.childNodes[i];
+      if (child.node.isKind('mspace')) {
+        return (child.node.hasNewLine ? {i: i + 1, dup: false, breaker: child, penalty: 0, forced: true} : null);
+      }
+      if (!child.node.isEmbellished) return null;
+      const mo = child.coreMO();
+      const attributes = mo.node.attributes;
+      const linebreak = attributes.get('linebreak') as string;
+      const forced = (linebreak === 'newline');
+      let penalty = BREAKPENALTY[child.node.texClass];
+      if (linebreak === 'nobreak' || (!forced && (i === start || W === BIGDIMEN))) return null;
+      if (penalty === undefined) {
+        if (linebreak !== 'goodbreak' && !forced) return null;
+        penalty = BREAKPENALTY[TEXCLASS.BIN];
+      }
+      let style = attributes.get('linebreakstyle') as string;
+      if (style === 'infixlinebreakstyle') {
+        style = attributes.get('infixlinebreakstyle') as string;
+      }
+      const after = (style === 'after');
+      const next = (after ? i + 1 : i);
+      if (next === start) return null;
+      penalty += (LINEBREAKPENALTY[linebreak] || 0) + 100 * Math.max(0, W - x - (after ? cw : 0)) / W;
+      return {i: next, dup: (style === 'duplicate'), breaker: child, penalty, forced};
+    }
+
+    /**
+     * @param {number} start         The index of the first child in the line
+     * @param {BreakData} br         The break that ends the line (null for the last line)
+     * @param {AnyWrapper} breaker   The node whose break started the line
+     * @return {LineData}            The data for the line
+     */
+    protected makeLine(start: number, br: BreakData, breaker: AnyWrapper): LineData {
+      const end = (br ? br.i : this.childNodes.length);
+      const dup = (br && br.dup ? this.getDuplicate(br.i, br.breaker) : null);
+      const line = {start, end, dup, breaker, bbox: BBox.empty(), x: 0, y: 0};
+      for (const child of this.lineChildren(line)) {
+        line.bbox.append(child.getBBox());
+      }
+      line.bbox.clean();
+      return line;
+    }
+
+    /**
+     * @param {LineData} line  The line whose children are needed
+     * @return {AnyWrapper[]}  The children in the line (including any duplicated operator)
+     */
+    public lineChildren(line: LineData): AnyWrapper[] {
+      const children = this.childNodes.slice(line.start, line.end);
+      if (line.dup) {
+        children.push(line.dup);
+      }
+      return children;
+    }
+
+    /**
+     * Create (or retrieve) a copy of an operator to use at the end of a line
+     *   for linebreakstyle="duplicate"
+     *
+     * @param {number} i             The index of the operator being duplicated
+     * @param {AnyWrapper} child     The (embellished) operator being duplicated
+     * @return {AnyWrapper}          The wrapped duplicate operator
+     */
+    protected getDuplicate(i: number, child: AnyWrapper): AnyWrapper {
+      if (!this.dups.has(i)) {
+        const core = child.coreMO();
+        const mmlFactory = (this.node as AbstractMmlNode).factory;
+        const textNode = (mmlFactory.create('text') as TextNode).setText((core.node as MmlMo).getText());
+        const mml = mmlFactory.create('mo', {}, [textNode]);
+        mml.inheritAttributesFrom(core.node);
+        const dup = this.wrap(mml);
+        dup.parent = this as any as AnyWrapper;
+        const {L, R} = child.getBBox();
+        dup.bbox.L = L;
+        dup.bbox.R = R;
+        this.dups.set(i, dup);
+      }
+      return this.dups.get(i);
+    }
+
+    /**
+     * Position the lines vertically and horizontally, and compute the
+     *   bounding box for the stacked lines.
+     *
+     * @param {BBox} bbox   The bounding box to set
+     */
+    protected stackLines(bbox: BBox) {
+      const lines = this.lines;
+      const m = lines.length - 1;
+      const [align] = this.getFirstAlign();
+      const aligns = lines.map((line, k) =>
+                               (k ? this.getBreakAlign(line.breaker, k === m, align) : [align, 0])) as [string, number][];
+      let W = 0;
+      let y = 0;
+      lines.forEach((line, k) => {
+        W = Math.max(W, line.bbox.w + Math.abs(aligns[k][1]));
+        if (k) {
+          const prev = lines[k - 1];
+          y += prev.bbox.d + this.getLineLeading(line.breaker) + line.bbox.h;
+        }
+        line.y = y;
+      });
+      lines.forEach((line, k) => {
+        const [lalign, shift] = aligns[k];
+        const w = line.bbox.w;
+        const x = (lalign === 'left' ? shift : lalign === 'right' ? W - w - shift : (W - w) / 2 + shift);
+        line.x = Math.max(0, Math.min(W - w, x));
+      });
+      bbox.w = W;
+      bbox.h = lines[0].bbox.h;
+      bbox.d = lines[m].y + lines[m].bbox.d;
+      bbox.L = bbox.R = 0;
+    }
+
+    /**
+     * @return {[string, number]}  The alignment for the first line (the shift is handled by the math element)
+     */
+    protected getFirstAlign(): [string, number] {
+      let math: MmlNode = this.node;
+      while (math && !math.isKind('math')) {
+        math = math.parent;
+      }
+      if (!math || math.attributes.get('display') !== 'block') {
+        return ['left', 0];
+      }
+      let {indentalign, indentalignfirst} = math.attributes.getList('indentalign', 'indentalignfirst') as StringMap;
+      if (indentalignfirst !== 'indentalign') {
+        indentalign = indentalignfirst;
+      }
+      if (indentalign === 'auto') {
+        indentalign = this.jax.options.displayAlign;
+      }
+      return [indentalign, 0];
+    }
+
+    /**
+     * @param {AnyWrapper} breaker   The node whose break starts the line
+     * @param {boolean} last         True if this is the last line
+     * @param {string} first         The alignment of the first line
+     * @return {[string, number]}    The alignment and shift for the line
+     */
+    protected getBreakAlign(breaker: AnyWrapper, last: boolean, first: string): [string, number] {
+      const node = (breaker.node.isEmbellished ? breaker.coreMO().node : breaker.node);
+      let {indentalign, indentshift, indentalignlast, indentshiftlast} =
+        node.attributes.getList('indentalign', 'indentshift', 'indentalignlast', 'indentshiftlast') as StringMap;
+      if (last && indentalignlast && indentalignlast !== 'indentalign') {
+        indentalign = indentalignlast;
+      }
+      if (last && indentshiftlast && indentshiftlast !== 'indentshift') {
+        indentshift = indentshiftlast;
+      }
+      if (!indentalign || indentalign === 'auto' || indentalign === 'id') {
+        indentalign = first;
+      }
+      if (!indentshift || indentshift === 'auto') {
+        indentshift = '0';
+      }
+      return [indentalign, this.length2em(indentshift, this.metrics.containerWidth / this.jax.pxPerEm)];
+    }
+
+    /**
+     * @param {AnyWrapper} breaker   The node whose break starts the line
+     * @return {number}              The extra space between the lines
+     */
+    protected getLineLeading(breaker: AnyWrapper): number {
+      const node = (breaker.node.isEmbellished ? breaker.coreMO().node : breaker.node);
+      return this.length2em(node.attributes.get('lineleading') || MmlMo.defaults['lineleading']);
+    }
+
   };
 }
 
@@ -24,6 +24,7 @@
 import {AnyWrapper, WrapperConstructor, Constructor} from '../Wrapper.js';
 import {CommonMtr} from './mtr.js';
 import {CommonMo} from './mo.js';
+import {CommonMenclose} from './menclose.js';
 import {BBox} from '../../../util/BBox.js';
 import {DIRECTION} from '../FontData.js';
 import {split, isPercent} from '../../../util/string.js';
@@ -49,6 +50,24 @@ export type TableData = {
  */
 export type ColumnWidths = (string | number | null)[];
 
+/**
+ * The data for a partial or non-standard horizontal rule (from the data-hlines attribute):
+ *   the row boundary where it occurs (0 is the top of the table), the first and last
+ *   columns that it covers (a missing last column means the last column of the table),
+ *   its style and thickness, the amount to trim from its ends,
+ *   and the extra space to leave between it and the table rows
+ */
+export type HRule = {
+  row: number;
+  start: number;
+  end: number;
+  style: string;
+  t: number;
+  lTrim: number;
+  rTrim: number;
+  space: number;
+};
+
 /*****************************************************************/
 /**
  * The CommonMtable interface
@@ -93,6 +112,22 @@ export interface CommonMtable<C extends AnyWrapper, R extends CommonMtr<C>> exte
   rLines: number[];
   cWidths: (number | string)[];
 
+  /**
+   * The partial and non-standard horizontal rules, the space they need at each
+   *   row boundary, and the space used by the lines and rules at the top and bottom
+   */
+  hRules: HRule[];
+  hSlots: number[];
+  tLine: number;
+  bLine: number;
+
+  /**
+   * The cell occupying each row and column of the table (taking row and
+   *   column spans into account), and the starting column of each cell in each row
+   */
+  cellGrid: C[][];
+  cellColumns: number[][];
+
   /**
    * The bounding box information for the table rows and columns
    */
@@ -118,6 +153,12 @@ export interface CommonMtable<C extends AnyWrapper, R extends CommonMtr<C>> exte
    */
   childNodes: R[];
 
+  /**
+   * Get the partial and non-standard horizontal rules, and add the space they need
+   *   to the row lines (or the top and bottom lines)
+   */
+  getHRules(): void;
+
   /**
    * Find the container and the child position of the table
    */
@@ -128,6 +169,33 @@ export interface CommonMtable<C extends AnyWrapper, R extends CommonMtr<C>> exte
    */
   getPercentageWidth(): void;
 
+  /**
+   * Determine the grid positions of the cells, taking row and column spans into account
+   */
+  getCellGrid(): void;
+
+  /**
+   * @param {C} cell        The cell whose spans are to be obtained
+   * @param {number} j      The row number of the cell
+   * @return {number[]}     The number of rows and columns spanned by the cell
+   */
+  getCellSpans(cell: C, j: number): [number, number];
+
+  /**
+   * @param {number} j      The row of the first position
+   * @param {number} i      The column of the first position
+   * @param {number} J      The row of the second position
+   * @param {number} I      The column of the second position
+   * @return {boolean}      True if both positions are covered by the same (spanning) cell
+   */
+  isSameCell(j: number, i: number, J: number, I: number): boolean;
+
+  /**
+   * @param {number} i      The column number
+   * @return {C[]}          The cells in the column that don't span several columns
+   */
+  getColumnCells(i: number): C[];
+
   /**
    * Stretch the rows to the equal height or natural height
    */
@@ -164,6 +232,35 @@ export interface CommonMtable<C extends AnyWrapper, R extends CommonMtr<C>> exte
    */
   updateHDW(cell: C, i: number, j: number, H: number[], D: number[], W?: number[]): void;
 
+  /**
+   * @param {C} cell        The spanning cell whose size is to be added into the H, D, W arrays
+   * @param {number} i      The column number for the cell
+   * @param {number} j      The row number for the cell
+   * @param {number} r      The number of rows spanned by the cell
+   * @param {number} c      The number of columns spanned by the cell
+   * @param {number[]} H    The maximum height for each of the rows
+   * @param {number[]} D    The maximum depth for each of the rows
+   * @param {number[]} W    The maximum width for each column
+   */
+  updateSpanHDW(cell: C, i: number, j: number, r: number, c: number, H: number[], D: number[], W: number[]): void;
+
+  /**
+   * @param {number[]} W    The column widths to use
+   * @param {number} i      The first column of the span
+   * @param {number} c      The number of columns spanned
+   * @return {number}       The width of the spanned columns, including the space and lines between them
+   */
+  getSpanWidth(W: number[], i: number, c: number): number;
+
+  /**
+   * @param {number[]} H    The row heights to use
+   * @param {number[]} D    The row depths to use
+   * @param {number} j      The first row of the span
+   * @param {number} r      The number of rows spanned
+   * @return {number}       The height of the spanned rows, including the space and lines between them
+   */
+  getSpanHeight(H: number[], D: number[], j: number, r: number): number;
+
   /**
    * Set cell widths for columns with percentage width children
    */
@@ -272,6 +369,12 @@ export interface CommonMtable<C extends AnyWrapper, R extends CommonMtr<C>> exte
    */
   getColumnHalfSpacing(): number[];
 
+  /**
+   * @return {number[]}   The padding between the table and the lines of the menclose used
+   *                        as its frame (when not all sides have lines), as [T, R, B, L]
+   */
+  getFramePadding(): number[];
+
   /**
    * @return {[string,number|null]}  The alignment and row number (based at 0) or null
    */
@@ -403,6 +506,33 @@ export function CommonMtableMixin<
      */
     public cWidths: (number | string)[];
 
+    /**
+     * The partial and non-standard horizontal rules
+     */
+    public hRules: HRule[];
+    /**
+     * The space needed for the rules at each row boundary (0 is the top of the table)
+     */
+    public hSlots: number[];
+    /**
+     * The size of the frame line plus the rules at the top of the table
+     */
+    public tLine: number;
+    /**
+     * The size of the frame line plus the rules at the bottom of the table
+     */
+    public bLine: number;
+
+    /**
+     * The cell occupying each row and column of the table (taking row and
+     *   column spans into account), or undefined if there is none
+     */
+    public cellGrid: C[][] = [];
+    /**
+     * The starting column of each cell in each row
+     */
+    public cellColumns: number[][] = [];
+
     /**
      * The bounding box information for the table rows and columns
      */
@@ -436,8 +566,8 @@ export function CommonMtableMixin<
       //
       // Determine the number of columns and rows, and whether the table is stretchy
       //
-      this.numCols = max(this.tableRows.map(row => row.numCells));
       this.numRows = this.childNodes.length;
+      this.getCellGrid();
       this.hasLabels = this.childNodes.reduce((value, row) => value || row.node.isKind('mlabeledtr'), false);
       this.findContainer();
       this.isTop = !this.container || (this.container.node.isKind('math') && !this.container.parent);
@@ -456,6 +586,7 @@ export function CommonMtableMixin<
       this.rSpace = this.convertLengths(this.getRowAttributes('rowspacing'));
       this.cLines = this.getColumnAttributes('columnlines').map(x => (x === 'none' ? 0 : .07));
       this.rLines = this.getRowAttributes('rowlines').map(x => (x === 'none' ? 0 : .07));
+      this.getHRules();
       this.cWidths = this.getColumnWidths();
       //
       // Stretch the rows and columns
@@ -464,6 +595,35 @@ export function CommonMtableMixin<
       this.stretchColumns();
     }
 
+    /**
+     * @override
+     */
+    public getHRules() {
+      const n = this.numRows;
+      this.hRules = [];
+      this.hSlots = new Array(n + 1).fill(0);
+      const rules = this.node.attributes.get('data-hlines') as string;
+      for (const rule of (rules ? rules.split(/;/) : [])) {
+        const [row, cols, style = 'solid', t = '.07em', lTrim = '0', rTrim = '0', space = '0'] = split(rule);
+        const [start, end] = (cols || '').split(/-/).map(x => (x ? parseInt(x) : this.numCols) - 1);
+        const j = parseInt(row);
+        if (!(j >= 0 && j <= n && start >= 0 && end >= start && start < this.numCols)) continue;
+        const hrule: HRule = {
+          row: j, start: start, end: Math.min(end, this.numCols - 1), style: style,
+          t: this.length2em(t), lTrim: this.length2em(lTrim), rTrim: this.length2em(rTrim),
+          space: this.length2em(space)
+        };
+        this.hRules.push(hrule);
+        const slot = hrule.t + (j === 0 || j === n ? 1 : 2) * hrule.space;
+        this.hSlots[j] = Math.max(this.hSlots[j], slot);
+      }
+      for (let i = 1; i < n; i++) {
+        this.rLines[i - 1] += this.hSlots[i];
+      }
+      this.tLine = this.fLine + this.hSlots[0];
+      this.bLine = this.fLine + this.hSlots[n];
+    }
+
     /**
      * Find the container and the child position of the table
      */
@@ -492,6 +652,73 @@ export function CommonMtableMixin<
       }
     }
 
+    /**
+     * Determine the grid positions of the cells, taking row and column spans into account
+     *   (a cell is placed in the first column of its row that is not already covered
+     *   by a cell from a previous row).
+     */
+    public getCellGrid() {
+      const rows = this.tableRows;
+      const grid = this.cellGrid = rows.map(() => [] as C[]);
+      this.cellColumns = [];
+      for (let j = 0; j < this.numRows; j++) {
+        const columns: number[] = this.cellColumns[j] = [];
+        let i = 0;
+        for (const cell of rows[j].tableCells) {
+          while (grid[j][i]) i++;
+          columns.push(i);
+          const [r, c] = this.getCellSpans(cell, j);
+          for (let k = j; k < j + r; k++) {
+            for (let l = i; l < i + c; l++) {
+              grid[k][l] = grid[k][l] || cell;
+            }
+          }
+          i += c;
+        }
+      }
+      this.numCols = max(grid.map(row => row.length));
+    }
+
+    /**
+     * @param {C} cell        The cell whose spans are to be obtained
+     * @param {number} j      The row number of the cell
+     * @return {number[]}     The number of rows and columns spanned by the cell
+     */
+    public getCellSpans(cell: C, j: number): [number, number] {
+      const attributes = cell.node.attributes;
+      const r = Math.max(1, parseInt(attributes.get('rowspan') as string) || 1);
+      const c = Math.max(1, parseInt(attributes.get('columnspan') as string) || 1);
+      return [Math.min(r, this.numRows - j), c];
+    }
+
+    /**
+     * @param {number} j      The row of the first position
+     * @param {number} i      The column of the first position
+     * @param {number} J      The row of the second position
+     * @param {number} I      The column of the second position
+     * @return {boolean}      True if both positions are covered by the same (spanning) cell
+     */
+    public isSameCell(j: number, i: number, J: number, I: number): boolean {
+      const cell = (this.cellGrid[j] || [])[i];
+      return !!cell && cell === (this.cellGrid[J] || [])[I];
+    }
+
+    /**
+     * @param {number} i      The column number
+     * @return {C[]}          The cells in the column that don't span several columns
+     */
+    public getColumnCells(i: number): C[] {
+      const cells = [] as C[];
+      for (let j = 0; j < this.numRows; j++) {
+        const cell = this.cellGrid[j][i];
+        if (cell && !this.isSameCell(j, i, j, i - 1) && !this.isSameCell(j, i, j, i + 1) &&
+            !this.isSameCell(j, i, j - 1, i)) {
+          cells.push(cell);
+        }
+      }
+      return cells;
+    }
+
     /**
      * Stretch the rows to the equal height or natural height
      */
@@ -524,17 +751,15 @@ export function CommonMtableMixin<
      */
     public stretchColumn(i: number, W: number) {
       let stretchy: AnyWrapper[] = [];
+      const cells = this.getColumnCells(i);
       //
       //  Locate and count the stretchy children
       //
-      for (const row of this.tableRows) {
-        const cell = row.getChild(i);
-        if (cell) {
-          const child = cell.childNodes[0];
-          if (child.stretch.dir === DIRECTION.None &&
-              child.canStretch(DIRECTION.Horizontal)) {
-            stretchy.push(child);
-          }
+      for (const cell of cells) {
+        const child = cell.childNodes[0];
+        if (child.stretch.dir === DIRECTION.None &&
+            child.canStretch(DIRECTION.Horizontal)) {
+          stretchy.push(child);
         }
       }
       let count = stretchy.length;
@@ -547,16 +772,13 @@ export function CommonMtableMixin<
           //  otherwise, find the width of the non-stretchy children.
           //
           let all = (count > 1 && count === nodeCount);
-          for (const row of this.tableRows) {
-            const cell = row.getChild(i);
-            if (cell) {
-              const child = cell.childNodes[0];
-              const noStretch = (child.stretch.dir === DIRECTION.None);
-              if (all || noStretch) {
-                const {w} = child.getBBox(noStretch);
-                if (w > W) {
-                  W = w;
-                }
+          for (const cell of cells) {
+            const child = cell.childNodes[0];
+            const noStretch = (child.stretch.dir === DIRECTION.None);
+            if (all || noStretch) {
+              const {w} = child.getBBox(noStretch);
+              if (w > W) {
+                W = w;
               }
             }
           }
@@ -589,13 +811,31 @@ export function CommonMtableMixin<
       const ND = new Array(this.numRows);
       const LW = [0];
       const rows = this.tableRows;
+      //
+      //  Handle the cells that don't span rows or columns first,
+      //    then add in the spanning cells, which may enlarge the
+      //    rows and columns that they span.
+      //
+      const spans: [C, number, number, number, number][] = [];
       for (let j = 0; j < rows.length; j++) {
-        const row = rows[j];
-        for (let i = 0; i < row.numCells; i++) {
-          const cell = row.getChild(i);
-          this.updateHDW(cell, i, j, H, D, W);
+        const cells = rows[j].tableCells;
+        for (let k = 0; k < cells.length; k++) {
+          const cell = cells[k];
+          const i = this.cellColumns[j][k];
+          const [r, c] = this.getCellSpans(cell, j);
+          if (r === 1 && c === 1) {
+            this.updateHDW(cell, i, j, H, D, W);
+          } else {
+            spans.push([cell, i, j, r, c]);
+          }
           this.recordPWidthCell(cell, i);
         }
+      }
+      for (const [cell, i, j, r, c] of spans) {
+        this.updateSpanHDW(cell, i, j, r, c, H, D, W);
+      }
+      for (let j = 0; j < rows.length; j++) {
+        const row = rows[j];
         NH[j] = H[j];
         ND[j] = D[j];
         if (row.labeled) {
@@ -624,6 +864,83 @@ export function CommonMtableMixin<
       if (W && w > W[i]) W[i] = w;
     }
 
+    /**
+     * @param {C} cell         The spanning cell whose size is to be added into the H, D, W arrays
+     * @param {number} i       The column number for the cell
+     * @param {number} j       The row number for the cell
+     * @param {number} r       The number of rows spanned by the cell
+     * @param {number} c       The number of columns spanned by the cell
+     * @param {number[]} H     The maximum height for each of the rows
+     * @param {number[]} D     The maximum depth for each of the rows
+     * @param {number[]} W     The maximum width for each column
+     */
+    public updateSpanHDW(cell: C, i: number, j: number, r: number, c: number,
+                         H: number[], D: number[], W: number[]) {
+      let {h, d, w} = cell.getBBox();
+      if (h < .75) h = .75;
+      if (d < .25) d = .25;
+      //
+      //  Spread any extra width evenly over the spanned columns whose widths
+      //    aren't fixed (or over all of them, if they all are)
+      //
+      const dw = w - this.getSpanWidth(W, i, c);
+      if (dw > 0) {
+        const widths = this.getColumnAttributes('columnwidth', 0) || [];
+        const spanned = Array.from(Array(c).keys()).map(k => k + i);
+        const auto = spanned.filter(k => !widths[k] || widths[k] === 'auto' || widths[k] === 'fit');
+        const columns = (auto.length ? auto : spanned);
+        for (const k of columns) {
+          W[k] += dw / columns.length;
+        }
+      }
+      if (r === 1) {
+        if (h > H[j]) H[j] = h;
+        if (d > D[j]) D[j] = d;
+        return;
+      }
+      //
+      //  For baseline-aligned cells, the height goes into the first row,
+      //    otherwise the cell can use the full height of the spanned rows.
+      //    Any extra is added to the depth of the last spanned row.
+      //
+      const ralign = cell.node.attributes.get('rowalign') as string;
+      const baseline = (ralign === 'baseline' || ralign === 'axis');
+      if (baseline && h > H[j]) H[j] = h;
+      const dh = (baseline ? H[j] : h) + d - this.getSpanHeight(H, D, j, r);
+      if (dh > 0) {
+        D[j + r - 1] += dh;
+      }
+    }
+
+    /**
+     * @param {number[]} W    The column widths to use
+     * @param {number} i      The first column of the span
+     * @param {number} c      The number of columns spanned
+     * @return {number}       The width of the spanned columns, including the space and lines between them
+     */
+    public getSpanWidth(W: number[], i: number, c: number): number {
+      let w = W[i];
+      for (let k = i + 1; k < i + c; k++) {
+        w += this.cSpace[k - 1] + this.cLines[k - 1] + W[k];
+      }
+      return w;
+    }
+
+    /**
+     * @param {number[]} H    The row heights to use
+     * @param {number[]} D    The row depths to use
+     * @param {number} j      The first row of the span
+     * @param {number} r      The number of rows spanned
+     * @return {number}       The height of the spanned rows, including the space and lines between them
+     */
+    public getSpanHeight(H: number[], D: number[], j: number, r: number): number {
+      let h = H[j] + D[j];
+      for (let k = j + 1; k < j + r; k++) {
+        h += this.rSpace[k - 1] + this.rLines[k - 1] + H[k] + D[k];
+      }
+      return h;
+    }
+
     /**
      * @param {C} cell     The cell to check for percentage widths
      * @param {number} i   The column index of the cell
@@ -651,7 +968,7 @@ export function CommonMtableMixin<
       } else {
         height = sum(H.concat(D, this.rLines, this.rSpace));
       }
-      height += 2 * (this.fLine + this.fSpace[1]);
+      height += this.tLine + this.bLine + 2 * this.fSpace[1];
       //
       //  Get the widths of all columns
       //
@@ -720,7 +1037,8 @@ export function CommonMtableMixin<
     public setColumnPWidths() {
       const W = this.cWidths as number[];
       for (const [cell, i] of this.pwidthCells) {
-        if (cell.setChildPWidths(false, W[i])) {
+        const j = cell.parent.node.childPosition();
+        if (cell.setChildPWidths(false, this.getSpanWidth(W, i, this.getCellSpans(cell, j)[1]))) {
           cell.invalidateBBox();
           cell.getBBox();
         }
@@ -969,7 +1287,7 @@ export function CommonMtableMixin<
       //  Start with frame size and add in spacing, height and depth,
       //    and line thickness for each row.
       //
-      let y = this.fLine;
+      let y = this.tLine;
       for (let j = 0; j < i; j++) {
         y += space[j] + (equal ? HD : H[j] + D[j]) + space[j + 1] + this.rLines[j];
       }
@@ -1033,6 +1351,21 @@ export function CommonMtableMixin<
       return space;
     }
 
+    /**
+     * @return {number[]}   The padding between the table and the lines of the menclose used
+     *                        as its frame (when not all sides have lines), as [T, R, B, L]
+     */
+    public getFramePadding(): number[] {
+      let parent = this.parent;
+      while (parent && parent.node.isInferred) {
+        parent = parent.parent;
+      }
+      if (!parent || !parent.node.isKind('menclose') || !parent.node.attributes.get('isFrame')) {
+        return [0, 0, 0, 0];
+      }
+      return (parent as CommonMenclose<any, any, any>).getPadding();
+    }
+
     /**
      * @return {[string,number|null]}  The alignment and row number (based at 0) or null
      */
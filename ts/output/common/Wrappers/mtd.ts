@@ -64,11 +64,19 @@ export function CommonMtdMixin<T extends WrapperConstructor>(Base: T): MtdConstr
     /**
      * @override
      */
-    public getWrapWidth(_j: number) {
+    public getWrapWidth(_j: number): number {
       const table = this.parent.parent as any as CommonMtable<AnyWrapper, CommonMtr<AnyWrapper>>;
       const row = this.parent as CommonMtr<AnyWrapper>;
-      const i = this.node.childPosition() - (row.labeled ? 1 : 0);
-      return (typeof(table.cWidths[i]) === 'number' ? table.cWidths[i] : table.getTableData().W[i]) as number;
+      const j = row.node.childPosition();
+      const k = this.node.childPosition() - (row.labeled ? 1 : 0);
+      if (k < 0) {
+        return table.getTableData().L;
+      }
+      const i = table.cellColumns[j][k];
+      const W = table.getTableData().W.map((w, n) => {
+        return (typeof(table.cWidths[n]) === 'number' ? table.cWidths[n] as number : w);
+      });
+      return table.getSpanWidth(W, i, table.getCellSpans(this, j)[1]);
     }
 
     /**
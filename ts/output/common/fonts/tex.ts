@@ -73,6 +73,18 @@ export function CommonTeXFontMixin<
       '-tex-mathit': ['serif', true, false]
     };
 
+    /**
+     * The Math Alphanumerics not in the TeX fonts, and the closest ones to use for them.
+     * (The TeX fonts have no upright lower-case Greek, so the bold and bold-sans-serif
+     * lower-case Greek have no fallbacks here; they are drawn from the browser's bold
+     * fonts, as other unknown characters are, rather than in bold-italic.)
+     */
+    public static SmpFallbacks = [
+      [0x1D63C, 0x1D66F, 0x1D5D4],  // sans-serif-bold-italic Latin -> bold-sans-serif
+      [0x1D790, 0x1D7A9, 0x1D756],  // sans-serif-bold-italic upper-case Greek -> bold-sans-serif
+      [0x1D7AA, 0x1D7C9, 0x1D736]   // sans-serif-bold-italic lower-case Greek -> bold-italic
+    ];
+
     /**
      *  The default variants for the standard stretchy sizes
      */
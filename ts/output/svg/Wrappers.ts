@@ -51,6 +51,8 @@ import {SVGmenclose} from './Wrappers/menclose.js';
 import {SVGsemantics, SVGannotation, SVGannotationXML, SVGxml} from './Wrappers/semantics.js';
 import {SVGmglyph} from './Wrappers/mglyph.js';
 import {SVGTeXAtom} from './Wrappers/TeXAtom.js';
+import {SVGTeXDiagram} from './Wrappers/TeXDiagram.js';
+import {SVGTeXMolecule} from './Wrappers/TeXMolecule.js';
 import {SVGTextNode} from './Wrappers/TextNode.js';
 
 export const SVGWrappers: {[kind: string]: WrapperConstructor}  = {
@@ -89,6 +91,8 @@ export const SVGWrappers: {[kind: string]: WrapperConstructor}  = {
   [SVGxml.kind]: SVGxml,
   [SVGmglyph.kind]: SVGmglyph,
   [SVGTeXAtom.kind]: SVGTeXAtom,
+  [SVGTeXDiagram.kind]: SVGTeXDiagram,
+  [SVGTeXMolecule.kind]: SVGTeXMolecule,
   [SVGTextNode.kind]: SVGTextNode,
   [SVGWrapper.kind]: SVGWrapper
 };
@@ -0,0 +1,78 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview  Implements the SVGTeXDiagram wrapper for the TeXDiagram object
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {SVGWrapper, SVGConstructor} from '../Wrapper.js';
+import {CommonTeXDiagramMixin} from '../../common/Wrappers/TeXDiagram.js';
+import {TeXDiagram} from '../../../core/MmlTree/MmlNodes/TeXDiagram.js';
+
+/*****************************************************************/
+/**
+ * The SVGTeXDiagram wrapper for the TeXDiagram object
+ *
+ * @template N  The HTMLElement node class
+ * @template T  The Text node class
+ * @template D  The Document class
+ */
+// @ts-ignore
+export class SVGTeXDiagram<N, T, D> extends
+CommonTeXDiagramMixin<SVGWrapper<any, any, any>, SVGConstructor<any, any, any>>(SVGWrapper) {
+
+  /**
+   * The TeXDiagram wrapper
+   */
+  public static kind = TeXDiagram.prototype.kind;
+
+  /**
+   * @override
+   */
+  public toSVG(parent: N) {
+    const svg = this.standardSVGnode(parent);
+    const table = this.childNodes[0];
+    table.toSVG(svg);
+    table.place(this.dx, 0);
+    const t = this.fixed(this.getLineThickness());
+    for (const {path, dash} of this.paths) {
+      const def: {[name: string]: string} = {
+        d: this.pathString(path, false), fill: 'none', 'stroke-width': t,
+        'stroke-linecap': 'round', 'stroke-linejoin': 'round'
+      };
+      if (dash.length) {
+        def['stroke-dasharray'] = dash.map(x => this.fixed(x)).join(' ');
+      }
+      this.adaptor.append(svg, this.svg('path', def));
+    }
+    for (const {label, x, y, fill} of this.labels) {
+      if (fill) {
+        const {w, h, d, rscale} = label.getBBox();
+        this.adaptor.append(svg, this.svg('rect', {
+          x: this.fixed(x + this.dx), y: this.fixed(y - d * rscale),
+          width: this.fixed(w * rscale), height: this.fixed((h + d) * rscale),
+          fill: 'white', stroke: 'none'
+        }));
+      }
+      label.toSVG(svg);
+      label.place(x + this.dx, y);
+    }
+  }
+
+}
@@ -0,0 +1,65 @@
+/*************************************************************
+ *
+ *  Copyright (c) 2021 The MathJax Consortium
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * @fileoverview  Implements the SVGTeXMolecule wrapper for the TeXMolecule object
+ *
+ * @author dpvc@mathjax.org (Davide Cervone)
+ */
+
+import {SVGWrapper, SVGConstructor} from '../Wrapper.js';
+import {CommonTeXMoleculeMixin} from '../../common/Wrappers/TeXMolecule.js';
+import {TeXMolecule} from '../../../core/MmlTree/MmlNodes/TeXMolecule.js';
+
+/*****************************************************************/
+/**
+ * The SVGTeXMolecule wrapper for the TeXMolecule object
+ *
+ * @template N  The HTMLElement node class
+ * @template T  The Text node class
+ * @template D  The Document class
+ */
+// @ts-ignore
+export class SVGTeXMolecule<N, T, D> extends
+CommonTeXMoleculeMixin<SVGWrapper<any, any, any>, SVGConstructor<any, any, any>>(SVGWrapper) {
+
+  /**
+   * The TeXMolecule wrapper
+   */
+  public static kind = TeXMolecule.prototype.kind;
+
+  /**
+   * @override
+   */
+  public toSVG(parent: N) {
+    const svg = this.standardSVGnode(parent);
+    for (const {path, width} of this.paths) {
+      const def: {[name: string]: string} = (width ? {
+        d: this.pathString(path, false), fill: 'none', 'stroke-width': this.fixed(width),
+        'stroke-linecap': 'round', 'stroke-linejoin': 'round'
+      } : {
+        d: this.pathString(path, false), stroke: 'none'
+      });
+      this.adaptor.append(svg, this.svg('path', def));
+    }
+    for (const {atom, x, y} of this.atoms) {
+      atom.toSVG(svg);
+      atom.place(x + this.dx, y);
+    }
+  }
+
+}
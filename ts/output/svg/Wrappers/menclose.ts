@@ -274,15 +274,20 @@ export class SVGmenclose<N, T, D> extends CommonMencloseMixin<
    * Create a line element
    *
    * @param {number[]} pq   The coordinates of the endpoints, [x1, y1, x2, y2]
-   * @return {N}            The newly created line element
+   * @return {N}            The newly created line element (using the rule color, if one is given)
    */
   public line(pq: [number, number, number, number]): N {
     const [x1, y1, x2, y2] = pq;
-    return this.svg('line', {
+    const line = this.svg('line', {
       x1: this.fixed(x1), y1: this.fixed(y1),
       x2: this.fixed(x2), y2: this.fixed(y2),
       'stroke-width': this.fixed(this.thickness)
     });
+    const color = this.node.attributes.get('data-rule-color') as string;
+    if (color) {
+      this.adaptor.setAttribute(line, 'stroke', color);
+    }
+    return line;
   }
 
   /**
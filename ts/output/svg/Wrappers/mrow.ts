@@ -48,8 +48,30 @@ CommonMrowMixin<SVGConstructor<any, any, any>>(SVGWrapper) {
    */
   public toSVG(parent: N) {
     const svg = (this.node.isInferred ? (this.element = parent) : this.standardSVGnode(parent));
-    this.addChildren(svg);
-    // FIXME:  handle line breaks
+    this.getBBox();
+    if (this.lines) {
+      this.addLines(svg);
+    } else {
+      this.addChildren(svg);
+    }
+  }
+
+  /**
+   * Add the children line by line, placing each line at its offsets
+   *
+   * @param {N} parent  The container for the lines
+   */
+  protected addLines(parent: N) {
+    for (const line of this.lines) {
+      let x = line.x;
+      for (const child of this.lineChildren(line) as SVGWrapper<N, T, D>[]) {
+        child.toSVG(parent);
+        if (child.element) {
+          child.place(x + child.bbox.L * child.bbox.rscale, -line.y);
+        }
+        x += (child.bbox.L + child.bbox.w + child.bbox.R) * child.bbox.rscale;
+      }
+    }
   }
 
 }
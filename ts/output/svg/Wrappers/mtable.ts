@@ -100,6 +100,7 @@ CommonMtableMixin<SVGmtd<any, any, any>, SVGmtr<any, any, any>, SVGConstructor<a
     this.placeRows(svg);
     this.handleColumnLines(svg);
     this.handleRowLines(svg);
+    this.handleHRules(svg);
     this.handleFrame(svg);
     const dx = this.handlePWidth(svg);
     this.handleLabels(svg, parent, dx);
@@ -113,7 +114,7 @@ CommonMtableMixin<SVGmtd<any, any, any>, SVGmtr<any, any, any>, SVGConstructor<a
     const {H, D} = this.getTableData();
     const HD = this.getEqualRowHeight();
     const rSpace = this.getRowHalfSpacing();
-    const rLines = [this.fLine, ...this.rLines, this.fLine];
+    const rLines = [this.tLine, ...this.rLines, this.bLine];
     let y = this.getBBox().h - rLines[0];
     for (let i = 0; i < this.numRows; i++) {
       const row = this.childNodes[i];
@@ -137,6 +138,26 @@ CommonMtableMixin<SVGmtd<any, any, any>, SVGmtr<any, any, any>, SVGConstructor<a
     return (equal ? [(HD + H - D) / 2, (HD - H + D) / 2] : [H, D]);
   }
 
+  /**
+   * @param {number} j    The row in which a spanning cell starts
+   * @param {number} r    The number of rows spanned by the cell
+   * @return {number[]}   The depth of the cell below the baseline of row j, and
+   *                        the spacing and line thickness below its last row
+   */
+  public getRowSpanDepth(j: number, r: number): [number, number, number] {
+    const equal = this.node.attributes.get('equalrows') as boolean;
+    const {H, D} = this.getTableData();
+    const HD = this.getEqualRowHeight();
+    const rSpace = this.getRowHalfSpacing();
+    const rLines = [this.tLine, ...this.rLines, this.bLine];
+    let depth = this.getRowHD(equal, HD, H[j], D[j])[1];
+    for (let k = j + 1; k < j + r; k++) {
+      const [h, d] = this.getRowHD(equal, HD, H[k], D[k]);
+      depth += rSpace[k] + rLines[k] + rSpace[k] + h + d;
+    }
+    return [depth, rSpace[j + r], rLines[j + r]];
+  }
+
   /******************************************************************/
 
   /**
@@ -162,11 +183,14 @@ CommonMtableMixin<SVGmtd<any, any, any>, SVGmtr<any, any, any>, SVGConstructor<a
     const cSpace = this.getColumnHalfSpacing();
     const cLines = this.cLines;
     const cWidth = this.getComputedWidths();
+    const Y = this.getRowBoundaries();
     let x = this.fLine;
     for (let i = 0; i < lines.length; i++) {
       x += cSpace[i] + cWidth[i] + cSpace[i + 1];
       if (lines[i] !== 'none') {
-        this.adaptor.append(svg, this.makeVLine(x, lines[i], cLines[i]));
+        for (const [y1, y2] of this.getLineSegments(Y, j => this.isSameCell(j, i, j, i + 1))) {
+          this.adaptor.append(svg, this.makeVLine(x, lines[i], cLines[i], y1, y2));
+        }
       }
       x += cLines[i];
     }
@@ -186,18 +210,109 @@ CommonMtableMixin<SVGmtd<any, any, any>, SVGmtr<any, any, any>, SVGConstructor<a
     const HD = this.getEqualRowHeight();
     const rSpace = this.getRowHalfSpacing();
     const rLines = this.rLines;
-    let y = this.getBBox().h - this.fLine;
+    const X = this.getColumnBoundaries();
+    let y = this.getBBox().h - this.tLine;
     for (let i = 0; i < lines.length; i++) {
       const [rH, rD] = this.getRowHD(equal, HD, H[i], D[i]);
       y -= rSpace[i] + rH + rD + rSpace[i + 1];
       if (lines[i] !== 'none') {
-        this.adaptor.append(svg, this.makeHLine(y, lines[i], rLines[i]));
+        for (const [x1, x2] of this.getLineSegments(X, j => this.isSameCell(i, j, i + 1, j))) {
+          this.adaptor.append(svg, this.makeHLine(y, lines[i], .07, x1, x2));
+        }
       }
       y -= rLines[i];
     }
 
   }
 
+  /**
+   * Add the partial and non-standard horizontal rules
+   *
+   * @param {N} svg   The container for the table
+   */
+  protected handleHRules(svg: N) {
+    if (!this.hRules.length) return;
+    const n = this.numRows;
+    const X = this.getColumnBoundaries();
+    const Y = this.getRowBoundaries();
+    for (const {row, start, end, style, t, lTrim, rTrim} of this.hRules) {
+      //
+      //  Rules at the top and bottom go next to the frame; others are centered in the
+      //    space left for them below any row line
+      //
+      const y = (row === 0 ? Y[0] - this.fLine - t / 2 :
+                 row === n ? Y[n] + this.fLine + t / 2 :
+                 Y[row] - (this.rLines[row - 1] - this.hSlots[row]) / 2);
+      this.adaptor.append(svg, this.makeHRule(X[start] + lTrim, X[end + 1] - rTrim, y, style, t));
+    }
+  }
+
+  /**
+   * @return {number[]}   The y positions of the top and bottom of the table and
+   *                        the middles of the lines between the rows
+   */
+  protected getRowBoundaries(): number[] {
+    const equal = this.node.attributes.get('equalrows') as boolean;
+    const {H, D} = this.getTableData();
+    const HD = this.getEqualRowHeight();
+    const rSpace = this.getRowHalfSpacing();
+    const {h, d} = this.getBBox();
+    const Y = [h];
+    let y = h - this.tLine;
+    for (let i = 0; i < this.numRows - 1; i++) {
+      const [rH, rD] = this.getRowHD(equal, HD, H[i], D[i]);
+      y -= rSpace[i] + rH + rD + rSpace[i + 1];
+      Y.push(y - this.rLines[i] / 2);
+      y -= this.rLines[i];
+    }
+    Y.push(-d);
+    return Y;
+  }
+
+  /**
+   * @return {number[]}   The x positions of the left and right of the table and
+   *                        the middles of the lines between the columns
+   */
+  protected getColumnBoundaries(): number[] {
+    const cSpace = this.getColumnHalfSpacing();
+    const cWidth = this.getComputedWidths();
+    const X = [0];
+    let x = this.fLine;
+    for (let i = 0; i < this.numCols - 1; i++) {
+      x += cSpace[i] + cWidth[i] + cSpace[i + 1];
+      X.push(x + this.cLines[i] / 2);
+      x += this.cLines[i];
+    }
+    X.push(this.getBBox().w);
+    return X;
+  }
+
+  /**
+   * Break a row or column line into the pieces that are not covered by spanning cells
+   *
+   * @param {number[]} B                       The boundaries of the rows (or columns) that the line crosses
+   * @param {(k: number) => boolean} covered   True when the line is covered within row (or column) k
+   * @return {[number, number][]}              The starting and ending positions of the line segments
+   */
+  protected getLineSegments(B: number[], covered: (k: number) => boolean): [number, number][] {
+    const segments: [number, number][] = [];
+    let start = null;
+    for (let k = 0; k < B.length - 1; k++) {
+      if (covered(k)) {
+        if (start !== null) {
+          segments.push([start, B[k]]);
+          start = null;
+        }
+      } else if (start === null) {
+        start = B[k];
+      }
+    }
+    if (start !== null) {
+      segments.push([start, B[B.length - 1]]);
+    }
+    return segments;
+  }
+
   /**
    * Add a frame to the mtable, if needed
    *
@@ -251,43 +366,66 @@ CommonMtableMixin<SVGmtd<any, any, any>, SVGmtr<any, any, any>, SVGConstructor<a
    */
   protected makeFrame(w: number, h: number, d: number, style: string): N {
     const t = this.fLine;
-    return this.svg('rect', this.setLineThickness(t, style, {
+    return this.svg('rect', this.setLineColor(this.setLineThickness(t, style, {
       'data-frame': true, 'class': this.lineClass(style),
       width: this.fixed(w - t), height: this.fixed(h + d - t),
       x: this.fixed(t / 2), y: this.fixed(t / 2 - d)
-    }));
+    })));
   }
 
   /**
    * @param {number} x       The x location of the line
    * @param {string} style   The border style for the line
    * @param {number} t       The line thickness
+   * @param {number=} top    The y location of the top of the line
+   * @param {number=} bot    The y location of the bottom of the line
    * @returns {N}            The SVG element for the line
    */
-  protected makeVLine(x: number, style: string, t: number): N {
-    const {h, d} = this.getBBox();
+  protected makeVLine(x: number, style: string, t: number,
+                      top: number = this.getBBox().h, bot: number = -this.getBBox().d): N {
     const dt = (style === 'dotted' ? t / 2 : 0);
     const X = this.fixed(x + t / 2);
-    return this.svg('line', this.setLineThickness(t, style, {
+    return this.svg('line', this.setLineColor(this.setLineThickness(t, style, {
       'data-line': 'v', 'class': this.lineClass(style),
-      x1: X, y1: this.fixed(dt - d), x2: X, y2: this.fixed(h - dt)
-    }));
+      x1: X, y1: this.fixed(bot + dt), x2: X, y2: this.fixed(top - dt)
+    })));
   }
 
   /**
    * @param {number} y       The y location of the line
    * @param {string} style   The border style for the line
    * @param {number} t       The line thickness
+   * @param {number=} left   The x location of the left end of the line
+   * @param {number=} right  The x location of the right end of the line
    * @returns {N}            The SVG element for the line
    */
-  protected makeHLine(y: number, style: string, t: number): N {
-    const w = this.getBBox().w;
+  protected makeHLine(y: number, style: string, t: number,
+                      left: number = 0, right: number = this.getBBox().w): N {
     const dt = (style === 'dotted' ? t / 2 : 0);
     const Y = this.fixed(y - t / 2);
-    return this.svg('line', this.setLineThickness(t, style, {
+    return this.svg('line', this.setLineColor(this.setLineThickness(t, style, {
       'data-line': 'h', 'class': this.lineClass(style),
-      x1: this.fixed(dt), y1: Y, x2: this.fixed(w - dt), y2: Y
-    }));
+      x1: this.fixed(left + dt), y1: Y, x2: this.fixed(right - dt), y2: Y
+    })));
+  }
+
+  /**
+   * @param {number} x1      The x location of the left end of the rule
+   * @param {number} x2      The x location of the right end of the rule
+   * @param {number} y       The y location of the center of the rule
+   * @param {string} style   The border style for the rule
+   * @param {number} t       The rule thickness
+   * @returns {N}            The SVG element for the rule
+   */
+  protected makeHRule(x1: number, x2: number, y: number, style: string, t: number): N {
+    const properties: OptionList = {
+      'data-rule': true, 'stroke-width': this.fixed(t),
+      x1: this.fixed(x1), y1: this.fixed(y), x2: this.fixed(x2), y2: this.fixed(y)
+    };
+    if (style === 'dashed') {
+      properties['stroke-dasharray'] = this.fixed(.14);
+    }
+    return this.svg('line', this.setLineColor(properties));
   }
 
   /**
@@ -306,6 +444,18 @@ CommonMtableMixin<SVGmtd<any, any, any>, SVGmtr<any, any, any>, SVGConstructor<a
     return properties;
   }
 
+  /**
+   * @param {OptionList} properties   The list of properties to modify
+   * @param {OptionList}              The modified properties (using the rule color, if one is given)
+   */
+  protected setLineColor(properties: OptionList) {
+    const color = this.node.attributes.get('data-rule-color') as string;
+    if (color) {
+      properties.stroke = color;
+    }
+    return properties;
+  }
+
   /******************************************************************/
 
   /**
@@ -346,7 +496,7 @@ CommonMtableMixin<SVGmtd<any, any, any>, SVGmtr<any, any, any>, SVGConstructor<a
     //  Start with frame size and add in spacing, height and depth,
     //    and line thickness for each non-labeled row.
     //
-    let y = h - this.fLine;
+    let y = h - this.tLine;
     let current = adaptor.firstChild(this.labels) as N;
     for (let i = 0; i < this.numRows; i++) {
       const row = this.childNodes[i] as SVGmtr<N, T, D>;
@@ -32,6 +32,7 @@ import {MmlMtr, MmlMlabeledtr} from '../../../core/MmlTree/MmlNodes/mtr.js';
 
 /**
  * The data needed for placeCell()
+ *   (D, bSpace, and bLine are given for cells that span several rows)
  */
 export type SizeData = {
   x: number,
@@ -40,7 +41,10 @@ export type SizeData = {
   lSpace: number,
   rSpace: number,
   lLine: number,
-  rLine: number
+  rLine: number,
+  D?: number,
+  bSpace?: number,
+  bLine?: number
 };
 
 /*****************************************************************/
@@ -104,17 +108,34 @@ CommonMtrMixin<SVGmtd<any, any, any>, SVGConstructor<any, any, any>>(SVGWrapper)
    * @param {N} svg   The container for the table
    */
   protected placeCells(svg: N) {
-    const cSpace = this.parent.getColumnHalfSpacing();
-    const cLines = [this.parent.fLine, ...this.parent.cLines, this.parent.fLine];
-    const cWidth = this.parent.getComputedWidths();
+    const table = this.parent;
+    const cSpace = table.getColumnHalfSpacing();
+    const cLines = [table.fLine, ...table.cLines, table.fLine];
+    const cWidth = table.getComputedWidths();
+    const cells = this.tableCells;
+    const j = this.node.childPosition();
+    const columns = table.cellColumns[j];
     let x = cLines[0];
-    for (let i = 0; i < this.numCells; i++) {
-      const child = this.getChild(i);
-      child.toSVG(svg);
-      x += this.placeCell(child, {
-        x: x, y: 0, lSpace: cSpace[i], rSpace: cSpace[i + 1], w: cWidth[i],
-        lLine: cLines[i], rLine: cLines[i + 1]
-      });
+    let k = 0;
+    for (let i = 0; i < table.numCols; i++) {
+      if (columns[k] === i) {
+        //
+        //  Place the cell that starts in this column, using the sizes
+        //    of the columns and rows that it spans
+        //
+        const child = cells[k++];
+        const [r, c] = table.getCellSpans(child, j);
+        const sizes: SizeData = {
+          x: x, y: 0, lSpace: cSpace[i], rSpace: cSpace[i + c], w: table.getSpanWidth(cWidth, i, c),
+          lLine: cLines[i], rLine: cLines[i + c]
+        };
+        if (r > 1) {
+          [sizes.D, sizes.bSpace, sizes.bLine] = table.getRowSpanDepth(j, r);
+        }
+        child.toSVG(svg);
+        this.placeCell(child, sizes);
+      }
+      x += cSpace[i] + cWidth[i] + cSpace[i + 1] + cLines[i + 1];
     }
   }
 
@@ -124,27 +145,32 @@ CommonMtrMixin<SVGmtd<any, any, any>, SVGConstructor<any, any, any>>(SVGWrapper)
    * @return {number}          The new x position
    */
   public placeCell(cell: SVGmtd<N, T, D>, sizes: SizeData): number {
-    const {x, y, lSpace, w, rSpace, lLine, rLine} = sizes;
-    const [dx, dy] = cell.placeCell(x + lSpace, y, w, this.H, this.D);
+    const {x, y, lSpace, w, rSpace, lLine, rLine, D = this.D, bSpace = this.bSpace, bLine = this.bLine} = sizes;
+    const [dx, dy] = cell.placeCell(x + lSpace, y, w, this.H, D);
     const W = lSpace + w + rSpace;
-    const [H, D] = [this.H + this.tSpace, this.D + this.bSpace];
-    cell.placeColor(-(dx + lSpace + lLine / 2), -(D + this.bLine / 2 + dy),
-                    W + (lLine + rLine) / 2, H + D + (this.tLine + this.bLine) / 2);
+    const [h, d] = [this.H + this.tSpace, D + bSpace];
+    cell.placeColor(-(dx + lSpace + lLine / 2), -(d + bLine / 2 + dy),
+                    W + (lLine + rLine) / 2, h + d + (this.tLine + bLine) / 2);
     return W + rLine;
   }
 
   /**
    * Expand the backgound color to fill the entire row
+   *   (including the padding of a partial frame around the table)
    */
   protected placeColor() {
     const adaptor = this.adaptor;
     const child = adaptor.firstChild(this.element);
     if (child && adaptor.kind(child) === 'rect' && adaptor.getAttribute(child, 'data-bgcolor')) {
-      const [TL, BL] = [this.tLine / 2, this.bLine / 2];
+      const table = this.parent;
+      const j = this.node.childPosition();
+      const [T, R, B, L] = table.getFramePadding();
+      const [TL, BL] = [this.tLine / 2 + (j === 0 ? T : 0), this.bLine / 2 + (j === table.numRows - 1 ? B : 0)];
       const [TS, BS] = [this.tSpace, this.bSpace];
       const [H, D] = [this.H, this.D];
+      adaptor.setAttribute(child, 'x', this.fixed(-L));
       adaptor.setAttribute(child, 'y', this.fixed(-(D + BS + BL)));
-      adaptor.setAttribute(child, 'width', this.fixed(this.parent.getWidth()));
+      adaptor.setAttribute(child, 'width', this.fixed(L + table.getWidth() + R));
       adaptor.setAttribute(child, 'height', this.fixed(TL + TS + H + D + BS + BL));
     }
   }